@@ -1,6 +1,10 @@
 /**
  * 配置文件
- * 集中管理所有配置参数
+ * 集中管理所有配置参数(默认值)
+ *
+ * 可在项目根目录放置 config.json 或 config.yaml(或通过 --config=<文件>、环境变量 AUTODELETE_CONFIG 指定)覆盖其中的部分配置项，
+ * 密码等敏感信息可通过环境变量覆盖，例如 AUTODELETE_EMAIL__SMTP__AUTH__PASS(前缀 AUTODELETE_，层级之间用 __ 分隔)
+ * 服务运行时修改本文件或配置文件会自动重新加载，配置有误时继续使用原配置
  */
 
 module.exports = {
@@ -8,16 +12,188 @@ module.exports = {
   cronSchedule: '0 */6 * * *', // 每6小时执行一次
 
   // 磁盘空间配置
-  minFreeSpaceGB: 50, // 最小剩余空间阈值(GB)
+  minFreeSpaceGB: 50, // 最小剩余空间阈值(GB)，低于该值时生成删除计划，deleteDelay 小时后删除
+  maxUsedPercent: 0, // 使用率阈值(%)，超过时同样视为空间不足，与 minFreeSpaceGB 满足任一即触发，0 表示不使用
   bufferPercentage: 5, // 缓冲百分比，释放额外空间
+  // 分级阈值，每级可用剩余空间(minFreeSpaceGB)或使用率(maxUsedPercent)表示，满足任一即进入该级，均为 0 表示不使用该级
+  warningLevel: { // 预警级别：只发送通知，不删除
+    minFreeSpaceGB: 0,
+    maxUsedPercent: 0,
+    repeatHours: 24 // 磁盘持续处于预警级别时重复通知的最短间隔(小时)
+  },
+  emergencyLevel: { // 紧急级别：立即删除，不等待 deleteDelay(应低于 minFreeSpaceGB)
+    minFreeSpaceGB: 0,
+    maxUsedPercent: 0
+  },
+  // 按磁盘单独设置阈值，path 为该磁盘上的任意路径(通常为挂载点)，未设置的项使用上面的全局值，例如:
+  // { path: '/mnt/cam1', minFreeSpaceGB: 500, bufferPercentage: 2, emergencyLevel: { maxUsedPercent: 99 } }
+  disks: [],
 
   // 文件路径配置
+  // 每项可以是路径字符串，也可以是带单独保留策略的对象，例如:
+  // { path: 'E:/Recordings', minKeepDirs: 7, maxAgeDays: 30, maxSizeGB: 500, action: 'archive', archive: { target: 'Z:/Archive' } }
+  // { path: 'F:/OBS', scan: { mode: 'file', filePatterns: ['*.mp4', '*.mkv'], timestampPatterns: ['{YYYY}-{MM}-{DD} {hh}-{mm}-{ss}.*'] } }
   recordingsPaths: ['E:/Recordings', 'F:/Recordings'], // 录制文件存储路径
 
+  // 默认保留策略(路径未单独配置时使用)
+  retention: {
+    minKeepDirs: 0, // 至少保留最新的目录数
+    maxAgeDays: 0, // 超过该天数的目录无论空间是否充足都删除，0 表示不限制
+    maxSizeGB: 0 // 单个路径的空间配额(GB)，超出时删除最早的目录，0 表示不限制
+  },
+
+  // 扫描方式配置(可在 recordingsPaths 的对象中按路径单独设置 scan)
+  // 以下所说的"目录"在 file 模式下均指单个文件，minKeepDirs 等按删除单位计数
+  scan: {
+    mode: 'directory', // 'directory' 以目录为删除单位；'file' 以单个文件为删除单位(包括子目录中的文件)
+    depth: 1, // directory 模式下作为删除单位的目录层级，1 为监控路径下的子目录，YYYY/MM/DD/摄像头 结构可设为 3 或 4
+    filePatterns: [], // file 模式下只删除匹配的文件，如 ['*.mp4', '*.mkv']，为空表示所有文件
+    // 从文件名或目录名解析录制时间的规则，{YYYY} {MM} {DD} {hh} {mm} {ss} 匹配对应数字，* 匹配任意字符；
+    // 含 / 时匹配相对于监控路径的完整路径，如 '{YYYY}/{MM}/{DD}/*'；都不匹配时使用修改时间
+    timestampPatterns: [] // 例如 ['cam*_{YYYY}{MM}{DD}_{hh}{mm}{ss}.mp4']
+  },
+
+  // 目录大小统计配置
+  // 每个目录中文件的大小记录在 data/size-index.json，目录未变化且录制已完成时不再逐个统计文件
+  sizeIndex: {
+    enabled: true,
+    concurrency: 16, // 同时进行的文件系统操作数
+    settleMinutes: 60, // 统计时目录中最新的文件已超过该时长未修改，视为录制已完成
+    sizeMode: 'apparent' // 'apparent' 文件大小之和；'blocks' 实际占用的磁盘块(与 du 一致，稀疏文件和小文件更准确)
+  },
+
+  // 磁盘写满预测：每次检查记录剩余空间采样(data/disk-history.json)，按写入速度预测何时低于 minFreeSpaceGB
+  forecast: {
+    enabled: true,
+    windowDays: 7, // 计算写入速度使用的采样时间范围(天)
+    minHistoryHours: 24, // 采样跨度不足该时长时不做预测
+    warnDays: 3, // 预计在该天数内低于阈值时发送提前预警(forecast 事件)
+    repeatHours: 24 // 同一磁盘重复预警的最短间隔(小时)
+  },
+
+  // 清理方式配置(可在 recordingsPaths 的对象中按路径单独设置 action 和 archive)
+  action: 'delete', // 'delete' 直接删除；'archive' 先归档到 archive.target，校验后再删除源目录
+  archive: {
+    target: '', // 归档目录(其他本地磁盘或已挂载的NAS路径)
+    verify: 'size' // 删除源目录前的校验方式：'size' 比对文件大小，'checksum' 比对 SHA-256
+  },
+
+  // 回收站配置
+  quarantine: {
+    enabled: false, // 开启后删除时先将目录移入回收站，宽限期后仍需释放空间时才彻底删除
+    dirName: '.recycle', // 回收站目录名，位于各监控路径下(同一文件系统内移动，立即完成)
+    graceHours: 24 // 宽限期(小时)，期间可用 restore 命令恢复
+  },
+
+  // 删除保护配置
+  protection: {
+    markerFiles: ['.keep'], // 目录中存在这些文件时不会被删除
+    // 排除规则：通配符(不含 / 时只匹配目录名，如 'incident-*')或正则表达式(如 '/cam3/i')
+    excludePatterns: [],
+    // 固定保留的目录，例如 { path: 'E:/Recordings/2024-01-01', until: '2024-12-31' }，省略 until 表示永久保留
+    pinned: []
+  },
+
+  // 写入检测配置：仍在写入的目录(或文件)不会被删除，执行删除前还会逐个再次检查
+  inUse: {
+    quietMinutes: 10, // 目录中的文件在该时长(分钟)内有修改时视为正在写入，0 表示不检查
+    checkOpenFiles: true // Linux 下通过 /proc 检查是否有进程打开了其中的文件(需有权限读取录制程序的进程信息，通常需以 root 运行)
+  },
+
+  // 删除方式配置：逐个删除文件并限制速度，避免删除大量录制时影响正在进行的录制写入
+  // 中途失败或被中断的删除记录在 data/deletion-journal.json，下次检查时继续完成
+  deletion: {
+    maxMBPerSecond: 0, // 每秒最多删除(截断)的数据量(MB)，0 表示不限制
+    maxFilesPerSecond: 200, // 每秒最多删除的文件数，0 表示不限制
+    truncateChunkMB: 1024 // 大于该大小的文件先分段截断再删除，避免一次释放大量磁盘块造成 I/O 停顿，0 表示直接删除
+  },
+
   // 删除操作配置
   deleteDelay: 1, // 发送警告到执行删除的延迟时间(小时)
+  planExpireHours: 24, // 删除计划逾期超过该时长(小时)未执行时作废并重新评估
+
+  // 演练模式配置(也可通过命令行参数 --dry-run 开启)
+  dryRun: false, // 只报告将要删除的目录和预计剩余空间，不删除文件、不发送通知
+  dryRunOutput: '', // 演练模式下通知内容的输出文件(HTML)，留空则以纯文本输出到控制台
+
+  // 状态存储配置
+  dataDir: './data', // 删除计划等运行状态的存储目录(相对路径以项目根目录为基准)
+
+  // 服务模式配置(start 命令)
+  service: {
+    pidFile: '', // PID 文件，防止同时运行多个服务实例，留空使用 dataDir 下的 service.pid
+    shutdownTimeoutSeconds: 60 // 收到 SIGTERM/SIGINT 后等待当前目录删除完成的最长时间(秒)，超时后中断删除，下次启动时继续
+  },
+
+  // HTTP 状态接口及操作面板(仅服务模式下启动)
+  http: {
+    enabled: false,
+    host: '127.0.0.1', // 监听在其他地址时务必配置 token
+    port: 8377,
+    token: '' // 访问令牌，设置后接口需携带 Authorization: Bearer <token>
+  },
+
+  // 删除审批：开启后删除计划需人工批准才会执行，删除警告中附带批准、拒绝、推迟链接(链接由 HTTP 服务处理，需开启 http.enabled)
+  approval: {
+    enabled: false,
+    paths: [], // 需要审批的监控路径(recordingsPaths 中的路径)，留空表示所有路径
+    baseUrl: '', // 链接中使用的服务地址，如 http://nvr.example.com:8377，留空时使用 http.host 和 http.port
+    secret: '', // 链接签名密钥，留空时自动生成并保存在 dataDir 中
+    timeoutHours: 24, // 等待审批的时长(小时)，代替 deleteDelay
+    onTimeout: 'cancel', // 超时未审批时：'cancel' 取消计划；'proceed' 照常删除
+    postponeHours: 24 // 每次推迟的时长(小时)
+  },
+
+  // Prometheus 指标配置(通过 HTTP 服务的 /metrics 提供，需开启 http.enabled)
+  metrics: {
+    scanCacheSeconds: 300 // 录制目录大小和数量的缓存时间(秒)，避免每次抓取都完整扫描目录
+  },
+
+  // 定期报告：汇总各监控路径的录制总量、每日增长、实际保留天数、期间的删除及磁盘空间趋势，通过订阅了 report 事件的通知渠道发送
+  // 也可用 report 命令随时生成并输出为文本、CSV 或 JSON
+  reports: {
+    daily: '', // 日报的 cron 调度，如 '0 8 * * *'(每天 8 点)，留空不发送
+    weekly: '', // 周报的 cron 调度，如 '0 8 * * 1'(每周一 8 点)，留空不发送
+    exportDir: '' // 定时报告同时以 CSV 和 JSON 导出到该目录(相对路径以项目根目录为基准)，留空不导出
+  },
+
+  // 日志配置
+  // 运行日志以 JSON 行写入 dir/file，超过 maxSizeMB 后轮转为 file.1、file.2 ...，最多保留 maxFiles 个历史文件
+  // 审计日志(每个删除计划及每个目录的处理结果)只追加写入 dir/audit.log，不轮转
+  logging: {
+    level: 'info', // debug、info、warn、error
+    dir: './logs', // 相对路径以项目根目录为基准
+    file: 'app.log',
+    maxSizeMB: 10,
+    maxFiles: 5,
+    console: true // 同时输出到控制台
+  },
+
+  // 通知渠道配置
+  // events 为订阅的事件: warning(删除警告及预警级别通知)、emergency(紧急删除)、completion(删除完成)、error(检查出错)、forecast(空间即将不足预警)、report(定期报告)，省略表示订阅全部事件
+  notifications: {
+    channels: [
+      { type: 'email', events: ['warning', 'emergency', 'completion', 'error', 'forecast', 'report'] }
+      // { type: 'webhook', url: 'https://example.com/hooks/disk', headers: { Authorization: 'Bearer xxx' } },
+      // { type: 'slack', url: 'https://hooks.slack.com/services/xxx' },
+      // { type: 'dingtalk', url: 'https://oapi.dingtalk.com/robot/send?access_token=xxx', secret: 'SECxxx' },
+      // { type: 'wecom', url: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=xxx' },
+      // { type: 'feishu', url: 'https://open.feishu.cn/open-apis/bot/v2/hook/xxx', secret: 'xxx' },
+      // { type: 'telegram', botToken: '123456:ABC', chatId: '-100123456' },
+      // { type: 'command', command: '/usr/local/bin/notify.sh', timeoutMs: 30000, events: ['error'] }
+    ],
+    // 发送失败的通知保存在重试队列中按指数退避重试，超过最大尝试次数后记入死信(data/notification-dead-letters.json)
+    retry: {
+      maxAttempts: 6, // 包含首次发送在内的最大尝试次数
+      baseDelayMinutes: 1, // 首次重试的等待时间，之后每次翻倍
+      maxDelayMinutes: 60 // 单次重试的最长等待时间
+    },
+    locale: 'zh-CN', // 通知内容的语言: 'zh-CN' 或 'en'
+    timezone: '', // 通知中时间使用的时区，如 'Asia/Shanghai'、'UTC'，留空使用系统时区
+    templatesDir: '' // 自定义模板目录，其中与 templates 目录同名的文件优先使用(如 message.html、warning.html、locales/en.json)
+  },
 
-  // 邮件配置
+  // 邮件配置(email 通知渠道使用)
   email: {
     smtp: {
       host: 'smtp.example.com',
@@ -25,7 +201,7 @@ module.exports = {
       secure: false, // true for 465, false for other ports
       auth: {
         user: 'notifications@example.com',
-        pass: 'your-password'
+        pass: '' // 建议通过环境变量 AUTODELETE_EMAIL__SMTP__AUTH__PASS 提供
       }
     },
     from: 'notifications@example.com',
@@ -2,170 +2,457 @@
  * 自动检测磁盘空间并删除旧录制文件
  * 功能：
  * 1. 定时检测磁盘空间
- * 2. 当剩余空间低于阈值时发送邮件警告
+ * 2. 当剩余空间低于阈值时通过邮件等渠道发送警告
  * 3. 自动删除最早的录制文件目录
+ *
+ * 命令行入口，不带命令时以常驻服务方式运行
  */
 
-const cron = require('node-cron');
-const path = require('path');
 const config = require('./config');
-const diskManager = require('./lib/diskManager');
-const emailSender = require('./lib/emailSender');
-const fileManager = require('./lib/fileManager');
-const { handleError } = require('./utils/handleError');
-
-// 初始化配置
-const {
-  cronSchedule,
-  minFreeSpaceGB,
-  bufferPercentage,
-  recordingsPaths,
-  deleteDelay
-} = config;
-
-let isDeletionScheduled = false; // Flag to prevent concurrent runs
-
-async function main() {
-  if (isDeletionScheduled) {
-    console.log('已有删除任务在计划中，本次检查跳过');
-    return;
-  }
-
-  const results = [];
-  const diskCache = new Map(); // Cache for disk space info
-
-  for (const recordingsPath of recordingsPaths) {
-    const diskRoot = path.parse(recordingsPath).root;
-    let spaceInfo;
-
-    if (diskCache.has(diskRoot)) {
-      spaceInfo = diskCache.get(diskRoot);
-      console.log(`使用磁盘 ${diskRoot} 的缓存空间信息进行检查: ${recordingsPath}`);
-    } else {
-      try {
-        console.log(`首次检查磁盘 ${diskRoot} 的空间...`);
-        spaceInfo = await diskManager.getDiskSpace(recordingsPath);
-        diskCache.set(diskRoot, spaceInfo);
-      } catch (error) {
-        console.error(`检查磁盘 ${diskRoot} 空间时出错:`, handleError(error).errMsg);
-        await emailSender.sendEmail(`磁盘空间检查错误 (${diskRoot})`, `检查 ${diskRoot} 磁盘空间时发生错误: ${handleError(error).errMsg}`);
-        continue; // Skip to next path
-      }
+const auditLog = require('./lib/auditLog');
+const configLoader = require('./lib/configLoader');
+const monitor = require('./lib/monitor');
+const notificationQueue = require('./lib/notificationQueue');
+const notifier = require('./lib/notifier');
+const planStore = require('./lib/planStore');
+const quarantine = require('./lib/quarantine');
+const reports = require('./lib/reports');
+const runHistory = require('./lib/runHistory');
+const service = require('./lib/service');
+const logger = require('./utils/logger');
+
+// 退出码
+const EXIT_OK = 0; // 成功
+const EXIT_ERROR = 1; // 运行出错
+const EXIT_USAGE = 2; // 命令或参数错误
+const EXIT_NO_PLAN = 3; // 没有可操作的删除计划
+const EXIT_PLAN_PENDING = 4; // 存在待执行的删除计划
+const EXIT_CONFIG = 5; // 配置无效
+const EXIT_UNHEALTHY = 6; // 服务未运行或运行异常
+
+const USAGE = `用法: node index.js [命令] [--dry-run] [--config=<文件>]
+
+命令:
+  start       以常驻服务方式运行(默认)
+  check       执行一次磁盘空间检查后退出，空间不足时生成删除计划并发送警告
+  plan        显示每个监控路径按当前空间会选中删除的目录(不保存、不通知)
+  status      显示待执行的删除计划和最近一次运行结果
+  cancel      在删除延迟到期前取消等待执行的删除计划(等待审批的计划记为拒绝)
+  delete-now  立即执行等待中的删除计划(等待审批的计划记为批准)
+  trash       列出回收站中的目录
+  restore <ID或原路径>
+              将回收站中的目录恢复到原位置
+  audit [路径或计划ID]
+              查询审计日志中最近 50 条删除记录，可按目录(含子目录)或计划ID前缀过滤
+  outbox      列出等待重试和已放弃(死信)的通知
+  outbox-retry
+              立即重试等待中的通知
+  report [daily|weekly] [text|csv|json]
+              生成日报或周报(默认 weekly)并输出到控制台，不发送通知；csv、json 可重定向到文件导出
+  health      检查常驻服务是否在运行、定时检查是否正常(可用于监控或容器健康检查)
+  help        显示本帮助
+
+选项:
+  --dry-run   演练模式，只报告将要执行的操作，不删除文件、不发送通知
+              不带命令时等同于 check --dry-run
+  --config=<文件>
+              使用指定的 JSON 或 YAML 配置文件(也可通过环境变量 AUTODELETE_CONFIG 指定)，
+              默认使用项目根目录下的 config.json、config.yaml 或 config.yml(如存在)
+
+退出码:
+  0  成功
+  1  运行出错
+  2  命令或参数错误
+  3  没有可操作的删除计划(cancel、delete-now)或回收站中没有指定目录(restore)
+  4  存在待执行的删除计划(check 生成了计划或已有计划，status 查询到计划)
+  5  配置无效
+  6  服务未运行或运行异常(health)，或已有服务实例在运行(start)`;
+
+/**
+ * 格式化时间戳
+ * @param {number} timestamp - 时间戳(毫秒)
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * 打印删除计划详情
+ * @param {import('./lib/planStore').DeletionPlan} plan - 删除计划
+ */
+function printPlan(plan) {
+  const totalSizeGB = plan.allDirsToDelete.reduce((total, dir) => total + dir.sizeGB, 0);
+  console.log(`删除计划: ${plan.id}`);
+  console.log(`  状态: ${plan.status}`);
+  console.log(`  创建时间: ${formatTime(plan.createdAt)}`);
+  if (plan.approval) {
+    console.log(`  审批: ${plan.approval.status}，超时处理: ${plan.approval.onTimeout}`);
+    for (const decision of plan.approval.decisions) {
+      console.log(`    - ${formatTime(decision.time)}  ${decision.action} (${decision.via}${decision.remote ? ` ${decision.remote}` : ''})`);
     }
+  }
+  console.log(`  ${plan.approval && plan.approval.status === 'waiting' ? '审批截止时间' : '计划执行时间'}: ${formatTime(plan.dueAt)}`);
+  console.log(`  目录数: ${plan.allDirsToDelete.length}，预计释放 ${totalSizeGB.toFixed(2)}GB`);
+  for (const dir of plan.allDirsToDelete) {
+    console.log(`    - ${dir.path}  ${dir.sizeGB.toFixed(2)}GB  ${formatTime(dir.mtime)}`);
+  }
+  for (const dir of plan.protectedDirs || []) {
+    console.log(`  受保护(不删除): ${dir.path}  ${dir.skipReason}`);
+  }
+  for (const dir of plan.excludedDirs || []) {
+    console.log(`  已排除(不删除): ${dir.path}  ${dir.skipReason}`);
+  }
+}
 
-    try {
-      if (spaceInfo.freeGB < minFreeSpaceGB) {
-        console.log(`警告: 路径 ${recordingsPath} 所在磁盘剩余空间 ${spaceInfo.freeGB.toFixed(2)}GB 低于阈值 ${minFreeSpaceGB}GB`);
-
-        const dirsToDelete = await fileManager.getDirectoriesToDelete(
-          recordingsPath,
-          spaceInfo.freeGB,
-          minFreeSpaceGB,
-          bufferPercentage
-        );
-
-        results.push({ recordingsPath, spaceInfo, dirsToDelete });
-
-        if (dirsToDelete.length > 0) {
-          const totalSizeToFree = dirsToDelete.reduce((total, dir) => total + dir.sizeGB, 0);
-          console.log(`${recordingsPath}: 将删除 ${dirsToDelete.length} 个目录，预计释放 ${totalSizeToFree.toFixed(2)}GB 空间`);
-        } else {
-          console.log(`${recordingsPath}: 空间不足，但没有找到可删除的目录`);
-        }
-      } else {
-        console.log(`路径 ${recordingsPath} 所在磁盘空间充足，无需操作`);
-      }
-    } catch (error) {
-      console.error(`处理路径 ${recordingsPath} 时出错:`, handleError(error).errMsg);
-      await emailSender.sendEmail(`路径处理错误 (${recordingsPath})`, `处理 ${recordingsPath} 时发生错误: ${handleError(error).errMsg}`);
+/**
+ * check: 执行一次检查
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandCheck() {
+  const run = await monitor.runCheck('cli');
+  if (run.outcome === 'error') {
+    return EXIT_ERROR;
+  }
+  if (run.outcome === 'busy') {
+    console.error('另一个检查正在进行(服务或其他命令)，本次未检查，请稍后重试');
+    return EXIT_ERROR;
+  }
+  if (run.outcome === 'planned' || run.outcome === 'skipped') {
+    const plan = run.planId ? await planStore.getPlan(run.planId) : null;
+    if (plan) {
+      printPlan(plan);
+    }
+    return EXIT_PLAN_PENDING;
+  }
+  if (run.outcome === 'emergency') {
+    // 紧急删除已执行，其余磁盘可能另有等待执行的计划
+    const plan = await planStore.getActivePlan();
+    if (plan) {
+      printPlan(plan);
+      return EXIT_PLAN_PENDING;
     }
   }
+  return EXIT_OK;
+}
 
-  const triggeredResults = results.filter(result => result && result.dirsToDelete.length > 0);
+/**
+ * plan: 预览每个路径会选中删除的目录
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandPlan() {
+  const previews = await monitor.previewPlans();
+  let exitCode = EXIT_OK;
 
-  if (triggeredResults.length > 0) {
-    console.log(`检测到 ${triggeredResults.length} 个路径需要处理空间不足问题`);
+  for (const { recordingsPath, diskKey, minFreeSpaceGB, spaceInfo, dirsToDelete, protectedDirs, error } of previews) {
+    if (error || !spaceInfo) {
+      console.log(`${recordingsPath}: 检查失败 - ${error}`);
+      exitCode = EXIT_ERROR;
+      continue;
+    }
 
-    const dirsByDisk = new Map();
-    for (const result of triggeredResults) {
-      const diskRoot = path.parse(result.recordingsPath).root;
-      if (!dirsByDisk.has(diskRoot)) {
-        const targetFreeGB = minFreeSpaceGB * (1 + bufferPercentage / 100);
-        const spaceToFreeGB = targetFreeGB - result.spaceInfo.freeGB;
-        dirsByDisk.set(diskRoot, { dirs: [], spaceToFreeGB, spaceInfo: result.spaceInfo });
-      }
-      dirsByDisk.get(diskRoot).dirs.push(...result.dirsToDelete);
+    console.log(`${recordingsPath} (磁盘 ${diskKey}): 剩余 ${spaceInfo.freeGB.toFixed(2)}GB / 阈值 ${minFreeSpaceGB}GB`);
+    for (const dir of protectedDirs) {
+      console.log(`  受保护(不删除): ${dir.path}  ${dir.skipReason}`);
+    }
+    if (dirsToDelete.length === 0) {
+      console.log('  无需删除');
+      continue;
     }
 
-    /**
-     * @type {{ path: string; sizeGB: number; mtime: number; }[]}
-     */
-    const allDirsToDelete = [];
-    for (const [diskRoot, { dirs, spaceToFreeGB }] of dirsByDisk.entries()) {
-      console.log(`为磁盘 ${diskRoot} 整合删除列表...`);
-      const sortedDirs = dirs.sort((/** @type {{ mtime: number; }} */ a, /** @type {{ mtime: number; }} */ b) => a.mtime - b.mtime);
-      let freedSpace = 0;
-      const dirsToDeleteForThisDisk = [];
-      for (const dir of sortedDirs) {
-        if (freedSpace < spaceToFreeGB) {
-          dirsToDeleteForThisDisk.push(dir);
-          freedSpace += dir.sizeGB;
-        } else {
-          break;
-        }
-      }
-      console.log(`磁盘 ${diskRoot} 计划删除 ${dirsToDeleteForThisDisk.length} 个目录，释放约 ${freedSpace.toFixed(2)}GB`);
-      allDirsToDelete.push(...dirsToDeleteForThisDisk);
+    const totalSizeGB = dirsToDelete.reduce((total, dir) => total + dir.sizeGB, 0);
+    console.log(`  将选中 ${dirsToDelete.length} 个目录，释放 ${totalSizeGB.toFixed(2)}GB:`);
+    for (const dir of dirsToDelete) {
+      console.log(`    - ${dir.path}  ${dir.sizeGB.toFixed(2)}GB  ${formatTime(dir.mtime)}`);
     }
+  }
 
-    if (allDirsToDelete.length > 0) {
-      const consolidatedEmailContent = emailSender.prepareConsolidatedDeleteEmail(triggeredResults, allDirsToDelete, minFreeSpaceGB, deleteDelay);
-      await emailSender.sendEmail('磁盘空间不足警告 (整合)', consolidatedEmailContent);
-      console.log(`已发送整合邮件通知，将在 ${deleteDelay} 小时后执行删除操作`);
-
-      isDeletionScheduled = true; // Set the flag
-      setTimeout(async () => {
-        console.log('开始执行整合删除操作...');
-        const deletedDirs = await fileManager.deleteDirectories(allDirsToDelete);
-        console.log('整合删除操作完成');
-
-        const postDeletionSpaceChecks = [];
-        const postDeleteDiskCache = new Map();
-
-        for (const result of triggeredResults) {
-          const diskRoot = path.parse(result.recordingsPath).root;
-          let postDeleteSpaceInfo;
-          if (postDeleteDiskCache.has(diskRoot)) {
-            postDeleteSpaceInfo = postDeleteDiskCache.get(diskRoot);
-          } else {
-            postDeleteSpaceInfo = await diskManager.getDiskSpace(result.recordingsPath);
-            postDeleteDiskCache.set(diskRoot, postDeleteSpaceInfo);
-          }
-
-          postDeletionSpaceChecks.push({
-            path: result.recordingsPath,
-            spaceInfo: postDeleteSpaceInfo
-          });
-        }
-
-        const consolidatedCompletionEmailContent = emailSender.prepareConsolidatedCompletionEmail(deletedDirs, postDeletionSpaceChecks);
-        await emailSender.sendEmail('自动删除完成通知 (整合)', consolidatedCompletionEmailContent);
-
-        isDeletionScheduled = false; // Reset the flag
-      }, deleteDelay * 60 * 60 * 1000); // 转换为毫秒
-
-    } else {
-      console.log('所有监控路径磁盘空间充足，无需操作');
+  return exitCode;
+}
+
+/**
+ * status: 显示待执行计划和最近一次运行
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandStatus() {
+  const plan = await planStore.getActivePlan();
+  const lastRun = await runHistory.getLastRun();
+
+  if (plan) {
+    printPlan(plan);
+  } else {
+    console.log('当前没有待执行的删除计划');
+  }
+
+  if (lastRun) {
+    console.log(`最近一次运行: ${formatTime(lastRun.startedAt)} (${lastRun.trigger})，结果: ${lastRun.outcome}${lastRun.error ? ` - ${lastRun.error}` : ''}`);
+  } else {
+    console.log('尚无运行记录');
+  }
+
+  return plan ? EXIT_PLAN_PENDING : EXIT_OK;
+}
+
+/**
+ * cancel: 取消等待执行的删除计划
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandCancel() {
+  const plan = await monitor.cancelActivePlan();
+  if (!plan) {
+    console.log('没有等待执行的删除计划');
+    return EXIT_NO_PLAN;
+  }
+  return EXIT_OK;
+}
+
+/**
+ * delete-now: 立即执行等待中的删除计划
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandDeleteNow() {
+  const plan = await planStore.getActivePlan();
+  if (!plan || plan.status !== 'pending') {
+    console.log(plan ? `删除计划 ${plan.id} 正在执行中` : '没有等待执行的删除计划');
+    return EXIT_NO_PLAN;
+  }
+
+  if (config.dryRun) {
+    printPlan(plan);
+    console.log('[演练] 不执行删除');
+    return EXIT_OK;
+  }
+
+  const executedPlan = await monitor.executePlan(plan.id, 'cli');
+  if (!executedPlan) {
+    return EXIT_NO_PLAN;
+  }
+  return executedPlan.status === 'completed' ? EXIT_OK : EXIT_ERROR;
+}
+
+/**
+ * trash: 列出回收站中的目录
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandTrash() {
+  const entries = await quarantine.listQuarantined();
+  if (entries.length === 0) {
+    console.log('回收站为空');
+    return EXIT_OK;
+  }
+
+  for (const entry of entries) {
+    console.log(`${entry.id}  ${entry.originalPath}  ${entry.sizeGB.toFixed(2)}GB  移入时间 ${formatTime(entry.quarantinedAt)}  宽限期至 ${formatTime(quarantine.getPurgeableAt(entry))}${entry.status === 'moving' ? '  (正在移入)' : ''}`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * restore: 从回收站恢复目录
+ * @param {string} idOrPath - 条目ID或原路径
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandRestore(idOrPath) {
+  const entry = await quarantine.restoreDirectory(idOrPath);
+  if (!entry) {
+    console.log(`回收站中没有 ${idOrPath}`);
+    return EXIT_NO_PLAN;
+  }
+  return EXIT_OK;
+}
+
+/**
+ * outbox: 列出等待重试和已放弃的通知
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandOutbox() {
+  const queued = await notificationQueue.listQueued();
+  const deadLetters = await notificationQueue.listDeadLetters();
+
+  console.log(`等待重试的通知: ${queued.length}`);
+  for (const entry of queued) {
+    console.log(`  ${entry.id}  [${entry.channel}] ${entry.message.title}  已尝试 ${entry.attempts} 次  下次重试 ${formatTime(entry.nextAttemptAt)}  ${entry.lastError}`);
+  }
+
+  console.log(`已放弃的通知(最近 10 条，共 ${deadLetters.length} 条):`);
+  for (const entry of deadLetters.slice(-10)) {
+    console.log(`  ${entry.id}  [${entry.channel}] ${entry.message.title}  放弃时间 ${formatTime(entry.failedAt)}  ${entry.lastError}`);
+  }
+  return EXIT_OK;
+}
+
+/**
+ * outbox-retry: 立即重试等待中的通知(忽略退避时间)
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandOutboxRetry() {
+  const { sent, failed, deadLettered } = await notifier.retryPending({ force: true });
+  console.log(`重试完成: 成功 ${sent}，仍失败 ${failed}，已放弃 ${deadLettered}`);
+  return failed + deadLettered > 0 ? EXIT_ERROR : EXIT_OK;
+}
+
+/**
+ * audit: 查询审计日志
+ * @param {string} [filter] - 目录路径或计划ID前缀
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandAudit(filter) {
+  const isPath = filter !== undefined && /[\\/]/.test(filter);
+  const records = await auditLog.query({
+    path: isPath ? filter : undefined,
+    planId: isPath ? undefined : filter,
+    limit: 50
+  });
+
+  if (records.length === 0) {
+    console.log('没有匹配的审计记录');
+    return EXIT_OK;
+  }
+
+  for (const record of records) {
+    const size = record.sizeGB === undefined ? '' : `  ${record.sizeGB.toFixed(2)}GB`;
+    const free = typeof record.freeBeforeGB === 'number'
+      ? `  剩余 ${record.freeBeforeGB.toFixed(2)}GB${typeof record.freeAfterGB === 'number' ? ` -> ${record.freeAfterGB.toFixed(2)}GB` : ''}`
+      : '';
+    const plan = record.planId ? `  计划 ${record.planId.slice(0, 8)}` : '';
+    console.log(`${formatTime(Date.parse(record.time))}  ${record.event}  ${record.path || ''}${size}${free}${plan}  ${record.trigger || ''} (${record.actor.user}@${record.actor.host})`);
+  }
+  return EXIT_OK;
+}
+
+const REPORT_PERIODS = ['daily', 'weekly'];
+const REPORT_FORMATS = ['text', 'csv', 'json'];
+
+/**
+ * report: 生成报告并输出
+ * @param {string} [period] - 报告周期(daily、weekly)
+ * @param {string} [format] - 输出格式(text、csv、json)
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandReport(period = 'weekly', format = 'text') {
+  if (!REPORT_PERIODS.includes(period) || !REPORT_FORMATS.includes(format)) {
+    console.error(`报告周期应为 ${REPORT_PERIODS.join('、')}，格式应为 ${REPORT_FORMATS.join('、')}`);
+    return EXIT_USAGE;
+  }
+  const report = await reports.buildReport(/** @type {import('./lib/reports').ReportPeriod} */ (period));
+  process.stdout.write(reports.formatReport(report, /** @type {import('./lib/reports').ReportFormat} */ (format)));
+  return report.paths.some(item => item.error) ? EXIT_ERROR : EXIT_OK;
+}
+
+/**
+ * health: 检查常驻服务的运行状态
+ * @returns {Promise<number>} - 退出码
+ */
+async function commandHealth() {
+  const { healthy, status, problems } = await service.getHealth();
+
+  if (status && !status.stoppedAt) {
+    console.log(`服务进程: ${status.pid}，启动于 ${formatTime(status.startedAt)}`);
+    console.log(`最近心跳: ${formatTime(status.heartbeatAt)} (${Math.round((Date.now() - status.heartbeatAt) / 1000)} 秒前)`);
+    console.log(`定时检查: ${status.schedulerRunning ? '运行中' : '未运行'}，调度: ${status.cronSchedule}`);
+    if (status.checkStartedAt) {
+      console.log(`正在检查: 开始于 ${formatTime(status.checkStartedAt)}`);
+    }
+    if (status.executingPlanId) {
+      console.log(`正在执行删除计划: ${status.executingPlanId}`);
+    } else if (status.scheduledPlan) {
+      console.log(`已安排删除计划: ${status.scheduledPlan.planId}，将于 ${formatTime(status.scheduledPlan.dueAt)} 执行`);
+    }
+  }
+
+  const lastRun = await runHistory.getLastRun();
+  if (lastRun) {
+    console.log(`最近一次运行: ${formatTime(lastRun.startedAt)} (${lastRun.trigger})，结果: ${lastRun.outcome}${lastRun.error ? ` - ${lastRun.error}` : ''}`);
+  }
+
+  if (!healthy) {
+    console.log(`健康状态: 异常 - ${problems.join('；')}`);
+    return EXIT_UNHEALTHY;
+  }
+  console.log('健康状态: 正常');
+  return EXIT_OK;
+}
+
+/** @type {Record<string, {argCount: number, optionalArgCount?: number, run: (...commandArgs: string[]) => Promise<number>}>} */
+const commands = {
+  check: { argCount: 0, run: commandCheck },
+  plan: { argCount: 0, run: commandPlan },
+  status: { argCount: 0, run: commandStatus },
+  cancel: { argCount: 0, run: commandCancel },
+  'delete-now': { argCount: 0, run: commandDeleteNow },
+  trash: { argCount: 0, run: commandTrash },
+  restore: { argCount: 1, run: commandRestore },
+  audit: { argCount: 0, optionalArgCount: 1, run: commandAudit },
+  outbox: { argCount: 0, run: commandOutbox },
+  'outbox-retry': { argCount: 0, run: commandOutboxRetry },
+  report: { argCount: 0, optionalArgCount: 2, run: commandReport },
+  health: { argCount: 0, run: commandHealth }
+};
+
+/**
+ * 判断参数个数是否符合命令要求
+ * @param {{argCount: number, optionalArgCount?: number}} commandSpec - 命令定义
+ * @param {number} count - 实际参数个数
+ * @returns {boolean}
+ */
+function isValidArgCount(commandSpec, count) {
+  return count >= commandSpec.argCount && count <= commandSpec.argCount + (commandSpec.optionalArgCount || 0);
+}
+
+/**
+ * 加载配置，配置无效时输出所有问题
+ * @param {string | undefined} configFile - 命令行指定的配置文件
+ * @returns {boolean} - 是否加载成功
+ */
+function loadConfig(configFile) {
+  try {
+    configLoader.load({ file: configFile, overrides: dryRun ? { dryRun: true } : {} });
+    return true;
+  } catch (error) {
+    if (error instanceof configLoader.ConfigError) {
+      console.error(error.message);
+      return false;
     }
+    throw error;
   }
 }
 
-// 启动定时任务
-console.log(`启动定时任务，调度: ${cronSchedule}`);
-cron.schedule(cronSchedule, main);
+const CONFIG_OPTION = '--config=';
 
-// 立即执行一次检查
-console.log('立即执行一次磁盘空间检查...');
-main();
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const configOption = args.find(arg => arg.startsWith(CONFIG_OPTION));
+const unknownOptions = args.filter(arg => arg.startsWith('-') && arg !== '--dry-run' && arg !== configOption);
+const positional = args.filter(arg => !arg.startsWith('-'));
+const command = positional[0] || (dryRun ? 'check' : 'start');
+const commandArgs = positional.slice(1);
+const isStart = command === 'start' && commandArgs.length === 0;
 
-console.log('自动删除录制文件服务已启动');
\ No newline at end of file
+if (command === 'help') {
+  console.log(USAGE);
+} else if (unknownOptions.length > 0 || (!isStart && (!commands[command] || !isValidArgCount(commands[command], commandArgs.length)))) {
+  console.error(`无法识别的命令或参数: ${[...unknownOptions, ...positional].join(' ')}`);
+  console.error(USAGE);
+  process.exitCode = EXIT_USAGE;
+} else if (!loadConfig(configOption && configOption.slice(CONFIG_OPTION.length))) {
+  process.exitCode = EXIT_CONFIG;
+} else if (isStart) {
+  service.start().catch(error => {
+    if (error instanceof service.ServiceLockError) {
+      logger.error(error.message);
+      process.exitCode = EXIT_UNHEALTHY;
+      return;
+    }
+    logger.error('服务启动失败', { error });
+    process.exitCode = EXIT_ERROR;
+  });
+} else {
+  commands[command].run(...commandArgs)
+    .then(exitCode => {
+      process.exitCode = exitCode;
+    })
+    .catch(error => {
+      logger.error(`命令 ${command} 执行失败`, { error });
+      process.exitCode = EXIT_ERROR;
+    });
+}
@@ -0,0 +1,167 @@
+/**
+ * 删除审批模块
+ * 负责判断删除计划是否需要人工审批，生成通知中带签名的批准、拒绝、推迟链接并校验链接签名
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const SECRET_FILE = 'approval-secret.json';
+
+const DEFAULT_APPROVAL = {
+  enabled: false,
+  paths: [],
+  baseUrl: '',
+  secret: '',
+  timeoutHours: 24,
+  onTimeout: 'cancel',
+  postponeHours: 24
+};
+
+/**
+ * @typedef {'approve' | 'reject' | 'postpone'} ApprovalAction
+ * @typedef {{action: ApprovalAction | 'timeout', time: number, via: string, remote?: string}} ApprovalDecision
+ * @typedef {{
+ *   status: 'waiting' | 'approved' | 'rejected' | 'timed-out',
+ *   onTimeout: 'proceed' | 'cancel',
+ *   decisions: ApprovalDecision[]
+ * }} PlanApproval
+ * @typedef {{
+ *   enabled: boolean,
+ *   paths: string[],
+ *   baseUrl: string,
+ *   secret: string,
+ *   timeoutHours: number,
+ *   onTimeout: 'proceed' | 'cancel',
+ *   postponeHours: number
+ * }} ApprovalConfig
+ */
+
+const ACTIONS = /** @type {ApprovalAction[]} */ (['approve', 'reject', 'postpone']);
+
+/** @type {string | null} */
+let generatedSecret = null;
+
+/**
+ * 读取审批配置
+ * @returns {ApprovalConfig}
+ */
+function getApprovalConfig() {
+  return /** @type {ApprovalConfig} */ ({ ...DEFAULT_APPROVAL, ...(config.approval || {}) });
+}
+
+/**
+ * 监控路径的删除是否需要审批(approval.paths 为空时所有路径都需要)
+ * @param {string} recordingsPath - 监控路径
+ * @returns {boolean}
+ */
+function requiresApproval(recordingsPath) {
+  const { enabled, paths } = getApprovalConfig();
+  if (!enabled) {
+    return false;
+  }
+  const resolvedPath = path.resolve(recordingsPath);
+  return paths.length === 0 || paths.some(item => path.resolve(item) === resolvedPath);
+}
+
+/**
+ * 生成新计划的审批状态，计划中任一路径需要审批时整个计划都需要审批
+ * @param {import('./planStore').TriggeredResult[]} triggeredResults - 计划中触发删除的路径检查结果
+ * @returns {PlanApproval | null} - 不需要审批时返回 null
+ */
+function createPlanApproval(triggeredResults) {
+  if (!triggeredResults.some(result => requiresApproval(result.recordingsPath))) {
+    return null;
+  }
+  return { status: 'waiting', onTimeout: getApprovalConfig().onTimeout, decisions: [] };
+}
+
+/**
+ * 获取链接签名密钥：未配置 approval.secret 时使用自动生成并保存在数据目录中的密钥
+ * @returns {Promise<string>}
+ */
+async function getSecret() {
+  const { secret } = getApprovalConfig();
+  if (secret) {
+    return secret;
+  }
+  if (!generatedSecret) {
+    const file = resolveDataFile(SECRET_FILE);
+    /** @type {{secret?: string}} */
+    const data = await readJsonFile(file, {});
+    if (!data.secret) {
+      data.secret = crypto.randomBytes(32).toString('hex');
+      await writeJsonFile(file, data, { mode: 0o600 }); // 持有密钥即可伪造审批链接
+    }
+    generatedSecret = data.secret;
+  }
+  return generatedSecret;
+}
+
+/**
+ * 计算链接签名
+ * @param {string} secret - 签名密钥
+ * @param {string} planId - 计划ID
+ * @param {string} action - 审批操作
+ * @returns {string}
+ */
+function sign(secret, planId, action) {
+  return crypto.createHmac('sha256', secret).update(`${planId}:${action}`).digest('hex');
+}
+
+/**
+ * 链接使用的服务地址，未配置 approval.baseUrl 时使用 HTTP 服务的监听地址
+ * @returns {string}
+ */
+function getBaseUrl() {
+  const { baseUrl } = getApprovalConfig();
+  if (baseUrl) {
+    return baseUrl.replace(/\/+$/, '');
+  }
+  const http = config.http || {};
+  return `http://${http.host || '127.0.0.1'}:${http.port || 8377}`;
+}
+
+/**
+ * 生成计划的批准、拒绝、推迟链接
+ * 链接打开的是确认页面，确认后才执行操作，避免邮件安全扫描预先访问链接时误批准
+ * @param {string} planId - 计划ID
+ * @returns {Promise<Record<ApprovalAction, string>>}
+ */
+async function createLinks(planId) {
+  const secret = await getSecret();
+  const baseUrl = getBaseUrl();
+  /** @type {Record<string, string>} */
+  const links = {};
+  for (const action of ACTIONS) {
+    const query = new URLSearchParams({ plan: planId, action, sig: sign(secret, planId, action) });
+    links[action] = `${baseUrl}/approval?${query}`;
+  }
+  return /** @type {Record<ApprovalAction, string>} */ (links);
+}
+
+/**
+ * 校验链接参数及签名
+ * @param {unknown} planId - 计划ID
+ * @param {unknown} action - 审批操作
+ * @param {unknown} signature - 链接中的签名
+ * @returns {Promise<boolean>}
+ */
+async function verify(planId, action, signature) {
+  if (typeof planId !== 'string' || typeof signature !== 'string' || !ACTIONS.includes(/** @type {ApprovalAction} */ (action))) {
+    return false;
+  }
+  const provided = Buffer.from(signature);
+  const expected = Buffer.from(sign(await getSecret(), planId, String(action)));
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  getApprovalConfig,
+  requiresApproval,
+  createPlanApproval,
+  createLinks,
+  verify
+};
@@ -0,0 +1,164 @@
+/**
+ * 归档模块
+ * 负责将录制目录复制到归档位置，校验无误后再删除源目录
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { removeUnit } = require('./deletionEngine');
+const diskManager = require('./diskManager');
+const logger = require('../utils/logger');
+
+/**
+ * @typedef {{target: string, verify: 'size' | 'checksum'}} ArchiveConfig
+ */
+
+/**
+ * 归档空间不足错误，调用方据此回退为直接删除
+ */
+class ArchiveFullError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveFullError';
+  }
+}
+
+/**
+ * 递归列出目录中的所有文件及大小
+ * @param {string} rootPath - 根目录(按文件删除时为单个文件)
+ * @param {string} [relativeDir] - 当前相对目录
+ * @returns {Promise<Map<string, number>>} - 相对路径到文件大小的映射
+ */
+async function listFiles(rootPath, relativeDir = '') {
+  /** @type {Map<string, number>} */
+  const files = new Map();
+  if (!relativeDir) {
+    const rootStats = await fs.lstat(rootPath);
+    if (!rootStats.isDirectory()) {
+      files.set('', rootStats.size);
+      return files;
+    }
+  }
+  const items = await fs.readdir(path.join(rootPath, relativeDir));
+
+  for (const item of items) {
+    const relativePath = path.join(relativeDir, item);
+    const stats = await fs.lstat(path.join(rootPath, relativePath));
+    if (stats.isDirectory()) {
+      const subFiles = await listFiles(rootPath, relativePath);
+      subFiles.forEach((size, filePath) => files.set(filePath, size));
+    } else {
+      files.set(relativePath, stats.size);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * 计算文件的 SHA-256
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>}
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * 校验归档副本与源目录一致
+ * @param {string} sourcePath - 源目录
+ * @param {string} archivePath - 归档目录
+ * @param {'size' | 'checksum'} verify - 校验方式
+ * @returns {Promise<void>} - 不一致时抛出错误
+ */
+async function verifyCopy(sourcePath, archivePath, verify) {
+  const sourceFiles = await listFiles(sourcePath);
+  const archiveFiles = await listFiles(archivePath);
+
+  for (const [relativePath, size] of sourceFiles.entries()) {
+    if (archiveFiles.get(relativePath) !== size) {
+      throw new Error(`归档校验失败，文件缺失或大小不一致: ${relativePath}`);
+    }
+    if (verify === 'checksum') {
+      const [sourceHash, archiveHash] = await Promise.all([
+        hashFile(path.join(sourcePath, relativePath)),
+        hashFile(path.join(archivePath, relativePath))
+      ]);
+      if (sourceHash !== archiveHash) {
+        throw new Error(`归档校验失败，文件内容不一致: ${relativePath}`);
+      }
+    }
+  }
+}
+
+/**
+ * 生成不与已有内容冲突的归档路径：<归档目录>/<录制根目录名>/<相对路径>
+ * @param {string} dirPath - 要归档的目录
+ * @param {string} recordingsPath - 所属录制根目录
+ * @param {string} target - 归档目录
+ * @returns {Promise<string>}
+ */
+async function resolveArchivePath(dirPath, recordingsPath, target) {
+  const relativePath = path.relative(recordingsPath, dirPath);
+  const basePath = path.join(target, path.basename(path.resolve(recordingsPath)), relativePath);
+
+  if (!await fs.pathExists(basePath)) {
+    return basePath;
+  }
+  return `${basePath}_${Date.now()}`;
+}
+
+/**
+ * 归档目录：复制到归档位置并校验，校验通过后删除源目录
+ * 归档位置剩余空间不足时抛出 ArchiveFullError，其余失败抛出普通错误且保留源目录
+ * @param {{path: string, sizeGB: number, mtime: number}} dir - 要归档的目录
+ * @param {string} recordingsPath - 所属录制根目录
+ * @param {ArchiveConfig} archiveConfig - 归档配置
+ * @returns {Promise<string>} - 归档后的路径
+ */
+async function archiveDirectory(dir, recordingsPath, archiveConfig) {
+  if (!archiveConfig.target) {
+    throw new Error('未配置归档目录 archive.target');
+  }
+  if (!await fs.pathExists(archiveConfig.target)) {
+    throw new Error(`归档目录不存在或未挂载: ${archiveConfig.target}`);
+  }
+
+  const spaceInfo = await diskManager.getDiskSpace(archiveConfig.target);
+  if (spaceInfo.freeGB < dir.sizeGB) {
+    throw new ArchiveFullError(`归档目录 ${archiveConfig.target} 剩余空间 ${spaceInfo.freeGB.toFixed(2)}GB 不足以存放 ${dir.sizeGB.toFixed(2)}GB`);
+  }
+
+  const archivePath = await resolveArchivePath(dir.path, recordingsPath, archiveConfig.target);
+  try {
+    await fs.copy(dir.path, archivePath, { preserveTimestamps: true, errorOnExist: true });
+    await verifyCopy(dir.path, archivePath, archiveConfig.verify);
+  } catch (error) {
+    // 清理不完整的副本，源目录保持不变
+    await fs.remove(archivePath).catch(cleanupError => {
+      logger.error(`清理不完整的归档副本失败 ${archivePath}`, { error: cleanupError });
+    });
+    if (error instanceof Error && /** @type {NodeJS.ErrnoException} */ (error).code === 'ENOSPC') {
+      throw new ArchiveFullError(`归档目录 ${archiveConfig.target} 空间已满`);
+    }
+    throw error;
+  }
+
+  await removeUnit(dir, recordingsPath);
+  return archivePath;
+}
+
+module.exports = {
+  ArchiveFullError,
+  archiveDirectory
+};
@@ -0,0 +1,117 @@
+/**
+ * 审计日志模块
+ * 以只追加的 JSON 行记录每个删除计划及其中每个目录的处理结果，供事后查询
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+
+const AUDIT_FILE = 'audit.log';
+
+/**
+ * @typedef {'planned' | 'plan-cancelled' | 'plan-expedited' | 'plan-approved' | 'plan-rejected' | 'plan-postponed' | 'approval-timeout' | 'excluded' | 'deleted' | 'archived' | 'quarantined' | 'skipped' | 'failed' | 'purged' | 'restored'} AuditEvent
+ * @typedef {{
+ *   time: string,
+ *   event: AuditEvent,
+ *   actor: {user: string, host: string, pid: number},
+ *   trigger?: string,
+ *   planId?: string,
+ *   path?: string,
+ *   sizeGB?: number,
+ *   mtime?: number,
+ *   [key: string]: unknown
+ * }} AuditRecord
+ * @typedef {{path?: string, planId?: string, event?: string, since?: number, limit?: number}} AuditQuery
+ */
+
+/**
+ * 当前进程的操作者信息
+ * @returns {{user: string, host: string, pid: number}}
+ */
+function getActor() {
+  let user = 'unknown';
+  try {
+    user = os.userInfo().username;
+  } catch (error) {
+    // 部分容器环境中没有对应的系统用户
+  }
+  return { user, host: os.hostname(), pid: process.pid };
+}
+
+/**
+ * 判断路径是否为指定目录本身或其子路径
+ * @param {string} itemPath - 记录中的路径
+ * @param {string} dirPath - 查询的目录
+ * @returns {boolean}
+ */
+function isSameOrInside(itemPath, dirPath) {
+  const relativePath = path.relative(path.resolve(dirPath), path.resolve(itemPath));
+  return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+}
+
+/**
+ * 追加一条审计记录，写入失败只记录错误日志，不影响删除流程
+ * @param {AuditEvent} event - 事件类型
+ * @param {Omit<AuditRecord, 'time' | 'event' | 'actor'>} fields - 事件字段
+ */
+function record(event, fields) {
+  try {
+    logger.appendJsonLine(AUDIT_FILE, { time: new Date().toISOString(), event, actor: getActor(), ...fields }, { rotate: false });
+  } catch (error) {
+    logger.error(`写入审计日志失败 (${event} ${fields.path || fields.planId || ''})`, { error });
+  }
+}
+
+/**
+ * 查询审计记录(最早的在前)
+ * path 匹配该路径及其子目录，planId 匹配计划ID前缀，since 为起始时间戳(毫秒)，limit 只返回最近的若干条
+ * @param {AuditQuery} [query] - 查询条件
+ * @returns {Promise<AuditRecord[]>}
+ */
+async function query({ path: dirPath, planId, event, since, limit } = {}) {
+  const filePath = logger.resolveLogFile(AUDIT_FILE);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  /** @type {AuditRecord[]} */
+  const records = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    /** @type {AuditRecord} */
+    let item;
+    try {
+      item = JSON.parse(line);
+    } catch (error) {
+      continue; // 跳过写入中断造成的不完整行
+    }
+
+    if (dirPath && !(item.path && isSameOrInside(item.path, dirPath))) {
+      continue;
+    }
+    if (planId && !(item.planId && item.planId.startsWith(planId))) {
+      continue;
+    }
+    if (event && item.event !== event) {
+      continue;
+    }
+    if (since && Date.parse(item.time) < since) {
+      continue;
+    }
+    records.push(item);
+  }
+
+  return limit ? records.slice(-limit) : records;
+}
+
+module.exports = {
+  record,
+  query
+};
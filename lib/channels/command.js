@@ -0,0 +1,52 @@
+/**
+ * 本地命令通知渠道
+ * 执行配置的命令，通过环境变量传递事件和标题，通过标准输入传递 JSON 格式的完整消息
+ */
+
+const { spawn } = require('child_process');
+const { renderText } = require('../messageRenderer');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * 执行通知命令
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @param {{command: string, timeoutMs?: number}} channelConfig - 渠道配置
+ * @returns {Promise<void>}
+ */
+function send(message, channelConfig) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(channelConfig.command, {
+      shell: true,
+      stdio: ['pipe', 'inherit', 'pipe'],
+      timeout: channelConfig.timeoutMs || DEFAULT_TIMEOUT_MS,
+      env: {
+        ...process.env,
+        NOTIFY_EVENT: message.event,
+        NOTIFY_TITLE: message.title
+      }
+    });
+
+    let stderr = '';
+    child.stderr.on('data', chunk => {
+      stderr += chunk;
+    });
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`通知命令退出 (code=${code}, signal=${signal}): ${stderr.trim().slice(0, 200)}`));
+      }
+    });
+
+    child.stdin.on('error', () => {
+      // 命令未读取标准输入时忽略 EPIPE
+    });
+    child.stdin.end(JSON.stringify({ ...message, text: renderText(message) }));
+  });
+}
+
+module.exports = {
+  send
+};
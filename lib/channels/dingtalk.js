@@ -0,0 +1,42 @@
+/**
+ * 钉钉群机器人通知渠道
+ */
+
+const crypto = require('crypto');
+const { renderMarkdown } = require('../messageRenderer');
+const { postJson } = require('../../utils/http');
+
+/**
+ * 为开启加签的机器人生成带签名的地址
+ * @param {string} url - 机器人 Webhook 地址
+ * @param {string} [secret] - 加签密钥
+ * @returns {string}
+ */
+function signUrl(url, secret) {
+  if (!secret) {
+    return url;
+  }
+  const timestamp = Date.now();
+  const sign = crypto.createHmac('sha256', secret).update(`${timestamp}\n${secret}`).digest('base64');
+  return `${url}&timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+}
+
+/**
+ * 推送通知到钉钉
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @param {{url: string, secret?: string}} channelConfig - 渠道配置
+ * @returns {Promise<void>}
+ */
+async function send(message, channelConfig) {
+  const result = await postJson(signUrl(channelConfig.url, channelConfig.secret), {
+    msgtype: 'markdown',
+    markdown: { title: message.title, text: renderMarkdown(message) }
+  });
+  if (result && result.errcode) {
+    throw new Error(`钉钉返回错误 ${result.errcode}: ${result.errmsg}`);
+  }
+}
+
+module.exports = {
+  send
+};
@@ -0,0 +1,19 @@
+/**
+ * 邮件通知渠道
+ */
+
+const emailSender = require('../emailSender');
+
+/**
+ * 通过 SMTP 发送通知邮件
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @returns {Promise<void>}
+ */
+async function send(message) {
+  const { subject, html, text } = emailSender.prepareEmail(message);
+  await emailSender.sendEmail(subject, html, text);
+}
+
+module.exports = {
+  send
+};
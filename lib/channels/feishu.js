@@ -0,0 +1,36 @@
+/**
+ * 飞书群机器人通知渠道
+ */
+
+const crypto = require('crypto');
+const { renderText } = require('../messageRenderer');
+const { postJson } = require('../../utils/http');
+
+/**
+ * 推送通知到飞书
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @param {{url: string, secret?: string}} channelConfig - 渠道配置
+ * @returns {Promise<void>}
+ */
+async function send(message, channelConfig) {
+  /** @type {Record<string, unknown>} */
+  const body = {
+    msg_type: 'text',
+    content: { text: renderText(message) }
+  };
+
+  if (channelConfig.secret) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    body.timestamp = String(timestamp);
+    body.sign = crypto.createHmac('sha256', `${timestamp}\n${channelConfig.secret}`).update('').digest('base64');
+  }
+
+  const result = await postJson(channelConfig.url, body);
+  if (result && result.code) {
+    throw new Error(`飞书返回错误 ${result.code}: ${result.msg}`);
+  }
+}
+
+module.exports = {
+  send
+};
@@ -0,0 +1,24 @@
+/**
+ * Slack Incoming Webhook 通知渠道
+ */
+
+const { renderText } = require('../messageRenderer');
+const { postJson } = require('../../utils/http');
+
+/**
+ * 推送通知到 Slack
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @param {{url: string}} channelConfig - 渠道配置
+ * @returns {Promise<void>}
+ */
+async function send(message, channelConfig) {
+  const text = renderText(message);
+  // 正文放入代码块，避免路径中的 _ 和 * 被解析为格式
+  await postJson(channelConfig.url, {
+    text: `*${message.title}*\n\`\`\`${text.slice(message.title.length).trim()}\`\`\``
+  });
+}
+
+module.exports = {
+  send
+};
@@ -0,0 +1,30 @@
+/**
+ * Telegram Bot 通知渠道
+ */
+
+const { renderText } = require('../messageRenderer');
+const { postJson } = require('../../utils/http');
+
+const MAX_TEXT_LENGTH = 4096; // Telegram 单条消息长度上限
+
+/**
+ * 通过 Bot API 推送通知
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @param {{botToken: string, chatId: string | number, apiBase?: string}} channelConfig - 渠道配置
+ * @returns {Promise<void>}
+ */
+async function send(message, channelConfig) {
+  const apiBase = channelConfig.apiBase || 'https://api.telegram.org';
+  const text = renderText(message);
+  const result = await postJson(`${apiBase}/bot${channelConfig.botToken}/sendMessage`, {
+    chat_id: channelConfig.chatId,
+    text: text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH - 20)}\n...(内容过长已截断)` : text
+  });
+  if (result && result.ok === false) {
+    throw new Error(`Telegram 返回错误: ${result.description}`);
+  }
+}
+
+module.exports = {
+  send
+};
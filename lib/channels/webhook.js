@@ -0,0 +1,27 @@
+/**
+ * 通用 HTTP Webhook 通知渠道
+ * 以 JSON 格式推送事件类型、标题、纯文本内容和结构化消息
+ */
+
+const { renderText } = require('../messageRenderer');
+const { postJson } = require('../../utils/http');
+
+/**
+ * 推送通知到 Webhook
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @param {{url: string, headers?: Record<string, string>}} channelConfig - 渠道配置
+ * @returns {Promise<void>}
+ */
+async function send(message, channelConfig) {
+  await postJson(channelConfig.url, {
+    event: message.event,
+    title: message.title,
+    text: renderText(message),
+    message,
+    timestamp: new Date().toISOString()
+  }, { headers: channelConfig.headers });
+}
+
+module.exports = {
+  send
+};
@@ -0,0 +1,46 @@
+/**
+ * 企业微信群机器人通知渠道
+ */
+
+const { renderMarkdown } = require('../messageRenderer');
+const { postJson } = require('../../utils/http');
+
+const MAX_CONTENT_BYTES = 4096; // 企业微信 markdown 内容长度上限
+
+/**
+ * 按字节数截断内容
+ * @param {string} content - 内容
+ * @param {number} maxBytes - 最大字节数
+ * @returns {string}
+ */
+function truncateBytes(content, maxBytes) {
+  if (Buffer.byteLength(content) <= maxBytes) {
+    return content;
+  }
+  const suffix = '\n...(内容过长已截断)';
+  let truncated = content;
+  while (Buffer.byteLength(truncated + suffix) > maxBytes) {
+    truncated = truncated.slice(0, Math.floor(truncated.length * 0.9));
+  }
+  return truncated + suffix;
+}
+
+/**
+ * 推送通知到企业微信
+ * @param {import('../messages').NotificationMessage} message - 通知消息
+ * @param {{url: string}} channelConfig - 渠道配置
+ * @returns {Promise<void>}
+ */
+async function send(message, channelConfig) {
+  const result = await postJson(channelConfig.url, {
+    msgtype: 'markdown',
+    markdown: { content: truncateBytes(renderMarkdown(message), MAX_CONTENT_BYTES) }
+  });
+  if (result && result.errcode) {
+    throw new Error(`企业微信返回错误 ${result.errcode}: ${result.errmsg}`);
+  }
+}
+
+module.exports = {
+  send
+};
@@ -0,0 +1,326 @@
+/**
+ * 配置加载模块
+ * 负责合并 config.js 默认配置、配置文件(JSON/YAML)和环境变量，校验通过后原地更新 config 对象，并在文件变化时热加载
+ * 各模块始终通过 require('../config') 读取配置，热加载后下次读取即为新值
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const config = require('../config');
+const { isPlainObject, validateConfig } = require('./configSchema');
+const { handleError } = require('../utils/handleError');
+const logger = require('../utils/logger');
+
+const DEFAULTS_FILE = require.resolve('../config');
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+const CONFIG_FILE_NAMES = ['config.json', 'config.yaml', 'config.yml']; // 未指定配置文件时在项目根目录依次查找
+const CONFIG_FILE_ENV = 'AUTODELETE_CONFIG'; // 指定配置文件路径的环境变量
+const ENV_PREFIX = 'AUTODELETE_'; // 覆盖配置项的环境变量前缀，层级之间用 __ 分隔
+const WATCH_INTERVAL_MS = 2000; // 配置文件变化的检查间隔
+
+/**
+ * 配置无效错误，message 中列出所有问题
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   * @param {string[]} [issues] - 问题列表
+   */
+  constructor(message, issues = []) {
+    super(issues.length > 0 ? `${message}:\n  - ${issues.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+const events = new EventEmitter();
+
+/** @type {string | null} */
+let explicitFile = null; // 通过命令行或环境变量指定的配置文件
+/** @type {string | null} */
+let activeFile = null; // 当前生效的配置文件
+/** @type {Record<string, unknown>} */
+let cliOverrides = {}; // 命令行参数覆盖的配置项，热加载后仍然保留
+let watching = false;
+
+/**
+ * 重新执行 config.js 得到默认配置
+ * config 对象会被原地更新，因此不能直接使用其当前内容；执行后恢复模块缓存，其他模块 require 得到的仍是同一个对象
+ * @returns {Record<string, unknown>}
+ */
+function readDefaults() {
+  const cached = require.cache[DEFAULTS_FILE];
+  delete require.cache[DEFAULTS_FILE];
+  try {
+    return require(DEFAULTS_FILE);
+  } catch (error) {
+    throw new ConfigError(`读取 ${DEFAULTS_FILE} 失败: ${handleError(error).msg}`);
+  } finally {
+    require.cache[DEFAULTS_FILE] = cached;
+  }
+}
+
+/**
+ * 确定配置文件：命令行指定 > 环境变量 AUTODELETE_CONFIG > 项目根目录下的 config.json、config.yaml、config.yml
+ * @returns {string | null} - 没有配置文件时返回 null，仅使用 config.js 和环境变量
+ */
+function resolveConfigFile() {
+  if (explicitFile) {
+    if (!fs.existsSync(explicitFile)) {
+      throw new ConfigError(`配置文件不存在: ${explicitFile}`);
+    }
+    return explicitFile;
+  }
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const filePath = path.join(PROJECT_ROOT, fileName);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取 JSON 或 YAML 配置文件
+ * @param {string} filePath - 配置文件路径
+ * @returns {Record<string, unknown>}
+ */
+function readConfigFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(extension)) {
+    throw new ConfigError(`不支持的配置文件格式 ${extension || '(无扩展名)'}，请使用 .json、.yaml 或 .yml: ${filePath}`);
+  }
+
+  let data;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    data = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ConfigError(`解析配置文件 ${filePath} 失败: ${handleError(error).msg}`);
+  }
+
+  // 空的 YAML 文件解析为 null
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (!isPlainObject(data)) {
+    throw new ConfigError(`配置文件 ${filePath} 的顶层应为对象`);
+  }
+  return data;
+}
+
+/**
+ * 深度合并配置，对象逐项合并，数组及其他值整体替换
+ * @param {unknown} base - 基础配置
+ * @param {unknown} override - 覆盖的配置
+ * @returns {any}
+ */
+function mergeDeep(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override;
+  }
+  /** @type {Record<string, unknown>} */
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in base ? mergeDeep(base[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * 查找环境变量片段对应的配置项名称
+ * 与已有配置项比较时忽略大小写和下划线(MIN_FREE_SPACE_GB 对应 minFreeSpaceGB)，数组使用数字下标
+ * @param {Record<string, unknown> | unknown[]} parent - 上一级配置
+ * @param {string} segment - 环境变量名中的一段
+ * @returns {string | number | null} - 找不到时，对象返回原样的片段(新增配置项)，数组返回 null
+ */
+function resolveEnvKey(parent, segment) {
+  if (Array.isArray(parent)) {
+    const index = Number(segment);
+    return Number.isInteger(index) && index >= 0 && index < parent.length ? index : null;
+  }
+  const normalized = segment.replace(/_/g, '').toLowerCase();
+  return Object.keys(parent).find(key => key.toLowerCase() === normalized) || segment;
+}
+
+/**
+ * 按配置项原有的类型转换环境变量的值，转换失败时保留字符串交由校验报告
+ * @param {string} raw - 环境变量的值
+ * @param {unknown} current - 配置项原有的值
+ * @returns {unknown}
+ */
+function coerceEnvValue(raw, current) {
+  if (typeof current === 'number') {
+    return raw.trim() !== '' && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+  }
+  if (typeof current === 'boolean') {
+    if (raw === 'true' || raw === '1') {
+      return true;
+    }
+    return raw === 'false' || raw === '0' ? false : raw;
+  }
+  if (typeof current === 'object' && current !== null) {
+    return JSON.parse(raw);
+  }
+  return raw;
+}
+
+/**
+ * 应用环境变量覆盖，例如 AUTODELETE_EMAIL__SMTP__AUTH__PASS、AUTODELETE_MIN_FREE_SPACE_GB、AUTODELETE_NOTIFICATIONS__CHANNELS__1__URL
+ * @param {Record<string, unknown>} target - 合并后的配置(原地修改)
+ * @param {NodeJS.ProcessEnv} env - 环境变量
+ * @param {string[]} issues - 问题列表
+ */
+function applyEnvOverrides(target, env, issues) {
+  for (const [name, raw] of Object.entries(env)) {
+    if (!name.startsWith(ENV_PREFIX) || name === CONFIG_FILE_ENV || raw === undefined) {
+      continue;
+    }
+
+    const segments = name.slice(ENV_PREFIX.length).split('__');
+    /** @type {any} */
+    let parent = target;
+    for (let i = 0; i < segments.length; i++) {
+      const key = resolveEnvKey(parent, segments[i]);
+      if (key === null) {
+        issues.push(`环境变量 ${name}: 数组下标 ${segments[i]} 超出范围`);
+        break;
+      }
+      if (i === segments.length - 1) {
+        try {
+          parent[key] = coerceEnvValue(raw, parent[key]);
+        } catch (error) {
+          issues.push(`环境变量 ${name}: 应为 JSON，${handleError(error).msg}`);
+        }
+        break;
+      }
+      if (typeof parent[key] !== 'object' || parent[key] === null) {
+        issues.push(`环境变量 ${name}: 不对应任何配置项`);
+        break;
+      }
+      parent = parent[key];
+    }
+  }
+}
+
+/**
+ * 按 config.js < 配置文件 < 环境变量 < 命令行参数的优先级生成新配置并校验
+ * @returns {{next: Record<string, unknown>, file: string | null}}
+ */
+function buildConfig() {
+  const file = resolveConfigFile();
+  /** @type {Record<string, unknown>} */
+  const next = mergeDeep(readDefaults(), file ? readConfigFile(file) : {});
+
+  /** @type {string[]} */
+  const issues = [];
+  applyEnvOverrides(next, process.env, issues);
+  Object.assign(next, cliOverrides);
+  issues.push(...validateConfig(next));
+
+  if (issues.length > 0) {
+    throw new ConfigError(`配置无效 (${file || path.basename(DEFAULTS_FILE)})`, issues);
+  }
+  return { next, file };
+}
+
+/**
+ * 原地更新 config 对象
+ * @param {Record<string, unknown>} next - 新配置
+ * @returns {string[]} - 发生变化的顶层配置项
+ */
+function applyConfig(next) {
+  /** @type {Record<string, unknown>} */
+  const current = config;
+  const changedKeys = Object.keys(next).filter(key => JSON.stringify(current[key]) !== JSON.stringify(next[key]));
+  Object.assign(current, next);
+  return changedKeys;
+}
+
+/**
+ * 启动时加载配置，配置无效时抛出 ConfigError
+ * @param {{file?: string, overrides?: Record<string, unknown>}} [options] - file 命令行指定的配置文件；overrides 命令行参数覆盖的配置项
+ * @returns {string | null} - 生效的配置文件
+ */
+function load({ file, overrides = {} } = {}) {
+  const specified = file || process.env[CONFIG_FILE_ENV];
+  explicitFile = specified ? path.resolve(specified) : null;
+  cliOverrides = overrides;
+
+  const { next, file: loadedFile } = buildConfig();
+  applyConfig(next);
+  activeFile = loadedFile;
+  return activeFile;
+}
+
+/**
+ * 重新加载配置，配置无效时记录错误并继续使用当前配置
+ * @returns {boolean} - 是否应用了新配置
+ */
+function reload() {
+  let result;
+  try {
+    result = buildConfig();
+  } catch (error) {
+    logger.error(`重新加载配置失败，继续使用当前配置: ${handleError(error).msg}`);
+    return false;
+  }
+
+  if (result.file !== activeFile) {
+    logger.info(`配置文件变更为: ${result.file || path.basename(DEFAULTS_FILE)}`);
+    activeFile = result.file;
+  }
+  const changedKeys = applyConfig(result.next);
+  if (changedKeys.length === 0) {
+    return false;
+  }
+  logger.info(`配置已重新加载，变更项: ${changedKeys.join(', ')}`);
+  events.emit('change', changedKeys);
+  return true;
+}
+
+/**
+ * 监视 config.js 和配置文件(包括尚未创建的默认配置文件)，内容变化时热加载
+ */
+function watch() {
+  if (watching) {
+    return;
+  }
+  watching = true;
+
+  const files = [DEFAULTS_FILE, ...(explicitFile ? [explicitFile] : CONFIG_FILE_NAMES.map(fileName => path.join(PROJECT_ROOT, fileName)))];
+  for (const file of files) {
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        reload();
+      }
+    });
+  }
+}
+
+/**
+ * 注册配置变更回调
+ * @param {(changedKeys: string[]) => void} listener - 参数为发生变化的顶层配置项
+ */
+function onChange(listener) {
+  events.on('change', listener);
+}
+
+/**
+ * 当前生效的配置文件
+ * @returns {string | null}
+ */
+function getConfigFile() {
+  return activeFile;
+}
+
+module.exports = {
+  ConfigError,
+  load,
+  reload,
+  watch,
+  onChange,
+  getConfigFile
+};
@@ -0,0 +1,466 @@
+/**
+ * 配置校验模块
+ * 负责按结构定义检查合并后的配置，一次性收集所有问题，便于启动时给出明确的错误提示
+ */
+
+const cron = require('node-cron');
+const fs = require('fs');
+const path = require('path');
+const protection = require('./protection');
+const { compileTimestampPattern } = require('./recordingTime');
+
+/**
+ * 校验函数：发现问题时写入 issues，路径形如 notifications.channels[1].url
+ * @callback Validator
+ * @param {unknown} value - 配置值
+ * @param {string} keyPath - 配置项路径
+ * @param {string[]} issues - 问题列表
+ * @returns {void}
+ */
+
+/**
+ * 值的类型说明(用于错误提示)
+ * @param {unknown} value - 配置值
+ * @returns {string}
+ */
+function describeType(value) {
+  if (Array.isArray(value)) {
+    return '数组';
+  }
+  if (value === null || value === undefined) {
+    return String(value);
+  }
+  return typeof value === 'object' ? '对象' : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+/**
+ * 是否为普通对象
+ * @param {unknown} value - 配置值
+ * @returns {value is Record<string, unknown>}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 字符串
+ * @param {{nonEmpty?: boolean, check?: (value: string) => string | null}} [options] - nonEmpty 不允许空字符串；check 返回错误说明或 null
+ * @returns {Validator}
+ */
+function string({ nonEmpty = false, check } = {}) {
+  return (value, keyPath, issues) => {
+    if (typeof value !== 'string') {
+      issues.push(`${keyPath}: 应为字符串，实际为 ${describeType(value)}`);
+    } else if (nonEmpty && value.trim() === '') {
+      issues.push(`${keyPath}: 不能为空`);
+    } else if (check) {
+      const problem = check(value);
+      if (problem) {
+        issues.push(`${keyPath}: ${problem}`);
+      }
+    }
+  };
+}
+
+/**
+ * 数字
+ * @param {{min?: number, max?: number, integer?: boolean}} [options] - 取值范围
+ * @returns {Validator}
+ */
+function number({ min, max, integer = false } = {}) {
+  return (value, keyPath, issues) => {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      issues.push(`${keyPath}: 应为数字，实际为 ${describeType(value)}`);
+    } else if (integer && !Number.isInteger(value)) {
+      issues.push(`${keyPath}: 应为整数，实际为 ${value}`);
+    } else if (min !== undefined && value < min) {
+      issues.push(`${keyPath}: 不能小于 ${min}，实际为 ${value}`);
+    } else if (max !== undefined && value > max) {
+      issues.push(`${keyPath}: 不能大于 ${max}，实际为 ${value}`);
+    }
+  };
+}
+
+/**
+ * 布尔值
+ * @returns {Validator}
+ */
+function boolean() {
+  return (value, keyPath, issues) => {
+    if (typeof value !== 'boolean') {
+      issues.push(`${keyPath}: 应为 true 或 false，实际为 ${describeType(value)}`);
+    }
+  };
+}
+
+/**
+ * 枚举值
+ * @param {Array<string | number>} choices - 允许的取值
+ * @returns {Validator}
+ */
+function oneOf(choices) {
+  return (value, keyPath, issues) => {
+    if (!choices.includes(/** @type {string | number} */ (value))) {
+      issues.push(`${keyPath}: 应为 ${choices.map(choice => JSON.stringify(choice)).join('、')} 之一，实际为 ${JSON.stringify(value)}`);
+    }
+  };
+}
+
+/**
+ * 数组
+ * @param {Validator} item - 元素的校验
+ * @param {{minLength?: number}} [options] - 最少元素个数
+ * @returns {Validator}
+ */
+function arrayOf(item, { minLength = 0 } = {}) {
+  return (value, keyPath, issues) => {
+    if (!Array.isArray(value)) {
+      issues.push(`${keyPath}: 应为数组，实际为 ${describeType(value)}`);
+      return;
+    }
+    if (value.length < minLength) {
+      issues.push(`${keyPath}: 至少需要 ${minLength} 项`);
+    }
+    value.forEach((element, index) => item(element, `${keyPath}[${index}]`, issues));
+  };
+}
+
+/**
+ * 对象，未在 shape 中定义的属性视为拼写错误
+ * @param {Record<string, Validator>} shape - 各属性的校验
+ * @param {{required?: string[], allowUnknown?: boolean}} [options] - required 必填属性(其余属性可省略)；allowUnknown 允许额外属性
+ * @returns {Validator}
+ */
+function object(shape, { required = Object.keys(shape), allowUnknown = false } = {}) {
+  return (value, keyPath, issues) => {
+    if (!isPlainObject(value)) {
+      issues.push(`${keyPath}: 应为对象，实际为 ${describeType(value)}`);
+      return;
+    }
+    for (const [key, validate] of Object.entries(shape)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (value[key] !== undefined) {
+        validate(value[key], childPath, issues);
+      } else if (required.includes(key)) {
+        issues.push(`${childPath}: 缺少必填项`);
+      }
+    }
+    if (!allowUnknown) {
+      for (const key of Object.keys(value)) {
+        if (!(key in shape)) {
+          issues.push(`${keyPath ? `${keyPath}.${key}` : key}: 未知的配置项，请检查拼写`);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * 满足任一校验即可，均不满足时报告 description
+ * @param {string} description - 期望值的说明
+ * @param {Array<{when: (value: unknown) => boolean, validate: Validator}>} branches - 按值的形式选择校验
+ * @returns {Validator}
+ */
+function either(description, branches) {
+  return (value, keyPath, issues) => {
+    const branch = branches.find(candidate => candidate.when(value));
+    if (!branch) {
+      issues.push(`${keyPath}: 应为${description}，实际为 ${describeType(value)}`);
+      return;
+    }
+    branch.validate(value, keyPath, issues);
+  };
+}
+
+/**
+ * 检查目录是否存在
+ * @param {string} dirPath - 目录路径
+ * @returns {string | null}
+ */
+function checkDirectoryExists(dirPath) {
+  try {
+    return fs.statSync(dirPath).isDirectory() ? null : `不是目录: ${dirPath}`;
+  } catch (error) {
+    return `目录不存在或无法访问: ${dirPath}`;
+  }
+}
+
+/**
+ * 检查排除规则或文件名规则能否转换为正则表达式
+ * @param {string} pattern - 通配符或 /.../ 形式的正则表达式
+ * @returns {string | null}
+ */
+function checkPattern(pattern) {
+  try {
+    protection.compilePattern(pattern);
+    return null;
+  } catch (error) {
+    return `无效的通配符或正则表达式 ${pattern}`;
+  }
+}
+
+/**
+ * 检查录制时间规则
+ * @param {string} pattern - 时间规则
+ * @returns {string | null}
+ */
+function checkTimestampPattern(pattern) {
+  try {
+    compileTimestampPattern(pattern);
+    return null;
+  } catch (error) {
+    return error instanceof Error ? error.message : String(error);
+  }
+}
+
+/**
+ * 检查时区名称(空字符串表示系统时区)
+ * @param {string} value - IANA 时区名称，如 Asia/Shanghai
+ * @returns {string | null}
+ */
+function checkTimezone(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return null;
+  } catch (error) {
+    return `未知的时区 ${value}`;
+  }
+}
+
+/**
+ * 检查可留空的 cron 表达式
+ * @param {string} value - cron 表达式，空字符串表示不启用
+ * @returns {string | null}
+ */
+function checkOptionalCron(value) {
+  return !value || cron.validate(value) ? null : `无效的 cron 表达式 ${value}`;
+}
+
+/**
+ * 检查日期字符串能否解析
+ * @param {string} value - 日期
+ * @returns {string | null}
+ */
+function checkDate(value) {
+  return value === '' || !Number.isNaN(new Date(value).getTime()) ? null : `无法解析的日期 ${value}`;
+}
+
+// 各通知渠道的必填项
+const CHANNEL_REQUIRED_FIELDS = {
+  email: [],
+  webhook: ['url'],
+  slack: ['url'],
+  dingtalk: ['url'],
+  wecom: ['url'],
+  feishu: ['url'],
+  telegram: ['botToken', 'chatId'],
+  command: ['command']
+};
+
+const NOTIFICATION_EVENTS = ['warning', 'emergency', 'completion', 'error', 'forecast', 'report'];
+
+const nonNegative = number({ min: 0 });
+const percentage = number({ min: 0, max: 100 });
+
+const levelShape = {
+  minFreeSpaceGB: nonNegative,
+  maxUsedPercent: percentage
+};
+
+const archiveSchema = object({
+  target: string(),
+  verify: oneOf(['size', 'checksum'])
+}, { required: [] });
+
+const retentionShape = {
+  minKeepDirs: number({ min: 0, integer: true }),
+  maxAgeDays: nonNegative,
+  maxSizeGB: nonNegative
+};
+
+const scanSchema = object({
+  mode: oneOf(['directory', 'file']),
+  depth: number({ min: 1, integer: true }),
+  filePatterns: arrayOf(string({ nonEmpty: true, check: checkPattern })),
+  timestampPatterns: arrayOf(string({ nonEmpty: true, check: checkTimestampPattern }))
+}, { required: [] });
+
+const recordingsPathSchema = either('路径字符串或 { path, ... } 对象', [
+  { when: value => typeof value === 'string', validate: string({ nonEmpty: true, check: checkDirectoryExists }) },
+  {
+    when: isPlainObject,
+    validate: object({
+      path: string({ nonEmpty: true, check: checkDirectoryExists }),
+      ...retentionShape,
+      action: oneOf(['delete', 'archive']),
+      archive: archiveSchema,
+      scan: scanSchema
+    }, { required: ['path'] })
+  }
+]);
+
+/**
+ * 通知渠道：按 type 检查必填项，其余属性由渠道自行使用
+ * @type {Validator}
+ */
+function channelSchema(value, keyPath, issues) {
+  object({
+    type: oneOf(Object.keys(CHANNEL_REQUIRED_FIELDS)),
+    name: string({ nonEmpty: true }),
+    events: arrayOf(oneOf(NOTIFICATION_EVENTS))
+  }, { required: ['type'], allowUnknown: true })(value, keyPath, issues);
+
+  if (!isPlainObject(value) || typeof value.type !== 'string') {
+    return;
+  }
+  /** @type {string[]} */
+  const requiredFields = CHANNEL_REQUIRED_FIELDS[/** @type {keyof CHANNEL_REQUIRED_FIELDS} */ (value.type)] || [];
+  for (const field of requiredFields) {
+    if (value[field] === undefined || value[field] === '') {
+      issues.push(`${keyPath}.${field}: 缺少必填项`);
+    }
+  }
+}
+
+const configSchema = object({
+  cronSchedule: string({ check: value => cron.validate(value) ? null : `无效的 cron 表达式 ${value}` }),
+  minFreeSpaceGB: nonNegative,
+  maxUsedPercent: percentage,
+  bufferPercentage: percentage,
+  warningLevel: object({ ...levelShape, repeatHours: nonNegative }, { required: [] }),
+  emergencyLevel: object(levelShape, { required: [] }),
+  disks: arrayOf(object({
+    path: string({ nonEmpty: true, check: checkDirectoryExists }),
+    ...levelShape,
+    bufferPercentage: percentage,
+    warningLevel: object(levelShape, { required: [] }),
+    emergencyLevel: object(levelShape, { required: [] })
+  }, { required: ['path'] })),
+  recordingsPaths: arrayOf(recordingsPathSchema, { minLength: 1 }),
+  retention: object(retentionShape),
+  scan: scanSchema,
+  sizeIndex: object({
+    enabled: boolean(),
+    concurrency: number({ min: 1, integer: true }),
+    settleMinutes: nonNegative,
+    sizeMode: oneOf(['apparent', 'blocks'])
+  }),
+  forecast: object({
+    enabled: boolean(),
+    windowDays: number({ min: 1 }),
+    minHistoryHours: nonNegative,
+    warnDays: nonNegative,
+    repeatHours: nonNegative
+  }),
+  action: oneOf(['delete', 'archive']),
+  archive: archiveSchema,
+  quarantine: object({
+    enabled: boolean(),
+    dirName: string({ nonEmpty: true }),
+    graceHours: nonNegative
+  }),
+  protection: object({
+    markerFiles: arrayOf(string({ nonEmpty: true })),
+    excludePatterns: arrayOf(string({ nonEmpty: true, check: checkPattern })),
+    pinned: arrayOf(object({
+      path: string({ nonEmpty: true }),
+      until: either('日期字符串或时间戳', [
+        { when: value => typeof value === 'string', validate: string({ check: checkDate }) },
+        { when: value => typeof value === 'number', validate: nonNegative }
+      ])
+    }, { required: ['path'] }))
+  }),
+  inUse: object({
+    quietMinutes: nonNegative,
+    checkOpenFiles: boolean()
+  }),
+  deletion: object({
+    maxMBPerSecond: nonNegative,
+    maxFilesPerSecond: nonNegative,
+    truncateChunkMB: nonNegative
+  }),
+  deleteDelay: nonNegative,
+  planExpireHours: number({ min: 0 }),
+  dryRun: boolean(),
+  dryRunOutput: string(),
+  dataDir: string({ nonEmpty: true }),
+  service: object({
+    pidFile: string(),
+    shutdownTimeoutSeconds: nonNegative
+  }),
+  http: object({
+    enabled: boolean(),
+    host: string({ nonEmpty: true }),
+    port: number({ min: 1, max: 65535, integer: true }),
+    token: string()
+  }),
+  approval: object({
+    enabled: boolean(),
+    paths: arrayOf(string({ nonEmpty: true })),
+    baseUrl: string({ check: value => !value || /^https?:\/\//.test(value) ? null : `应以 http:// 或 https:// 开头: ${value}` }),
+    secret: string(),
+    timeoutHours: nonNegative,
+    onTimeout: oneOf(['proceed', 'cancel']),
+    postponeHours: nonNegative
+  }),
+  metrics: object({
+    scanCacheSeconds: nonNegative
+  }),
+  reports: object({
+    daily: string({ check: checkOptionalCron }),
+    weekly: string({ check: checkOptionalCron }),
+    exportDir: string()
+  }),
+  logging: object({
+    level: oneOf(['debug', 'info', 'warn', 'error']),
+    dir: string({ nonEmpty: true }),
+    file: string({ nonEmpty: true }),
+    maxSizeMB: number({ min: 0 }),
+    maxFiles: number({ min: 0, integer: true }),
+    console: boolean()
+  }),
+  notifications: object({
+    channels: arrayOf(channelSchema),
+    retry: object({
+      maxAttempts: number({ min: 1, integer: true }),
+      baseDelayMinutes: nonNegative,
+      maxDelayMinutes: nonNegative
+    }),
+    locale: oneOf(['zh-CN', 'en']),
+    timezone: string({ check: checkTimezone }),
+    templatesDir: string({ check: value => value ? checkDirectoryExists(path.resolve(__dirname, '..', value)) : null })
+  }),
+  email: object({
+    smtp: object({
+      host: string(),
+      port: number({ min: 1, max: 65535, integer: true }),
+      secure: boolean(),
+      auth: object({
+        user: string(),
+        pass: string()
+      })
+    }, { required: ['host', 'port'], allowUnknown: true }),
+    from: string(),
+    to: arrayOf(string({ nonEmpty: true }))
+  })
+});
+
+/**
+ * 校验合并后的配置
+ * @param {unknown} candidate - 配置对象
+ * @returns {string[]} - 问题列表，为空表示配置有效
+ */
+function validateConfig(candidate) {
+  /** @type {string[]} */
+  const issues = [];
+  configSchema(candidate, '', issues);
+  return issues;
+}
+
+module.exports = {
+  isPlainObject,
+  validateConfig
+};
@@ -0,0 +1,328 @@
+/**
+ * 删除引擎模块
+ * 负责安全地删除录制目录(或文件)：只删除监控路径内的内容，不跟随符号链接、不跨越文件系统；
+ * 逐个删除文件并按配置限制速度，避免大量删除操作影响录制写入；
+ * 删除开始前写入日志(data/deletion-journal.json)，中途失败或进程退出后可继续完成；
+ * 服务停止时不再开始新的删除，等待超时后中断正在进行的删除(日志条目保留，下次启动时继续)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { isProcessAlive } = require('../utils/fileLock');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const JOURNAL_FILE = 'deletion-journal.json';
+const MB = 1024 * 1024;
+
+const DEFAULT_DELETION = {
+  maxMBPerSecond: 0,
+  maxFilesPerSecond: 0,
+  truncateChunkMB: 0
+};
+
+/**
+ * 删除日志条目，删除完成后移除；保留的条目表示删除中途失败或被中断
+ * @typedef {{
+ *   id: string,
+ *   path: string,
+ *   rootPath: string,
+ *   planId?: string,
+ *   sizeGB: number,
+ *   mtime: number,
+ *   startedAt: number,
+ *   pid: number,
+ *   status: 'in-progress' | 'failed',
+ *   attempts: number,
+ *   error?: string
+ * }} JournalEntry
+ * @typedef {{removedFiles: number, removedBytes: number}} RemovalResult
+ */
+
+/**
+ * 拒绝删除(目标不在监控路径内)时抛出的错误，不会写入删除日志
+ */
+class UnsafeDeletionError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeDeletionError';
+  }
+}
+
+/** @type {Promise<unknown>} */
+let journalLock = Promise.resolve(); // 串行读写删除日志
+/** @type {'running' | 'stopping' | 'aborting'} */
+let stopState = 'running'; // 服务停止时的删除状态
+
+/**
+ * 读取删除配置
+ * @returns {{maxMBPerSecond: number, maxFilesPerSecond: number, truncateChunkMB: number}}
+ */
+function getDeletionConfig() {
+  return { ...DEFAULT_DELETION, ...(config.deletion || {}) };
+}
+
+/**
+ * 服务停止时调用：此后不再开始新的删除(调用方在两个目录之间检查 isStopping)，正在进行的删除继续完成
+ */
+function requestStop() {
+  if (stopState === 'running') {
+    stopState = 'stopping';
+  }
+}
+
+/**
+ * 中断正在进行的删除：在删除下一个文件前停止，删除日志条目保留为进行中，进程退出后由下次检查继续删除
+ */
+function abort() {
+  stopState = 'aborting';
+}
+
+/**
+ * 是否已请求停止删除
+ * @returns {boolean}
+ */
+function isStopping() {
+  return stopState !== 'running';
+}
+
+/**
+ * 读取删除日志
+ * @returns {Promise<JournalEntry[]>}
+ */
+async function listJournal() {
+  /** @type {{entries: JournalEntry[]}} */
+  const data = await readJsonFile(resolveDataFile(JOURNAL_FILE), { entries: [] });
+  return Array.isArray(data.entries) ? data.entries : [];
+}
+
+/**
+ * 修改删除日志
+ * @param {(entries: JournalEntry[]) => JournalEntry[]} update - 返回修改后的条目列表
+ * @returns {Promise<void>}
+ */
+function updateJournal(update) {
+  const result = journalLock.then(async () => {
+    const entries = update(await listJournal());
+    await writeJsonFile(resolveDataFile(JOURNAL_FILE), { entries });
+  });
+  journalLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * 列出需要继续删除的日志条目：删除失败的，以及执行删除的进程已退出(被中断)的
+ * @returns {Promise<JournalEntry[]>}
+ */
+async function listInterrupted() {
+  return (await listJournal()).filter(entry => entry.status === 'failed' || !isProcessAlive(entry.pid));
+}
+
+/**
+ * 路径是否位于目录之内(不包括目录本身)
+ * @param {string} itemPath - 路径
+ * @param {string} dirPath - 目录
+ * @returns {boolean}
+ */
+function isInside(itemPath, dirPath) {
+  const relativePath = path.relative(dirPath, itemPath);
+  return relativePath !== '' && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * 确认要删除的路径位于监控路径之内：上级目录按真实路径(解析符号链接后)比较，避免经由符号链接删除到监控路径之外
+ * @param {string} unitPath - 要删除的目录或文件
+ * @param {string} rootPath - 所属监控路径
+ * @returns {Promise<string>} - 解析上级目录符号链接后的路径
+ */
+async function resolveSafePath(unitPath, rootPath) {
+  const realRoot = await fs.realpath(rootPath);
+  const resolvedPath = path.resolve(unitPath);
+  const realPath = path.join(await fs.realpath(path.dirname(resolvedPath)), path.basename(resolvedPath));
+  if (!isInside(realPath, realRoot)) {
+    throw new UnsafeDeletionError(`${unitPath} 不在监控路径 ${rootPath} 内，拒绝删除`);
+  }
+  return realPath;
+}
+
+/**
+ * 创建限速器：累计删除的数据量或文件数超出配置的速度时等待
+ * @returns {(bytes: number, files: number) => Promise<void>}
+ */
+function createThrottle() {
+  const { maxMBPerSecond, maxFilesPerSecond } = getDeletionConfig();
+  const startedAt = Date.now();
+  let totalBytes = 0;
+  let totalFiles = 0;
+
+  return async (bytes, files) => {
+    totalBytes += bytes;
+    totalFiles += files;
+    const requiredMs = Math.max(
+      maxMBPerSecond > 0 ? totalBytes / (maxMBPerSecond * MB) * 1000 : 0,
+      maxFilesPerSecond > 0 ? totalFiles / maxFilesPerSecond * 1000 : 0
+    );
+    const waitMs = requiredMs - (Date.now() - startedAt);
+    if (waitMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  };
+}
+
+/**
+ * 删除单个文件：配置了 truncateChunkMB 时大文件先分段截断(只有一个硬链接时)，每段之间按限速等待
+ * @param {string} filePath - 文件路径
+ * @param {fs.Stats} stats - 文件信息(lstat)
+ * @param {(bytes: number, files: number) => Promise<void>} throttle - 限速器
+ * @returns {Promise<void>}
+ */
+async function removeFile(filePath, stats, throttle) {
+  const chunkBytes = getDeletionConfig().truncateChunkMB * MB;
+  let size = stats.size;
+
+  // 有多个硬链接时截断会破坏其他链接的内容，只删除本链接
+  if (chunkBytes > 0 && stats.isFile() && stats.nlink === 1) {
+    while (size > chunkBytes) {
+      if (stopState === 'aborting') {
+        throw new Error('删除已中断');
+      }
+      size -= chunkBytes;
+      await fs.truncate(filePath, size);
+      await throttle(chunkBytes, 0);
+    }
+  }
+
+  await fs.unlink(filePath);
+  await throttle(size, 1);
+}
+
+/**
+ * 递归删除目录树：符号链接只删除链接本身，不进入其他文件系统(挂载点)；
+ * 单个文件删除失败时继续删除其余文件，最后统一报告
+ * @param {string} itemPath - 目录或文件
+ * @param {number} device - 监控路径所在设备
+ * @param {(bytes: number, files: number) => Promise<void>} throttle - 限速器
+ * @param {RemovalResult & {errors: string[]}} progress - 删除进度
+ * @returns {Promise<void>}
+ */
+async function removeTree(itemPath, device, throttle, progress) {
+  if (stopState === 'aborting') {
+    return;
+  }
+
+  let stats;
+  try {
+    stats = await fs.lstat(itemPath);
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code !== 'ENOENT') {
+      progress.errors.push(`${itemPath}: ${/** @type {Error} */ (error).message}`);
+    }
+    return;
+  }
+
+  if (stats.isDirectory()) {
+    if (stats.dev !== device) {
+      progress.errors.push(`${itemPath}: 位于其他文件系统(挂载点)，拒绝删除`);
+      return;
+    }
+    let items = [];
+    try {
+      items = await fs.readdir(itemPath);
+    } catch (error) {
+      progress.errors.push(`${itemPath}: ${/** @type {Error} */ (error).message}`);
+      return;
+    }
+    for (const item of items) {
+      await removeTree(path.join(itemPath, item), device, throttle, progress);
+    }
+    await fs.rmdir(itemPath).catch(error => {
+      progress.errors.push(`${itemPath}: ${error.message}`);
+    });
+    return;
+  }
+
+  try {
+    await removeFile(itemPath, stats, throttle);
+    progress.removedFiles++;
+    progress.removedBytes += stats.size;
+  } catch (error) {
+    progress.errors.push(`${itemPath}: ${/** @type {Error} */ (error).message}`);
+  }
+}
+
+/**
+ * 删除监控路径内的目录或文件
+ * 开始前写入删除日志，全部删除后移除；部分文件删除失败时日志条目标记为失败并抛出错误，下次检查时继续删除；
+ * 删除被中断(abort)时日志条目保留为进行中并抛出错误，进程退出后同样由下次检查继续删除
+ * @param {{path: string, sizeGB: number, mtime: number}} unit - 要删除的目录或文件
+ * @param {string} rootPath - 所属监控路径
+ * @param {{planId?: string}} [options] - planId 记入删除日志
+ * @returns {Promise<RemovalResult>} - 实际删除的文件数和数据量(目标已不存在时均为 0)
+ */
+async function removeUnit(unit, rootPath, { planId } = {}) {
+  if (!await fs.lstat(unit.path).then(() => true, () => false)) {
+    await updateJournal(entries => entries.filter(item => item.path !== unit.path));
+    return { removedFiles: 0, removedBytes: 0 };
+  }
+
+  let safePath;
+  try {
+    safePath = await resolveSafePath(unit.path, rootPath);
+  } catch (error) {
+    // 拒绝删除的目标不会再重试
+    await updateJournal(entries => entries.filter(item => item.path !== unit.path));
+    throw error;
+  }
+  const { dev: device } = await fs.stat(rootPath);
+
+  /** @type {JournalEntry} */
+  const entry = {
+    id: crypto.randomUUID(),
+    path: unit.path,
+    rootPath,
+    planId,
+    sizeGB: unit.sizeGB,
+    mtime: unit.mtime,
+    startedAt: Date.now(),
+    pid: process.pid,
+    status: 'in-progress',
+    attempts: 1
+  };
+  await updateJournal(entries => {
+    const previous = entries.find(item => item.path === unit.path);
+    entry.attempts = previous ? previous.attempts + 1 : 1;
+    return [...entries.filter(item => item.path !== unit.path), entry];
+  });
+
+  /** @type {RemovalResult & {errors: string[]}} */
+  const progress = { removedFiles: 0, removedBytes: 0, errors: [] };
+  await removeTree(safePath, device, createThrottle(), progress);
+
+  if (stopState === 'aborting') {
+    throw new Error(`服务停止，删除 ${unit.path} 已中断(已删除 ${progress.removedFiles} 个文件)，下次启动后继续删除`);
+  }
+  if (progress.errors.length > 0) {
+    const message = `删除 ${unit.path} 时有 ${progress.errors.length} 项失败(已删除 ${progress.removedFiles} 个文件)，首个错误: ${progress.errors[0]}`;
+    await updateJournal(entries => entries.map(item => item.id === entry.id ? { ...item, status: 'failed', error: message } : item));
+    throw new Error(message);
+  }
+
+  await updateJournal(entries => entries.filter(item => item.id !== entry.id));
+  logger.debug(`已删除 ${unit.path}: ${progress.removedFiles} 个文件，${(progress.removedBytes / 1024 / MB).toFixed(2)}GB`);
+  return { removedFiles: progress.removedFiles, removedBytes: progress.removedBytes };
+}
+
+module.exports = {
+  UnsafeDeletionError,
+  listJournal,
+  listInterrupted,
+  removeUnit,
+  requestStop,
+  abort,
+  isStopping
+};
@@ -4,8 +4,180 @@
  */
 
 const checkDiskSpace = require('check-disk-space').default;
+const fs = require('fs-extra');
 const path = require('path');
+const config = require('../config');
 const { handleError } = require('../utils/handleError');
+const logger = require('../utils/logger');
+
+const MOUNT_INFO_FILE = '/proc/self/mountinfo';
+const MOUNT_TABLE_TTL_MS = 60 * 1000; // 挂载表缓存时间，挂载变化在该时间内生效
+
+/**
+ * @typedef {{device: string, mountPoint: string}} MountEntry
+ * @typedef {{key: string, mountPoint: string, device: string}} DiskIdentity
+ * @typedef {{minFreeSpaceGB?: number, maxUsedPercent?: number}} LevelConfig
+ * @typedef {{
+ *   path: string,
+ *   minFreeSpaceGB?: number,
+ *   maxUsedPercent?: number,
+ *   bufferPercentage?: number,
+ *   warningLevel?: LevelConfig,
+ *   emergencyLevel?: LevelConfig
+ * }} DiskConfig
+ * @typedef {{
+ *   minFreeSpaceGB: number,
+ *   bufferPercentage: number,
+ *   targetFreeGB: number,
+ *   warningFreeGB: number,
+ *   emergencyFreeGB: number
+ * }} DiskThresholds
+ */
+
+/** @type {{entries: MountEntry[] | null, loadedAt: number} | null} */
+let mountTable = null;
+
+/**
+ * 读取 Linux 挂载表(/proc/self/mountinfo)，按挂载顺序排列
+ * @returns {Promise<MountEntry[] | null>} - 非 Linux 或无法读取时返回 null
+ */
+async function loadMountTable() {
+  if (mountTable && Date.now() - mountTable.loadedAt < MOUNT_TABLE_TTL_MS) {
+    return mountTable.entries;
+  }
+
+  /** @type {MountEntry[] | null} */
+  let entries = null;
+  if (process.platform === 'linux') {
+    try {
+      const content = await fs.readFile(MOUNT_INFO_FILE, 'utf8');
+      entries = content.split('\n').filter(Boolean).map(line => {
+        // 格式: 挂载ID 父ID 主:次设备号 根 挂载点 ...，挂载点中的空格等字符以 \040 形式转义
+        const fields = line.split(' ');
+        return {
+          device: fields[2],
+          mountPoint: fields[4].replace(/\\([0-7]{3})/g, (_escaped, octal) => String.fromCharCode(parseInt(octal, 8)))
+        };
+      });
+    } catch (error) {
+      logger.warn(`读取挂载表失败，按目录所在设备查找挂载点: ${handleError(error).errMsg}`);
+    }
+  }
+  mountTable = { entries, loadedAt: Date.now() };
+  return entries;
+}
+
+/**
+ * 路径是否位于挂载点之下(含挂载点本身)
+ * @param {string} dirPath - 绝对路径
+ * @param {string} mountPoint - 挂载点
+ * @returns {boolean}
+ */
+function isUnderMountPoint(dirPath, mountPoint) {
+  return mountPoint === '/' || dirPath === mountPoint || dirPath.startsWith(`${mountPoint}/`);
+}
+
+/**
+ * 没有挂载表时，沿父目录向上查找设备号相同的最上层目录作为挂载点
+ * @param {string} dirPath - 绝对路径
+ * @returns {Promise<DiskIdentity>}
+ */
+async function findMountPointByDevice(dirPath) {
+  const { dev } = await fs.stat(dirPath);
+  let mountPoint = dirPath;
+  while (path.dirname(mountPoint) !== mountPoint) {
+    const parent = path.dirname(mountPoint);
+    if ((await fs.stat(parent)).dev !== dev) {
+      break;
+    }
+    mountPoint = parent;
+  }
+  return { key: mountPoint, mountPoint, device: String(dev) };
+}
+
+/**
+ * 识别路径所在的磁盘(文件系统)
+ * Windows 上为驱动器根目录；Linux 上按挂载表找到路径所在的挂载点，
+ * 同一设备挂载在多处(如 bind mount)时统一使用最先挂载的位置作为磁盘标识，保证各处共用一份空间预算
+ * @param {string} dirPath - 目录路径
+ * @returns {Promise<DiskIdentity>}
+ */
+async function identifyDisk(dirPath) {
+  if (process.platform === 'win32') {
+    const root = path.parse(path.resolve(dirPath)).root.toUpperCase();
+    return { key: root, mountPoint: root, device: root };
+  }
+
+  const realPath = await fs.realpath(dirPath).catch(() => path.resolve(dirPath));
+  const entries = await loadMountTable();
+  if (!entries) {
+    return findMountPointByDevice(realPath);
+  }
+
+  /** @type {MountEntry | null} */
+  let mount = null;
+  for (const entry of entries) {
+    // 同一挂载点被多次挂载时，后挂载的覆盖先挂载的
+    if (isUnderMountPoint(realPath, entry.mountPoint) && (!mount || entry.mountPoint.length >= mount.mountPoint.length)) {
+      mount = entry;
+    }
+  }
+  if (!mount) {
+    return findMountPointByDevice(realPath);
+  }
+  const { device, mountPoint } = mount;
+  const primary = entries.find(entry => entry.device === device) || mount;
+  return { key: primary.mountPoint, mountPoint, device };
+}
+
+/**
+ * 获取路径所在磁盘的标识，用于按磁盘合并空间信息、删除预算、回收站和写满预测
+ * @param {string} dirPath - 目录路径
+ * @returns {Promise<string>}
+ */
+async function getDiskKey(dirPath) {
+  return (await identifyDisk(dirPath)).key;
+}
+
+/**
+ * 将阈值换算为剩余空间(GB)：同时设置剩余空间和使用率时取换算后较大的剩余空间，均为 0 时返回 0(不使用该级别)
+ * @param {LevelConfig} level - 阈值
+ * @param {number} totalGB - 磁盘总空间(GB)
+ * @returns {number}
+ */
+function toFreeGB({ minFreeSpaceGB = 0, maxUsedPercent = 0 }, totalGB) {
+  return Math.max(minFreeSpaceGB, maxUsedPercent > 0 ? totalGB * (100 - maxUsedPercent) / 100 : 0);
+}
+
+/**
+ * 获取磁盘的各级空间阈值(换算为剩余空间 GB)：disks 中为该磁盘单独配置的值优先，否则使用全局配置
+ * @param {string} diskKey - 磁盘标识
+ * @param {number} totalGB - 磁盘总空间(GB)，用于换算使用率阈值
+ * @returns {Promise<DiskThresholds>}
+ */
+async function getThresholds(diskKey, totalGB) {
+  /** @type {DiskConfig[]} */
+  const disks = config.disks || [];
+  /** @type {DiskConfig | undefined} */
+  let disk;
+  for (const item of disks) {
+    if (await getDiskKey(item.path) === diskKey) {
+      disk = item;
+      break;
+    }
+  }
+
+  const { warningLevel, emergencyLevel, ...overrides } = disk || { path: '' };
+  const settings = { minFreeSpaceGB: config.minFreeSpaceGB, maxUsedPercent: config.maxUsedPercent, bufferPercentage: config.bufferPercentage, ...overrides };
+  const minFreeSpaceGB = toFreeGB(settings, totalGB);
+  return {
+    minFreeSpaceGB,
+    bufferPercentage: settings.bufferPercentage,
+    targetFreeGB: minFreeSpaceGB * (1 + settings.bufferPercentage / 100),
+    warningFreeGB: toFreeGB({ ...config.warningLevel, ...warningLevel }, totalGB),
+    emergencyFreeGB: toFreeGB({ ...config.emergencyLevel, ...emergencyLevel }, totalGB)
+  };
+}
 
 /**
  * 获取指定路径所在磁盘的空间信息
@@ -36,11 +208,28 @@ async function getDiskSpace(dirPath) {
       usedPercentage: ((info.size - info.free) / info.size) * 100
     };
   } catch (error) {
-    console.error(`获取磁盘空间信息失败: ${handleError(error).errMsg}`);
+    logger.error('获取磁盘空间信息失败', { error });
     throw error;
   }
 }
 
+/**
+ * 获取指定路径所在磁盘的剩余空间，失败时返回 null(用于审计记录等非关键场景)
+ * @param {string} dirPath - 目录路径
+ * @returns {Promise<number | null>} - 剩余空间(GB)
+ */
+async function getFreeSpaceGB(dirPath) {
+  try {
+    return (await getDiskSpace(dirPath)).freeGB;
+  } catch (error) {
+    return null;
+  }
+}
+
 module.exports = {
-  getDiskSpace
+  getDiskSpace,
+  getFreeSpaceGB,
+  identifyDisk,
+  getDiskKey,
+  getThresholds
 };
\ No newline at end of file
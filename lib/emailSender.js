@@ -5,239 +5,120 @@
 
 const nodemailer = require('nodemailer');
 const config = require('../config');
-const { handleError } = require('../utils/handleError');
+const messages = require('./messages');
+const { renderHtml, renderText } = require('./messageRenderer');
+const logger = require('../utils/logger');
+
+/** @type {import('nodemailer').Transporter | null} */
+let transporter = null;
+let transporterKey = ''; // 创建传输器时的 SMTP 配置，配置热加载后据此重建
 
 /**
- * 创建邮件传输器
+ * 获取邮件传输器，SMTP 配置变化时重新创建
+ * @returns {import('nodemailer').Transporter}
  */
-const transporter = nodemailer.createTransport(config.email.smtp);
+function getTransporter() {
+  const key = JSON.stringify(config.email.smtp);
+  if (!transporter || key !== transporterKey) {
+    transporter?.close();
+    transporter = nodemailer.createTransport(config.email.smtp);
+    transporterKey = key;
+  }
+  return transporter;
+}
 
 /**
  * 发送邮件
  * @param {string} subject - 邮件主题
- * @param {string} content - 邮件内容
+ * @param {string} content - 邮件内容(HTML)
+ * @param {string} [text] - 纯文本内容
  * @returns {Promise<{messageId: string}>} - 发送结果，包含messageId
  */
-async function sendEmail(subject, content) {
+async function sendEmail(subject, content, text) {
   try {
     const mailOptions = {
       from: config.email.from,
       to: config.email.to.join(','),
       subject: subject,
-      html: content
+      html: content,
+      text
     };
     
-    const info = await transporter.sendMail(mailOptions);
-    console.log(`邮件发送成功: ${info.messageId}`);
+    const info = await getTransporter().sendMail(mailOptions);
+    logger.info(`邮件发送成功: ${info.messageId}`);
     return info;
   } catch (error) {
-    const { errMsg } = handleError(error);
-    console.error(`邮件发送失败: ${errMsg}`);
+    logger.error('邮件发送失败', { error });
     throw error;
   }
 }
 
+/**
+ * 邮件内容：主题、HTML 正文及纯文本正文
+ * @typedef {{subject: string, html: string, text: string}} EmailContent
+ */
+
+/**
+ * 将通知消息渲染为邮件内容
+ * @param {import('./messages').NotificationMessage} message - 通知消息
+ * @returns {EmailContent}
+ */
+function prepareEmail(message) {
+  return { subject: message.title, html: renderHtml(message), text: renderText(message) };
+}
+
 /**
  * 准备删除通知邮件内容
  * @param {Array<{path: string, sizeGB: number, mtime: number}>} dirsToDelete - 将要删除的目录列表
  * @param {{totalGB: number, freeGB: number, usedGB: number, usedPercentage: number}} spaceInfo - 磁盘空间信息
  * @param {number} minFreeSpaceGB - 最小剩余空间阈值
  * @param {number} deleteDelay - 删除延迟时间(小时)
- * @returns {string} - 格式化的HTML邮件内容
+ * @returns {EmailContent} - 邮件主题、HTML 及纯文本内容
  */
 function prepareDeleteEmail(dirsToDelete, spaceInfo, minFreeSpaceGB, deleteDelay) {
-  const totalSizeToFree = dirsToDelete.reduce((total, dir) => total + dir.sizeGB, 0);
-  
-  let dirListHtml = '';
-  dirsToDelete.forEach(dir => {
-    dirListHtml += `
-      <tr>
-        <td>${dir.path}</td>
-        <td>${dir.sizeGB.toFixed(2)} GB</td>
-        <td>${new Date(dir.mtime).toLocaleString()}</td>
-      </tr>
-    `;
-  });
-  
-  return `
-    <h2>磁盘空间不足警告</h2>
-    <p>系统检测到录制文件所在磁盘空间不足：</p>
-    <ul>
-      <li>当前剩余空间: <strong>${spaceInfo.freeGB.toFixed(2)} GB</strong></li>
-      <li>空间阈值: <strong>${minFreeSpaceGB} GB</strong></li>
-      <li>使用率: <strong>${spaceInfo.usedPercentage.toFixed(2)}%</strong></li>
-    </ul>
-    
-    <p>系统将在 <strong>${deleteDelay} 小时</strong> 后自动删除以下最早的录制文件目录，预计释放 <strong>${totalSizeToFree.toFixed(2)} GB</strong> 空间:</p>
-    
-    <table border="1" cellpadding="5" style="border-collapse: collapse;">
-      <tr>
-        <th>目录路径</th>
-        <th>大小</th>
-        <th>修改时间</th>
-      </tr>
-      ${dirListHtml}
-    </table>
-    
-    <p>如需保留这些文件，请在 ${deleteDelay} 小时内将其移动到其他位置。</p>
-    <p>此邮件由系统自动发送，请勿回复。</p>
-  `;
+  return prepareEmail(messages.buildDeleteMessage(dirsToDelete, spaceInfo, minFreeSpaceGB, deleteDelay));
 }
 
 /**
  * 准备删除完成通知邮件内容
  * @param {Array<{path: string, sizeGB: number, mtime: number}>} deletedDirs - 已删除的目录列表
  * @param {{totalGB: number, freeGB: number, usedGB: number, usedPercentage: number}} spaceInfo - 当前磁盘空间信息
- * @returns {string} - 格式化的HTML邮件内容
+ * @returns {EmailContent} - 邮件主题、HTML 及纯文本内容
  */
 function prepareCompletionEmail(deletedDirs, spaceInfo) {
-  const totalFreed = deletedDirs.reduce((total, dir) => total + dir.sizeGB, 0);
-  
-  let dirListHtml = '';
-  deletedDirs.forEach(dir => {
-    dirListHtml += `
-      <tr>
-        <td>${dir.path}</td>
-        <td>${dir.sizeGB.toFixed(2)} GB</td>
-      </tr>
-    `;
-  });
-  
-  return `
-    <h2>自动删除完成通知</h2>
-    <p>系统已完成自动删除操作：</p>
-    <ul>
-      <li>已删除目录数: <strong>${deletedDirs.length}</strong></li>
-      <li>释放空间: <strong>${totalFreed.toFixed(2)} GB</strong></li>
-      <li>当前剩余空间: <strong>${spaceInfo.freeGB.toFixed(2)} GB</strong></li>
-      <li>当前使用率: <strong>${spaceInfo.usedPercentage.toFixed(2)}%</strong></li>
-    </ul>
-    
-    <p>已删除的目录列表:</p>
-    <table border="1" cellpadding="5" style="border-collapse: collapse;">
-      <tr>
-        <th>目录路径</th>
-        <th>释放空间</th>
-      </tr>
-      ${dirListHtml}
-    </table>
-    
-    <p>此邮件由系统自动发送，请勿回复。</p>
-  `;
+  return prepareEmail(messages.buildCompletionMessage(deletedDirs, spaceInfo));
 }
 
 /**
  * 准备整合的删除通知邮件内容
  * @param {Array<{recordingsPath: string, spaceInfo: { freeGB: number, usedGB: number, usedPercentage: number }, dirsToDelete: Array<object>}>} triggeredResults - 触发警告的路径检查结果列表
- * @param {Array<{path: string, sizeGB: number, mtime: number}>} allDirsToDelete - 所有路径中需要删除的目录总列表
+ * @param {Array<{path: string, sizeGB: number, mtime: number, reason?: string}>} allDirsToDelete - 所有路径中需要删除的目录总列表
  * @param {number} minFreeSpaceGB - 最小剩余空间阈值
  * @param {number} deleteDelay - 删除延迟时间(小时)
- * @returns {string} - 格式化的HTML邮件内容
+ * @param {Array<{path: string, sizeGB: number, mtime: number, skipReason: string}>} [protectedDirs] - 受保护不会删除的目录列表
+ * @param {import('./messages').MessageApproval} [approval] - 计划需要人工审批时的审批截止时间及批准、拒绝、推迟链接
+ * @returns {EmailContent} - 邮件主题、HTML 及纯文本内容
  */
-function prepareConsolidatedDeleteEmail(triggeredResults, allDirsToDelete, minFreeSpaceGB, deleteDelay) {
-  const totalSizeToFree = allDirsToDelete.reduce((total, dir) => total + dir.sizeGB, 0);
-
-  let pathSummaryHtml = '';
-  triggeredResults.forEach(result => {
-    pathSummaryHtml += `
-      <h3>目录: ${result.recordingsPath}</h3>
-      <ul>
-        <li>当前剩余空间: <strong>${result.spaceInfo.freeGB.toFixed(2)} GB</strong></li>
-        <li>空间阈值: <strong>${minFreeSpaceGB} GB</strong></li>
-        <li>使用率: <strong>${result.spaceInfo.usedPercentage.toFixed(2)}%</strong></li>
-      </ul>
-    `;
-  });
-
-  let dirListHtml = '';
-  allDirsToDelete.forEach(dir => {
-    dirListHtml += `
-      <tr>
-        <td>${dir.path}</td>
-        <td>${dir.sizeGB.toFixed(2)} GB</td>
-        <td>${new Date(dir.mtime).toLocaleString()}</td>
-      </tr>
-    `;
-  });
-
-  return `
-    <h2>磁盘空间不足警告 (整合)</h2>
-    <p>系统检测到以下监控目录的磁盘空间不足：</p>
-    ${pathSummaryHtml}
-
-    <p>系统将在 <strong>${deleteDelay} 小时</strong> 后自动删除以下最早的录制文件目录，预计释放 <strong>${totalSizeToFree.toFixed(2)} GB</strong> 空间:</p>
-
-    <table border="1" cellpadding="5" style="border-collapse: collapse;">
-      <tr>
-        <th>目录路径</th>
-        <th>大小</th>
-        <th>修改时间</th>
-      </tr>
-      ${dirListHtml}
-    </table>
-
-    <p>如需保留这些文件，请在 ${deleteDelay} 小时内将其移动到其他位置。</p>
-    <p>此邮件由系统自动发送，请勿回复。</p>
-  `;
+function prepareConsolidatedDeleteEmail(triggeredResults, allDirsToDelete, minFreeSpaceGB, deleteDelay, protectedDirs = [], approval) {
+  return prepareEmail(messages.buildConsolidatedDeleteMessage(triggeredResults, allDirsToDelete, minFreeSpaceGB, deleteDelay, protectedDirs, approval));
 }
 
 /**
  * 准备整合的删除完成通知邮件内容
- * @param {Array<{path: string, sizeGB: number, mtime: number}>} deletedDirs - 已删除的目录列表
+ * @param {Array<{path: string, sizeGB: number, mtime: number, archivedTo?: string, quarantinedAs?: string}>} deletedDirs - 已删除(或已归档、移入回收站)的目录列表
  * @param {Array<{path: string, spaceInfo: { freeGB: number, usedGB: number, usedPercentage: number }}>} postDeletionSpaceChecks - 删除后各触发路径的磁盘空间信息
- * @returns {string} - 格式化的HTML邮件内容
+ * @param {Array<{path: string, sizeGB: number, mtime: number, skipReason: string}>} [skippedDirs] - 执行时跳过未删除的目录列表
+ * @returns {EmailContent} - 邮件主题、HTML 及纯文本内容
  */
-function prepareConsolidatedCompletionEmail(deletedDirs, postDeletionSpaceChecks) {
-  const totalFreed = deletedDirs.reduce((total, dir) => total + dir.sizeGB, 0);
-
-  let deletedDirListHtml = '';
-  deletedDirs.forEach(dir => {
-    deletedDirListHtml += `
-      <tr>
-        <td>${dir.path}</td>
-        <td>${dir.sizeGB.toFixed(2)} GB</td>
-      </tr>
-    `;
-  });
-
-  let postDeletionSummaryHtml = '';
-  postDeletionSpaceChecks.forEach(check => {
-    postDeletionSummaryHtml += `
-      <h3>目录: ${check.path}</h3>
-      <ul>
-        <li>删除后剩余空间: <strong>${check.spaceInfo.freeGB.toFixed(2)} GB</strong></li>
-        <li>删除后使用率: <strong>${check.spaceInfo.usedPercentage.toFixed(2)}%</strong></li>
-      </ul>
-    `;
-  });
-
-  return `
-    <h2>自动删除完成通知 (整合)</h2>
-    <p>系统已完成自动删除操作：</p>
-    <ul>
-      <li>已删除目录数: <strong>${deletedDirs.length}</strong></li>
-      <li>释放空间: <strong>${totalFreed.toFixed(2)} GB</strong></li>
-    </ul>
-
-    ${postDeletionSummaryHtml}
-
-    <p>已删除的目录列表:</p>
-    <table border="1" cellpadding="5" style="border-collapse: collapse;">
-      <tr>
-        <th>目录路径</th>
-        <th>释放空间</th>
-      </tr>
-      ${deletedDirListHtml}
-    </table>
-
-    <p>此邮件由系统自动发送，请勿回复。</p>
-  `;
+function prepareConsolidatedCompletionEmail(deletedDirs, postDeletionSpaceChecks, skippedDirs = []) {
+  return prepareEmail(messages.buildConsolidatedCompletionMessage(deletedDirs, postDeletionSpaceChecks, skippedDirs));
 }
 
 module.exports = {
   sendEmail,
+  prepareEmail,
   prepareDeleteEmail,
   prepareCompletionEmail,
   prepareConsolidatedDeleteEmail,
   prepareConsolidatedCompletionEmail
-};
\ No newline at end of file
+};
@@ -5,154 +5,568 @@
 
 const fs = require('fs-extra');
 const path = require('path');
+const { ArchiveFullError, archiveDirectory } = require('./archiver');
+const auditLog = require('./auditLog');
+const deletionEngine = require('./deletionEngine');
+const diskManager = require('./diskManager');
+const { localize } = require('./i18n');
+const { getNewestMtime, listOpenFilesForBatch, getInUseReason, partitionInUse } = require('./inUse');
+const metrics = require('./metrics');
+const { compilePattern, getProtectionReason, isMarkerFile } = require('./protection');
+const quarantine = require('./quarantine');
+const { compileTimestampPattern, parseRecordingTime } = require('./recordingTime');
+const sizeIndex = require('./sizeIndex');
+const { resolvePolicy, findTargetForPath, hasStandingRules } = require('./retentionPolicy');
 const { handleError } = require('../utils/handleError');
+const logger = require('../utils/logger');
 
 /**
- * 获取目录大小
- * @param {string} dirPath - 目录路径
- * @returns {Promise<number>} - 目录大小(字节)
+ * 获取删除单位的大小
+ * @param {{path: string, stats: fs.Stats}} unit - 目录或文件
+ * @returns {Promise<number>} - 大小(字节)
  */
-async function getDirSize(dirPath) {
+async function getUnitSize(unit) {
+  if (!unit.stats.isDirectory()) {
+    return sizeIndex.getFileSize(unit.stats);
+  }
   try {
-    const stats = await fs.stat(dirPath);
-    
-    if (!stats.isDirectory()) {
-      return stats.size;
-    }
-    
-    const files = await fs.readdir(dirPath);
-    const pathPromises = files.map(file => {
-      const filePath = path.join(dirPath, file);
-      return getDirSize(filePath);
-    });
-    
-    const sizes = await Promise.all(pathPromises);
-    return sizes.reduce((total, size) => total + size, 0);
+    return await sizeIndex.getDirSize(unit.path);
   } catch (error) {
-    console.error(`获取目录大小失败: ${handleError(error).errMsg}`);
+    logger.error(`获取目录大小失败 ${unit.path}`, { error });
     return 0; // 如果目录不存在或无法访问，返回0
   }
 }
 
 /**
- * 扫描目录并获取子目录信息
+ * 列出监控路径下第 depth 层的目录(跳过回收站目录和符号链接)
+ * @param {string} rootPath - 监控路径
+ * @param {number} depth - 层级，1 为监控路径下的子目录
+ * @returns {Promise<Array<{path: string, stats: fs.Stats}>>}
+ */
+async function listDirectoryUnits(rootPath, depth) {
+  /** @type {Array<{path: string, stats: fs.Stats}>} */
+  let units = [];
+  let parents = [rootPath];
+
+  for (let level = 1; level <= depth; level++) {
+    units = [];
+    for (const parent of parents) {
+      for (const item of await fs.readdir(parent)) {
+        if (level === 1 && item === quarantine.getTrashDirName()) {
+          continue;
+        }
+        const itemPath = path.join(parent, item);
+        // 不跟随符号链接：链接指向的不是本路径下的录制，指向上级目录时还会导致无限递归
+        const stats = await fs.lstat(itemPath);
+        if (stats.isSymbolicLink()) {
+          logger.debug(`${itemPath}: 符号链接，跳过`);
+        } else if (stats.isDirectory()) {
+          units.push({ path: itemPath, stats });
+        }
+      }
+    }
+    parents = units.map(unit => unit.path);
+  }
+
+  return units;
+}
+
+/**
+ * 文件是否匹配文件名规则(规则为空时匹配所有文件)
+ * @param {string} relativePath - 相对于监控路径的文件路径
+ * @param {Array<{regex: RegExp, matchBaseName: boolean}>} matchers - 文件名规则
+ * @returns {boolean}
+ */
+function matchesFilePatterns(relativePath, matchers) {
+  const normalized = relativePath.replace(/\\/g, '/');
+  return matchers.length === 0
+    || matchers.some(({ regex, matchBaseName }) => regex.test(matchBaseName ? path.posix.basename(normalized) : normalized));
+}
+
+/**
+ * 递归列出监控路径下的录制文件(跳过回收站目录、保护标记文件和符号链接)
+ * @param {string} rootPath - 监控路径
+ * @param {Array<{regex: RegExp, matchBaseName: boolean}>} matchers - 文件名规则，为空表示所有文件
+ * @param {string} [relativeDir] - 当前相对目录
+ * @returns {Promise<Array<{path: string, stats: fs.Stats}>>}
+ */
+async function listFileUnits(rootPath, matchers, relativeDir = '') {
+  /** @type {Array<{path: string, stats: fs.Stats}>} */
+  const units = [];
+
+  for (const item of await fs.readdir(path.join(rootPath, relativeDir))) {
+    if (!relativeDir && item === quarantine.getTrashDirName()) {
+      continue;
+    }
+    const relativePath = path.join(relativeDir, item);
+    const itemPath = path.join(rootPath, relativePath);
+    const stats = await fs.lstat(itemPath);
+
+    if (stats.isSymbolicLink()) {
+      logger.debug(`${itemPath}: 符号链接，跳过`);
+    } else if (stats.isDirectory()) {
+      units.push(...await listFileUnits(rootPath, matchers, relativePath));
+    } else if (!isMarkerFile(item) && matchesFilePatterns(relativePath, matchers)) {
+      units.push({ path: itemPath, stats });
+    }
+  }
+
+  return units;
+}
+
+/**
+ * 扫描监控路径，获取删除单位(目录或文件)的信息
+ * directory 模式以第 depth 层目录为单位，file 模式以单个文件为单位(可用 filePatterns 限定文件名)；
+ * 名称匹配 timestampPatterns 时以解析出的录制时间作为 mtime，否则使用修改时间
  * @param {string} dirPath - 要扫描的目录路径
- * @returns {Promise<Array<{path: string, sizeGB: number, mtime: number}>>} - 子目录信息数组，包含路径、大小和修改时间
+ * @param {import('./retentionPolicy').ScanConfig} [scan] - 扫描方式，默认使用全局配置
+ * @returns {Promise<Array<{path: string, sizeGB: number, mtime: number}>>} - 删除单位信息数组，包含路径、大小和录制时间
  */
-async function scanDirectories(dirPath) {
+async function scanDirectories(dirPath, scan = resolvePolicy().scan) {
+  const startedAt = Date.now();
   try {
     // 确保目录存在
     if (!await fs.pathExists(dirPath)) {
-      console.error(`目录不存在: ${dirPath}`);
+      logger.warn(`目录不存在: ${dirPath}`);
       return [];
     }
     
-    // 读取目录内容
-    const items = await fs.readdir(dirPath);
-    const dirInfoPromises = [];
+    const timestampPatterns = scan.timestampPatterns.map(compileTimestampPattern);
+    const units = scan.mode === 'file'
+      ? await listFileUnits(dirPath, scan.filePatterns.map(compilePattern))
+      : await listDirectoryUnits(dirPath, scan.depth);
     
-    // 过滤出子目录
-    for (const item of items) {
-      const itemPath = path.join(dirPath, item);
-      const stats = await fs.stat(itemPath);
+    // 各目录并行计算大小，文件系统操作的并发数由大小索引模块限制
+    const dirInfoPromises = await Promise.all(units.map(async unit => {
+      const sizeBytes = await getUnitSize(unit);
+      const sizeGB = sizeBytes / (1024 * 1024 * 1024); // 转换为GB
+      const recordedAt = parseRecordingTime(path.relative(dirPath, unit.path), timestampPatterns);
       
-      if (stats.isDirectory()) {
-        // 计算目录大小
-        const sizeBytes = await getDirSize(itemPath);
-        const sizeGB = sizeBytes / (1024 * 1024 * 1024); // 转换为GB
-        
-        dirInfoPromises.push({
-          path: itemPath,
-          sizeGB: sizeGB,
-          mtime: stats.mtime.getTime() // 获取修改时间的时间戳
-        });
-      }
-    }
+      return {
+        path: unit.path,
+        sizeGB: sizeGB,
+        mtime: recordedAt === null ? unit.stats.mtime.getTime() : recordedAt // 录制时间，无法从名称解析时使用修改时间
+      };
+    }));
+    await sizeIndex.save();
     
+    metrics.recordScanDuration(dirPath, (Date.now() - startedAt) / 1000);
     // 按修改时间排序（最早的在前）
     return dirInfoPromises.sort((a, b) => a.mtime - b.mtime);
   } catch (error) {
-    console.error(`扫描目录失败: ${handleError(error).errMsg}`);
+    logger.error('扫描目录失败', { error });
     return [];
   }
 }
 
+/**
+ * 按保留策略和剩余空间规则从候选目录中选择要删除的目录
+ * @param {Array<{path: string, sizeGB: number, mtime: number}>} candidates - 可删除的目录(最早的在前)
+ * @param {number} totalSizeGB - 监控路径中所有目录的总大小(GB)
+ * @param {number} spaceToFreeGB - 需要释放的空间(GB)
+ * @param {import('./retentionPolicy').RetentionPolicy} policy - 路径的保留策略
+ * @returns {Map<string, 'space' | 'age' | 'quota'>} - 选中的目录及选中原因
+ */
+function selectDirs(candidates, totalSizeGB, spaceToFreeGB, policy) {
+  /** @type {Map<string, 'space' | 'age' | 'quota'>} */
+  const reasons = new Map();
+  let totalSizeToFree = 0;
+  
+  // 超过最长保留天数的目录
+  if (policy.maxAgeDays > 0) {
+    const cutoff = Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000;
+    for (const dir of candidates) {
+      if (dir.mtime < cutoff) {
+        reasons.set(dir.path, 'age');
+        totalSizeToFree += dir.sizeGB;
+      }
+    }
+  }
+  
+  // 超出空间配额时删除最早的目录
+  if (policy.maxSizeGB > 0) {
+    const overQuotaGB = totalSizeGB - policy.maxSizeGB;
+    for (const dir of candidates) {
+      if (totalSizeToFree >= overQuotaGB) {
+        break;
+      }
+      if (!reasons.has(dir.path)) {
+        reasons.set(dir.path, 'quota');
+        totalSizeToFree += dir.sizeGB;
+      }
+    }
+  }
+  
+  // 按剩余空间规则继续选择最早的目录
+  for (const dir of candidates) {
+    // 如果已经达到目标释放空间，停止添加
+    if (totalSizeToFree >= spaceToFreeGB) {
+      break;
+    }
+    if (!reasons.has(dir.path)) {
+      reasons.set(dir.path, 'space');
+      totalSizeToFree += dir.sizeGB;
+    }
+  }
+  
+  return reasons;
+}
+
 /**
  * 获取需要删除的目录列表
+ * 除剩余空间规则外，还会按路径的保留策略选择目录：
+ * 超过最长保留天数的目录、超出空间配额的最早目录，且始终保留最新的 minKeepDirs 个目录；
+ * 受保护的目录(标记文件、排除规则、固定保留)及仍在写入的目录不会被选中，单独返回供通知展示
  * @param {string} recordingsPath - 录制文件根目录
  * @param {number} currentFreeGB - 当前剩余空间(GB)
  * @param {number} minFreeSpaceGB - 最小剩余空间阈值(GB)
  * @param {number} bufferPercentage - 缓冲百分比
- * @returns {Promise<Array<{path: string, sizeGB: number, mtime: number}>>} - 需要删除的目录列表
+ * @param {import('./retentionPolicy').RetentionPolicy} [policy] - 路径的保留策略
+ * @returns {Promise<{
+ *   dirsToDelete: Array<{path: string, sizeGB: number, mtime: number, reason: 'space' | 'age' | 'quota'}>,
+ *   protectedDirs: import('./planStore').SkippedDir[]
+ * }>} - 需要删除的目录列表(最早的在前，reason 为选中原因)及受保护或仍在写入的目录列表
  */
-async function getDirectoriesToDelete(recordingsPath, currentFreeGB, minFreeSpaceGB, bufferPercentage) {
+async function getDirectoriesToDelete(recordingsPath, currentFreeGB, minFreeSpaceGB, bufferPercentage, policy = resolvePolicy()) {
   try {
     // 计算需要释放的空间
     const targetFreeGB = minFreeSpaceGB * (1 + bufferPercentage / 100);
     const spaceToFreeGB = targetFreeGB - currentFreeGB;
     
-    // 如果不需要释放空间，返回空数组
-    if (spaceToFreeGB <= 0) {
-      return [];
+    // 如果不需要释放空间且没有按时间/配额删除的规则，返回空数组
+    if (spaceToFreeGB <= 0 && !hasStandingRules(policy)) {
+      return { dirsToDelete: [], protectedDirs: [] };
     }
     
-    console.log(`需要释放 ${spaceToFreeGB.toFixed(2)}GB 空间以达到目标剩余空间 ${targetFreeGB.toFixed(2)}GB`);
+    if (spaceToFreeGB > 0) {
+      logger.info(`需要释放 ${spaceToFreeGB.toFixed(2)}GB 空间以达到目标剩余空间 ${targetFreeGB.toFixed(2)}GB`);
+    }
     
     // 获取所有子目录信息
-    const allDirs = await scanDirectories(recordingsPath);
+    const allDirs = await scanDirectories(recordingsPath, policy.scan);
     
     if (allDirs.length === 0) {
-      console.log('没有找到可删除的目录');
-      return [];
+      logger.info('没有找到可删除的目录');
+      return { dirsToDelete: [], protectedDirs: [] };
     }
     
-    // 按修改时间排序（最早的在前）
+    // 按修改时间排序（最早的在前），最新的 minKeepDirs 个目录不参与删除
     const sortedDirs = allDirs.sort((a, b) => a.mtime - b.mtime);
+    const unkeptDirs = sortedDirs.slice(0, Math.max(sortedDirs.length - policy.minKeepDirs, 0));
+    if (unkeptDirs.length < sortedDirs.length) {
+      logger.info(`${recordingsPath}: 保留最新的 ${sortedDirs.length - unkeptDirs.length} 个目录`);
+    }
     
-    // 选择要删除的目录
-    const dirsToDelete = [];
-    let totalSizeToFree = 0;
-    
+    // 排除受保护的目录
+    /** @type {Array<{path: string, sizeGB: number, mtime: number}>} */
+    let candidates = [];
+    const protectedDirs = [];
     for (const dir of sortedDirs) {
-      dirsToDelete.push(dir);
-      totalSizeToFree += dir.sizeGB;
-      
-      // 如果已经达到目标释放空间，停止添加
-      if (totalSizeToFree >= spaceToFreeGB) {
+      const skipReasonCode = await getProtectionReason(dir.path);
+      if (skipReasonCode) {
+        const skipReason = localize(skipReasonCode);
+        logger.info(`${dir.path}: 受保护，跳过 (${skipReason})`);
+        protectedDirs.push({ ...dir, skipReason, skipReasonCode });
+      } else if (unkeptDirs.includes(dir)) {
+        candidates.push(dir);
+      }
+    }
+    
+    const totalSizeGB = sortedDirs.reduce((total, dir) => total + dir.sizeGB, 0);
+    if (policy.maxSizeGB > 0 && totalSizeGB > policy.maxSizeGB) {
+      logger.info(`${recordingsPath}: 占用 ${totalSizeGB.toFixed(2)}GB，超出配额 ${policy.maxSizeGB}GB`);
+    }
+    
+    // 只检查选中的目录是否仍在写入，跳过仍在写入的目录后重新选择，直到选中的目录都已写入完成
+    let reasons = selectDirs(candidates, totalSizeGB, spaceToFreeGB, policy);
+    /** @type {Set<string>} */
+    const checkedPaths = new Set();
+    for (;;) {
+      const uncheckedDirs = candidates.filter(dir => reasons.has(dir.path) && !checkedPaths.has(dir.path));
+      uncheckedDirs.forEach(dir => checkedPaths.add(dir.path));
+      const { inUseDirs } = await partitionInUse(uncheckedDirs);
+      if (inUseDirs.length === 0) {
         break;
       }
+      for (const dir of inUseDirs) {
+        logger.info(`${dir.path}: 跳过 (${dir.skipReason})`);
+        protectedDirs.push(dir);
+      }
+      const inUsePaths = new Set(inUseDirs.map(dir => dir.path));
+      candidates = candidates.filter(dir => !inUsePaths.has(dir.path));
+      reasons = selectDirs(candidates, totalSizeGB, spaceToFreeGB, policy);
     }
     
-    return dirsToDelete;
+    const dirsToDelete = candidates
+      .filter(dir => reasons.has(dir.path))
+      .map(dir => ({ ...dir, reason: reasons.get(dir.path) || 'space' }));
+    
+    return { dirsToDelete, protectedDirs };
   } catch (error) {
-    console.error(`获取要删除的目录列表失败: ${handleError(error).errMsg}`);
-    return [];
+    logger.error('获取要删除的目录列表失败', { error });
+    return { dirsToDelete: [], protectedDirs: [] };
   }
 }
 
 /**
- * 删除指定的目录列表
- * @param {Array<{path: string, sizeGB: number, mtime: number}>} directories - 要删除的目录列表
- * @returns {Promise<Array<{path: string, sizeGB: number, mtime: number}>>} - 成功删除的目录列表
+ * 检查计划中的目录(或文件)在计划生成后是否已被移走、删除或修改
+ * @param {{path: string}} dir - 计划中的目录
+ * @param {number} plannedAt - 计划生成时间(毫秒)
+ * @returns {Promise<import('./i18n').LocalizedText | null>} - 已变化时返回原因(显示时按通知语言本地化)，否则返回 null
  */
-async function deleteDirectories(directories) {
+async function getChangeReason(dir, plannedAt) {
+  if (!await fs.pathExists(dir.path)) {
+    return { key: 'skipReason.removed' };
+  }
+  try {
+    const newestMtime = await getNewestMtime(dir.path);
+    if (newestMtime > plannedAt) {
+      return { key: 'skipReason.changed', times: { time: newestMtime } };
+    }
+  } catch (error) {
+    logger.warn(`检查 ${dir.path} 是否有变化失败`, { error });
+  }
+  return null;
+}
+
+/**
+ * 清理单个目录：按策略归档、移入回收站或直接删除，不在任何监控路径内的目录拒绝处理
+ * @param {{path: string, sizeGB: number, mtime: number}} dir - 要清理的目录
+ * @param {import('./retentionPolicy').RecordingsTarget | null} target - 目录所属的监控路径
+ * @param {string} [planId] - 所属删除计划，记入删除日志
+ * @returns {Promise<{event: 'archived' | 'quarantined' | 'deleted' | 'failed', archivedTo?: string, quarantinedAs?: string, error?: unknown}>}
+ */
+async function cleanupDirectory(dir, target, planId) {
+  if (!target) {
+    const error = new deletionEngine.UnsafeDeletionError(`${dir.path} 不在任何监控路径内，拒绝删除`);
+    logger.error(error.message);
+    return { event: 'failed', error };
+  }
+  const archiveConfig = target.policy.action === 'archive' ? target.policy.archive : null;
+
+  if (archiveConfig) {
+    try {
+      logger.info(`归档目录: ${dir.path} -> ${archiveConfig.target}`);
+      const archivedTo = await archiveDirectory(dir, target.path, archiveConfig);
+      logger.info(`归档完成: ${archivedTo}`, { path: dir.path, archivedTo });
+      return { event: 'archived', archivedTo };
+    } catch (error) {
+      if (!(error instanceof ArchiveFullError)) {
+        logger.error(`归档目录失败，保留源目录 ${dir.path}`, { error });
+        return { event: 'failed', error };
+      }
+      logger.warn(`${handleError(error).msg}，回退为直接删除 ${dir.path}`);
+    }
+  }
+
+  try {
+    if (quarantine.isEnabled()) {
+      const entry = await quarantine.quarantineDirectory(dir, target.path);
+      logger.info(`目录已移入回收站: ${dir.path} -> ${entry.trashPath}`, { path: dir.path, trashPath: entry.trashPath });
+      return { event: 'quarantined', quarantinedAs: entry.trashPath };
+    }
+
+    logger.info(`删除目录: ${dir.path}`, { path: dir.path, sizeGB: dir.sizeGB });
+    await deletionEngine.removeUnit(dir, target.path, { planId });
+    return { event: 'deleted' };
+  } catch (error) {
+    logger.error(`删除目录失败 ${dir.path}`, { error });
+    return { event: 'failed', error };
+  }
+}
+
+/**
+ * 删除单位移走后，逐级删除已变空的上级目录(不包括监控路径本身)
+ * 用于 YYYY/MM/DD 等多层结构或按文件删除，避免留下空目录
+ * @param {string} unitPath - 已移走的目录或文件
+ * @param {string} rootPath - 所属监控路径
+ * @returns {Promise<void>}
+ */
+async function removeEmptyParents(unitPath, rootPath) {
+  const root = path.resolve(rootPath);
+  let current = path.dirname(path.resolve(unitPath));
+
+  while (current.startsWith(`${root}${path.sep}`)) {
+    try {
+      if ((await fs.readdir(current)).length > 0) {
+        return;
+      }
+      await fs.rmdir(current);
+      logger.info(`删除空目录: ${current}`);
+    } catch (error) {
+      logger.warn(`删除空目录失败 ${current}: ${handleError(error).msg}`);
+      return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+/**
+ * 按删除前后的磁盘剩余空间计算实际释放的空间，期间仍在写入的录制会使结果偏小，不会小于 0
+ * @param {number | null} freeBeforeGB - 删除前的剩余空间(GB)
+ * @param {number | null} freeAfterGB - 删除后的剩余空间(GB)
+ * @returns {number | undefined} - 无法获取剩余空间时返回 undefined
+ */
+function measureReclaimed(freeBeforeGB, freeAfterGB) {
+  return freeBeforeGB === null || freeAfterGB === null ? undefined : Math.max(freeAfterGB - freeBeforeGB, 0);
+}
+
+/**
+ * 继续删除上次中途失败或被中断的目录(删除日志中保留的条目)
+ * 这些目录已删除了一部分，不再归档或移入回收站，仍在写入时暂不处理
+ * @param {{dryRun?: boolean}} [options] - dryRun 为 true 时只报告
+ * @returns {Promise<string[]>} - 已(或演练模式下将)删除完成的路径
+ */
+async function resumeInterruptedDeletions({ dryRun = false } = {}) {
+  const resumed = [];
+
+  for (const entry of await deletionEngine.listInterrupted()) {
+    if (deletionEngine.isStopping()) {
+      break;
+    }
+    if (dryRun) {
+      logger.info(`[演练] 将继续删除未完成的目录: ${entry.path}`);
+      resumed.push(entry.path);
+      continue;
+    }
+    // 已删除的文件会更新所在目录的修改时间，只按文件判断是否仍在写入
+    const inUseReason = await getInUseReason(entry.path, undefined, { filesOnly: true });
+    if (inUseReason) {
+      logger.warn(`${entry.path}: 暂不继续删除 (${localize(inUseReason)})`);
+      continue;
+    }
+
+    logger.info(`继续删除${entry.status === 'failed' ? '失败' : '中断'}的目录: ${entry.path} (第 ${entry.attempts + 1} 次)`);
+    const freeBeforeGB = await diskManager.getFreeSpaceGB(entry.rootPath);
+    /** @type {unknown} */
+    let error;
+    try {
+      await deletionEngine.removeUnit(entry, entry.rootPath, { planId: entry.planId });
+    } catch (removeError) {
+      logger.error(`继续删除目录失败 ${entry.path}`, { error: removeError });
+      error = removeError;
+    }
+    const freeAfterGB = await diskManager.getFreeSpaceGB(entry.rootPath);
+
+    auditLog.record(error === undefined ? 'deleted' : 'failed', {
+      planId: entry.planId,
+      trigger: 'resume',
+      path: entry.path,
+      sizeGB: entry.sizeGB,
+      mtime: entry.mtime,
+      freeBeforeGB,
+      freeAfterGB,
+      reclaimedGB: measureReclaimed(freeBeforeGB, freeAfterGB),
+      error: error === undefined ? undefined : handleError(error).msg
+    });
+    if (error === undefined) {
+      sizeIndex.forget(entry.path);
+      await removeEmptyParents(entry.path, entry.rootPath);
+      resumed.push(entry.path);
+    }
+  }
+
+  return resumed;
+}
+
+/**
+ * 删除(或按路径策略归档)指定的目录列表
+ * 归档失败时保留源目录；仅当归档位置空间不足时回退为删除。
+ * 开启回收站时，删除改为移入回收站，宽限期后再由回收站模块彻底删除。
+ * 处理每个目录前都会再次检查其是否仍在写入(进程打开的文件在开始时读取一次)，仍在写入的目录跳过不删除。
+ * 服务停止时完成当前目录后不再处理其余目录(interrupted 为 true)。
+ * 每个目录的处理结果、前后的磁盘剩余空间及实际释放的空间都会写入审计日志
+ * @param {Array<{path: string, sizeGB: number, mtime: number, reason?: string}>} directories - 要删除的目录列表
+ * @param {{dryRun?: boolean, planId?: string, trigger?: string}} [options] - dryRun 为 true 时只报告将删除的目录，不实际删除；planId、trigger 记入审计日志
+ * @returns {Promise<{
+ *   deletedDirs: Array<{path: string, sizeGB: number, mtime: number, archivedTo?: string, quarantinedAs?: string, reclaimedGB?: number}>,
+ *   skippedDirs: import('./planStore').SkippedDir[],
+ *   interrupted: boolean
+ * }>} - 成功删除(演练模式下为将要删除)的目录列表，已归档或移入回收站的目录带有对应路径，reclaimedGB 为按删除前后磁盘剩余空间测得的释放空间；因仍在写入而跳过的目录列表；以及是否因服务停止未处理完所有目录
+ */
+async function deleteDirectories(directories, { dryRun = false, planId, trigger } = {}) {
   const deletedDirs = [];
+  const skippedDirs = [];
+  let interrupted = false;
+  // 所有目录共用同一次读取的打开文件列表(静默期仍逐个检查)
+  const { openFiles, failure } = directories.length > 0 ? await listOpenFilesForBatch() : { openFiles: null, failure: null };
   
-  for (const dir of directories) {
-    try {
-      console.log(`删除目录: ${dir.path}`);
-      await fs.remove(dir.path);
+  for (const [index, dir] of directories.entries()) {
+    if (!dryRun && deletionEngine.isStopping()) {
+      logger.info(`服务正在停止，其余 ${directories.length - index} 个目录暂不删除`);
+      interrupted = true;
+      break;
+    }
+
+    const target = findTargetForPath(dir.path);
+
+    const skipReasonCode = failure || await getInUseReason(dir.path, openFiles);
+    if (skipReasonCode) {
+      const skipReason = localize(skipReasonCode);
+      logger.warn(`${dryRun ? '[演练] ' : ''}${dir.path}: 跳过删除 (${skipReason})`);
+      skippedDirs.push({ path: dir.path, sizeGB: dir.sizeGB, mtime: dir.mtime, skipReason, skipReasonCode });
+      if (!dryRun) {
+        auditLog.record('skipped', { planId, trigger, path: dir.path, sizeGB: dir.sizeGB, mtime: dir.mtime, skipReason });
+      }
+      continue;
+    }
+
+    if (dryRun) {
+      if (target && target.policy.action === 'archive') {
+        logger.info(`[演练] 将归档目录: ${dir.path} (${dir.sizeGB.toFixed(2)}GB) -> ${target.policy.archive.target}`);
+      } else if (target && quarantine.isEnabled()) {
+        logger.info(`[演练] 将移入回收站: ${dir.path} (${dir.sizeGB.toFixed(2)}GB)`);
+      } else {
+        logger.info(`[演练] 将删除目录: ${dir.path} (${dir.sizeGB.toFixed(2)}GB)`);
+      }
       deletedDirs.push(dir);
-    } catch (error) {
-      console.error(`删除目录失败 ${dir.path}: ${handleError(error).errMsg}`);
+      continue;
+    }
+
+    const diskPath = target ? target.path : path.dirname(dir.path);
+    const freeBeforeGB = await diskManager.getFreeSpaceGB(diskPath);
+    const { event, archivedTo, quarantinedAs, error } = await cleanupDirectory(dir, target, planId);
+    const freeAfterGB = await diskManager.getFreeSpaceGB(diskPath);
+    const reclaimedGB = measureReclaimed(freeBeforeGB, freeAfterGB);
+    metrics.recordCleanup(event, dir.sizeGB, target ? target.path : '');
+    if (event !== 'failed') {
+      sizeIndex.forget(dir.path);
+      if (target) {
+        await removeEmptyParents(dir.path, target.path);
+      }
+    }
+
+    auditLog.record(event, {
+      planId,
+      trigger,
+      path: dir.path,
+      sizeGB: dir.sizeGB,
+      mtime: dir.mtime,
+      reason: dir.reason,
+      freeBeforeGB,
+      freeAfterGB,
+      reclaimedGB,
+      archivedTo,
+      quarantinedAs,
+      error: error === undefined ? undefined : handleError(error).msg
+    });
+
+    if (event === 'archived') {
+      deletedDirs.push({ ...dir, archivedTo, reclaimedGB });
+    } else if (event === 'quarantined') {
+      deletedDirs.push({ ...dir, quarantinedAs, reclaimedGB });
+    } else if (event === 'deleted') {
+      deletedDirs.push({ ...dir, reclaimedGB });
     }
   }
   
-  return deletedDirs;
+  return { deletedDirs, skippedDirs, interrupted };
 }
 
 module.exports = {
   scanDirectories,
   getDirectoriesToDelete,
-  deleteDirectories
+  getChangeReason,
+  deleteDirectories,
+  resumeInterruptedDeletions
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+/**
+ * 磁盘写满预测模块
+ * 负责记录各磁盘剩余空间的历史采样，计算写入速度(GB/天)并预测何时降到阈值以下，供提前预警和通知使用
+ */
+
+const config = require('../config');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const HISTORY_FILE = 'disk-history.json';
+const MIN_SAMPLE_INTERVAL_MS = 5 * 60 * 1000; // 同一磁盘两次采样的最短间隔，避免频繁的命令行检查产生过密采样
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_FORECAST = {
+  enabled: true,
+  windowDays: 7,
+  minHistoryHours: 24,
+  warnDays: 3,
+  repeatHours: 24
+};
+
+/**
+ * @typedef {{time: number, freeGB: number}} SpaceSample
+ * @typedef {{samples: SpaceSample[], warnedAt?: number}} DiskHistory
+ * @typedef {{
+ *   fillRateGBPerDay: number,
+ *   daysUntilThreshold: number | null,
+ *   thresholdAt: number | null,
+ *   daysAfterDeletion?: number | null
+ * }} DiskForecast
+ */
+
+/**
+ * 读取预测配置
+ * @returns {{enabled: boolean, windowDays: number, minHistoryHours: number, warnDays: number, repeatHours: number}}
+ */
+function getForecastConfig() {
+  return { ...DEFAULT_FORECAST, ...(config.forecast || {}) };
+}
+
+/**
+ * 读取所有磁盘的采样历史
+ * @returns {Promise<Record<string, DiskHistory>>}
+ */
+async function loadHistory() {
+  /** @type {{disks: Record<string, DiskHistory>}} */
+  const data = await readJsonFile(resolveDataFile(HISTORY_FILE), { disks: {} });
+  return data.disks || {};
+}
+
+/**
+ * 保存采样历史
+ * @param {Record<string, DiskHistory>} disks - 各磁盘的采样历史
+ * @returns {Promise<void>}
+ */
+async function saveHistory(disks) {
+  await writeJsonFile(resolveDataFile(HISTORY_FILE), { disks });
+}
+
+/**
+ * 记录一次剩余空间采样，只保留统计窗口内的采样
+ * @param {string} diskKey - 磁盘标识
+ * @param {number} freeGB - 当前剩余空间(GB)
+ * @returns {Promise<void>}
+ */
+async function recordSample(diskKey, freeGB) {
+  const disks = await loadHistory();
+  const history = disks[diskKey] || { samples: [] };
+  const now = Date.now();
+  const last = history.samples[history.samples.length - 1];
+  if (last && now - last.time < MIN_SAMPLE_INTERVAL_MS) {
+    return;
+  }
+
+  const cutoff = now - getForecastConfig().windowDays * DAY_MS;
+  history.samples = [...history.samples.filter(sample => sample.time >= cutoff), { time: now, freeGB }];
+  disks[diskKey] = history;
+  await saveHistory(disks);
+}
+
+/**
+ * 获取磁盘在统计窗口内的剩余空间采样(最早的在前)
+ * @param {string} diskKey - 磁盘标识
+ * @returns {Promise<SpaceSample[]>}
+ */
+async function getSamples(diskKey) {
+  const disks = await loadHistory();
+  return (disks[diskKey] || { samples: [] }).samples;
+}
+
+/**
+ * 按当前写入速度估算剩余空间降到阈值以下所需的天数
+ * @param {number} freeGB - 剩余空间(GB)
+ * @param {number} thresholdGB - 空间阈值(GB)
+ * @param {number} fillRateGBPerDay - 写入速度(GB/天)
+ * @returns {number | null} - 天数(已低于阈值时为 0)，空间没有在减少时返回 null
+ */
+function estimateDays(freeGB, thresholdGB, fillRateGBPerDay) {
+  if (fillRateGBPerDay <= 0) {
+    return null;
+  }
+  return Math.max(freeGB - thresholdGB, 0) / fillRateGBPerDay;
+}
+
+/**
+ * 根据统计窗口内的采样预测磁盘何时降到阈值以下
+ * 写入速度只累计剩余空间的减少量，删除或归档造成的空间回升不会抵消写入
+ * @param {string} diskKey - 磁盘标识
+ * @param {number} freeGB - 当前剩余空间(GB)
+ * @param {number} thresholdGB - 空间阈值(GB)
+ * @returns {Promise<DiskForecast | null>} - 未开启预测或采样不足 minHistoryHours 时返回 null
+ */
+async function getForecast(diskKey, freeGB, thresholdGB) {
+  const { enabled, windowDays, minHistoryHours } = getForecastConfig();
+  if (!enabled) {
+    return null;
+  }
+
+  const now = Date.now();
+  const disks = await loadHistory();
+  const samples = ((disks[diskKey] || { samples: [] }).samples)
+    .filter(sample => sample.time >= now - windowDays * DAY_MS && sample.time < now);
+  samples.push({ time: now, freeGB });
+
+  const spanMs = now - samples[0].time;
+  if (spanMs < minHistoryHours * 60 * 60 * 1000) {
+    return null;
+  }
+
+  let consumedGB = 0;
+  for (let i = 1; i < samples.length; i++) {
+    consumedGB += Math.max(samples[i - 1].freeGB - samples[i].freeGB, 0);
+  }
+  const fillRateGBPerDay = consumedGB / (spanMs / DAY_MS);
+  const daysUntilThreshold = estimateDays(freeGB, thresholdGB, fillRateGBPerDay);
+
+  return {
+    fillRateGBPerDay,
+    daysUntilThreshold,
+    thresholdAt: daysUntilThreshold === null ? null : now + daysUntilThreshold * DAY_MS
+  };
+}
+
+/**
+ * 是否需要发送提前预警：预计在 warnDays 天内降到阈值以下，且距离上次预警超过 repeatHours
+ * @param {string} diskKey - 磁盘标识
+ * @param {DiskForecast | null} diskForecast - 预测结果
+ * @returns {Promise<boolean>}
+ */
+async function shouldWarn(diskKey, diskForecast) {
+  const { warnDays, repeatHours } = getForecastConfig();
+  const disks = await loadHistory();
+  const history = disks[diskKey];
+  const approaching = Boolean(diskForecast && diskForecast.daysUntilThreshold !== null && diskForecast.daysUntilThreshold <= warnDays);
+
+  if (!approaching) {
+    // 趋势缓解后清除预警记录，再次接近阈值时立即预警(演练模式下不修改)
+    if (history && history.warnedAt && !config.dryRun) {
+      delete history.warnedAt;
+      await saveHistory(disks);
+    }
+    return false;
+  }
+  return !history || !history.warnedAt || Date.now() - history.warnedAt >= repeatHours * 60 * 60 * 1000;
+}
+
+/**
+ * 记录已发送提前预警
+ * @param {string} diskKey - 磁盘标识
+ * @returns {Promise<void>}
+ */
+async function markWarned(diskKey) {
+  const disks = await loadHistory();
+  disks[diskKey] = { ...(disks[diskKey] || { samples: [] }), warnedAt: Date.now() };
+  await saveHistory(disks);
+}
+
+module.exports = {
+  recordSample,
+  getSamples,
+  estimateDays,
+  getForecast,
+  shouldWarn,
+  markWarned
+};
@@ -0,0 +1,453 @@
+/**
+ * HTTP 状态接口模块
+ * 提供磁盘空间、删除计划、运行记录的 JSON 接口，查看和操作删除计划的面板页面，以及删除审批链接的确认页面
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const config = require('../config');
+const approval = require('./approval');
+const configLoader = require('./configLoader');
+const diskManager = require('./diskManager');
+const forecast = require('./forecast');
+const { getLocale, t, formatSize, formatTime } = require('./i18n');
+const { escapeHtml } = require('./messageRenderer');
+const metricsExporter = require('./metricsExporter');
+const monitor = require('./monitor');
+const notificationQueue = require('./notificationQueue');
+const planStore = require('./planStore');
+const retentionPolicy = require('./retentionPolicy');
+const runHistory = require('./runHistory');
+const spaceLevels = require('./spaceLevels');
+const { handleError } = require('../utils/handleError');
+const logger = require('../utils/logger');
+
+const DEFAULT_HTTP = {
+  enabled: false,
+  host: '127.0.0.1',
+  port: 8377,
+  token: ''
+};
+
+const MAX_BODY_BYTES = 64 * 1024; // 请求体大小上限
+const DASHBOARD_FILE = path.join(__dirname, '..', 'public', 'dashboard.html');
+
+/**
+ * @typedef {{method: string, pathname: string, query: URLSearchParams, body: Record<string, any>}} ApiRequest
+ * @typedef {(request: ApiRequest) => Promise<{statusCode?: number, data: unknown}>} RouteHandler
+ */
+
+/**
+ * 带 HTTP 状态码的错误，由请求处理器抛出后直接返回给客户端
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP 状态码
+   * @param {string} message - 错误信息
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 读取 HTTP 配置
+ * @returns {{enabled: boolean, host: string, port: number, token: string}}
+ */
+function getHttpConfig() {
+  return { ...DEFAULT_HTTP, ...(config.http || {}) };
+}
+
+/**
+ * 解析查询参数中的条数限制
+ * @param {URLSearchParams} query - 查询参数
+ * @param {number} fallback - 默认条数
+ * @returns {number}
+ */
+function parseLimit(query, fallback) {
+  const limit = Number(query.get('limit'));
+  return Number.isInteger(limit) && limit > 0 ? limit : fallback;
+}
+
+/**
+ * 获取当前等待执行的计划，并确认与操作者查看的计划一致
+ * @param {unknown} planId - 请求中的计划ID
+ * @returns {Promise<import('./planStore').DeletionPlan>}
+ */
+async function requirePendingPlan(planId) {
+  if (typeof planId !== 'string' || !planId) {
+    throw new HttpError(400, '缺少 planId');
+  }
+  const plan = await planStore.getActivePlan();
+  if (!plan || plan.id !== planId) {
+    throw new HttpError(409, '该删除计划已不是当前计划，请刷新后重试');
+  }
+  if (plan.status !== 'pending') {
+    throw new HttpError(409, `删除计划当前状态为 ${plan.status}，无法操作`);
+  }
+  return plan;
+}
+
+/** @type {Record<string, RouteHandler>} */
+const routes = {
+  'GET /api/status': async () => {
+    const activePlan = await planStore.getActivePlan();
+    return {
+      data: {
+        pid: process.pid,
+        uptimeSeconds: Math.round(process.uptime()),
+        dryRun: config.dryRun,
+        cronSchedule: config.cronSchedule,
+        minFreeSpaceGB: config.minFreeSpaceGB,
+        deleteDelay: config.deleteDelay,
+        activePlan: activePlan && { id: activePlan.id, status: activePlan.status, dueAt: activePlan.dueAt, dirCount: activePlan.allDirsToDelete.length },
+        lastRun: await runHistory.getLastRun(),
+        queuedNotifications: (await notificationQueue.listQueued()).length
+      }
+    };
+  },
+
+  'GET /api/disks': async () => {
+    const disks = [];
+    for (const { path: recordingsPath, policy } of retentionPolicy.getRecordingsTargets()) {
+      try {
+        const disk = await diskManager.getDiskKey(recordingsPath);
+        const spaceInfo = await diskManager.getDiskSpace(recordingsPath);
+        const thresholds = await diskManager.getThresholds(disk, spaceInfo.totalGB);
+        const { minFreeSpaceGB } = thresholds;
+        const diskForecast = await forecast.getForecast(disk, spaceInfo.freeGB, minFreeSpaceGB);
+        disks.push({
+          path: recordingsPath,
+          disk,
+          minFreeSpaceGB,
+          policy,
+          spaceInfo,
+          level: spaceLevels.classify(spaceInfo.freeGB, thresholds),
+          lowSpace: spaceInfo.freeGB < minFreeSpaceGB,
+          forecast: diskForecast
+        });
+      } catch (error) {
+        disks.push({ path: recordingsPath, policy, error: handleError(error).msg });
+      }
+    }
+    return { data: { minFreeSpaceGB: config.minFreeSpaceGB, disks } };
+  },
+
+  'GET /api/plan': async () => ({ data: { plan: await planStore.getActivePlan() } }),
+
+  'GET /api/plans': async ({ query }) => {
+    const plans = await planStore.loadPlans();
+    return { data: { plans: plans.slice(-parseLimit(query, 20)).reverse() } };
+  },
+
+  'GET /api/runs': async ({ query }) => {
+    const runs = await runHistory.getRuns();
+    return { data: { runs: runs.slice(-parseLimit(query, 20)).reverse() } };
+  },
+
+  'POST /api/plan/exclude': async ({ body }) => {
+    const plan = await requirePendingPlan(body.planId);
+    if (typeof body.path !== 'string' || !plan.allDirsToDelete.some(dir => dir.path === body.path)) {
+      throw new HttpError(400, '计划中没有该目录');
+    }
+    const updatedPlan = await monitor.excludeFromActivePlan(plan.id, body.path, 'http');
+    if (!updatedPlan) {
+      throw new HttpError(409, '排除失败，计划已变化，请刷新后重试');
+    }
+    return { data: { plan: updatedPlan } };
+  },
+
+  'POST /api/plan/cancel': async ({ body }) => {
+    await requirePendingPlan(body.planId);
+    const plan = await monitor.cancelActivePlan('http');
+    if (!plan) {
+      throw new HttpError(409, '取消失败，计划已变化，请刷新后重试');
+    }
+    return { data: { plan } };
+  },
+
+  'POST /api/plan/approve': async ({ body }) => {
+    if (config.dryRun) {
+      throw new HttpError(409, '演练模式下不执行删除');
+    }
+    const plan = await requirePendingPlan(body.planId);
+    logger.info(`删除计划 ${plan.id} 已通过 HTTP 接口批准，立即执行`);
+    // 删除可能耗时较长，后台执行，客户端通过 /api/plan 查看进度
+    monitor.executePlan(plan.id, 'http').catch(error => {
+      logger.error(`执行删除计划 ${plan.id} 失败`, { error });
+    });
+    return { statusCode: 202, data: { planId: plan.id, status: 'executing' } };
+  }
+};
+
+/**
+ * 校验访问令牌(未配置 token 时不校验)
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {boolean}
+ */
+function isAuthorized(req) {
+  const { token } = getHttpConfig();
+  if (!token) {
+    return true;
+  }
+  const header = req.headers.authorization || '';
+  const provided = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * 读取请求体文本
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    /** @type {Buffer[]} */
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, '请求体过大'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('error', reject);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  });
+}
+
+/**
+ * 读取并解析 JSON 请求体
+ * @param {http.IncomingMessage} req - 请求
+ * @returns {Promise<Record<string, any>>}
+ */
+async function readJsonBody(req) {
+  const text = await readBody(req);
+  if (!text) {
+    return {};
+  }
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' ? body : {};
+  } catch (error) {
+    throw new HttpError(400, '请求体不是有效的 JSON');
+  }
+}
+
+/**
+ * 发送 JSON 响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - HTTP 状态码
+ * @param {unknown} data - 响应数据
+ */
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * 发送审批页面，页面文本按 notifications.locale 显示
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} statusCode - HTTP 状态码
+ * @param {string} title - 页面标题
+ * @param {string} body - 页面内容(HTML)
+ */
+function sendApprovalPage(res, statusCode, title, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end([
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(getLocale())}">`,
+    `<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>`,
+    '<body style="font-family: sans-serif; max-width: 48em; margin: 2em auto; padding: 0 1em;">',
+    `<h2>${escapeHtml(title)}</h2>`,
+    body,
+    '</body>',
+    '</html>'
+  ].join('\n'));
+}
+
+/**
+ * 处理审批链接：GET 只显示计划摘要和确认按钮，确认(POST)后才执行审批操作，
+ * 避免邮件安全扫描预先访问链接时误批准。链接带有签名，不需要访问令牌
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {URLSearchParams} query - 查询参数
+ * @returns {Promise<void>}
+ */
+async function handleApproval(req, res, query) {
+  const params = req.method === 'POST' ? new URLSearchParams(await readBody(req)) : query;
+  const planId = params.get('plan');
+  const action = params.get('action');
+  const signature = params.get('sig');
+  if (!planId || !action || !await approval.verify(planId, action, signature)) {
+    sendApprovalPage(res, 403, t('approvalPage.invalidTitle'), `<p>${escapeHtml(t('approvalPage.invalidBody'))}</p>`);
+    return;
+  }
+
+  const approvalAction = /** @type {import('./approval').ApprovalAction} */ (action);
+  const label = t(`approvalPage.${approvalAction}`);
+  const plan = await planStore.getPlan(planId);
+  if (!plan || plan.status !== 'pending' || !plan.approval || plan.approval.status !== 'waiting') {
+    const state = plan ? `${plan.status}${plan.approval ? ` (${plan.approval.status})` : ''}` : '-';
+    sendApprovalPage(res, 409, t('approvalPage.handledTitle'), `<p>${escapeHtml(t('approvalPage.handledBody', { planId, state }))}</p>`);
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    const totalGB = plan.allDirsToDelete.reduce((total, dir) => total + dir.sizeGB, 0);
+    const header = [t('column.path'), t('column.size'), t('column.mtime')].map(column => `<th scope="col">${escapeHtml(column)}</th>`);
+    const rows = plan.allDirsToDelete.map(dir =>
+      `<tr><td>${escapeHtml(dir.path)}</td><td>${escapeHtml(formatSize(dir.sizeGB))}</td><td>${escapeHtml(formatTime(dir.mtime))}</td></tr>`
+    );
+    const hiddenFields = [['plan', planId], ['action', action], ['sig', signature || '']]
+      .map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`);
+    const summary = t('approvalPage.summary', {
+      planId: plan.id,
+      count: plan.allDirsToDelete.length,
+      size: formatSize(totalGB),
+      deadline: formatTime(plan.dueAt)
+    });
+    sendApprovalPage(res, 200, t('approvalPage.confirmTitle', { action: label }), [
+      `<p>${escapeHtml(summary)}</p>`,
+      '<table border="1" cellpadding="5" style="border-collapse: collapse;">',
+      `<tr>${header.join('')}</tr>${rows.join('')}`,
+      '</table>',
+      // 不指定 action，提交到当前地址，经反向代理访问时同样有效
+      `<form method="post" style="margin-top: 1em;">${hiddenFields.join('')}<button type="submit">${escapeHtml(label)}</button></form>`
+    ].join('\n'));
+    return;
+  }
+
+  if (approvalAction === 'approve' && config.dryRun) {
+    sendApprovalPage(res, 409, t('approvalPage.dryRunTitle'), `<p>${escapeHtml(t('approvalPage.dryRunBody'))}</p>`);
+    return;
+  }
+
+  const decidedPlan = await monitor.decideApproval(plan.id, approvalAction, req.socket.remoteAddress);
+  if (!decidedPlan) {
+    sendApprovalPage(res, 409, t('approvalPage.handledTitle'), `<p>${escapeHtml(t('approvalPage.changedBody'))}</p>`);
+    return;
+  }
+  const results = {
+    approve: [t('approvalPage.approvedTitle'), t('approvalPage.approvedBody')],
+    reject: [t('approvalPage.rejectedTitle'), t('approvalPage.rejectedBody')],
+    postpone: [t('approvalPage.postponedTitle'), t('approvalPage.postponedBody', { deadline: formatTime(decidedPlan.dueAt) })]
+  };
+  const [title, text] = results[approvalAction];
+  sendApprovalPage(res, 200, title, `<p>${escapeHtml(text)}</p>`);
+}
+
+/**
+ * 处理单个请求
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @returns {Promise<void>}
+ */
+async function handleRequest(req, res) {
+  const method = req.method || 'GET';
+  const url = new URL(req.url || '/', 'http://localhost');
+
+  if (method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    fs.createReadStream(DASHBOARD_FILE).pipe(res);
+    return;
+  }
+
+  if (method === 'GET' && url.pathname === '/metrics') {
+    if (!isAuthorized(req)) {
+      sendJson(res, 401, { error: '未授权，请提供正确的访问令牌' });
+      return;
+    }
+    try {
+      const text = await metricsExporter.render();
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(text);
+    } catch (error) {
+      logger.error('生成指标失败', { error });
+      sendJson(res, 500, { error: handleError(error).msg });
+    }
+    return;
+  }
+
+  if ((method === 'GET' || method === 'POST') && url.pathname === '/approval') {
+    try {
+      await handleApproval(req, res, url.searchParams);
+    } catch (error) {
+      logger.error('处理审批链接失败', { error });
+      const statusCode = error instanceof HttpError ? error.statusCode : 500;
+      sendApprovalPage(res, statusCode, t('approvalPage.failedTitle'), `<p>${escapeHtml(handleError(error).msg)}</p>`);
+    }
+    return;
+  }
+
+  const handler = routes[`${method} ${url.pathname}`];
+  if (!handler) {
+    sendJson(res, 404, { error: '接口不存在' });
+    return;
+  }
+  if (!isAuthorized(req)) {
+    sendJson(res, 401, { error: '未授权，请提供正确的访问令牌' });
+    return;
+  }
+
+  try {
+    const body = method === 'POST' ? await readJsonBody(req) : {};
+    const { statusCode = 200, data } = await handler({ method, pathname: url.pathname, query: url.searchParams, body });
+    sendJson(res, statusCode, data);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      sendJson(res, error.statusCode, { error: error.message });
+      return;
+    }
+    logger.error(`处理请求 ${method} ${url.pathname} 失败`, { error });
+    sendJson(res, 500, { error: handleError(error).msg });
+  }
+}
+
+/**
+ * 按配置启动 HTTP 服务(未开启时不启动)
+ * @returns {http.Server | null}
+ */
+function start() {
+  const { enabled, host, port, token } = getHttpConfig();
+
+  // 访问令牌每次请求时读取，热加载后立即生效；监听地址需重启服务
+  configLoader.onChange(changedKeys => {
+    const next = getHttpConfig();
+    if (changedKeys.includes('http') && (next.enabled !== enabled || next.host !== host || next.port !== port)) {
+      logger.warn('HTTP 服务的 enabled、host、port 变更需重启服务后生效');
+    }
+  });
+
+  if (!enabled) {
+    return null;
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(error => {
+      logger.error('处理 HTTP 请求失败', { error });
+    });
+  });
+  server.on('error', error => {
+    logger.error(`HTTP 服务出错 (${host}:${port})`, { error });
+  });
+  server.listen(port, host, () => {
+    logger.info(`HTTP 状态接口已启动: http://${host}:${port}/`);
+    if (!token && host !== '127.0.0.1' && host !== 'localhost' && host !== '::1') {
+      logger.warn('HTTP 接口监听在非本机地址且未配置访问令牌，任何能访问该端口的人都可以操作删除计划');
+    }
+  });
+  return server;
+}
+
+module.exports = {
+  start
+};
@@ -0,0 +1,151 @@
+/**
+ * 本地化模块
+ * 负责按 notifications.locale 提供通知文本(模板目录中的 locales/<locale>.json 可覆盖部分文本)，
+ * 按 notifications.timezone 格式化时间，并按大小自动选择容量单位
+ */
+
+const config = require('../config');
+const templates = require('./templates');
+
+const DEFAULT_LOCALE = 'zh-CN';
+const LOCALES = ['zh-CN', 'en'];
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+
+/** @type {Map<string, Record<string, unknown> | null>} */
+const parsedTables = new Map(); // 按文件内容缓存解析结果，文件修改后内容变化自动重新解析
+
+/**
+ * 延迟到显示时才本地化的文本(如目录跳过删除的原因)：文本的键及参数，times 中的参数为时间戳，按 formatTime 显示
+ * @typedef {{key: string, params?: Record<string, string | number>, times?: Record<string, number>}} LocalizedText
+ */
+
+/**
+ * 当前通知语言
+ * @returns {string}
+ */
+function getLocale() {
+  const locale = config.notifications && config.notifications.locale;
+  return locale && LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+/**
+ * 解析文本表
+ * @param {string | null} content - 文件内容
+ * @param {string} name - 文件名
+ * @returns {Record<string, unknown> | null}
+ */
+function parseTable(content, name) {
+  if (content === null) {
+    return null;
+  }
+  if (!parsedTables.has(content)) {
+    if (parsedTables.size >= 16) {
+      parsedTables.clear();
+    }
+    parsedTables.set(content, templates.parseJson(content, name));
+  }
+  return parsedTables.get(content) || null;
+}
+
+/**
+ * 按以点分隔的键查找文本
+ * @param {Record<string, unknown> | null} table - 文本表
+ * @param {string} key - 键，如 delete.title
+ * @returns {string | undefined}
+ */
+function lookup(table, key) {
+  /** @type {unknown} */
+  let value = table;
+  for (const part of key.split('.')) {
+    if (!value || typeof value !== 'object') {
+      return undefined;
+    }
+    value = /** @type {Record<string, unknown>} */ (value)[part];
+  }
+  return typeof value === 'string' ? value : undefined;
+}
+
+/**
+ * 获取通知文本并替换其中的 {name} 参数
+ * 依次查找自定义文本、内置文本、默认语言的内置文本，都没有时返回键本身
+ * @param {string} key - 文本的键
+ * @param {Record<string, string | number>} [params] - 参数
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  const file = `locales/${getLocale()}.json`;
+  const fallbackFile = `locales/${DEFAULT_LOCALE}.json`;
+  const text = lookup(parseTable(templates.readCustom(file), file), key)
+    ?? lookup(parseTable(templates.readBuiltin(file), file), key)
+    ?? lookup(parseTable(templates.readBuiltin(fallbackFile), fallbackFile), key);
+
+  if (text === undefined) {
+    return key;
+  }
+  return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? String(params[name]) : match);
+}
+
+/**
+ * 容量的显示文本，按大小选择 KB、MB、GB、TB 等单位(以 1024 进位)
+ * @param {number} gb - 容量(GB)
+ * @returns {string}
+ */
+function formatSize(gb) {
+  let value = gb * 1024 * 1024 * 1024;
+  let unit = 0;
+  while (Math.abs(value) >= 1024 && unit < SIZE_UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  const digits = unit === 0 || Math.abs(value) >= 100 ? 0 : Math.abs(value) >= 10 ? 1 : 2;
+  return `${Number(value.toFixed(digits))} ${SIZE_UNITS[unit]}`;
+}
+
+/**
+ * 时间的显示文本，形如 2024-01-31 08:05 GMT+8，时区为 notifications.timezone(未配置时为系统时区)
+ * 使用与语言无关的日期格式，避免月日顺序在不同地区产生歧义
+ * @param {number} timestamp - 时间戳(毫秒)
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  const timeZone = (config.notifications && config.notifications.timezone) || undefined;
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'short'
+  }).formatToParts(timestamp);
+  /** @type {Record<string, string>} */
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = part.value;
+  }
+  return `${values.year}-${values.month}-${values.day} ${values.hour}:${values.minute} ${values.timeZoneName}`;
+}
+
+/**
+ * 按当前语言和时区显示延迟本地化的文本
+ * @param {LocalizedText} text - 文本的键及参数
+ * @returns {string}
+ */
+function localize(text) {
+  /** @type {Record<string, string | number>} */
+  const params = { ...(text.params || {}) };
+  for (const [name, timestamp] of Object.entries(text.times || {})) {
+    params[name] = formatTime(timestamp);
+  }
+  return t(text.key, params);
+}
+
+module.exports = {
+  LOCALES,
+  getLocale,
+  t,
+  formatSize,
+  formatTime,
+  localize
+};
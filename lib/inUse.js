@@ -0,0 +1,199 @@
+/**
+ * 写入检测模块
+ * 负责判断录制目录(或文件)是否仍在写入：静默期内有修改，或(Linux 下)有进程打开了其中的文件
+ * 仍在写入的目录不会被选中删除，执行删除前还会对每个目录再次检查
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { localize } = require('./i18n');
+const { createLimiter } = require('../utils/concurrency');
+const { handleError } = require('../utils/handleError');
+const logger = require('../utils/logger');
+
+const PROC_DIR = '/proc';
+
+const DEFAULT_IN_USE = {
+  quietMinutes: 10,
+  checkOpenFiles: true
+};
+
+let permissionWarned = false; // 无权读取其他进程的信息时只提示一次
+
+/**
+ * 读取写入检测配置
+ * @returns {{quietMinutes: number, checkOpenFiles: boolean}}
+ */
+function getInUseConfig() {
+  return { ...DEFAULT_IN_USE, ...(config.inUse || {}) };
+}
+
+/**
+ * 递归获取目录(或文件)中最近的修改时间，包括目录本身
+ * 每次都重新读取文件信息，不使用大小索引(向已有文件追加内容不会改变目录的修改时间)
+ * @param {string} unitPath - 目录或文件路径
+ * @param {{filesOnly?: boolean}} [options] - filesOnly 为 true 时不计目录的修改时间(删除其中的文件也会更新目录的修改时间)
+ * @returns {Promise<number>} - 修改时间(毫秒)，没有文件时为 0
+ */
+async function getNewestMtime(unitPath, { filesOnly = false } = {}) {
+  const limit = createLimiter(Math.max(Math.floor((config.sizeIndex && config.sizeIndex.concurrency) || 16), 1));
+
+  /**
+   * @param {string} itemPath
+   * @returns {Promise<number>}
+   */
+  const visit = async itemPath => {
+    const stats = await limit(() => fs.lstat(itemPath));
+    if (!stats.isDirectory()) {
+      return stats.mtimeMs;
+    }
+    const items = await limit(() => fs.readdir(itemPath));
+    const children = await Promise.all(items.map(item => visit(path.join(itemPath, item))));
+    return Math.max(filesOnly ? 0 : stats.mtimeMs, ...children);
+  };
+
+  return visit(unitPath);
+}
+
+/**
+ * 列出所有进程打开的文件(仅 Linux，通过 /proc/<pid>/fd)
+ * 只能读取有权限访问的进程，通常需以 root 运行才能看到录制程序打开的文件
+ * @returns {Promise<Map<string, number> | null>} - 文件路径到进程号的映射，不支持或未开启时返回 null
+ */
+async function listOpenFiles() {
+  if (process.platform !== 'linux' || !getInUseConfig().checkOpenFiles) {
+    return null;
+  }
+
+  /** @type {Map<string, number>} */
+  const openFiles = new Map();
+  let denied = false;
+  const pids = (await fs.readdir(PROC_DIR)).filter(name => /^\d+$/.test(name) && Number(name) !== process.pid);
+
+  for (const pid of pids) {
+    const fdDir = path.join(PROC_DIR, pid, 'fd');
+    let fds;
+    try {
+      fds = await fs.readdir(fdDir);
+    } catch (error) {
+      // 进程已退出(ENOENT)或无权访问(EACCES)
+      denied = denied || /** @type {NodeJS.ErrnoException} */ (error).code === 'EACCES';
+      continue;
+    }
+    for (const fd of fds) {
+      const target = await fs.readlink(path.join(fdDir, fd)).catch(() => null);
+      // 已删除的文件显示为 "<路径> (deleted)"，不再位于目录中
+      if (target && target.startsWith('/') && !target.endsWith(' (deleted)')) {
+        openFiles.set(target, Number(pid));
+      }
+    }
+  }
+
+  if (denied && !permissionWarned) {
+    permissionWarned = true;
+    logger.warn('无权读取部分进程打开的文件，这些进程正在写入的录制文件无法检测，建议以 root 运行');
+  }
+  return openFiles;
+}
+
+/**
+ * 读取进程打开的文件供一批目录共用，避免为每个目录重新扫描所有进程
+ * 读取失败时返回无法确认的原因，此时这批目录都应视为仍在写入
+ * @returns {Promise<{openFiles: Map<string, number> | null, failure: import('./i18n').LocalizedText | null}>}
+ */
+async function listOpenFilesForBatch() {
+  try {
+    return { openFiles: await listOpenFiles(), failure: null };
+  } catch (error) {
+    logger.warn('读取进程打开的文件失败，本次选中的目录暂不删除', { error });
+    return { openFiles: null, failure: { key: 'skipReason.inUseUnknown', params: { error: handleError(error).msg } } };
+  }
+}
+
+/**
+ * 查找目录(或文件)中被进程打开的文件
+ * @param {string} unitPath - 目录或文件路径
+ * @param {Map<string, number>} openFiles - 打开的文件
+ * @returns {{file: string, pid: number} | null}
+ */
+function findOpenFile(unitPath, openFiles) {
+  const resolvedPath = path.resolve(unitPath);
+  for (const [file, pid] of openFiles.entries()) {
+    if (file === resolvedPath || file.startsWith(`${resolvedPath}${path.sep}`)) {
+      return { file, pid };
+    }
+  }
+  return null;
+}
+
+/**
+ * 获取目录(或文件)仍在写入的原因
+ * 无法确认时(读取文件信息或进程打开的文件失败)同样返回原因，宁可保留也不误删正在写入的录制
+ * @param {string} unitPath - 目录或文件路径
+ * @param {Map<string, number> | null} [openFiles] - 打开的文件，省略时重新读取，null 表示不检查打开的文件
+ * @param {{filesOnly?: boolean}} [options] - filesOnly 为 true 时静默期只看文件的修改时间(用于继续删除已删除了部分文件的目录)
+ * @returns {Promise<import('./i18n').LocalizedText | null>} - 仍在写入或无法确认时返回原因(显示时按通知语言本地化)，否则返回 null(目录已不存在时同样返回 null)
+ */
+async function getInUseReason(unitPath, openFiles, { filesOnly = false } = {}) {
+  const { quietMinutes } = getInUseConfig();
+
+  try {
+    if (quietMinutes > 0) {
+      const newestMtime = await getNewestMtime(unitPath, { filesOnly });
+      if (newestMtime > Date.now() - quietMinutes * 60 * 1000) {
+        return { key: 'skipReason.writing', times: { time: newestMtime } };
+      }
+    }
+
+    const files = openFiles === undefined ? await listOpenFiles() : openFiles;
+    const openFile = files && findOpenFile(unitPath, files);
+    if (openFile) {
+      return { key: 'skipReason.openFile', params: { pid: openFile.pid, file: path.basename(openFile.file) } };
+    }
+  } catch (error) {
+    if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT' && !await fs.pathExists(unitPath)) {
+      return null;
+    }
+    logger.warn(`检查 ${unitPath} 是否正在写入失败，暂不删除`, { error });
+    return { key: 'skipReason.inUseUnknown', params: { error: handleError(error).msg } };
+  }
+
+  return null;
+}
+
+/**
+ * 将目录列表按是否仍在写入拆分，所有目录共用同一次读取的打开文件列表
+ * 读取打开的文件失败时无法确认任何目录是否正在写入，全部视为仍在写入
+ * @template {{path: string}} T
+ * @param {T[]} dirs - 目录列表
+ * @returns {Promise<{idleDirs: T[], inUseDirs: Array<T & {skipReason: string, skipReasonCode: import('./i18n').LocalizedText}>}>}
+ */
+async function partitionInUse(dirs) {
+  /** @type {T[]} */
+  const idleDirs = [];
+  /** @type {Array<T & {skipReason: string, skipReasonCode: import('./i18n').LocalizedText}>} */
+  const inUseDirs = [];
+  if (dirs.length === 0) {
+    return { idleDirs, inUseDirs };
+  }
+
+  const { openFiles, failure } = await listOpenFilesForBatch();
+  for (const dir of dirs) {
+    const skipReasonCode = failure || await getInUseReason(dir.path, openFiles);
+    if (skipReasonCode) {
+      inUseDirs.push({ ...dir, skipReason: localize(skipReasonCode), skipReasonCode });
+    } else {
+      idleDirs.push(dir);
+    }
+  }
+
+  return { idleDirs, inUseDirs };
+}
+
+module.exports = {
+  getNewestMtime,
+  listOpenFilesForBatch,
+  getInUseReason,
+  partitionInUse
+};
@@ -0,0 +1,151 @@
+/**
+ * 消息渲染模块
+ * 负责将结构化通知消息渲染为 HTML、纯文本或 Markdown
+ * HTML 和纯文本套用模板(按事件查找 <event>.html/.txt，其次为 message.html/.txt)，消息中的文本在 HTML 中一律转义
+ */
+
+const { getLocale } = require('./i18n');
+const templates = require('./templates');
+
+/**
+ * @typedef {import('./messages').NotificationMessage} NotificationMessage
+ */
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} value - 文本
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 按事件查找模板并填入消息内容
+ * @param {NotificationMessage} message - 通知消息
+ * @param {string} extension - 模板扩展名(html 或 txt)
+ * @param {string} content - 已渲染的消息正文
+ * @param {(value: string) => string} escape - 转义函数
+ * @returns {string}
+ */
+function applyTemplate(message, extension, content, escape) {
+  const template = templates.findTemplate([`${message.event}.${extension}`, `message.${extension}`]);
+  if (template === null) {
+    return content;
+  }
+  return templates.render(template, {
+    lang: getLocale(),
+    event: message.event,
+    title: message.title,
+    content,
+    footer: message.footer || ''
+  }, escape);
+}
+
+/**
+ * 渲染为 HTML(邮件)
+ * @param {NotificationMessage} message - 通知消息
+ * @returns {string}
+ */
+function renderHtml(message) {
+  const parts = [];
+
+  for (const section of message.sections) {
+    if (section.heading) {
+      parts.push(`<h3>${escapeHtml(section.heading)}</h3>`);
+    }
+    for (const paragraph of section.paragraphs || []) {
+      parts.push(`<p>${escapeHtml(paragraph)}</p>`);
+    }
+    if (section.facts) {
+      const items = section.facts.map(fact => `  <li>${escapeHtml(fact.label)}: <strong>${escapeHtml(fact.value)}</strong></li>`);
+      parts.push(['<ul>', ...items, '</ul>'].join('\n'));
+    }
+    if (section.table) {
+      const header = `  <tr>${section.table.columns.map(column => `<th scope="col" style="text-align: left;">${escapeHtml(column)}</th>`).join('')}</tr>`;
+      const rows = section.table.rows.map(row => `  <tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`);
+      parts.push(['<table border="1" cellpadding="5" style="border-collapse: collapse;">', header, ...rows, '</table>'].join('\n'));
+    }
+    if (section.actions) {
+      const links = section.actions.map(action => `<a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a>`);
+      parts.push(`<p>${links.join(' &nbsp;|&nbsp; ')}</p>`);
+    }
+  }
+
+  return applyTemplate(message, 'html', parts.join('\n'), escapeHtml);
+}
+
+/**
+ * 渲染为纯文本(邮件的纯文本部分及不支持富文本的渠道)
+ * @param {NotificationMessage} message - 通知消息
+ * @returns {string}
+ */
+function renderText(message) {
+  const lines = [];
+
+  for (const section of message.sections) {
+    if (section.heading) {
+      lines.push(`[${section.heading}]`);
+    }
+    lines.push(...(section.paragraphs || []));
+    for (const fact of section.facts || []) {
+      lines.push(`- ${fact.label}: ${fact.value}`);
+    }
+    if (section.table) {
+      for (const row of section.table.rows) {
+        lines.push(`  ${row.join(' | ')}`);
+      }
+    }
+    for (const action of section.actions || []) {
+      lines.push(`${action.label}: ${action.url}`);
+    }
+    lines.push('');
+  }
+
+  return applyTemplate(message, 'txt', lines.join('\n').trim(), value => value).trim();
+}
+
+/**
+ * 渲染为 Markdown(钉钉、企业微信等机器人)
+ * 表格渲染为列表，避免部分客户端不支持 Markdown 表格
+ * @param {NotificationMessage} message - 通知消息
+ * @returns {string}
+ */
+function renderMarkdown(message) {
+  const lines = [`## ${message.title}`, ''];
+
+  for (const section of message.sections) {
+    if (section.heading) {
+      lines.push(`### ${section.heading}`);
+    }
+    for (const paragraph of section.paragraphs || []) {
+      lines.push(paragraph, '');
+    }
+    for (const fact of section.facts || []) {
+      lines.push(`- ${fact.label}: **${fact.value}**`);
+    }
+    if (section.table) {
+      for (const row of section.table.rows) {
+        lines.push(`- ${row.join(' | ')}`);
+      }
+    }
+    if (section.actions) {
+      lines.push(section.actions.map(action => `[${action.label}](${action.url})`).join(' | '));
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trim();
+}
+
+module.exports = {
+  escapeHtml,
+  renderHtml,
+  renderText,
+  renderMarkdown
+};
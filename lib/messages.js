@@ -0,0 +1,533 @@
+/**
+ * 通知消息模块
+ * 负责将删除警告、紧急删除、空间预警、删除完成、写满预警、错误、定期报告等通知内容组织为结构化数据，由各通知渠道自行渲染
+ * 文本按 notifications.locale 取自 templates/locales，消息中只包含纯文本，由渲染时按输出格式转义
+ */
+
+const { t, formatSize, formatTime, localize } = require('./i18n');
+
+/**
+ * @typedef {'warning' | 'emergency' | 'completion' | 'forecast' | 'error' | 'report'} NotificationEvent
+ * @typedef {{label: string, value: string}} MessageFact
+ * @typedef {{columns: string[], rows: string[][]}} MessageTable
+ * @typedef {{label: string, url: string}} MessageAction
+ * @typedef {{heading?: string, paragraphs?: string[], facts?: MessageFact[], table?: MessageTable, actions?: MessageAction[]}} MessageSection
+ * @typedef {{event: NotificationEvent, title: string, sections: MessageSection[], footer?: string}} NotificationMessage
+ * @typedef {{path: string, sizeGB: number, mtime: number, reason?: string, archivedTo?: string, quarantinedAs?: string, reclaimedGB?: number}} MessageDir
+ * @typedef {{path: string, sizeGB: number, mtime: number, skipReason: string, skipReasonCode?: import('./i18n').LocalizedText}} MessageSkippedDir
+ * @typedef {{freeGB: number, usedGB: number, usedPercentage: number}} MessageSpaceInfo
+ * @typedef {import('./forecast').DiskForecast} MessageForecast
+ * @typedef {{recordingsPath: string, diskKey?: string, minFreeSpaceGB?: number, emergencyFreeGB?: number, spaceInfo: MessageSpaceInfo, forecast?: MessageForecast}} MessageTriggeredResult
+ * @typedef {{dueAt: number, onTimeout: 'proceed' | 'cancel', postponeHours: number, links: Record<'approve' | 'reject' | 'postpone', string>}} MessageApproval
+ * @typedef {{diskKey: string, missingGB: number}} MessageShortfall
+ * @typedef {{plannedDirs: MessageDir[], shortfalls: MessageShortfall[]}} MessagePlanDiff
+ */
+
+/**
+ * 删除原因的显示文本
+ * @param {string} [reason] - 删除原因
+ * @returns {string}
+ */
+function formatReason(reason) {
+  switch (reason) {
+    case 'age':
+      return t('reason.age');
+    case 'quota':
+      return t('reason.quota');
+    default:
+      return t('reason.space');
+  }
+}
+
+/**
+ * 目录的处理结果显示文本
+ * @param {MessageDir} dir - 已处理的目录
+ * @returns {string}
+ */
+function formatOutcome(dir) {
+  if (dir.archivedTo) {
+    return t('outcome.archived', { target: dir.archivedTo });
+  }
+  if (dir.quarantinedAs) {
+    return t('outcome.quarantined', { name: dir.quarantinedAs });
+  }
+  return t('outcome.deleted');
+}
+
+/**
+ * 预计可用天数的显示文本
+ * @param {number | null | undefined} days - 天数，null 表示空间没有在减少
+ * @returns {string}
+ */
+function formatDays(days) {
+  if (days === null || days === undefined) {
+    return t('days.notDecreasing');
+  }
+  return days < 1 ? t('days.lessThanOne') : t('days.about', { days: days.toFixed(1) });
+}
+
+/**
+ * 使用率的显示文本
+ * @param {number} percentage - 使用率(%)
+ * @returns {string}
+ */
+function formatPercentage(percentage) {
+  return `${percentage.toFixed(2)}%`;
+}
+
+/**
+ * 容量变化的显示文本，增加时带 + 号
+ * @param {number} gb - 变化量(GB)
+ * @returns {string}
+ */
+function formatChange(gb) {
+  return `${gb > 0 ? '+' : ''}${formatSize(gb)}`;
+}
+
+/**
+ * 所在磁盘的显示项，旧版本保存的计划没有记录磁盘时返回空数组
+ * @param {string} [diskKey] - 磁盘标识(挂载点或驱动器)
+ * @returns {MessageFact[]}
+ */
+function buildDiskFacts(diskKey) {
+  return diskKey ? [{ label: t('fact.disk'), value: diskKey }] : [];
+}
+
+/**
+ * 写满预测的显示项，没有预测(历史采样不足)时返回空数组
+ * @param {MessageForecast} [forecast] - 写满预测
+ * @returns {MessageFact[]}
+ */
+function buildForecastFacts(forecast) {
+  if (!forecast) {
+    return [];
+  }
+  const facts = [
+    { label: t('fact.fillRate'), value: t('perDay', { size: formatSize(forecast.fillRateGBPerDay) }) },
+    { label: t('fact.daysLeft'), value: formatDays(forecast.daysUntilThreshold) }
+  ];
+  if (forecast.daysAfterDeletion !== undefined) {
+    facts.push({ label: t('fact.daysAfterDeletion'), value: formatDays(forecast.daysAfterDeletion) });
+  }
+  return facts;
+}
+
+/**
+ * 计算目录列表的总大小
+ * @param {Array<{sizeGB: number}>} dirs - 目录列表
+ * @returns {number}
+ */
+function sumSize(dirs) {
+  return dirs.reduce((total, dir) => total + dir.sizeGB, 0);
+}
+
+/**
+ * 已删除目录实际释放的空间(GB)，未测得时使用计划时统计的大小
+ * @param {MessageDir} dir - 已删除的目录
+ * @returns {number}
+ */
+function getFreedGB(dir) {
+  return dir.reclaimedGB !== undefined ? dir.reclaimedGB : dir.sizeGB;
+}
+
+/**
+ * 计算已删除目录实际释放的总空间
+ * @param {MessageDir[]} dirs - 已删除的目录列表
+ * @returns {number}
+ */
+function sumFreed(dirs) {
+  return dirs.reduce((total, dir) => total + getFreedGB(dir), 0);
+}
+
+/**
+ * 生成受保护或跳过目录的段落，列表为空时返回空数组
+ * @param {string} heading - 段落说明
+ * @param {MessageSkippedDir[]} skippedDirs - 目录列表
+ * @returns {MessageSection[]}
+ */
+function buildSkippedDirsSections(heading, skippedDirs) {
+  if (skippedDirs.length === 0) {
+    return [];
+  }
+  return [{
+    paragraphs: [heading],
+    table: {
+      columns: [t('column.path'), t('column.size'), t('column.reason')],
+      // 原因按发送时的语言和时区显示，旧版本保存的计划只有文本
+      rows: skippedDirs.map(dir => [dir.path, formatSize(dir.sizeGB), dir.skipReasonCode ? localize(dir.skipReasonCode) : dir.skipReason])
+    }
+  }];
+}
+
+/**
+ * 删除警告消息(单个路径)
+ * @param {MessageDir[]} dirsToDelete - 将要删除的目录列表
+ * @param {MessageSpaceInfo} spaceInfo - 磁盘空间信息
+ * @param {number} minFreeSpaceGB - 最小剩余空间阈值
+ * @param {number} deleteDelay - 删除延迟时间(小时)
+ * @returns {NotificationMessage}
+ */
+function buildDeleteMessage(dirsToDelete, spaceInfo, minFreeSpaceGB, deleteDelay) {
+  return {
+    event: 'warning',
+    title: t('delete.title'),
+    sections: [
+      {
+        paragraphs: [t('delete.intro')],
+        facts: [
+          { label: t('fact.freeSpace'), value: formatSize(spaceInfo.freeGB) },
+          { label: t('fact.threshold'), value: formatSize(minFreeSpaceGB) },
+          { label: t('fact.usage'), value: formatPercentage(spaceInfo.usedPercentage) }
+        ]
+      },
+      {
+        paragraphs: [t('delete.schedule', { hours: deleteDelay, size: formatSize(sumSize(dirsToDelete)) })],
+        table: {
+          columns: [t('column.path'), t('column.size'), t('column.mtime')],
+          rows: dirsToDelete.map(dir => [dir.path, formatSize(dir.sizeGB), formatTime(dir.mtime)])
+        }
+      },
+      { paragraphs: [t('delete.keep', { hours: deleteDelay })] }
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 删除完成消息(单个路径)
+ * @param {MessageDir[]} deletedDirs - 已删除的目录列表
+ * @param {MessageSpaceInfo} spaceInfo - 当前磁盘空间信息
+ * @returns {NotificationMessage}
+ */
+function buildCompletionMessage(deletedDirs, spaceInfo) {
+  return {
+    event: 'completion',
+    title: t('completion.title'),
+    sections: [
+      {
+        paragraphs: [t('completion.intro')],
+        facts: [
+          { label: t('fact.deletedCount'), value: String(deletedDirs.length) },
+          { label: t('fact.freed'), value: formatSize(sumFreed(deletedDirs)) },
+          { label: t('fact.freeSpace'), value: formatSize(spaceInfo.freeGB) },
+          { label: t('fact.currentUsage'), value: formatPercentage(spaceInfo.usedPercentage) }
+        ]
+      },
+      {
+        paragraphs: [t('completion.list')],
+        table: {
+          columns: [t('column.path'), t('column.freed')],
+          rows: deletedDirs.map(dir => [dir.path, formatSize(getFreedGB(dir))])
+        }
+      }
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 触发删除的各路径段落
+ * @param {MessageTriggeredResult[]} triggeredResults - 触发删除的路径检查结果列表，minFreeSpaceGB 为所在磁盘的阈值
+ * @param {number} minFreeSpaceGB - 路径未记录所在磁盘阈值时使用的最小剩余空间阈值
+ * @returns {MessageSection[]}
+ */
+function buildTriggeredSections(triggeredResults, minFreeSpaceGB) {
+  return triggeredResults.map(result => ({
+    heading: t('heading.path', { path: result.recordingsPath }),
+    facts: [
+      ...buildDiskFacts(result.diskKey),
+      { label: t('fact.freeSpace'), value: formatSize(result.spaceInfo.freeGB) },
+      { label: t('fact.threshold'), value: formatSize(result.minFreeSpaceGB !== undefined ? result.minFreeSpaceGB : minFreeSpaceGB) },
+      ...(result.emergencyFreeGB === undefined ? [] : [{ label: t('fact.emergencyThreshold'), value: formatSize(result.emergencyFreeGB) }]),
+      { label: t('fact.usage'), value: formatPercentage(result.spaceInfo.usedPercentage) },
+      ...buildForecastFacts(result.forecast)
+    ]
+  }));
+}
+
+/**
+ * 删除目录列表的表格
+ * @param {MessageDir[]} dirs - 需要删除的目录列表
+ * @returns {MessageTable}
+ */
+function buildDeleteTable(dirs) {
+  return {
+    columns: [t('column.path'), t('column.size'), t('column.mtime'), t('column.reason')],
+    rows: dirs.map(dir => [dir.path, formatSize(dir.sizeGB), formatTime(dir.mtime), formatReason(dir.reason)])
+  };
+}
+
+/**
+ * 整合的删除警告消息
+ * @param {MessageTriggeredResult[]} triggeredResults - 触发警告的路径检查结果列表，minFreeSpaceGB 为所在磁盘的阈值
+ * @param {MessageDir[]} allDirsToDelete - 所有路径中需要删除的目录总列表
+ * @param {number} minFreeSpaceGB - 路径未记录所在磁盘阈值时使用的最小剩余空间阈值
+ * @param {number} deleteDelay - 删除延迟时间(小时)
+ * @param {MessageSkippedDir[]} [protectedDirs] - 受保护不会删除的目录列表
+ * @param {MessageApproval} [approval] - 计划需要人工审批时的审批截止时间和链接
+ * @returns {NotificationMessage}
+ */
+function buildConsolidatedDeleteMessage(triggeredResults, allDirsToDelete, minFreeSpaceGB, deleteDelay, protectedDirs = [], approval) {
+  const size = formatSize(sumSize(allDirsToDelete));
+  const closingSection = approval
+    ? {
+      heading: t('approval.heading'),
+      paragraphs: [t(approval.onTimeout === 'proceed' ? 'approval.bodyProceed' : 'approval.bodyCancel', { deadline: formatTime(approval.dueAt) })],
+      actions: [
+        { label: t('approval.approve'), url: approval.links.approve },
+        { label: t('approval.reject'), url: approval.links.reject },
+        { label: t('approval.postpone', { hours: approval.postponeHours }), url: approval.links.postpone }
+      ]
+    }
+    : { paragraphs: [t('consolidatedDelete.keep', { hours: deleteDelay })] };
+
+  return {
+    event: 'warning',
+    title: t(approval ? 'consolidatedDelete.titleApproval' : 'consolidatedDelete.title'),
+    sections: [
+      { paragraphs: [t('consolidatedDelete.intro')] },
+      ...buildTriggeredSections(triggeredResults, minFreeSpaceGB),
+      {
+        paragraphs: [approval ? t('consolidatedDelete.scheduleApproval', { size }) : t('consolidatedDelete.schedule', { hours: deleteDelay, size })],
+        table: buildDeleteTable(allDirsToDelete)
+      },
+      ...buildSkippedDirsSections(t('consolidatedDelete.protected'), protectedDirs),
+      closingSection
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 紧急删除消息：磁盘剩余空间低于紧急阈值，不等待删除延迟立即删除
+ * @param {MessageTriggeredResult[]} triggeredResults - 达到紧急级别的路径检查结果列表
+ * @param {MessageDir[]} allDirsToDelete - 立即删除的目录列表
+ * @param {number} minFreeSpaceGB - 路径未记录所在磁盘阈值时使用的最小剩余空间阈值
+ * @param {MessageSkippedDir[]} [protectedDirs] - 受保护不会删除的目录列表
+ * @returns {NotificationMessage}
+ */
+function buildEmergencyDeleteMessage(triggeredResults, allDirsToDelete, minFreeSpaceGB, protectedDirs = []) {
+  return {
+    event: 'emergency',
+    title: t('emergency.title'),
+    sections: [
+      { paragraphs: [t('emergency.intro')] },
+      ...buildTriggeredSections(triggeredResults, minFreeSpaceGB),
+      {
+        paragraphs: [t('emergency.schedule', { size: formatSize(sumSize(allDirsToDelete)) })],
+        table: buildDeleteTable(allDirsToDelete)
+      },
+      ...buildSkippedDirsSections(t('consolidatedDelete.protected'), protectedDirs),
+      { paragraphs: [t('emergency.closing')] }
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 空间预警消息：剩余空间低于预警阈值但尚未达到删除阈值，只通知不删除
+ * @param {Array<{diskKey: string, paths: string[], spaceInfo: MessageSpaceInfo, warningFreeGB: number, minFreeSpaceGB: number, forecast?: MessageForecast | null}>} disks - 处于预警级别的磁盘及其阈值
+ * @returns {NotificationMessage}
+ */
+function buildLowSpaceWarningMessage(disks) {
+  return {
+    event: 'warning',
+    title: t('lowSpace.title'),
+    sections: [
+      { paragraphs: [t('lowSpace.intro')] },
+      ...disks.map(disk => ({
+        heading: t('heading.disk', { disk: disk.diskKey, paths: disk.paths.join(', ') }),
+        facts: [
+          { label: t('fact.freeSpace'), value: formatSize(disk.spaceInfo.freeGB) },
+          { label: t('fact.usage'), value: formatPercentage(disk.spaceInfo.usedPercentage) },
+          { label: t('fact.warningThreshold'), value: formatSize(disk.warningFreeGB) },
+          { label: t('fact.deleteThreshold'), value: formatSize(disk.minFreeSpaceGB) },
+          ...buildForecastFacts(disk.forecast || undefined)
+        ]
+      })),
+      { paragraphs: [t('lowSpace.closing')] }
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 删除警告中通知的目录与实际删除的差异
+ * @param {MessageDir[]} deletedDirs - 实际删除的目录列表
+ * @param {MessagePlanDiff} planDiff - 计划删除的目录及空间仍不足的磁盘
+ * @returns {MessageSection}
+ */
+function buildPlanDiffSection(deletedDirs, { plannedDirs, shortfalls }) {
+  const paragraphs = shortfalls.map(shortfall => t('completion.shortfall', { disk: shortfall.diskKey, size: formatSize(shortfall.missingGB) }));
+  if (deletedDirs.length === plannedDirs.length) {
+    paragraphs.unshift(t('completion.asPlanned'));
+  }
+
+  return {
+    heading: t('completion.diffHeading'),
+    paragraphs,
+    facts: [
+      { label: t('fact.plannedDirs'), value: t('completion.dirsSummary', { count: plannedDirs.length, size: formatSize(sumSize(plannedDirs)) }) },
+      { label: t('fact.deletedDirs'), value: t('completion.dirsSummary', { count: deletedDirs.length, size: formatSize(sumSize(deletedDirs)) }) }
+    ]
+  };
+}
+
+/**
+ * 整合的删除完成消息
+ * @param {MessageDir[]} deletedDirs - 已删除(或已归档、移入回收站)的目录列表
+ * @param {Array<{path: string, diskKey?: string, spaceInfo: MessageSpaceInfo, daysUntilThreshold?: number | null}>} postDeletionSpaceChecks - 删除后各触发路径的磁盘空间信息，daysUntilThreshold 为按删除前的写入速度估算的可用天数
+ * @param {MessageSkippedDir[]} [skippedDirs] - 执行时跳过未删除的目录列表
+ * @param {MessagePlanDiff} [planDiff] - 删除警告中通知的目录及执行时空间仍不足的磁盘，提供时列出计划与实际删除的差异
+ * @returns {NotificationMessage}
+ */
+function buildConsolidatedCompletionMessage(deletedDirs, postDeletionSpaceChecks, skippedDirs = [], planDiff) {
+  const hasOutcome = deletedDirs.some(dir => dir.archivedTo || dir.quarantinedAs);
+
+  return {
+    event: 'completion',
+    title: t('completion.titleConsolidated'),
+    sections: [
+      {
+        paragraphs: [t('completion.intro')],
+        facts: [
+          { label: t('fact.deletedCount'), value: String(deletedDirs.length) },
+          { label: t('fact.freed'), value: formatSize(sumFreed(deletedDirs)) }
+        ]
+      },
+      ...postDeletionSpaceChecks.map(check => ({
+        heading: t('heading.path', { path: check.path }),
+        facts: [
+          ...buildDiskFacts(check.diskKey),
+          { label: t('fact.freeAfter'), value: formatSize(check.spaceInfo.freeGB) },
+          { label: t('fact.usageAfter'), value: formatPercentage(check.spaceInfo.usedPercentage) },
+          ...(check.daysUntilThreshold === undefined ? [] : [{ label: t('fact.daysLeftAfter'), value: formatDays(check.daysUntilThreshold) }])
+        ]
+      })),
+      {
+        paragraphs: [t(hasOutcome ? 'completion.listWithOutcome' : 'completion.list')],
+        table: hasOutcome
+          ? {
+            columns: [t('column.path'), t('column.freed'), t('column.outcome')],
+            rows: deletedDirs.map(dir => [dir.path, formatSize(getFreedGB(dir)), formatOutcome(dir)])
+          }
+          : {
+            columns: [t('column.path'), t('column.freed')],
+            rows: deletedDirs.map(dir => [dir.path, formatSize(getFreedGB(dir))])
+          }
+      },
+      ...(planDiff ? [buildPlanDiffSection(deletedDirs, planDiff)] : []),
+      ...buildSkippedDirsSections(t('completion.skipped'), skippedDirs)
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 磁盘写满预警消息：空间尚未低于阈值，但按当前写入速度将在数天内低于阈值
+ * @param {Array<{diskKey: string, paths: string[], spaceInfo: MessageSpaceInfo, minFreeSpaceGB: number, forecast: MessageForecast}>} disks - 需要预警的磁盘及其空间阈值
+ * @returns {NotificationMessage}
+ */
+function buildForecastMessage(disks) {
+  return {
+    event: 'forecast',
+    title: t('forecast.title'),
+    sections: [
+      { paragraphs: [t('forecast.intro')] },
+      ...disks.map(disk => ({
+        heading: t('heading.disk', { disk: disk.diskKey, paths: disk.paths.join(', ') }),
+        facts: [
+          { label: t('fact.freeSpace'), value: formatSize(disk.spaceInfo.freeGB) },
+          { label: t('fact.threshold'), value: formatSize(disk.minFreeSpaceGB) },
+          ...buildForecastFacts(disk.forecast),
+          ...(disk.forecast.thresholdAt === null ? [] : [{ label: t('fact.thresholdAt'), value: formatTime(disk.forecast.thresholdAt) }])
+        ]
+      })),
+      { paragraphs: [t('forecast.closing')] }
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 定期报告消息：录制总量和期间的删除汇总，各磁盘的空间趋势，各监控路径的增长和实际保留天数
+ * @param {import('./reports').UsageReport} report - 报告
+ * @returns {NotificationMessage}
+ */
+function buildReportMessage(report) {
+  const { totals } = report;
+  const failedPaths = report.paths.filter(item => item.error);
+
+  return {
+    event: 'report',
+    title: t(report.period === 'daily' ? 'report.titleDaily' : 'report.titleWeekly'),
+    sections: [
+      {
+        paragraphs: [t('report.intro', { start: formatTime(report.periodStart), end: formatTime(report.periodEnd) })],
+        facts: [
+          { label: t('fact.recordingsSize'), value: formatSize(totals.sizeGB) },
+          { label: t('fact.periodDeleted'), value: t('completion.dirsSummary', { count: totals.deletedDirs, size: formatSize(totals.deletedGB) }) },
+          { label: t('fact.periodPlans'), value: String(totals.plans) },
+          ...(totals.failedDirs > 0 ? [{ label: t('fact.periodFailed'), value: String(totals.failedDirs) }] : [])
+        ]
+      },
+      ...report.disks.map(disk => ({
+        heading: t('heading.disk', { disk: disk.diskKey, paths: disk.paths.join(', ') }),
+        facts: [
+          { label: t('fact.freeSpace'), value: formatSize(disk.freeGB) },
+          { label: t('fact.usage'), value: formatPercentage(disk.usedPercentage) },
+          ...(disk.freeAtStartGB === null ? [] : [{ label: t('fact.freeChange'), value: formatChange(disk.freeGB - disk.freeAtStartGB) }]),
+          { label: t('fact.lowestFree'), value: formatSize(disk.lowestFreeGB) },
+          { label: t('fact.threshold'), value: formatSize(disk.minFreeSpaceGB) },
+          ...(disk.fillRateGBPerDay === null
+            ? []
+            : buildForecastFacts({ fillRateGBPerDay: disk.fillRateGBPerDay, daysUntilThreshold: disk.daysUntilThreshold, thresholdAt: null }))
+        ]
+      })),
+      {
+        paragraphs: [t('report.paths')],
+        table: {
+          columns: [t('column.recordingsPath'), t('column.size'), t('column.units'), t('column.growth'), t('column.oldest'), t('column.retention'), t('column.periodDeleted')],
+          rows: report.paths.filter(item => !item.error).map(item => [
+            item.path,
+            formatSize(item.sizeGB),
+            String(item.dirCount),
+            item.growthGBPerDay === null ? t('report.noData') : t('perDay', { size: formatSize(item.growthGBPerDay) }),
+            item.oldestMtime === null ? '-' : formatTime(item.oldestMtime),
+            item.retentionDays === null ? '-' : t('report.days', { days: item.retentionDays.toFixed(1) }),
+            t('completion.dirsSummary', { count: item.deletedDirs, size: formatSize(item.deletedGB) })
+          ])
+        }
+      },
+      ...(failedPaths.length > 0 ? [{ paragraphs: failedPaths.map(item => t('report.pathError', { path: item.path, error: item.error || '' })) }] : [])
+    ],
+    footer: t('footer')
+  };
+}
+
+/**
+ * 错误消息
+ * @param {string} title - 标题
+ * @param {string} detail - 错误详情
+ * @returns {NotificationMessage}
+ */
+function buildErrorMessage(title, detail) {
+  return {
+    event: 'error',
+    title,
+    sections: [{ paragraphs: [detail] }],
+    footer: t('footer')
+  };
+}
+
+module.exports = {
+  buildDeleteMessage,
+  buildCompletionMessage,
+  buildConsolidatedDeleteMessage,
+  buildEmergencyDeleteMessage,
+  buildLowSpaceWarningMessage,
+  buildConsolidatedCompletionMessage,
+  buildForecastMessage,
+  buildReportMessage,
+  buildErrorMessage
+};
@@ -0,0 +1,151 @@
+/**
+ * 指标计数模块
+ * 负责累计本进程的删除、通知失败、检查及扫描耗时等计数，并提供 Prometheus 文本格式的输出
+ * 不依赖其他业务模块，各模块可直接引用进行计数
+ */
+
+const PREFIX = 'autodelete_';
+
+/**
+ * @typedef {Record<string, string>} Labels
+ * @typedef {{labels: Labels, value: number}} Sample
+ * @typedef {{name: string, help: string, type: 'gauge' | 'counter', samples: Sample[]}} MetricFamily
+ */
+
+/** 进程启动以来的累计值 */
+const totals = {
+  /** @type {Map<string, number>} */
+  dirsCleaned: new Map(), // 按处理方式(deleted、archived、quarantined)统计的目录数
+  /** @type {Map<string, number>} */
+  gbCleaned: new Map(), // 按处理方式统计的释放空间
+  /** @type {Map<string, number>} */
+  cleanupFailures: new Map(), // 按监控路径统计的清理失败次数
+  /** @type {Map<string, number>} */
+  notificationFailures: new Map(), // 按渠道统计的通知发送失败次数
+  checks: { count: 0, sumSeconds: 0, lastSeconds: 0, lastTimestamp: 0 },
+  /** @type {Map<string, {count: number, sumSeconds: number, lastSeconds: number}>} */
+  scans: new Map() // 按监控路径统计的目录扫描耗时
+};
+
+/**
+ * 累加 Map 中的计数
+ * @param {Map<string, number>} map - 计数表
+ * @param {string} key - 键
+ * @param {number} amount - 增量
+ */
+function increment(map, key, amount) {
+  map.set(key, (map.get(key) || 0) + amount);
+}
+
+/**
+ * 记录一个目录的清理结果
+ * @param {'deleted' | 'archived' | 'quarantined' | 'failed'} event - 处理结果
+ * @param {number} sizeGB - 目录大小
+ * @param {string} [recordingsPath] - 所属监控路径
+ */
+function recordCleanup(event, sizeGB, recordingsPath = '') {
+  if (event === 'failed') {
+    increment(totals.cleanupFailures, recordingsPath, 1);
+    return;
+  }
+  increment(totals.dirsCleaned, event, 1);
+  increment(totals.gbCleaned, event, sizeGB);
+}
+
+/**
+ * 记录一次通知发送失败(含重试失败)
+ * @param {string} channel - 渠道名称
+ */
+function recordNotificationFailure(channel) {
+  increment(totals.notificationFailures, channel, 1);
+}
+
+/**
+ * 记录一次磁盘检查的耗时
+ * @param {number} seconds - 耗时(秒)
+ */
+function recordCheckDuration(seconds) {
+  totals.checks.count++;
+  totals.checks.sumSeconds += seconds;
+  totals.checks.lastSeconds = seconds;
+  totals.checks.lastTimestamp = Date.now() / 1000;
+}
+
+/**
+ * 记录一次录制目录扫描的耗时
+ * @param {string} recordingsPath - 监控路径
+ * @param {number} seconds - 耗时(秒)
+ */
+function recordScanDuration(recordingsPath, seconds) {
+  const scan = totals.scans.get(recordingsPath) || { count: 0, sumSeconds: 0, lastSeconds: 0 };
+  scan.count++;
+  scan.sumSeconds += seconds;
+  scan.lastSeconds = seconds;
+  totals.scans.set(recordingsPath, scan);
+}
+
+/**
+ * 将 Map 转换为带单个标签的样本
+ * @param {Map<string, number>} map - 计数表
+ * @param {string} labelName - 标签名
+ * @returns {Sample[]}
+ */
+function toSamples(map, labelName) {
+  return [...map.entries()].map(([key, value]) => ({ labels: { [labelName]: key }, value }));
+}
+
+/**
+ * 转义标签值
+ * @param {string} value - 标签值
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * 以 Prometheus 文本格式输出指标族
+ * @param {MetricFamily[]} families - 指标族
+ * @returns {string}
+ */
+function format(families) {
+  const lines = [];
+  for (const { name, help, type, samples } of families) {
+    lines.push(`# HELP ${PREFIX}${name} ${help}`, `# TYPE ${PREFIX}${name} ${type}`);
+    for (const { labels, value } of samples) {
+      const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`).join(',');
+      lines.push(`${PREFIX}${name}${labelText ? `{${labelText}}` : ''} ${Number.isFinite(value) ? value : 'NaN'}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 本进程累计的计数类指标
+ * @returns {MetricFamily[]}
+ */
+function getCounterFamilies() {
+  const scans = [...totals.scans.entries()];
+  return [
+    { name: 'dirs_cleaned_total', help: '本进程已清理的目录数(按处理方式)', type: 'counter', samples: toSamples(totals.dirsCleaned, 'action') },
+    { name: 'gb_cleaned_total', help: '本进程已清理的空间(GB，按处理方式)', type: 'counter', samples: toSamples(totals.gbCleaned, 'action') },
+    { name: 'cleanup_failures_total', help: '本进程清理目录失败的次数', type: 'counter', samples: toSamples(totals.cleanupFailures, 'path') },
+    { name: 'notification_failures_total', help: '本进程通知发送失败的次数(按渠道，含重试)', type: 'counter', samples: toSamples(totals.notificationFailures, 'channel') },
+    { name: 'check_duration_seconds_sum', help: '磁盘检查累计耗时(秒)', type: 'counter', samples: [{ labels: {}, value: totals.checks.sumSeconds }] },
+    { name: 'check_duration_seconds_count', help: '磁盘检查次数', type: 'counter', samples: [{ labels: {}, value: totals.checks.count }] },
+    { name: 'last_check_duration_seconds', help: '最近一次磁盘检查的耗时(秒)', type: 'gauge', samples: [{ labels: {}, value: totals.checks.lastSeconds }] },
+    { name: 'last_check_timestamp_seconds', help: '最近一次磁盘检查的完成时间', type: 'gauge', samples: totals.checks.lastTimestamp ? [{ labels: {}, value: totals.checks.lastTimestamp }] : [] },
+    { name: 'scan_duration_seconds_sum', help: '录制目录扫描累计耗时(秒)', type: 'counter', samples: scans.map(([scanPath, scan]) => ({ labels: { path: scanPath }, value: scan.sumSeconds })) },
+    { name: 'scan_duration_seconds_count', help: '录制目录扫描次数', type: 'counter', samples: scans.map(([scanPath, scan]) => ({ labels: { path: scanPath }, value: scan.count })) },
+    { name: 'last_scan_duration_seconds', help: '最近一次录制目录扫描的耗时(秒)', type: 'gauge', samples: scans.map(([scanPath, scan]) => ({ labels: { path: scanPath }, value: scan.lastSeconds })) }
+  ];
+}
+
+module.exports = {
+  recordCleanup,
+  recordNotificationFailure,
+  recordCheckDuration,
+  recordScanDuration,
+  getCounterFamilies,
+  format
+};
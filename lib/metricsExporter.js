@@ -0,0 +1,114 @@
+/**
+ * 指标导出模块
+ * 负责收集磁盘空间、录制目录、删除计划等状态类指标，与累计计数一起以 Prometheus 文本格式输出
+ */
+
+const config = require('../config');
+const diskManager = require('./diskManager');
+const fileManager = require('./fileManager');
+const metrics = require('./metrics');
+const planStore = require('./planStore');
+const retentionPolicy = require('./retentionPolicy');
+const logger = require('../utils/logger');
+
+const DEFAULT_METRICS = {
+  scanCacheSeconds: 300 // 录制目录大小和数量的缓存时间，避免每次抓取都完整扫描目录
+};
+
+/**
+ * @typedef {import('./metrics').Sample} Sample
+ */
+
+/** @type {{expiresAt: number, stats: Array<{path: string, sizeGB: number, dirCount: number}>} | null} */
+let recordingsCache = null;
+
+/**
+ * 获取各监控路径的录制目录总大小和数量(带缓存)
+ * @returns {Promise<Array<{path: string, sizeGB: number, dirCount: number}>>}
+ */
+async function getRecordingsStats() {
+  if (recordingsCache && recordingsCache.expiresAt > Date.now()) {
+    return recordingsCache.stats;
+  }
+
+  const stats = [];
+  for (const { path: recordingsPath, policy } of retentionPolicy.getRecordingsTargets()) {
+    const dirs = await fileManager.scanDirectories(recordingsPath, policy.scan);
+    stats.push({
+      path: recordingsPath,
+      sizeGB: dirs.reduce((total, dir) => total + dir.sizeGB, 0),
+      dirCount: dirs.length
+    });
+  }
+
+  const { scanCacheSeconds } = { ...DEFAULT_METRICS, ...(config.metrics || {}) };
+  recordingsCache = { expiresAt: Date.now() + scanCacheSeconds * 1000, stats };
+  return stats;
+}
+
+/**
+ * 收集所有指标并输出为 Prometheus 文本格式
+ * @returns {Promise<string>}
+ */
+async function render() {
+  /** @type {Sample[]} */
+  const diskTotal = [];
+  /** @type {Sample[]} */
+  const diskFree = [];
+  /** @type {Sample[]} */
+  const diskUsed = [];
+  /** @type {Sample[]} */
+  const diskUsedPercent = [];
+  /** @type {Sample[]} */
+  const diskUp = [];
+  /** @type {Sample[]} */
+  const diskThreshold = [];
+
+  for (const { path: recordingsPath } of retentionPolicy.getRecordingsTargets()) {
+    const labels = { path: recordingsPath };
+    try {
+      const diskKey = await diskManager.getDiskKey(recordingsPath);
+      const spaceInfo = await diskManager.getDiskSpace(recordingsPath);
+      diskThreshold.push({ labels: { path: recordingsPath, mount: diskKey }, value: (await diskManager.getThresholds(diskKey, spaceInfo.totalGB)).minFreeSpaceGB });
+      diskTotal.push({ labels, value: spaceInfo.totalGB });
+      diskFree.push({ labels, value: spaceInfo.freeGB });
+      diskUsed.push({ labels, value: spaceInfo.usedGB });
+      diskUsedPercent.push({ labels, value: spaceInfo.usedPercentage });
+      diskUp.push({ labels, value: 1 });
+    } catch (error) {
+      diskUp.push({ labels, value: 0 });
+    }
+  }
+
+  /** @type {Array<{path: string, sizeGB: number, dirCount: number}>} */
+  let recordingsStats = [];
+  try {
+    recordingsStats = await getRecordingsStats();
+  } catch (error) {
+    logger.error('统计录制目录指标失败', { error });
+  }
+
+  const activePlan = await planStore.getActivePlan();
+  const pendingDirs = activePlan ? activePlan.allDirsToDelete : [];
+
+  return metrics.format([
+    { name: 'disk_total_gb', help: '监控路径所在磁盘的总空间(GB)', type: 'gauge', samples: diskTotal },
+    { name: 'disk_free_gb', help: '监控路径所在磁盘的剩余空间(GB)', type: 'gauge', samples: diskFree },
+    { name: 'disk_used_gb', help: '监控路径所在磁盘的已用空间(GB)', type: 'gauge', samples: diskUsed },
+    { name: 'disk_used_percent', help: '监控路径所在磁盘的使用率(%)', type: 'gauge', samples: diskUsedPercent },
+    { name: 'disk_up', help: '能否读取监控路径所在磁盘的空间信息(1 为正常)', type: 'gauge', samples: diskUp },
+    { name: 'min_free_space_gb', help: '配置的最小剩余空间阈值(GB)', type: 'gauge', samples: [{ labels: {}, value: config.minFreeSpaceGB }] },
+    { name: 'disk_min_free_space_gb', help: '监控路径所在磁盘生效的最小剩余空间阈值(GB)', type: 'gauge', samples: diskThreshold },
+    { name: 'recordings_size_gb', help: '监控路径下录制目录的总大小(GB)', type: 'gauge', samples: recordingsStats.map(stat => ({ labels: { path: stat.path }, value: stat.sizeGB })) },
+    { name: 'recordings_dirs', help: '监控路径下的录制目录数量', type: 'gauge', samples: recordingsStats.map(stat => ({ labels: { path: stat.path }, value: stat.dirCount })) },
+    { name: 'deletion_pending', help: '是否存在等待执行的删除计划(1 为存在)', type: 'gauge', samples: [{ labels: {}, value: activePlan ? 1 : 0 }] },
+    { name: 'deletion_pending_dirs', help: '等待执行的删除计划中的目录数', type: 'gauge', samples: [{ labels: {}, value: pendingDirs.length }] },
+    { name: 'deletion_pending_gb', help: '等待执行的删除计划预计释放的空间(GB)', type: 'gauge', samples: [{ labels: {}, value: pendingDirs.reduce((total, dir) => total + dir.sizeGB, 0) }] },
+    { name: 'deletion_due_timestamp_seconds', help: '等待执行的删除计划的执行时间', type: 'gauge', samples: activePlan ? [{ labels: {}, value: activePlan.dueAt / 1000 }] : [] },
+    ...metrics.getCounterFamilies()
+  ]);
+}
+
+module.exports = {
+  render
+};
@@ -0,0 +1,1290 @@
+/**
+ * 监控调度模块
+ * 负责磁盘空间检查、删除计划的生成、调度与执行
+ */
+
+const cron = require('node-cron');
+const config = require('../config');
+const approval = require('./approval');
+const auditLog = require('./auditLog');
+const configLoader = require('./configLoader');
+const diskManager = require('./diskManager');
+const fileManager = require('./fileManager');
+const forecast = require('./forecast');
+const { t, localize } = require('./i18n');
+const messages = require('./messages');
+const metrics = require('./metrics');
+const notifier = require('./notifier');
+const planStore = require('./planStore');
+const protection = require('./protection');
+const quarantine = require('./quarantine');
+const retentionPolicy = require('./retentionPolicy');
+const runHistory = require('./runHistory');
+const spaceLevels = require('./spaceLevels');
+const { isProcessAlive, tryAcquireLock, releaseLock } = require('../utils/fileLock');
+const { handleError } = require('../utils/handleError');
+const { resolveDataFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const MAX_TIMEOUT_MS = 2147483647; // setTimeout 允许的最大延迟
+
+const PLAN_SYNC_INTERVAL_MS = 60 * 1000; // 服务模式下同步计划存储的间隔
+const NOTIFICATION_RETRY_INTERVAL_MS = 60 * 1000; // 服务模式下处理通知重试队列的间隔
+const CHECK_LOCK_FILE = 'check.lock'; // 检查进行中时持有的锁文件，多个进程不会同时检查
+
+let serviceMode = false; // 是否以常驻服务方式运行(负责按时执行删除计划)
+let stopping = false; // 服务是否正在停止
+
+/** @type {import('node-cron').ScheduledTask | null} */
+let checkTask = null; // 定时检查任务，调度配置变更时重建
+/** @type {NodeJS.Timeout | null} */
+let deletionTimer = null; // 当前计划的删除定时器
+/** @type {{planId: string, dueAt: number} | null} */
+let scheduledPlan = null; // 当前定时器对应的计划
+/** @type {string | null} */
+let executingPlanId = null; // 本进程正在执行的计划
+/** @type {number | null} */
+let checkStartedAt = null; // 正在进行的检查的开始时间
+/** @type {NodeJS.Timeout[]} */
+let serviceTimers = []; // 服务模式下的周期任务
+/** @type {Set<Promise<unknown>>} */
+const activeWork = new Set(); // 正在进行的检查和删除，服务停止时等待其完成
+
+/**
+ * 本次检查中各磁盘的状态，同一磁盘上的多个监控路径共用
+ * @typedef {{
+ *   spaceInfo: import('./planStore').SpaceInfo,
+ *   thresholds: import('./diskManager').DiskThresholds,
+ *   effectiveFreeGB: number,
+ *   level: import('./spaceLevels').SpaceLevel,
+ *   forecast: import('./forecast').DiskForecast | null,
+ *   paths: string[]
+ * }} DiskState
+ */
+
+/**
+ * 记录正在进行的检查或删除，服务停止时等待其完成
+ * @template T
+ * @param {Promise<T>} work - 检查或删除任务
+ * @returns {Promise<T>}
+ */
+function trackWork(work) {
+  activeWork.add(work);
+  work.finally(() => activeWork.delete(work)).catch(() => {});
+  return work;
+}
+
+/**
+ * 统计删除后的磁盘空间并发送完成通知
+ * @param {import('./planStore').TriggeredResult[]} triggeredResults - 计划中触发删除的路径检查结果
+ * @param {import('./planStore').DirInfo[]} deletedDirs - 已删除的目录
+ * @param {import('./planStore').SkippedDir[]} skippedDirs - 执行时跳过的目录
+ * @param {import('./messages').MessagePlanDiff} planDiff - 删除警告中通知的目录及执行时空间仍不足的磁盘
+ * @returns {Promise<void>}
+ */
+async function notifyPlanCompleted(triggeredResults, deletedDirs, skippedDirs, planDiff) {
+  const postDeletionSpaceChecks = [];
+  const postDeleteDiskCache = new Map();
+
+  for (const result of triggeredResults) {
+    // 旧版本保存的计划没有记录磁盘标识
+    const diskKey = result.diskKey || await diskManager.getDiskKey(result.recordingsPath);
+    let postDeleteSpaceInfo;
+    if (postDeleteDiskCache.has(diskKey)) {
+      postDeleteSpaceInfo = postDeleteDiskCache.get(diskKey);
+    } else {
+      postDeleteSpaceInfo = await diskManager.getDiskSpace(result.recordingsPath);
+      postDeleteDiskCache.set(diskKey, postDeleteSpaceInfo);
+    }
+
+    const minFreeSpaceGB = result.minFreeSpaceGB !== undefined ? result.minFreeSpaceGB : (await diskManager.getThresholds(diskKey, postDeleteSpaceInfo.totalGB)).minFreeSpaceGB;
+    postDeletionSpaceChecks.push({
+      path: result.recordingsPath,
+      diskKey,
+      spaceInfo: postDeleteSpaceInfo,
+      daysUntilThreshold: result.forecast
+        ? forecast.estimateDays(postDeleteSpaceInfo.freeGB, minFreeSpaceGB, result.forecast.fillRateGBPerDay)
+        : undefined
+    });
+  }
+
+  await notifier.notify(messages.buildConsolidatedCompletionMessage(deletedDirs, postDeletionSpaceChecks, skippedDirs, planDiff));
+}
+
+/**
+ * 在审批记录中追加一条决定
+ * @param {import('./approval').PlanApproval} planApproval - 计划的审批状态
+ * @param {import('./approval').PlanApproval['status']} status - 决定后的审批状态
+ * @param {import('./approval').ApprovalDecision['action']} action - 审批操作
+ * @param {string} via - 操作来源(link、http、cli、timer)
+ * @param {string} [remote] - 通过链接操作时的客户端地址
+ * @returns {import('./approval').PlanApproval}
+ */
+function addDecision(planApproval, status, action, via, remote) {
+  const decision = { action, time: Date.now(), via, ...(remote ? { remote } : {}) };
+  return { ...planApproval, status, decisions: [...planApproval.decisions, decision] };
+}
+
+/**
+ * 执行等待审批的计划前处理审批状态：
+ * 到期仍未审批时按 onTimeout 取消计划或照常执行；命令行立即执行、面板批准等手动执行视为批准
+ * @param {import('./planStore').DeletionPlan & {approval: import('./approval').PlanApproval}} plan - 等待审批的计划
+ * @param {string} trigger - 执行来源
+ * @returns {Promise<boolean>} - 是否继续执行
+ */
+async function settleApproval(plan, trigger) {
+  if (trigger !== 'timer') {
+    logger.info(`删除计划 ${plan.id} 已通过 ${trigger} 批准`);
+    auditLog.record('plan-approved', { planId: plan.id, trigger });
+    await planStore.updatePlanStatus(plan.id, 'pending', { approval: addDecision(plan.approval, 'approved', 'approve', trigger) });
+    return true;
+  }
+
+  const { onTimeout } = plan.approval;
+  auditLog.record('approval-timeout', { planId: plan.id, trigger, onTimeout });
+  const timedOut = addDecision(plan.approval, 'timed-out', 'timeout', trigger);
+  if (onTimeout === 'cancel') {
+    logger.info(`删除计划 ${plan.id} 审批超时，按配置取消`);
+    await planStore.updatePlanStatus(plan.id, 'cancelled', { approval: timedOut });
+    return false;
+  }
+  logger.info(`删除计划 ${plan.id} 审批超时，按配置照常执行`);
+  await planStore.updatePlanStatus(plan.id, 'pending', { approval: timedOut });
+  return true;
+}
+
+/**
+ * 生成跳过删除的目录记录，原因同时保存文本(日志、审计)和键(通知中按发送时的语言显示)
+ * @param {{path: string, sizeGB: number, mtime: number}} dir - 目录
+ * @param {import('./i18n').LocalizedText} skipReasonCode - 跳过原因
+ * @returns {import('./planStore').SkippedDir}
+ */
+function toSkippedDir(dir, skipReasonCode) {
+  return { path: dir.path, sizeGB: dir.sizeGB, mtime: dir.mtime, skipReason: localize(skipReasonCode), skipReasonCode };
+}
+
+/**
+ * 执行前按当前磁盘空间重新评估计划中的目录，不再删除计划生成后的过时列表：
+ * 计划生成后已被移走、删除或修改的目录不删除；按保留策略(超期、超出配额)选中的目录照常删除；
+ * 按剩余空间规则选中的目录从最早的开始，只删除到磁盘达到目标剩余空间为止。
+ * 计划中的目录不足以达到目标时不会追加未通知的目录，由下次检查重新生成计划
+ * @param {import('./planStore').DeletionPlan} plan - 删除计划
+ * @param {import('./planStore').DirInfo[]} dirs - 计划中未受保护的目录
+ * @returns {Promise<{dirsToDelete: import('./planStore').DirInfo[], skippedDirs: import('./planStore').SkippedDir[], shortfalls: import('./messages').MessageShortfall[]}>}
+ */
+async function replanDeletion(plan, dirs) {
+  /** @type {import('./planStore').DirInfo[]} */
+  const dirsToDelete = [];
+  /** @type {import('./planStore').SkippedDir[]} */
+  const skippedDirs = [];
+  /** @type {import('./messages').MessageShortfall[]} */
+  const shortfalls = [];
+
+  /** @type {Map<string, string>} */
+  const dirPaths = new Map(); // 目录所属的监控路径
+  for (const result of plan.triggeredResults) {
+    for (const dir of result.dirsToDelete) {
+      dirPaths.set(dir.path, result.recordingsPath);
+    }
+  }
+  /** @type {Map<string, {samplePath: string, dirs: import('./planStore').DirInfo[]}>} */
+  const dirsByDisk = new Map();
+  for (const dir of dirs) {
+    const samplePath = dirPaths.get(dir.path) || dir.path;
+    const diskKey = await diskManager.getDiskKey(samplePath);
+    const entry = dirsByDisk.get(diskKey) || { samplePath, dirs: [] };
+    entry.dirs.push(dir);
+    dirsByDisk.set(diskKey, entry);
+  }
+
+  const quarantinedByDisk = await quarantine.getPendingSizeByDisk();
+  for (const [diskKey, { samplePath, dirs: diskDirs }] of dirsByDisk.entries()) {
+    let neededGB = Infinity;
+    try {
+      const spaceInfo = await diskManager.getDiskSpace(samplePath);
+      const { targetFreeGB } = await diskManager.getThresholds(diskKey, spaceInfo.totalGB);
+      neededGB = targetFreeGB - spaceInfo.freeGB - (quarantinedByDisk.get(diskKey) || 0);
+      logger.info(`磁盘 ${diskKey} 当前剩余 ${spaceInfo.freeGB.toFixed(2)}GB，还需释放 ${Math.max(neededGB, 0).toFixed(2)}GB`);
+    } catch (error) {
+      logger.error(`执行前重新检查磁盘 ${diskKey} 空间失败，按原计划删除`, { error });
+    }
+
+    let freedGB = 0;
+    for (const dir of [...diskDirs].sort((a, b) => a.mtime - b.mtime)) {
+      const changeReason = await fileManager.getChangeReason(dir, plan.createdAt);
+      if (changeReason) {
+        skippedDirs.push(toSkippedDir(dir, changeReason));
+      } else if (dir.reason === 'age' || dir.reason === 'quota' || freedGB < neededGB) {
+        dirsToDelete.push(dir);
+        freedGB += dir.sizeGB;
+      } else {
+        skippedDirs.push(toSkippedDir(dir, { key: 'skipReason.targetReached' }));
+      }
+    }
+    if (freedGB < neededGB && neededGB !== Infinity) {
+      logger.warn(`磁盘 ${diskKey} 删除计划中的目录后仍差约 ${(neededGB - freedGB).toFixed(2)}GB 才能达到目标剩余空间，将在下次检查时重新评估`);
+      shortfalls.push({ diskKey, missingGB: neededGB - freedGB });
+    }
+  }
+
+  return { dirsToDelete: dirsToDelete.sort((a, b) => a.mtime - b.mtime), skippedDirs, shortfalls };
+}
+
+/**
+ * 执行删除计划，并发送完成通知
+ * 执行前重新读取计划，已取消或已由其他进程完成的计划不会重复执行；
+ * 服务停止时完成当前目录后暂停，计划保持执行中并记录已删除的目录，下次启动后继续删除其余目录
+ * @param {string} planId - 删除计划ID
+ * @param {string} [trigger] - 执行来源(timer 为到期自动执行，cli 为命令行立即执行，http 为面板批准，link 为审批链接批准)
+ * @returns {Promise<import('./planStore').DeletionPlan | null>} - 执行后的计划，未执行时返回null
+ */
+function executePlan(planId, trigger = 'timer') {
+  return trackWork(runPlan(planId, trigger));
+}
+
+/**
+ * 执行删除计划(executePlan 的实现)
+ * @param {string} planId - 删除计划ID
+ * @param {string} trigger - 执行来源
+ * @returns {Promise<import('./planStore').DeletionPlan | null>}
+ */
+async function runPlan(planId, trigger) {
+  if (config.dryRun) {
+    // 最后一道防线：演练模式开启前已安排的定时器或其他入口都不会实际删除
+    logger.info(`[演练] 演练模式已开启，删除计划 ${planId} 不执行删除`);
+    return null;
+  }
+  if (planId === executingPlanId) {
+    return null; // 本进程正在执行(如紧急删除时定时器同时到期)
+  }
+  const storedPlan = await planStore.getPlan(planId);
+  if (!storedPlan || (storedPlan.status !== 'pending' && storedPlan.status !== 'executing')) {
+    logger.info(`删除计划 ${planId} 当前状态为 ${storedPlan ? storedPlan.status : '不存在'}，不执行删除`);
+    return null;
+  }
+  if (isExecutingElsewhere(storedPlan)) {
+    logger.info(`删除计划 ${planId} 正由进程 ${storedPlan.executorPid} 执行，不重复执行`);
+    return null;
+  }
+  if (storedPlan.approval && storedPlan.approval.status === 'waiting' && !await settleApproval({ ...storedPlan, approval: storedPlan.approval }, trigger)) {
+    return null;
+  }
+
+  // 在计划锁内重新读取并标记为执行中，其他进程在此期间开始执行或取消了计划时不再执行
+  executingPlanId = planId;
+  const claimed = await planStore.claimPlan(planId).catch(error => {
+    executingPlanId = null;
+    throw error;
+  });
+  if (!claimed) {
+    executingPlanId = null;
+    logger.info(`删除计划 ${planId} 已由其他进程开始执行或已结束，不执行删除`);
+    return null;
+  }
+  const { plan, previous } = claimed;
+
+  const { triggeredResults, allDirsToDelete } = plan;
+  // 只有执行进程已退出(或就是本进程)的计划才会被认领为执行中，视为上次执行被中断，已删除的目录不再处理
+  const resumed = previous.status === 'executing';
+  const previousDeletedDirs = resumed ? previous.deletedDirs || [] : [];
+  if (resumed) {
+    logger.info(`删除计划 ${plan.id} 上次执行${previous.executorPid ? `(进程 ${previous.executorPid})` : ''}被中断，已删除 ${previousDeletedDirs.length} 个目录，继续删除其余目录`);
+  }
+  const remainingDirs = allDirsToDelete.filter(dir => !previousDeletedDirs.some(deletedDir => deletedDir.path === dir.path));
+
+  logger.info(`开始执行整合删除操作 (计划 ${plan.id})...`);
+
+  let deletedDirs;
+  let skippedDirs;
+  let interrupted = false;
+  /** @type {import('./messages').MessageShortfall[]} */
+  let shortfalls = [];
+  try {
+    // 警告发出后新增的保护(标记文件、排除规则、固定保留)同样生效
+    const { allowedDirs, protectedDirs } = await protection.partitionProtected(remainingDirs);
+    for (const dir of protectedDirs) {
+      logger.info(`${dir.path}: 受保护，跳过删除 (${dir.skipReason})`);
+    }
+    const replanned = await replanDeletion(plan, allowedDirs);
+    for (const dir of replanned.skippedDirs) {
+      logger.info(`${dir.path}: 跳过删除 (${dir.skipReason})`);
+    }
+    for (const dir of [...protectedDirs, ...replanned.skippedDirs]) {
+      auditLog.record('skipped', { planId: plan.id, trigger, path: dir.path, sizeGB: dir.sizeGB, mtime: dir.mtime, skipReason: dir.skipReason });
+    }
+    shortfalls = replanned.shortfalls;
+    const result = await fileManager.deleteDirectories(replanned.dirsToDelete, { planId: plan.id, trigger });
+    deletedDirs = [...previousDeletedDirs, ...result.deletedDirs];
+    skippedDirs = [...(plan.excludedDirs || []), ...protectedDirs, ...replanned.skippedDirs, ...result.skippedDirs];
+    interrupted = result.interrupted;
+  } catch (error) {
+    logger.error(`执行删除计划 ${plan.id} 时出错`, { error });
+    return planStore.updatePlanStatus(plan.id, 'failed', { error: handleError(error).msg });
+  } finally {
+    executingPlanId = null;
+  }
+  if (interrupted) {
+    logger.info(`服务正在停止，删除计划 ${plan.id} 暂停执行(已删除 ${deletedDirs.length} 个目录)，下次启动后继续`);
+    return planStore.updatePlanStatus(plan.id, 'executing', { deletedDirs });
+  }
+  logger.info('整合删除操作完成');
+  const completedPlan = await planStore.updatePlanStatus(plan.id, 'completed', { deletedDirs, skippedDirs });
+
+  // 完成通知失败不影响计划状态，也不会阻塞后续检查
+  await notifyPlanCompleted(triggeredResults, deletedDirs, skippedDirs, { plannedDirs: [...allDirsToDelete, ...(plan.excludedDirs || [])], shortfalls }).catch(error => {
+    logger.error(`发送删除计划 ${plan.id} 完成通知失败`, { error });
+  });
+
+  return completedPlan;
+}
+
+/**
+ * 取消当前的删除定时器
+ */
+function clearScheduledDeletion() {
+  if (deletionTimer) {
+    clearTimeout(deletionTimer);
+  }
+  deletionTimer = null;
+  scheduledPlan = null;
+}
+
+/**
+ * 按计划的到期时间安排删除，到期后执行
+ * @param {import('./planStore').DeletionPlan} plan - 删除计划
+ */
+function scheduleDeletion(plan) {
+  clearScheduledDeletion();
+  if (stopping) {
+    return; // 服务停止后不再安排，计划在下次启动时恢复
+  }
+
+  const delayMs = Math.max(plan.dueAt - Date.now(), 0);
+  scheduledPlan = { planId: plan.id, dueAt: plan.dueAt };
+  deletionTimer = setTimeout(() => {
+    deletionTimer = null;
+    if (plan.dueAt > Date.now()) {
+      // 超过 setTimeout 最大延迟时分段等待
+      scheduleDeletion(plan);
+      return;
+    }
+    scheduledPlan = null;
+    executePlan(plan.id).catch(error => {
+      logger.error(`删除计划 ${plan.id} 执行后处理失败`, { error });
+    });
+  }, Math.min(delayMs, MAX_TIMEOUT_MS));
+}
+
+/**
+ * 计划是否正由其他仍在运行的进程执行
+ * @param {import('./planStore').DeletionPlan} plan - 删除计划
+ * @returns {boolean}
+ */
+function isExecutingElsewhere(plan) {
+  return plan.status === 'executing' && Boolean(plan.executorPid) && plan.executorPid !== process.pid && isProcessAlive(/** @type {number} */ (plan.executorPid));
+}
+
+/**
+ * 逾期超过 planExpireHours 的计划作废，由之后的检查重新评估
+ * @param {import('./planStore').DeletionPlan} plan - 删除计划
+ * @returns {Promise<boolean>} - 是否已作废
+ */
+async function expireOverduePlan(plan) {
+  const overdueMs = Date.now() - plan.dueAt;
+  if (overdueMs <= config.planExpireHours * 60 * 60 * 1000) {
+    return false;
+  }
+  logger.info(`删除计划 ${plan.id} 已逾期 ${(overdueMs / 3600000).toFixed(1)} 小时，作废并重新评估`);
+  await planStore.updatePlanStatus(plan.id, 'expired');
+  return true;
+}
+
+/**
+ * 命令行单次检查时处理已到期的删除计划(服务模式下由删除定时器和 syncActivePlan 负责)：
+ * 逾期过久的计划作废；已到期或上次执行被中断的计划立即执行；未到期的计划保持不变
+ * @param {import('./planStore').DeletionPlan} plan - 删除计划
+ * @returns {Promise<import('./planStore').DeletionPlan | null>} - 处理后仍未完成的计划
+ */
+async function settleDuePlan(plan) {
+  if (isExecutingElsewhere(plan)) {
+    return plan;
+  }
+  if (await expireOverduePlan(plan)) {
+    return planStore.getActivePlan();
+  }
+  if (plan.status === 'executing' || plan.dueAt <= Date.now()) {
+    logger.info(`删除计划 ${plan.id} ${plan.status === 'executing' ? '上次执行未完成' : '已到期'}，立即执行`);
+    await executePlan(plan.id);
+    return planStore.getActivePlan();
+  }
+  return plan;
+}
+
+/**
+ * 使本进程的删除定时器与计划存储保持一致
+ * 启动时用于恢复上次未完成的计划，运行中用于感知命令行创建、取消或立即执行的计划：
+ * 未到期的计划按原定时间安排；已逾期的计划立即执行，逾期过久则作废并重新评估
+ * @returns {Promise<void>}
+ */
+async function syncActivePlan() {
+  const plan = await planStore.getActivePlan();
+  if (!plan) {
+    clearScheduledDeletion();
+    return;
+  }
+
+  if (config.dryRun) {
+    logger.info(`[演练] 存在未完成的删除计划 ${plan.id}，演练模式下不执行`);
+    return;
+  }
+
+  if (plan.id === executingPlanId) {
+    return;
+  }
+
+  if (isExecutingElsewhere(plan)) {
+    // 其他进程(如命令行 delete-now)正在执行该计划
+    return;
+  }
+
+  if (scheduledPlan && scheduledPlan.planId === plan.id && scheduledPlan.dueAt === plan.dueAt) {
+    return;
+  }
+
+  if (await expireOverduePlan(plan)) {
+    clearScheduledDeletion();
+    return;
+  }
+
+  const overdueMs = Date.now() - plan.dueAt;
+  if (plan.status === 'executing') {
+    logger.info(`删除计划 ${plan.id} 上次执行未完成，继续执行`);
+  } else if (overdueMs >= 0) {
+    logger.info(`删除计划 ${plan.id} 已到期，立即执行`);
+  } else {
+    logger.info(`安排删除计划 ${plan.id}，将于 ${new Date(plan.dueAt).toLocaleString()} 执行`);
+  }
+  scheduleDeletion(plan);
+}
+
+/**
+ * 取消等待执行的删除计划，等待审批的计划被取消时记为拒绝
+ * @param {string} [trigger] - 取消来源
+ * @param {string} [remote] - 通过审批链接拒绝时的客户端地址
+ * @returns {Promise<import('./planStore').DeletionPlan | null>} - 被取消的计划，没有可取消的计划时返回null
+ */
+async function cancelActivePlan(trigger = 'cli', remote) {
+  const plan = await planStore.getActivePlan();
+  if (!plan || plan.status !== 'pending') {
+    return null;
+  }
+
+  const rejected = Boolean(plan.approval && plan.approval.status === 'waiting');
+  const cancelledPlan = await planStore.updatePlanStatus(plan.id, 'cancelled', plan.approval && rejected
+    ? { approval: addDecision(plan.approval, 'rejected', 'reject', trigger, remote) }
+    : {});
+  if (scheduledPlan && scheduledPlan.planId === plan.id) {
+    clearScheduledDeletion();
+  }
+  logger.info(`删除计划 ${plan.id} 已${rejected ? '被拒绝' : '取消'}`);
+  auditLog.record(rejected ? 'plan-rejected' : 'plan-cancelled', { planId: plan.id, trigger, dirCount: plan.allDirsToDelete.length, ...(remote ? { remote } : {}) });
+  return cancelledPlan;
+}
+
+/**
+ * 处理审批链接中的决定：批准后立即在后台执行，拒绝则取消计划，推迟则将截止时间延后 postponeHours 小时
+ * @param {string} planId - 删除计划ID(须为当前等待审批的计划)
+ * @param {import('./approval').ApprovalAction} action - 审批操作
+ * @param {string} [remote] - 客户端地址
+ * @returns {Promise<import('./planStore').DeletionPlan | null>} - 更新后的计划，计划已不在等待审批或演练模式下批准时返回null
+ */
+async function decideApproval(planId, action, remote) {
+  const plan = await planStore.getActivePlan();
+  if (!plan || plan.id !== planId || plan.status !== 'pending' || !plan.approval || plan.approval.status !== 'waiting') {
+    return null;
+  }
+
+  if (action === 'reject') {
+    return cancelActivePlan('link', remote);
+  }
+
+  if (action === 'approve' && config.dryRun) {
+    logger.info(`[演练] 删除计划 ${plan.id} 的审批链接被点击批准，演练模式下不执行删除，计划仍等待审批`);
+    return null;
+  }
+
+  if (action === 'postpone') {
+    const { postponeHours } = approval.getApprovalConfig();
+    const dueAt = Math.max(plan.dueAt, Date.now()) + postponeHours * 60 * 60 * 1000;
+    const postponedPlan = await planStore.updatePlanStatus(plan.id, 'pending', {
+      dueAt,
+      approval: addDecision(plan.approval, 'waiting', 'postpone', 'link', remote)
+    });
+    logger.info(`删除计划 ${plan.id} 的审批已推迟至 ${new Date(dueAt).toLocaleString()}`);
+    auditLog.record('plan-postponed', { planId: plan.id, trigger: 'link', dueAt, ...(remote ? { remote } : {}) });
+    if (serviceMode && postponedPlan) {
+      scheduleDeletion(postponedPlan);
+    }
+    return postponedPlan;
+  }
+
+  const approvedPlan = await planStore.updatePlanStatus(plan.id, 'pending', {
+    approval: addDecision(plan.approval, 'approved', 'approve', 'link', remote)
+  });
+  logger.info(`删除计划 ${plan.id} 已通过审批链接批准，立即执行`);
+  auditLog.record('plan-approved', { planId: plan.id, trigger: 'link', ...(remote ? { remote } : {}) });
+  // 删除可能耗时较长，后台执行
+  executePlan(plan.id, 'link').catch(error => {
+    logger.error(`执行删除计划 ${plan.id} 失败`, { error });
+  });
+  return approvedPlan;
+}
+
+/**
+ * 将目录从等待执行的删除计划中排除，排除后计划为空时取消计划
+ * @param {string} planId - 删除计划ID(须为当前等待执行的计划)
+ * @param {string} dirPath - 要排除的目录
+ * @param {string} [trigger] - 操作来源
+ * @returns {Promise<import('./planStore').DeletionPlan | null>} - 更新后的计划，计划已变化或不包含该目录时返回null
+ */
+async function excludeFromActivePlan(planId, dirPath, trigger = 'http') {
+  const plan = await planStore.excludeDirectory(planId, dirPath, { key: 'skipReason.excluded' });
+  if (!plan) {
+    return null;
+  }
+
+  logger.info(`已从删除计划 ${plan.id} 中排除目录: ${dirPath}`);
+  const excluded = (plan.excludedDirs || []).find(dir => dir.path === dirPath);
+  auditLog.record('excluded', { planId: plan.id, trigger, path: dirPath, sizeGB: excluded && excluded.sizeGB, mtime: excluded && excluded.mtime });
+
+  if (plan.allDirsToDelete.length === 0) {
+    logger.info(`删除计划 ${plan.id} 中的目录已全部排除，取消计划`);
+    return cancelActivePlan(trigger);
+  }
+  return plan;
+}
+
+/**
+ * 演练模式：走完通知和删除流程但不实际删除，最后输出演练报告
+ * 报告列出每个将被删除的目录以及各磁盘删除后的预计剩余空间
+ * @param {Map<string, DiskState>} disks - 本次检查得到的各磁盘状态
+ * @param {import('./planStore').TriggeredResult[]} triggeredResults - 触发警告的路径检查结果列表
+ * @param {import('./planStore').DirInfo[]} allDirsToDelete - 整合后的删除列表
+ * @param {import('./planStore').SkippedDir[]} protectedDirs - 受保护不会删除的目录
+ */
+async function simulateDeletion(disks, triggeredResults, allDirsToDelete, protectedDirs) {
+  if (allDirsToDelete.length > 0) {
+    await notifier.notify(messages.buildConsolidatedDeleteMessage(triggeredResults, allDirsToDelete, config.minFreeSpaceGB, config.deleteDelay, protectedDirs));
+  }
+
+  const { deletedDirs, skippedDirs } = await fileManager.deleteDirectories(allDirsToDelete, { dryRun: true });
+
+  /** @type {Map<string, { spaceInfo: import('./planStore').SpaceInfo, dirs: import('./planStore').DirInfo[], freedGB: number }>} */
+  const projections = new Map();
+  for (const [diskKey, { spaceInfo }] of disks.entries()) {
+    projections.set(diskKey, { spaceInfo, dirs: [], freedGB: 0 });
+  }
+  /** @type {Map<string, string>} */
+  const dirDiskKeys = new Map();
+  for (const result of triggeredResults) {
+    for (const dir of result.dirsToDelete) {
+      dirDiskKeys.set(dir.path, result.diskKey || '');
+    }
+  }
+  for (const dir of deletedDirs) {
+    const projection = projections.get(dirDiskKeys.get(dir.path) || '');
+    if (projection) {
+      projection.dirs.push(dir);
+      projection.freedGB += dir.sizeGB;
+    }
+  }
+
+  /**
+   * @param {import('./planStore').SpaceInfo} spaceInfo
+   * @param {number} freedGB
+   * @returns {import('./planStore').SpaceInfo}
+   */
+  const projectSpace = (spaceInfo, freedGB) => ({
+    totalGB: spaceInfo.totalGB,
+    freeGB: spaceInfo.freeGB + freedGB,
+    usedGB: spaceInfo.usedGB - freedGB,
+    usedPercentage: ((spaceInfo.usedGB - freedGB) / spaceInfo.totalGB) * 100
+  });
+
+  if (deletedDirs.length > 0) {
+    const postDeletionSpaceChecks = triggeredResults.map(result => {
+      const projection = projections.get(result.diskKey || '');
+      return {
+        path: result.recordingsPath,
+        diskKey: result.diskKey,
+        spaceInfo: projectSpace(result.spaceInfo, projection ? projection.freedGB : 0)
+      };
+    });
+    await notifier.notify(messages.buildConsolidatedCompletionMessage(deletedDirs, postDeletionSpaceChecks, skippedDirs));
+  }
+
+  const lines = ['========== 演练报告 =========='];
+  for (const [diskKey, { spaceInfo, dirs, freedGB }] of projections.entries()) {
+    const projected = projectSpace(spaceInfo, freedGB);
+    lines.push(`磁盘 ${diskKey}: 当前剩余 ${spaceInfo.freeGB.toFixed(2)}GB，将删除 ${dirs.length} 个目录释放 ${freedGB.toFixed(2)}GB，预计剩余 ${projected.freeGB.toFixed(2)}GB (使用率 ${projected.usedPercentage.toFixed(2)}%)`);
+    for (const dir of dirs) {
+      lines.push(`  - ${dir.path}  ${dir.sizeGB.toFixed(2)}GB  ${new Date(dir.mtime).toLocaleString()}`);
+    }
+  }
+  for (const dir of protectedDirs) {
+    lines.push(`受保护(不删除): ${dir.path}  ${dir.sizeGB.toFixed(2)}GB  ${dir.skipReason}`);
+  }
+  for (const dir of skippedDirs) {
+    lines.push(`跳过(不删除): ${dir.path}  ${dir.sizeGB.toFixed(2)}GB  ${dir.skipReason}`);
+  }
+  lines.push(`合计: 将删除 ${deletedDirs.length} 个目录，释放 ${deletedDirs.reduce((total, dir) => total + dir.sizeGB, 0).toFixed(2)}GB`);
+  lines.push('==============================');
+  console.log(lines.join('\n'));
+}
+
+/**
+ * 将新计划中的每个目录写入审计日志
+ * @param {import('./planStore').DeletionPlan} plan - 删除计划
+ */
+function auditPlannedDirs(plan) {
+  for (const result of plan.triggeredResults) {
+    for (const dir of result.dirsToDelete) {
+      if (!plan.allDirsToDelete.some(item => item.path === dir.path)) {
+        continue; // 合并时因磁盘整体空间已足够而未选中的目录
+      }
+      auditLog.record('planned', {
+        planId: plan.id,
+        trigger: plan.trigger,
+        path: dir.path,
+        sizeGB: dir.sizeGB,
+        mtime: dir.mtime,
+        reason: dir.reason,
+        freeBeforeGB: result.spaceInfo.freeGB,
+        dueAt: new Date(plan.dueAt).toISOString()
+      });
+    }
+  }
+}
+
+/**
+ * 记录磁盘剩余空间采样并预测何时低于阈值(演练模式下不记录采样)
+ * @param {string} diskKey - 磁盘标识
+ * @param {number} freeGB - 当前剩余空间(GB)
+ * @param {number} minFreeSpaceGB - 该磁盘的空间阈值(GB)
+ * @returns {Promise<import('./forecast').DiskForecast | null>} - 采样不足或出错时返回 null
+ */
+async function forecastDisk(diskKey, freeGB, minFreeSpaceGB) {
+  try {
+    const diskForecast = await forecast.getForecast(diskKey, freeGB, minFreeSpaceGB);
+    if (!config.dryRun) {
+      await forecast.recordSample(diskKey, freeGB);
+    }
+    if (diskForecast) {
+      const days = diskForecast.daysUntilThreshold;
+      logger.info(`磁盘 ${diskKey} 写入速度 ${diskForecast.fillRateGBPerDay.toFixed(2)}GB/天${days === null ? '' : `，预计 ${days.toFixed(1)} 天后低于阈值`}`);
+    }
+    return diskForecast;
+  } catch (error) {
+    logger.error(`预测磁盘 ${diskKey} 空间失败`, { error });
+    return null;
+  }
+}
+
+/**
+ * 对空间尚未低于阈值、但预计在 forecast.warnDays 天内低于阈值的磁盘发送提前预警
+ * @param {Map<string, DiskState>} disks - 本次检查得到的各磁盘状态
+ * @returns {Promise<void>}
+ */
+async function sendEarlyWarnings(disks) {
+  const warnings = [];
+  for (const [diskKey, { spaceInfo, thresholds, forecast: diskForecast, paths }] of disks.entries()) {
+    if (!diskForecast || spaceInfo.freeGB < thresholds.minFreeSpaceGB || !await forecast.shouldWarn(diskKey, diskForecast)) {
+      continue;
+    }
+    warnings.push({ diskKey, paths, spaceInfo, forecast: diskForecast, minFreeSpaceGB: thresholds.minFreeSpaceGB });
+  }
+  if (warnings.length === 0) {
+    return;
+  }
+
+  logger.warn(`磁盘 ${warnings.map(warning => warning.diskKey).join(', ')} 预计即将低于空间阈值，发送提前预警`);
+  await notifier.notify(messages.buildForecastMessage(warnings));
+  if (!config.dryRun) {
+    for (const warning of warnings) {
+      await forecast.markWarned(warning.diskKey);
+    }
+  }
+}
+
+/**
+ * 对处于预警级别(低于预警阈值但未达到删除阈值)的磁盘发送预警通知
+ * @param {Map<string, DiskState>} disks - 本次检查得到的各磁盘状态
+ * @returns {Promise<void>}
+ */
+async function sendLevelWarnings(disks) {
+  const warnings = [];
+  for (const [diskKey, { spaceInfo, thresholds, level, forecast: diskForecast, paths }] of disks.entries()) {
+    if (await spaceLevels.shouldWarn(diskKey, level)) {
+      warnings.push({ diskKey, paths, spaceInfo, warningFreeGB: thresholds.warningFreeGB, minFreeSpaceGB: thresholds.minFreeSpaceGB, forecast: diskForecast });
+    }
+  }
+  if (warnings.length === 0) {
+    return;
+  }
+
+  logger.warn(`磁盘 ${warnings.map(warning => warning.diskKey).join(', ')} 剩余空间低于预警阈值，发送预警通知`);
+  await notifier.notify(messages.buildLowSpaceWarningMessage(warnings));
+  if (!config.dryRun) {
+    for (const warning of warnings) {
+      await spaceLevels.markWarned(warning.diskKey);
+    }
+  }
+}
+
+/**
+ * 检查路径所在磁盘的空间和所处级别，同一磁盘只检查一次
+ * @param {string} recordingsPath - 监控路径
+ * @param {Map<string, DiskState>} disks - 本次检查已得到的各磁盘状态
+ * @param {Map<string, number>} quarantinedByDisk - 各磁盘回收站中待彻底删除的空间(GB)
+ * @returns {Promise<[string, DiskState]>} - 磁盘标识和状态
+ */
+async function inspectDisk(recordingsPath, disks, quarantinedByDisk) {
+  const diskKey = await diskManager.getDiskKey(recordingsPath);
+  let disk = disks.get(diskKey);
+
+  if (disk) {
+    logger.info(`使用磁盘 ${diskKey} 的缓存空间信息进行检查: ${recordingsPath}`);
+  } else {
+    logger.info(`首次检查磁盘 ${diskKey} 的空间...`);
+    const spaceInfo = await diskManager.getDiskSpace(recordingsPath);
+    const thresholds = await diskManager.getThresholds(diskKey, spaceInfo.totalGB);
+    // 回收站中尚未彻底删除的空间视为即将释放，避免宽限期内重复选择更多目录
+    const quarantinedGB = quarantinedByDisk.get(diskKey) || 0;
+    const effectiveFreeGB = spaceInfo.freeGB + quarantinedGB;
+    if (quarantinedGB > 0) {
+      logger.info(`磁盘 ${diskKey} 回收站中有 ${quarantinedGB.toFixed(2)}GB 待彻底删除，按 ${effectiveFreeGB.toFixed(2)}GB 剩余空间评估`);
+    }
+    disk = {
+      spaceInfo,
+      thresholds,
+      effectiveFreeGB,
+      level: spaceLevels.classify(effectiveFreeGB, thresholds),
+      forecast: await forecastDisk(diskKey, spaceInfo.freeGB, thresholds.minFreeSpaceGB),
+      paths: []
+    };
+    disks.set(diskKey, disk);
+  }
+
+  if (!disk.paths.includes(recordingsPath)) {
+    disk.paths.push(recordingsPath);
+  }
+  return [diskKey, disk];
+}
+
+/**
+ * 查找剩余空间低于紧急阈值的磁盘
+ * @param {Map<string, DiskState>} disks - 本次检查已得到的各磁盘状态，检查结果会写入其中
+ * @param {Map<string, number>} quarantinedByDisk - 各磁盘回收站中待彻底删除的空间(GB)
+ * @returns {Promise<string[]>} - 磁盘标识列表
+ */
+async function findEmergencyDisks(disks, quarantinedByDisk) {
+  for (const { path: recordingsPath } of retentionPolicy.getRecordingsTargets()) {
+    try {
+      await inspectDisk(recordingsPath, disks, quarantinedByDisk);
+    } catch (error) {
+      logger.error(`检查 ${recordingsPath} 所在磁盘空间时出错`, { error });
+    }
+  }
+  return [...disks.entries()].filter(([, disk]) => disk.level === 'emergency').map(([diskKey]) => diskKey);
+}
+
+/**
+ * 按磁盘整合各路径选中的目录：按保留策略选中的目录始终删除，剩余空间规则只补足该磁盘达到目标剩余空间的差额
+ * 同时计算删除后按当前写入速度可维持的天数，随警告一并通知
+ * @param {import('./planStore').TriggeredResult[]} triggeredResults - 触发删除的路径检查结果列表
+ * @param {Map<string, DiskState>} disks - 本次检查得到的各磁盘状态
+ * @param {Map<string, number>} quarantinedByDisk - 各磁盘回收站中待彻底删除的空间(GB)
+ * @returns {Promise<{allDirsToDelete: import('./planStore').DirInfo[], protectedDirs: import('./planStore').SkippedDir[]}>}
+ */
+async function consolidateByDisk(triggeredResults, disks, quarantinedByDisk) {
+  /** @type {import('./planStore').DirInfo[]} */
+  const allDirsToDelete = [];
+  /** @type {import('./planStore').SkippedDir[]} */
+  const allProtectedDirs = [];
+
+  /** @type {Map<string, {dirs: import('./planStore').DirInfo[], spaceToFreeGB: number, minFreeSpaceGB: number}>} */
+  const dirsByDisk = new Map();
+  for (const result of triggeredResults) {
+    const diskKey = result.diskKey || '';
+    let diskEntry = dirsByDisk.get(diskKey);
+    if (!diskEntry) {
+      const { targetFreeGB, minFreeSpaceGB } = /** @type {DiskState} */ (disks.get(diskKey)).thresholds;
+      const spaceToFreeGB = targetFreeGB - result.spaceInfo.freeGB - (quarantinedByDisk.get(diskKey) || 0);
+      diskEntry = { dirs: [], spaceToFreeGB, minFreeSpaceGB };
+      dirsByDisk.set(diskKey, diskEntry);
+    }
+    diskEntry.dirs.push(...result.dirsToDelete);
+  }
+
+  for (const [diskKey, { dirs, spaceToFreeGB, minFreeSpaceGB }] of dirsByDisk.entries()) {
+    logger.info(`为磁盘 ${diskKey} 整合删除列表...`);
+    const { allowedDirs, protectedDirs } = await protection.partitionProtected(dirs);
+    allProtectedDirs.push(...protectedDirs);
+    const sortedDirs = allowedDirs.sort((a, b) => a.mtime - b.mtime);
+    /** @type {import('./planStore').DirInfo[]} */
+    const dirsToDeleteForThisDisk = sortedDirs.filter(dir => dir.reason === 'age' || dir.reason === 'quota');
+    let freedSpace = dirsToDeleteForThisDisk.reduce((total, dir) => total + dir.sizeGB, 0);
+    for (const dir of sortedDirs) {
+      if (freedSpace >= spaceToFreeGB) {
+        break;
+      }
+      if (dir.reason === 'space') {
+        dirsToDeleteForThisDisk.push(dir);
+        freedSpace += dir.sizeGB;
+      }
+    }
+    dirsToDeleteForThisDisk.sort((a, b) => a.mtime - b.mtime);
+    logger.info(`磁盘 ${diskKey} 计划删除 ${dirsToDeleteForThisDisk.length} 个目录，释放约 ${freedSpace.toFixed(2)}GB`);
+    allDirsToDelete.push(...dirsToDeleteForThisDisk);
+
+    for (const result of triggeredResults) {
+      if (result.forecast && result.diskKey === diskKey) {
+        result.forecast.daysAfterDeletion = forecast.estimateDays(result.spaceInfo.freeGB + freedSpace, minFreeSpaceGB, result.forecast.fillRateGBPerDay);
+      }
+    }
+  }
+
+  return { allDirsToDelete, protectedDirs: allProtectedDirs };
+}
+
+/**
+ * 立即删除达到紧急级别的磁盘上选中的目录，不等待 deleteDelay
+ * @param {import('./planStore').TriggeredResult[]} triggeredResults - 达到紧急级别的路径检查结果列表
+ * @param {import('./planStore').SkippedDir[]} protectedDirs - 这些路径中受保护的目录
+ * @param {Map<string, DiskState>} disks - 本次检查得到的各磁盘状态
+ * @param {Map<string, number>} quarantinedByDisk - 各磁盘回收站中待彻底删除的空间(GB)
+ * @param {string} trigger - 触发来源
+ * @returns {Promise<import('./planStore').DeletionPlan | null>} - 已执行的计划，没有可删除的目录时返回 null
+ */
+async function deleteImmediately(triggeredResults, protectedDirs, disks, quarantinedByDisk, trigger) {
+  const consolidated = await consolidateByDisk(triggeredResults, disks, quarantinedByDisk);
+  const allProtectedDirs = [...protectedDirs, ...consolidated.protectedDirs];
+  if (consolidated.allDirsToDelete.length === 0) {
+    logger.warn('磁盘空间低于紧急阈值，但没有可删除的目录');
+    return null;
+  }
+
+  const plan = await planStore.createPlan(triggeredResults, consolidated.allDirsToDelete, 0, allProtectedDirs, trigger);
+  auditPlannedDirs(plan);
+  await notifier.notify(messages.buildEmergencyDeleteMessage(triggeredResults, consolidated.allDirsToDelete, config.minFreeSpaceGB, allProtectedDirs));
+  logger.warn(`磁盘空间低于紧急阈值，立即执行删除计划 ${plan.id}`);
+  return (await executePlan(plan.id, 'emergency')) || plan;
+}
+
+/**
+ * 检查所有监控路径的磁盘空间，按磁盘所处级别处理：
+ * 预警级别只发送通知；删除级别生成删除计划并发送警告，deleteDelay 小时后删除；紧急级别立即删除
+ * @param {string} trigger - 触发来源
+ * @returns {Promise<{outcome: import('./runHistory').RunOutcome, plan?: import('./planStore').DeletionPlan, dirsPlanned: number}>}
+ */
+async function checkDisks(trigger) {
+  const { deleteDelay } = config;
+
+  // 上次中途失败或被中断的删除先继续完成
+  await fileManager.resumeInterruptedDeletions({ dryRun: config.dryRun });
+  // 回收站中已过宽限期的目录，在磁盘仍需释放空间时彻底删除
+  await quarantine.purgeExpired({ dryRun: config.dryRun });
+
+  let activePlan = await planStore.getActivePlan();
+  if (activePlan && !config.dryRun && !serviceMode) {
+    // 命令行单次运行时没有删除定时器，已到期的计划在检查时执行或作废，否则之后的检查会一直跳过
+    activePlan = await settleDuePlan(activePlan);
+  }
+
+  /** @type {Map<string, DiskState>} */
+  let disks = new Map(); // 按挂载点(Windows 为驱动器)缓存磁盘状态，同一磁盘只检查一次
+  let quarantinedByDisk = await quarantine.getPendingSizeByDisk();
+
+  if (activePlan && !config.dryRun) {
+    // 已有删除计划时只处理剩余空间低于紧急阈值的磁盘
+    const emergencyDiskKeys = activePlan.status === 'pending' ? await findEmergencyDisks(disks, quarantinedByDisk) : [];
+    if (emergencyDiskKeys.length === 0) {
+      logger.info(`已有删除任务在计划中 (计划 ${activePlan.id})，本次检查跳过`);
+      return { outcome: 'skipped', plan: activePlan, dirsPlanned: activePlan.allDirsToDelete.length };
+    }
+
+    const coversEmergency = activePlan.triggeredResults.some(result => result.diskKey !== undefined && emergencyDiskKeys.includes(result.diskKey));
+    const awaitingApproval = Boolean(activePlan.approval && activePlan.approval.status === 'waiting');
+    if (coversEmergency && !awaitingApproval) {
+      // 计划已经通知过，紧急情况下不再等待剩余的延迟时间
+      logger.warn(`磁盘 ${emergencyDiskKeys.join(', ')} 剩余空间低于紧急阈值，立即执行删除计划 ${activePlan.id}`);
+      auditLog.record('plan-expedited', { planId: activePlan.id, trigger: 'emergency', disks: emergencyDiskKeys });
+      await notifier.notify(messages.buildEmergencyDeleteMessage(activePlan.triggeredResults, activePlan.allDirsToDelete, config.minFreeSpaceGB, activePlan.protectedDirs));
+      await executePlan(activePlan.id, 'emergency');
+      disks = new Map();
+      quarantinedByDisk = await quarantine.getPendingSizeByDisk();
+      activePlan = await planStore.getActivePlan();
+    } else if (coversEmergency) {
+      logger.warn(`磁盘 ${emergencyDiskKeys.join(', ')} 剩余空间低于紧急阈值，删除计划 ${activePlan.id} 仍在等待审批，批准前不会执行`);
+    } else {
+      logger.warn(`磁盘 ${emergencyDiskKeys.join(', ')} 剩余空间低于紧急阈值，不等待计划 ${activePlan.id} 立即清理`);
+    }
+  } else if (activePlan) {
+    logger.info(`[演练] 已有删除任务在计划中 (计划 ${activePlan.id})，演练将忽略该计划`);
+  }
+  const planPending = Boolean(activePlan && !config.dryRun);
+
+  const results = [];
+  for (const { path: recordingsPath, policy } of retentionPolicy.getRecordingsTargets()) {
+    let diskKey;
+    let disk;
+    try {
+      [diskKey, disk] = await inspectDisk(recordingsPath, disks, quarantinedByDisk);
+    } catch (error) {
+      logger.error(`检查 ${recordingsPath} 所在磁盘空间时出错`, { error });
+      await notifier.notify(messages.buildErrorMessage(
+        t('error.diskCheckTitle', { path: recordingsPath }),
+        t('error.diskCheckDetail', { path: recordingsPath, error: handleError(error).errMsg })
+      ));
+      continue; // Skip to next path
+    }
+
+    if (planPending && disk.level !== 'emergency') {
+      continue;
+    }
+
+    const { spaceInfo, effectiveFreeGB, level, thresholds: { minFreeSpaceGB, bufferPercentage, emergencyFreeGB } } = disk;
+    try {
+      const lowSpace = level === 'delete' || level === 'emergency';
+      if (lowSpace || retentionPolicy.hasStandingRules(policy)) {
+        if (level === 'emergency' && approval.requiresApproval(recordingsPath)) {
+          logger.warn(`路径 ${recordingsPath} 所在磁盘剩余空间 ${spaceInfo.freeGB.toFixed(2)}GB 低于紧急阈值 ${emergencyFreeGB.toFixed(2)}GB，该路径的删除需要审批，不会立即删除`);
+        } else if (level === 'emergency') {
+          logger.warn(`路径 ${recordingsPath} 所在磁盘剩余空间 ${spaceInfo.freeGB.toFixed(2)}GB 低于紧急阈值 ${emergencyFreeGB.toFixed(2)}GB，将立即删除`);
+        } else if (lowSpace) {
+          logger.warn(`路径 ${recordingsPath} 所在磁盘剩余空间 ${spaceInfo.freeGB.toFixed(2)}GB 低于阈值 ${minFreeSpaceGB.toFixed(2)}GB`);
+        } else {
+          logger.info(`路径 ${recordingsPath} 所在磁盘空间充足，按保留策略检查过期和超出配额的目录`);
+        }
+
+        const { dirsToDelete, protectedDirs } = await fileManager.getDirectoriesToDelete(
+          recordingsPath,
+          effectiveFreeGB,
+          minFreeSpaceGB,
+          bufferPercentage,
+          policy
+        );
+
+        results.push({
+          recordingsPath,
+          diskKey,
+          minFreeSpaceGB,
+          ...(level === 'emergency' ? { emergencyFreeGB } : {}),
+          spaceInfo,
+          dirsToDelete,
+          protectedDirs,
+          ...(disk.forecast ? { forecast: { ...disk.forecast } } : {})
+        });
+
+        if (dirsToDelete.length > 0) {
+          const totalSizeToFree = dirsToDelete.reduce((total, dir) => total + dir.sizeGB, 0);
+          logger.info(`${recordingsPath}: 将删除 ${dirsToDelete.length} 个目录，预计释放 ${totalSizeToFree.toFixed(2)}GB 空间`);
+        } else {
+          logger.info(`${recordingsPath}: ${lowSpace ? '空间不足，但没有找到可删除的目录' : '没有需要按保留策略删除的目录'}`);
+        }
+      } else {
+        logger.info(`路径 ${recordingsPath} 所在磁盘空间${level === 'warning' ? '低于预警阈值，暂不删除' : '充足，无需操作'}`);
+      }
+    } catch (error) {
+      logger.error(`处理路径 ${recordingsPath} 时出错`, { error });
+      await notifier.notify(messages.buildErrorMessage(
+        t('error.pathTitle', { path: recordingsPath }),
+        t('error.pathDetail', { path: recordingsPath, error: handleError(error).errMsg })
+      ));
+    }
+  }
+
+  await sendLevelWarnings(disks).catch(error => {
+    logger.error('发送空间预警失败', { error });
+  });
+  await sendEarlyWarnings(disks).catch(error => {
+    logger.error('发送提前预警失败', { error });
+  });
+
+  /**
+   * 需要审批的路径即使达到紧急级别也不会立即删除
+   * @param {import('./planStore').TriggeredResult} result
+   * @returns {boolean}
+   */
+  const isEmergency = result => {
+    const disk = disks.get(result.diskKey || '');
+    return Boolean(disk && disk.level === 'emergency') && !approval.requiresApproval(result.recordingsPath);
+  };
+  const triggeredResults = results.filter(result => result.dirsToDelete.length > 0);
+  if (triggeredResults.length > 0) {
+    logger.info(`检测到 ${triggeredResults.length} 个路径需要清理录制文件`);
+  }
+
+  if (config.dryRun) {
+    for (const result of triggeredResults.filter(isEmergency)) {
+      logger.info(`[演练] ${result.recordingsPath} 所在磁盘低于紧急阈值，实际运行时将立即删除，不等待删除延迟`);
+    }
+    const { allDirsToDelete, protectedDirs } = await consolidateByDisk(triggeredResults, disks, quarantinedByDisk);
+    if (triggeredResults.length > 0 && allDirsToDelete.length === 0) {
+      logger.info('没有需要删除的目录，无需操作');
+    }
+    await simulateDeletion(disks, triggeredResults, allDirsToDelete, [...results.flatMap(result => result.protectedDirs), ...protectedDirs]);
+    return { outcome: 'dry-run', dirsPlanned: allDirsToDelete.length };
+  }
+
+  const emergencyResults = triggeredResults.filter(isEmergency);
+  const emergencyPlan = emergencyResults.length > 0
+    ? await deleteImmediately(emergencyResults, results.filter(isEmergency).flatMap(result => result.protectedDirs), disks, quarantinedByDisk, trigger)
+    : null;
+  const emergencyOutcome = emergencyPlan
+    ? { outcome: /** @type {const} */ ('emergency'), plan: emergencyPlan, dirsPlanned: emergencyPlan.allDirsToDelete.length }
+    : null;
+
+  if (planPending && activePlan) {
+    return emergencyOutcome || { outcome: 'skipped', plan: activePlan, dirsPlanned: activePlan.allDirsToDelete.length };
+  }
+
+  const normalResults = triggeredResults.filter(result => !isEmergency(result));
+  if (normalResults.length > 0) {
+    const { allDirsToDelete, protectedDirs } = await consolidateByDisk(normalResults, disks, quarantinedByDisk);
+    const allProtectedDirs = [...results.filter(result => !isEmergency(result)).flatMap(result => result.protectedDirs), ...protectedDirs];
+
+    if (allDirsToDelete.length > 0) {
+      // 需要审批的计划到期(审批超时)时按 approval.onTimeout 处理
+      const planApproval = approval.createPlanApproval(normalResults);
+      const { timeoutHours, postponeHours } = approval.getApprovalConfig();
+
+      // 先持久化计划再发送通知，确保已通知的删除在服务重启后仍会执行
+      const plan = await planStore.createPlan(normalResults, allDirsToDelete, planApproval ? timeoutHours : deleteDelay, allProtectedDirs, trigger, planApproval);
+      auditPlannedDirs(plan);
+      if (serviceMode) {
+        scheduleDeletion(plan);
+      }
+
+      const approvalInfo = planApproval
+        ? { dueAt: plan.dueAt, onTimeout: planApproval.onTimeout, postponeHours, links: await approval.createLinks(plan.id) }
+        : undefined;
+      await notifier.notify(messages.buildConsolidatedDeleteMessage(normalResults, allDirsToDelete, config.minFreeSpaceGB, deleteDelay, allProtectedDirs, approvalInfo));
+      if (planApproval) {
+        logger.info(`已发送整合通知，删除需要审批，截止 ${new Date(plan.dueAt).toLocaleString()}`);
+        if (!(config.http && config.http.enabled)) {
+          logger.warn('审批链接由 HTTP 服务处理，但未开启 http.enabled，只能通过命令行 delete-now 批准或 cancel 拒绝');
+        }
+      } else {
+        logger.info(`已发送整合通知，将在 ${deleteDelay} 小时后执行删除操作`);
+      }
+      return emergencyOutcome || { outcome: 'planned', plan, dirsPlanned: allDirsToDelete.length };
+    }
+    logger.info('没有需要删除的目录，无需操作');
+  }
+
+  return emergencyOutcome || { outcome: 'ok', dirsPlanned: 0 };
+}
+
+/**
+ * 执行一次磁盘空间检查并记录运行结果
+ * @param {string} [trigger] - 触发来源(schedule、startup、cli 等)
+ * @returns {Promise<import('./runHistory').RunRecord>}
+ */
+function runCheck(trigger = 'schedule') {
+  return trackWork(performCheck(trigger));
+}
+
+/**
+ * 执行一次磁盘空间检查(runCheck 的实现)
+ * @param {string} trigger - 触发来源
+ * @returns {Promise<import('./runHistory').RunRecord>}
+ */
+async function performCheck(trigger) {
+  // 同一时间只进行一次检查：定时任务、命令行 check 与服务启动时的检查可能同时触发，并发检查会生成重复或冲突的计划
+  const lockPath = resolveDataFile(CHECK_LOCK_FILE);
+  const holder = await tryAcquireLock(lockPath).catch(error => {
+    logger.warn('获取检查锁失败，继续检查', { error });
+    return null;
+  });
+  if (holder !== null) {
+    logger.info(`${holder === process.pid ? '本进程' : `进程 ${holder || '(未知)'} `}正在进行磁盘空间检查，跳过本次检查 (${trigger})`);
+    const now = Date.now();
+    return { startedAt: now, finishedAt: now, trigger, outcome: 'busy' };
+  }
+
+  try {
+    if (!serviceMode) {
+      // 命令行单次运行时顺带补发之前失败的通知，服务模式下由定时任务负责
+      await notifier.retryPending();
+    }
+
+    const startedAt = Date.now();
+    /** @type {import('./runHistory').RunRecord} */
+    let run;
+
+    checkStartedAt = startedAt;
+    try {
+      const { outcome, plan, dirsPlanned } = await checkDisks(trigger);
+      run = { startedAt, finishedAt: Date.now(), trigger, outcome, dirsPlanned };
+      if (plan) {
+        run.planId = plan.id;
+      }
+    } catch (error) {
+      logger.error('磁盘空间检查失败', { error });
+      run = { startedAt, finishedAt: Date.now(), trigger, outcome: 'error', error: handleError(error).msg };
+    } finally {
+      checkStartedAt = null;
+    }
+
+    metrics.recordCheckDuration((run.finishedAt - startedAt) / 1000);
+
+    if (!config.dryRun) {
+      await runHistory.recordRun(run).catch(error => {
+        logger.error('保存运行记录失败', { error });
+      });
+    }
+    return run;
+  } finally {
+    await releaseLock(lockPath).catch(error => {
+      logger.warn('释放检查锁失败', { error });
+    });
+  }
+}
+
+/**
+ * 预览每个监控路径按当前磁盘空间会选中的删除目录(不合并、不保存、不发送通知)
+ * @returns {Promise<Array<{recordingsPath: string, diskKey?: string, minFreeSpaceGB?: number, spaceInfo?: import('./planStore').SpaceInfo, dirsToDelete: import('./planStore').DirInfo[], protectedDirs: import('./planStore').SkippedDir[], error?: string}>>}
+ */
+async function previewPlans() {
+  const previews = [];
+  for (const { path: recordingsPath, policy } of retentionPolicy.getRecordingsTargets()) {
+    try {
+      const diskKey = await diskManager.getDiskKey(recordingsPath);
+      const spaceInfo = await diskManager.getDiskSpace(recordingsPath);
+      const { minFreeSpaceGB, bufferPercentage } = await diskManager.getThresholds(diskKey, spaceInfo.totalGB);
+      const { dirsToDelete, protectedDirs } = await fileManager.getDirectoriesToDelete(
+        recordingsPath,
+        spaceInfo.freeGB,
+        minFreeSpaceGB,
+        bufferPercentage,
+        policy
+      );
+      previews.push({ recordingsPath, diskKey, minFreeSpaceGB, spaceInfo, dirsToDelete, protectedDirs });
+    } catch (error) {
+      previews.push({ recordingsPath, dirsToDelete: [], protectedDirs: [], error: handleError(error).msg });
+    }
+  }
+  return previews;
+}
+
+/**
+ * 按当前 cronSchedule 创建定时检查任务，替换已有任务
+ */
+function scheduleChecks() {
+  if (checkTask) {
+    checkTask.stop();
+  }
+  logger.info(`启动定时任务，调度: ${config.cronSchedule}`);
+  checkTask = cron.schedule(config.cronSchedule, () => runCheck('schedule'));
+}
+
+/**
+ * 以常驻服务方式启动：按 cron 调度检查磁盘，并负责按时执行删除计划
+ */
+function startService() {
+  serviceMode = true;
+
+  scheduleChecks();
+
+  // 配置热加载后调度变化时重建定时任务，其余配置在下次检查时读取
+  configLoader.onChange(changedKeys => {
+    if (changedKeys.includes('cronSchedule') && !stopping) {
+      scheduleChecks();
+    }
+    if (changedKeys.includes('dryRun') && config.dryRun) {
+      // 已安排的删除不再执行，计划保留在计划存储中，关闭演练模式后重新安排
+      logger.info('演练模式已开启，不会删除任何文件');
+      clearScheduledDeletion();
+    } else if (changedKeys.includes('dryRun')) {
+      logger.info('演练模式已关闭');
+      syncActivePlan().catch(error => logger.error('同步删除计划失败', { error }));
+    }
+  });
+
+  if (config.dryRun) {
+    logger.info('演练模式已开启，不会删除任何文件');
+  }
+
+  serviceTimers = [
+    // 定期同步计划存储，感知命令行对计划的修改
+    setInterval(() => {
+      syncActivePlan().catch(error => logger.error('同步删除计划失败', { error }));
+    }, PLAN_SYNC_INTERVAL_MS),
+
+    // 定期补发失败的通知
+    setInterval(() => {
+      notifier.retryPending();
+    }, NOTIFICATION_RETRY_INTERVAL_MS)
+  ];
+
+  // 恢复未完成的删除计划后立即执行一次检查
+  syncActivePlan()
+    .catch(error => logger.error('恢复删除计划失败', { error }))
+    .then(() => {
+      logger.info('立即执行一次磁盘空间检查...');
+      return runCheck('startup');
+    });
+
+  logger.info('自动删除录制文件服务已启动');
+}
+
+/**
+ * 停止服务：停止定时检查、删除定时器和周期任务，等待正在进行的检查和删除结束
+ * 删除计划已保存在计划存储中，下次启动时重新安排
+ * @returns {Promise<void>}
+ */
+async function stopService() {
+  stopping = true;
+  if (checkTask) {
+    checkTask.stop();
+    checkTask = null;
+  }
+  clearScheduledDeletion();
+  for (const timer of serviceTimers) {
+    clearInterval(timer);
+  }
+  serviceTimers = [];
+
+  // 等待期间可能有新开始的任务(如 HTTP 请求触发的执行)
+  while (activeWork.size > 0) {
+    await Promise.allSettled([...activeWork]);
+  }
+}
+
+/**
+ * 获取服务运行状态(写入服务状态文件，供 health 命令读取)
+ * @returns {{schedulerRunning: boolean, cronSchedule: string, checkStartedAt: number | null, executingPlanId: string | null, scheduledPlan: {planId: string, dueAt: number} | null}}
+ */
+function getServiceState() {
+  return {
+    schedulerRunning: checkTask !== null && !stopping,
+    cronSchedule: config.cronSchedule,
+    checkStartedAt,
+    executingPlanId,
+    scheduledPlan
+  };
+}
+
+module.exports = {
+  runCheck,
+  previewPlans,
+  executePlan,
+  cancelActivePlan,
+  decideApproval,
+  excludeFromActivePlan,
+  startService,
+  stopService,
+  getServiceState
+};
+
@@ -0,0 +1,177 @@
+/**
+ * 通知重试队列模块
+ * 负责持久化发送失败的通知，按退避时间重试，超过最大次数后转入死信记录
+ */
+
+const crypto = require('crypto');
+const { isProcessAlive, withFileLock } = require('../utils/fileLock');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const QUEUE_FILE = 'notification-queue.json';
+const DEAD_LETTER_FILE = 'notification-dead-letters.json';
+const MAX_DEAD_LETTERS = 200; // 保留的死信记录数量
+
+/**
+ * @typedef {import('./messages').NotificationMessage} NotificationMessage
+ * @typedef {{
+ *   id: string,
+ *   channel: string,
+ *   message: NotificationMessage,
+ *   attempts: number,
+ *   createdAt: number,
+ *   nextAttemptAt: number,
+ *   lastError: string,
+ *   claimedBy?: number
+ * }} QueuedNotification
+ * @typedef {QueuedNotification & {failedAt: number}} DeadLetter
+ */
+
+/** @type {Promise<unknown>} */
+let queueLock = Promise.resolve(); // 串行化本进程内对队列文件的读写，避免并发修改相互覆盖
+
+/**
+ * 在队列锁内执行读改写操作：本进程内串行，并通过锁文件与其他进程(服务的定时重试、命令行 check 和 outbox-retry)互斥
+ * @template T
+ * @param {() => Promise<T>} operation - 要执行的操作
+ * @returns {Promise<T>}
+ */
+function withQueueLock(operation) {
+  const result = queueLock.then(() => withFileLock(`${resolveDataFile(QUEUE_FILE)}.lock`, operation));
+  queueLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * 读取待重试的通知
+ * @returns {Promise<QueuedNotification[]>}
+ */
+async function listQueued() {
+  /** @type {{entries: QueuedNotification[]}} */
+  const data = await readJsonFile(resolveDataFile(QUEUE_FILE), { entries: [] });
+  return Array.isArray(data.entries) ? data.entries : [];
+}
+
+/**
+ * 读取死信记录(最早的在前)
+ * @returns {Promise<DeadLetter[]>}
+ */
+async function listDeadLetters() {
+  /** @type {{entries: DeadLetter[]}} */
+  const data = await readJsonFile(resolveDataFile(DEAD_LETTER_FILE), { entries: [] });
+  return Array.isArray(data.entries) ? data.entries : [];
+}
+
+/**
+ * 将发送失败的通知加入重试队列
+ * @param {string} channel - 渠道名称
+ * @param {NotificationMessage} message - 通知消息
+ * @param {string} error - 失败原因
+ * @param {number} nextAttemptAt - 下次重试时间
+ * @returns {Promise<QueuedNotification>}
+ */
+function enqueue(channel, message, error, nextAttemptAt) {
+  return withQueueLock(async () => {
+    /** @type {QueuedNotification} */
+    const entry = {
+      id: crypto.randomUUID().slice(0, 8),
+      channel,
+      message,
+      attempts: 1,
+      createdAt: Date.now(),
+      nextAttemptAt,
+      lastError: error
+    };
+    const entries = await listQueued();
+    entries.push(entry);
+    await writeJsonFile(resolveDataFile(QUEUE_FILE), { entries });
+    return entry;
+  });
+}
+
+/**
+ * 认领已到重试时间的通知，由本进程重试
+ * 其他仍在运行的进程已认领的通知不会返回，避免同一通知被重复发送；认领的进程退出后可重新认领
+ * @param {{force?: boolean}} [options] - force 为 true 时忽略退避时间，认领所有等待中的通知
+ * @returns {Promise<QueuedNotification[]>}
+ */
+function claimDue({ force = false } = {}) {
+  return withQueueLock(async () => {
+    const now = Date.now();
+    const entries = await listQueued();
+    const dueEntries = entries.filter(entry => (force || entry.nextAttemptAt <= now) &&
+      !(entry.claimedBy && entry.claimedBy !== process.pid && isProcessAlive(entry.claimedBy)));
+    if (dueEntries.length === 0) {
+      return [];
+    }
+    for (const entry of dueEntries) {
+      entry.claimedBy = process.pid;
+    }
+    await writeJsonFile(resolveDataFile(QUEUE_FILE), { entries });
+    return dueEntries;
+  });
+}
+
+/**
+ * 从队列中移除已发送成功的通知
+ * @param {string} id - 队列条目ID
+ * @returns {Promise<void>}
+ */
+function remove(id) {
+  return withQueueLock(async () => {
+    const entries = await listQueued();
+    await writeJsonFile(resolveDataFile(QUEUE_FILE), { entries: entries.filter(entry => entry.id !== id) });
+  });
+}
+
+/**
+ * 记录一次失败的重试，通知等待下次重试(取消认领)
+ * @param {string} id - 队列条目ID
+ * @param {string} error - 失败原因
+ * @param {number} nextAttemptAt - 下次重试时间
+ * @returns {Promise<void>}
+ */
+function recordFailure(id, error, nextAttemptAt) {
+  return withQueueLock(async () => {
+    const entries = await listQueued();
+    const entry = entries.find(item => item.id === id);
+    if (!entry) {
+      return;
+    }
+    entry.attempts += 1;
+    entry.lastError = error;
+    entry.nextAttemptAt = nextAttemptAt;
+    delete entry.claimedBy;
+    await writeJsonFile(resolveDataFile(QUEUE_FILE), { entries });
+  });
+}
+
+/**
+ * 放弃重试，将通知从队列移入死信记录
+ * @param {QueuedNotification} entry - 队列条目
+ * @param {string} error - 最后一次失败原因
+ * @returns {Promise<DeadLetter>}
+ */
+function moveToDeadLetter(entry, error) {
+  return withQueueLock(async () => {
+    const { claimedBy, ...rest } = entry;
+    /** @type {DeadLetter} */
+    const deadLetter = { ...rest, lastError: error, failedAt: Date.now() };
+    const deadLetters = await listDeadLetters();
+    deadLetters.push(deadLetter);
+    await writeJsonFile(resolveDataFile(DEAD_LETTER_FILE), { entries: deadLetters.slice(-MAX_DEAD_LETTERS) });
+
+    const entries = await listQueued();
+    await writeJsonFile(resolveDataFile(QUEUE_FILE), { entries: entries.filter(item => item.id !== entry.id) });
+    return deadLetter;
+  });
+}
+
+module.exports = {
+  listQueued,
+  listDeadLetters,
+  enqueue,
+  claimDue,
+  remove,
+  recordFailure,
+  moveToDeadLetter
+};
@@ -0,0 +1,245 @@
+/**
+ * 通知分发模块
+ * 负责将结构化通知消息按事件类型发送到配置的各个通知渠道(邮件、Webhook、即时通讯机器人、本地命令)
+ * 发送失败的通知进入持久化重试队列，通知失败不会中断检查和删除流程
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { renderHtml, renderText } = require('./messageRenderer');
+const metrics = require('./metrics');
+const notificationQueue = require('./notificationQueue');
+const { handleError } = require('../utils/handleError');
+const logger = require('../utils/logger');
+
+/**
+ * @typedef {import('./messages').NotificationMessage} NotificationMessage
+ * @typedef {import('./messages').NotificationEvent} NotificationEvent
+ * @typedef {{type: string, name?: string, events?: string[], [key: string]: any}} ChannelConfig
+ * @typedef {{send: (message: NotificationMessage, channelConfig: any) => Promise<void>}} Channel
+ */
+
+const DEFAULT_RETRY = {
+  maxAttempts: 6, // 包含首次发送在内的最大尝试次数
+  baseDelayMinutes: 1, // 首次重试的等待时间，之后每次翻倍
+  maxDelayMinutes: 60 // 单次重试的最长等待时间
+};
+
+let retrying = false; // 是否正在处理重试队列
+
+/** @type {Record<string, Channel>} */
+const CHANNELS = {
+  email: require('./channels/email'),
+  webhook: require('./channels/webhook'),
+  slack: require('./channels/slack'),
+  dingtalk: require('./channels/dingtalk'),
+  wecom: require('./channels/wecom'),
+  feishu: require('./channels/feishu'),
+  telegram: require('./channels/telegram'),
+  command: require('./channels/command')
+};
+
+/**
+ * 读取渠道配置，未配置时默认只使用邮件
+ * @returns {ChannelConfig[]}
+ */
+function getChannelConfigs() {
+  const notifications = config.notifications || {};
+  return Array.isArray(notifications.channels) ? notifications.channels : [{ type: 'email' }];
+}
+
+/**
+ * 渠道的显示名称
+ * @param {ChannelConfig} channelConfig - 渠道配置
+ * @returns {string}
+ */
+function getChannelName(channelConfig) {
+  return channelConfig.name || channelConfig.type;
+}
+
+/**
+ * 获取订阅了指定事件的渠道，未配置 events 的渠道接收所有事件
+ * @param {NotificationEvent} event - 事件类型
+ * @returns {ChannelConfig[]}
+ */
+function getChannelsForEvent(event) {
+  return getChannelConfigs().filter(channelConfig => !Array.isArray(channelConfig.events) || channelConfig.events.includes(event));
+}
+
+/**
+ * 演练模式下输出通知内容，写入 dryRunOutput 指定的文件(HTML)，未配置时打印到控制台(纯文本)
+ * @param {NotificationMessage} message - 通知消息
+ * @param {ChannelConfig[]} channelConfigs - 将接收通知的渠道
+ * @returns {Promise<void>}
+ */
+async function renderDryRun(message, channelConfigs) {
+  const channelNames = channelConfigs.map(getChannelName).join(',') || '无';
+
+  if (config.dryRunOutput) {
+    const rendered = [
+      `<!-- ${new Date().toLocaleString()} -->`,
+      `<!-- 通知渠道: ${channelNames} -->`,
+      `<!-- 主题: ${message.title} -->`,
+      renderHtml(message),
+      ''
+    ].join('\n');
+    const outputPath = path.resolve(config.dryRunOutput);
+    await fs.ensureDir(path.dirname(outputPath));
+    await fs.appendFile(outputPath, rendered);
+    logger.info(`[演练] 通知未发送，内容已写入 ${outputPath}: ${message.title}`);
+  } else {
+    console.log(`[演练] 通知未发送 (渠道: ${channelNames})，内容如下:\n${renderText(message)}\n`);
+  }
+}
+
+/**
+ * 读取重试配置
+ * @returns {{maxAttempts: number, baseDelayMinutes: number, maxDelayMinutes: number}}
+ */
+function getRetryConfig() {
+  const notifications = config.notifications || {};
+  return { ...DEFAULT_RETRY, ...(notifications.retry || {}) };
+}
+
+/**
+ * 计算第 attempts 次失败后的下次重试时间(指数退避)
+ * @param {number} attempts - 已尝试次数
+ * @returns {number}
+ */
+function getNextAttemptAt(attempts) {
+  const { baseDelayMinutes, maxDelayMinutes } = getRetryConfig();
+  const delayMinutes = Math.min(baseDelayMinutes * 2 ** (attempts - 1), maxDelayMinutes);
+  return Date.now() + delayMinutes * 60 * 1000;
+}
+
+/**
+ * 通过指定渠道发送通知
+ * @param {ChannelConfig} channelConfig - 渠道配置
+ * @param {NotificationMessage} message - 通知消息
+ * @returns {Promise<void>}
+ */
+async function deliver(channelConfig, message) {
+  const channel = CHANNELS[channelConfig.type];
+  if (!channel) {
+    throw new Error(`未知的通知渠道类型: ${channelConfig.type}`);
+  }
+  await channel.send(message, channelConfig);
+}
+
+/**
+ * 放弃发送通知，记录到死信
+ * @param {import('./notificationQueue').QueuedNotification} entry - 队列条目
+ * @param {string} reason - 最后一次失败原因
+ * @returns {Promise<void>}
+ */
+async function giveUp(entry, reason) {
+  logger.error(`通知已放弃 [${entry.channel}] (共尝试 ${entry.attempts} 次): ${entry.message.title} - ${reason}`, { notificationId: entry.id, event: entry.message.event });
+  await notificationQueue.moveToDeadLetter(entry, reason);
+}
+
+/**
+ * 将首次发送失败的通知加入重试队列(不允许重试时直接转入死信)
+ * @param {string} channelName - 渠道名称
+ * @param {NotificationMessage} message - 通知消息
+ * @param {string} reason - 失败原因
+ * @returns {Promise<void>}
+ */
+async function queueFailure(channelName, message, reason) {
+  const entry = await notificationQueue.enqueue(channelName, message, reason, getNextAttemptAt(1));
+  if (entry.attempts >= getRetryConfig().maxAttempts) {
+    await giveUp(entry, reason);
+    return;
+  }
+  logger.info(`通知已加入重试队列 [${channelName}]，将于 ${new Date(entry.nextAttemptAt).toLocaleString()} 重试`);
+}
+
+/**
+ * 发送通知到订阅了该事件的所有渠道(演练模式下只输出内容)
+ * 各渠道相互独立，发送失败的渠道进入重试队列；本函数不会抛出错误
+ * @param {NotificationMessage} message - 通知消息
+ * @returns {Promise<void>}
+ */
+async function notify(message) {
+  const channelConfigs = getChannelsForEvent(message.event);
+
+  if (config.dryRun) {
+    await renderDryRun(message, channelConfigs).catch(error => {
+      logger.error('[演练] 输出通知失败', { error });
+    });
+    return;
+  }
+
+  for (const channelConfig of channelConfigs) {
+    const channelName = getChannelName(channelConfig);
+    try {
+      await deliver(channelConfig, message);
+      logger.info(`通知已发送 [${channelName}]: ${message.title}`);
+    } catch (error) {
+      logger.error(`通知发送失败 [${channelName}]`, { error, event: message.event, title: message.title });
+      metrics.recordNotificationFailure(channelName);
+      await queueFailure(channelName, message, handleError(error).msg).catch(queueError => {
+        logger.error(`通知加入重试队列失败 [${channelName}]`, { error: queueError });
+      });
+    }
+  }
+}
+
+/**
+ * 重试队列中已到重试时间的通知，超过最大尝试次数的转入死信
+ * 本函数不会抛出错误
+ * @param {{force?: boolean}} [options] - force 为 true 时忽略退避时间，重试所有等待中的通知
+ * @returns {Promise<{sent: number, failed: number, deadLettered: number}>}
+ */
+async function retryPending({ force = false } = {}) {
+  const summary = { sent: 0, failed: 0, deadLettered: 0 };
+  if (config.dryRun || retrying) {
+    return summary;
+  }
+
+  retrying = true;
+  try {
+    // 认领后其他进程(服务与命令行)不会同时重试同一通知
+    const dueEntries = await notificationQueue.claimDue({ force });
+
+    for (const entry of dueEntries) {
+      // 渠道按名称匹配当前配置，配置修改后的重试使用新的渠道设置
+      const channelConfig = getChannelConfigs().find(item => getChannelName(item) === entry.channel);
+      if (!channelConfig) {
+        await giveUp(entry, `通知渠道 ${entry.channel} 已不在配置中`);
+        summary.deadLettered++;
+        continue;
+      }
+
+      try {
+        await deliver(channelConfig, entry.message);
+        await notificationQueue.remove(entry.id);
+        logger.info(`通知重试成功 [${entry.channel}] (第 ${entry.attempts + 1} 次尝试): ${entry.message.title}`);
+        summary.sent++;
+      } catch (error) {
+        const { msg } = handleError(error);
+        const attempts = entry.attempts + 1;
+        metrics.recordNotificationFailure(entry.channel);
+        if (attempts >= getRetryConfig().maxAttempts) {
+          await giveUp({ ...entry, attempts }, msg);
+          summary.deadLettered++;
+        } else {
+          const nextAttemptAt = getNextAttemptAt(attempts);
+          logger.warn(`通知重试失败 [${entry.channel}] (第 ${attempts} 次尝试)，将于 ${new Date(nextAttemptAt).toLocaleString()} 再次重试: ${msg}`);
+          await notificationQueue.recordFailure(entry.id, msg, nextAttemptAt);
+          summary.failed++;
+        }
+      }
+    }
+  } catch (error) {
+    logger.error('处理通知重试队列失败', { error });
+  } finally {
+    retrying = false;
+  }
+  return summary;
+}
+
+module.exports = {
+  notify,
+  retryPending
+};
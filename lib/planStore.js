@@ -0,0 +1,220 @@
+/**
+ * 删除计划存储模块
+ * 负责将待执行的删除计划持久化到磁盘，保证服务重启后计划不会丢失
+ */
+
+const crypto = require('crypto');
+const { localize } = require('./i18n');
+const { isProcessAlive, withFileLock } = require('../utils/fileLock');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const PLAN_FILE = 'plans.json';
+const MAX_HISTORY = 50; // 保留的历史计划数量
+
+/** @type {Promise<unknown>} */
+let planLock = Promise.resolve(); // 串行化本进程内对计划文件的读改写，避免定时器、审批请求和同步任务同时修改相互覆盖
+
+/**
+ * @typedef {{path: string, sizeGB: number, mtime: number, reason?: 'space' | 'age' | 'quota', archivedTo?: string, quarantinedAs?: string, reclaimedGB?: number}} DirInfo
+ * @typedef {{totalGB: number, freeGB: number, usedGB: number, usedPercentage: number}} SpaceInfo
+ * @typedef {{path: string, sizeGB: number, mtime: number, skipReason: string, skipReasonCode?: import('./i18n').LocalizedText}} SkippedDir
+ * @typedef {{
+ *   recordingsPath: string,
+ *   diskKey?: string,
+ *   minFreeSpaceGB?: number,
+ *   emergencyFreeGB?: number,
+ *   spaceInfo: SpaceInfo,
+ *   dirsToDelete: DirInfo[],
+ *   protectedDirs?: SkippedDir[],
+ *   forecast?: import('./forecast').DiskForecast
+ * }} TriggeredResult
+ * @typedef {'pending' | 'executing' | 'completed' | 'cancelled' | 'expired' | 'failed'} PlanStatus
+ * @typedef {{
+ *   id: string,
+ *   status: PlanStatus,
+ *   createdAt: number,
+ *   dueAt: number,
+ *   updatedAt: number,
+ *   trigger?: string,
+ *   triggeredResults: TriggeredResult[],
+ *   allDirsToDelete: DirInfo[],
+ *   protectedDirs?: SkippedDir[],
+ *   excludedDirs?: SkippedDir[],
+ *   approval?: import('./approval').PlanApproval,
+ *   executorPid?: number,
+ *   deletedDirs?: DirInfo[],
+ *   skippedDirs?: SkippedDir[],
+ *   error?: string
+ * }} DeletionPlan
+ */
+
+/**
+ * 读取所有计划
+ * @returns {Promise<DeletionPlan[]>}
+ */
+async function loadPlans() {
+  /** @type {{plans: DeletionPlan[]}} */
+  const data = await readJsonFile(resolveDataFile(PLAN_FILE), { plans: [] });
+  return Array.isArray(data.plans) ? data.plans : [];
+}
+
+/**
+ * 保存所有计划，只保留最近的历史记录
+ * @param {DeletionPlan[]} plans - 计划列表
+ * @returns {Promise<void>}
+ */
+async function savePlans(plans) {
+  await writeJsonFile(resolveDataFile(PLAN_FILE), { plans: plans.slice(-MAX_HISTORY) });
+}
+
+/**
+ * 在计划锁内执行读改写操作：本进程内串行，并通过锁文件与其他进程(服务与命令行)互斥
+ * @template T
+ * @param {() => Promise<T>} operation - 要执行的操作
+ * @returns {Promise<T>}
+ */
+function withPlanLock(operation) {
+  const result = planLock.then(() => withFileLock(`${resolveDataFile(PLAN_FILE)}.lock`, operation));
+  planLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * 获取当前未完成的计划(等待执行或执行中)
+ * @returns {Promise<DeletionPlan | null>}
+ */
+async function getActivePlan() {
+  const plans = await loadPlans();
+  return plans.find(plan => plan.status === 'pending' || plan.status === 'executing') || null;
+}
+
+/**
+ * 按ID获取计划
+ * @param {string} planId - 计划ID
+ * @returns {Promise<DeletionPlan | null>}
+ */
+async function getPlan(planId) {
+  const plans = await loadPlans();
+  return plans.find(plan => plan.id === planId) || null;
+}
+
+/**
+ * 创建新的删除计划
+ * @param {TriggeredResult[]} triggeredResults - 触发警告的路径检查结果列表
+ * @param {DirInfo[]} allDirsToDelete - 计划删除的目录列表
+ * @param {number} deleteDelay - 删除延迟时间(小时)
+ * @param {SkippedDir[]} [protectedDirs] - 通知中展示的受保护目录
+ * @param {string} [trigger] - 触发来源(schedule、startup、cli 等)
+ * @param {import('./approval').PlanApproval | null} [approval] - 需要人工审批时的审批状态，此时 deleteDelay 为等待审批的时长
+ * @returns {Promise<DeletionPlan>}
+ */
+function createPlan(triggeredResults, allDirsToDelete, deleteDelay, protectedDirs = [], trigger = 'schedule', approval = null) {
+  return withPlanLock(async () => {
+    const plans = await loadPlans();
+    const now = Date.now();
+
+    /** @type {DeletionPlan} */
+    const plan = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      createdAt: now,
+      dueAt: now + deleteDelay * 60 * 60 * 1000,
+      updatedAt: now,
+      trigger,
+      triggeredResults,
+      allDirsToDelete,
+      protectedDirs,
+      ...(approval ? { approval } : {})
+    };
+
+    plans.push(plan);
+    await savePlans(plans);
+    return plan;
+  });
+}
+
+/**
+ * 更新计划状态及附加字段
+ * @param {string} planId - 计划ID
+ * @param {PlanStatus} status - 新状态
+ * @param {Partial<DeletionPlan>} [extra] - 需要一并更新的字段
+ * @returns {Promise<DeletionPlan | null>} - 更新后的计划，不存在时返回null
+ */
+function updatePlanStatus(planId, status, extra = {}) {
+  return withPlanLock(async () => {
+    const plans = await loadPlans();
+    const plan = plans.find(item => item.id === planId);
+
+    if (!plan) {
+      return null;
+    }
+
+    Object.assign(plan, extra, { status, updatedAt: Date.now() });
+    await savePlans(plans);
+    return plan;
+  });
+}
+
+/**
+ * 开始执行计划：在计划锁内重新读取计划，将其标记为由本进程执行
+ * 只有等待执行的计划，或执行中但执行进程已退出(或就是本进程)的计划才能开始，
+ * 其他进程正在执行或计划已结束时返回 null，保证同一计划不会被两个进程同时执行
+ * @param {string} planId - 计划ID
+ * @returns {Promise<{plan: DeletionPlan, previous: DeletionPlan} | null>} - 标记后的计划及标记前的计划
+ */
+function claimPlan(planId) {
+  return withPlanLock(async () => {
+    const plans = await loadPlans();
+    const plan = plans.find(item => item.id === planId);
+
+    if (!plan || (plan.status !== 'pending' && plan.status !== 'executing')) {
+      return null;
+    }
+    if (plan.status === 'executing' && plan.executorPid && plan.executorPid !== process.pid && isProcessAlive(plan.executorPid)) {
+      return null;
+    }
+
+    const previous = { ...plan };
+    Object.assign(plan, { status: 'executing', executorPid: process.pid, updatedAt: Date.now() });
+    await savePlans(plans);
+    return { plan, previous };
+  });
+}
+
+/**
+ * 将目录从等待执行的计划中移除，记入 excludedDirs
+ * @param {string} planId - 计划ID
+ * @param {string} dirPath - 要排除的目录
+ * @param {import('./i18n').LocalizedText} skipReasonCode - 排除原因
+ * @returns {Promise<DeletionPlan | null>} - 更新后的计划，计划不是等待执行状态或不包含该目录时返回null
+ */
+function excludeDirectory(planId, dirPath, skipReasonCode) {
+  return withPlanLock(async () => {
+    const plans = await loadPlans();
+    const plan = plans.find(item => item.id === planId);
+    const dir = plan && plan.status === 'pending' ? plan.allDirsToDelete.find(item => item.path === dirPath) : undefined;
+
+    if (!plan || !dir) {
+      return null;
+    }
+
+    plan.allDirsToDelete = plan.allDirsToDelete.filter(item => item !== dir);
+    for (const result of plan.triggeredResults) {
+      result.dirsToDelete = result.dirsToDelete.filter(item => item.path !== dirPath);
+    }
+    plan.excludedDirs = [...(plan.excludedDirs || []), { path: dir.path, sizeGB: dir.sizeGB, mtime: dir.mtime, skipReason: localize(skipReasonCode), skipReasonCode }];
+    plan.updatedAt = Date.now();
+    await savePlans(plans);
+    return plan;
+  });
+}
+
+module.exports = {
+  loadPlans,
+  getPlan,
+  getActivePlan,
+  createPlan,
+  updatePlanStatus,
+  claimPlan,
+  excludeDirectory
+};
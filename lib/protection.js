@@ -0,0 +1,172 @@
+/**
+ * 删除保护模块
+ * 负责判断录制目录是否受保护：目录内的标记文件、配置的排除规则以及固定保留列表
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { localize } = require('./i18n');
+
+/**
+ * @typedef {{path: string, until?: string | number}} PinnedEntry
+ * @typedef {{markerFiles: string[], excludePatterns: string[], pinned: PinnedEntry[]}} ProtectionConfig
+ */
+
+/**
+ * 统一路径格式，便于比较和匹配
+ * @param {string} dirPath - 路径
+ * @returns {string}
+ */
+function normalizePath(dirPath) {
+  const normalized = path.resolve(dirPath).replace(/\\/g, '/');
+  return process.platform === 'win32' ? normalized.toLowerCase() : normalized;
+}
+
+/**
+ * 将通配符转换为正则表达式源码(* 不跨目录，** 可跨目录，? 匹配单个字符)
+ * @param {string} glob - 通配符(目录分隔符已统一为 /)
+ * @returns {string}
+ */
+function globToSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * 将排除规则转换为正则表达式
+ * 形如 /.../flags 的规则按正则表达式处理，其余按通配符处理
+ * @param {string} pattern - 排除规则
+ * @returns {{regex: RegExp, matchBaseName: boolean}}
+ */
+function compilePattern(pattern) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regexMatch) {
+    return { regex: new RegExp(regexMatch[1], regexMatch[2]), matchBaseName: false };
+  }
+
+  const normalized = pattern.replace(/\\/g, '/');
+  const source = globToSource(normalized);
+
+  // 不含目录分隔符的通配符只匹配目录名
+  return {
+    regex: new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : ''),
+    matchBaseName: !normalized.includes('/')
+  };
+}
+
+/**
+ * 读取保护配置
+ * @returns {ProtectionConfig}
+ */
+function getProtectionConfig() {
+  /** @type {Partial<ProtectionConfig>} */
+  const protection = config.protection || {};
+  return {
+    markerFiles: protection.markerFiles || [],
+    excludePatterns: protection.excludePatterns || [],
+    pinned: protection.pinned || []
+  };
+}
+
+/**
+ * 固定保留条目是否仍在有效期内
+ * @param {PinnedEntry} entry - 固定保留条目
+ * @returns {boolean}
+ */
+function isPinActive(entry) {
+  if (entry.until === undefined || entry.until === null || entry.until === '') {
+    return true;
+  }
+  const until = new Date(entry.until).getTime();
+  return Number.isNaN(until) || until > Date.now();
+}
+
+/**
+ * 是否为保护标记文件(按文件删除时不会作为录制文件删除)
+ * @param {string} fileName - 文件名
+ * @returns {boolean}
+ */
+function isMarkerFile(fileName) {
+  return getProtectionConfig().markerFiles.includes(fileName);
+}
+
+/**
+ * 获取目录(或文件)受保护的原因，文件以其所在目录中的标记文件为准
+ * @param {string} dirPath - 目录或文件路径
+ * @returns {Promise<import('./i18n').LocalizedText | null>} - 受保护时返回原因(显示时按通知语言本地化)，否则返回null
+ */
+async function getProtectionReason(dirPath) {
+  const { markerFiles, excludePatterns, pinned } = getProtectionConfig();
+  const normalizedPath = normalizePath(dirPath);
+
+  for (const entry of pinned) {
+    const pinnedPath = normalizePath(entry.path);
+    if ((normalizedPath === pinnedPath || normalizedPath.startsWith(`${pinnedPath}/`)) && isPinActive(entry)) {
+      const until = entry.until ? new Date(entry.until).getTime() : NaN;
+      return Number.isNaN(until) ? { key: 'skipReason.pinned' } : { key: 'skipReason.pinnedUntil', times: { until } };
+    }
+  }
+
+  for (const pattern of excludePatterns) {
+    const { regex, matchBaseName } = compilePattern(pattern);
+    if (regex.test(matchBaseName ? path.basename(normalizedPath) : normalizedPath)) {
+      return { key: 'skipReason.excludePattern', params: { pattern } };
+    }
+  }
+
+  const stats = await fs.stat(dirPath).catch(() => null);
+  const markerDir = stats && !stats.isDirectory() ? path.dirname(dirPath) : dirPath;
+  for (const markerFile of markerFiles) {
+    if (await fs.pathExists(path.join(markerDir, markerFile))) {
+      return { key: 'skipReason.marker', params: { file: markerFile } };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 将目录列表按是否受保护拆分
+ * @template {{path: string}} T
+ * @param {T[]} dirs - 目录列表
+ * @returns {Promise<{allowedDirs: T[], protectedDirs: Array<T & {skipReason: string, skipReasonCode: import('./i18n').LocalizedText}>}>}
+ */
+async function partitionProtected(dirs) {
+  /** @type {T[]} */
+  const allowedDirs = [];
+  /** @type {Array<T & {skipReason: string, skipReasonCode: import('./i18n').LocalizedText}>} */
+  const protectedDirs = [];
+
+  for (const dir of dirs) {
+    const skipReasonCode = await getProtectionReason(dir.path);
+    if (skipReasonCode) {
+      protectedDirs.push({ ...dir, skipReason: localize(skipReasonCode), skipReasonCode });
+    } else {
+      allowedDirs.push(dir);
+    }
+  }
+
+  return { allowedDirs, protectedDirs };
+}
+
+module.exports = {
+  globToSource,
+  compilePattern,
+  isMarkerFile,
+  getProtectionReason,
+  partitionProtected
+};
@@ -0,0 +1,312 @@
+/**
+ * 回收站模块
+ * 负责将待删除目录移入同一文件系统上的回收站目录，宽限期后按需彻底删除，并支持恢复
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const auditLog = require('./auditLog');
+const { removeUnit } = require('./deletionEngine');
+const diskManager = require('./diskManager');
+const { isProcessAlive, withFileLock } = require('../utils/fileLock');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const MANIFEST_FILE = 'quarantine.json';
+
+const DEFAULT_QUARANTINE = {
+  enabled: false,
+  dirName: '.recycle',
+  graceHours: 24
+};
+
+/**
+ * 回收站清单条目；status 为 moving 时目录正在由 movingPid 进程移入回收站(先写入清单再移动，进程中途退出后可据此补全)
+ * @typedef {{
+ *   id: string,
+ *   originalPath: string,
+ *   trashPath: string,
+ *   recordingsPath: string,
+ *   sizeGB: number,
+ *   mtime: number,
+ *   quarantinedAt: number,
+ *   status?: 'moving',
+ *   movingPid?: number
+ * }} QuarantineEntry
+ */
+
+/** @type {Promise<unknown>} */
+let manifestLock = Promise.resolve(); // 串行化本进程内对清单文件的读写
+
+/**
+ * 读取回收站配置
+ * @returns {{enabled: boolean, dirName: string, graceHours: number}}
+ */
+function getQuarantineConfig() {
+  return { ...DEFAULT_QUARANTINE, ...(config.quarantine || {}) };
+}
+
+/**
+ * 是否开启回收站
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return getQuarantineConfig().enabled;
+}
+
+/**
+ * 回收站目录名，扫描录制目录时需要跳过
+ * @returns {string}
+ */
+function getTrashDirName() {
+  return getQuarantineConfig().dirName;
+}
+
+/**
+ * 读取回收站清单
+ * @returns {Promise<QuarantineEntry[]>}
+ */
+async function listQuarantined() {
+  /** @type {{entries: QuarantineEntry[]}} */
+  const data = await readJsonFile(resolveDataFile(MANIFEST_FILE), { entries: [] });
+  return Array.isArray(data.entries) ? data.entries : [];
+}
+
+/**
+ * 保存回收站清单
+ * @param {QuarantineEntry[]} entries - 清单条目
+ * @returns {Promise<void>}
+ */
+async function saveManifest(entries) {
+  await writeJsonFile(resolveDataFile(MANIFEST_FILE), { entries });
+}
+
+/**
+ * 在清单锁内执行读改写操作：本进程内串行，并通过锁文件与其他进程(服务与命令行 restore)互斥
+ * @template T
+ * @param {() => Promise<T>} operation - 要执行的操作
+ * @returns {Promise<T>}
+ */
+function withManifestLock(operation) {
+  const result = manifestLock.then(() => withFileLock(`${resolveDataFile(MANIFEST_FILE)}.lock`, operation));
+  manifestLock = result.catch(() => {});
+  return result;
+}
+
+/**
+ * 修改清单中的条目
+ * @param {(entries: QuarantineEntry[]) => QuarantineEntry[]} update - 根据当前条目返回新的条目
+ * @returns {Promise<void>}
+ */
+function updateManifest(update) {
+  return withManifestLock(async () => {
+    await saveManifest(update(await listQuarantined()));
+  });
+}
+
+/**
+ * 条目的宽限期截止时间
+ * @param {QuarantineEntry} entry - 清单条目
+ * @returns {number}
+ */
+function getPurgeableAt(entry) {
+  return entry.quarantinedAt + getQuarantineConfig().graceHours * 60 * 60 * 1000;
+}
+
+/**
+ * 将目录移入所属监控路径下的回收站(同一文件系统内重命名，立即完成)
+ * 先以 moving 状态写入清单再移动，移动过程中进程退出时回收站中的目录不会脱离清单(由 reconcileMoving 补全)
+ * @param {{path: string, sizeGB: number, mtime: number}} dir - 要移入回收站的目录
+ * @param {string} recordingsPath - 所属录制根目录
+ * @returns {Promise<QuarantineEntry>}
+ */
+async function quarantineDirectory(dir, recordingsPath) {
+  const id = crypto.randomUUID().slice(0, 8);
+  const trashDir = path.join(recordingsPath, getTrashDirName());
+  const trashPath = path.join(trashDir, `${id}_${path.basename(dir.path)}`);
+
+  /** @type {QuarantineEntry} */
+  const entry = {
+    id,
+    originalPath: dir.path,
+    trashPath,
+    recordingsPath,
+    sizeGB: dir.sizeGB,
+    mtime: dir.mtime,
+    quarantinedAt: Date.now()
+  };
+
+  await updateManifest(entries => [...entries, { ...entry, status: 'moving', movingPid: process.pid }]);
+  try {
+    await fs.ensureDir(trashDir);
+    await fs.rename(dir.path, trashPath);
+  } catch (error) {
+    await updateManifest(entries => entries.filter(item => item.id !== id)).catch(manifestError => {
+      logger.error(`移除回收站清单条目 ${id} 失败`, { error: manifestError });
+    });
+    throw error;
+  }
+  await updateManifest(entries => entries.map(item => item.id === id ? entry : item));
+  return entry;
+}
+
+/**
+ * 补全移入回收站时中途退出(移动进程已不在运行)的条目：目录已移入回收站的保留为正常条目，未移动的从清单中移除
+ * @returns {Promise<void>}
+ */
+function reconcileMoving() {
+  return withManifestLock(async () => {
+    const entries = await listQuarantined();
+    /** @type {QuarantineEntry[]} */
+    const kept = [];
+    let changed = false;
+    for (const entry of entries) {
+      if (entry.status !== 'moving' || (entry.movingPid && isProcessAlive(entry.movingPid))) {
+        kept.push(entry);
+      } else if (await fs.pathExists(entry.trashPath)) {
+        logger.info(`回收站条目 ${entry.id} 移入过程中被中断，目录已在回收站中: ${entry.trashPath}`);
+        const { status, movingPid, ...movedEntry } = entry;
+        kept.push(movedEntry);
+        changed = true;
+      } else {
+        logger.info(`回收站条目 ${entry.id} 移入过程中被中断，目录未移动: ${entry.originalPath}`);
+        changed = true;
+      }
+    }
+    if (changed) {
+      await saveManifest(kept);
+    }
+  });
+}
+
+/**
+ * 将回收站中的目录恢复到原位置
+ * @param {string} idOrPath - 条目ID或原路径
+ * @returns {Promise<QuarantineEntry | null>} - 恢复的条目，不存在时返回null
+ */
+async function restoreDirectory(idOrPath) {
+  await reconcileMoving();
+  const entry = await withManifestLock(async () => {
+    const entries = await listQuarantined();
+    const found = entries.find(item => item.id === idOrPath || path.resolve(item.originalPath) === path.resolve(idOrPath));
+    if (!found) {
+      return null;
+    }
+    if (found.status === 'moving') {
+      throw new Error(`目录正在移入回收站，请稍后再恢复: ${found.originalPath}`);
+    }
+    if (await fs.pathExists(found.originalPath)) {
+      throw new Error(`原位置已存在同名目录，无法恢复: ${found.originalPath}`);
+    }
+
+    await fs.ensureDir(path.dirname(found.originalPath));
+    await fs.rename(found.trashPath, found.originalPath);
+    await saveManifest(entries.filter(item => item.id !== found.id));
+    return found;
+  });
+  if (!entry) {
+    return null;
+  }
+
+  logger.info(`已从回收站恢复: ${entry.originalPath}`);
+  auditLog.record('restored', { path: entry.originalPath, sizeGB: entry.sizeGB, mtime: entry.mtime, trashPath: entry.trashPath });
+  return entry;
+}
+
+/**
+ * 统计各磁盘回收站中尚未彻底删除的空间
+ * @returns {Promise<Map<string, number>>} - 磁盘标识到待释放空间(GB)的映射
+ */
+async function getPendingSizeByDisk() {
+  /** @type {Map<string, number>} */
+  const pending = new Map();
+  for (const entry of await listQuarantined()) {
+    const diskKey = await diskManager.getDiskKey(entry.recordingsPath);
+    pending.set(diskKey, (pending.get(diskKey) || 0) + entry.sizeGB);
+  }
+  return pending;
+}
+
+/**
+ * 彻底删除已过宽限期的回收站目录，仅在所在磁盘剩余空间仍低于该磁盘的目标值时进行(最早的录制先删除)
+ * @param {{dryRun?: boolean}} [options] - dryRun 为 true 时只报告
+ * @returns {Promise<QuarantineEntry[]>} - 已(或演练模式下将)彻底删除的条目
+ */
+async function purgeExpired({ dryRun = false } = {}) {
+  if (!dryRun) {
+    await reconcileMoving();
+  }
+  const entries = await listQuarantined();
+  const now = Date.now();
+  const expired = entries
+    .filter(entry => entry.status !== 'moving' && getPurgeableAt(entry) <= now)
+    .sort((a, b) => a.mtime - b.mtime);
+
+  /** @type {Map<string, QuarantineEntry[]>} */
+  const byDisk = new Map();
+  for (const entry of expired) {
+    const diskKey = await diskManager.getDiskKey(entry.recordingsPath);
+    const group = byDisk.get(diskKey) || [];
+    group.push(entry);
+    byDisk.set(diskKey, group);
+  }
+
+  /** @type {QuarantineEntry[]} */
+  const purged = [];
+  for (const [diskKey, group] of byDisk.entries()) {
+    let spaceInfo;
+    try {
+      spaceInfo = await diskManager.getDiskSpace(group[0].recordingsPath);
+    } catch (error) {
+      logger.error(`检查回收站所在磁盘 ${diskKey} 空间失败`, { error });
+      continue;
+    }
+
+    const { targetFreeGB } = await diskManager.getThresholds(diskKey, spaceInfo.totalGB);
+    let spaceToFreeGB = targetFreeGB - spaceInfo.freeGB;
+    for (const entry of group) {
+      if (spaceToFreeGB <= 0) {
+        logger.info(`磁盘 ${diskKey} 空间已充足，回收站中其余 ${group.length - group.indexOf(entry)} 个目录暂不删除`);
+        break;
+      }
+
+      if (dryRun) {
+        logger.info(`[演练] 将从回收站彻底删除: ${entry.trashPath} (原路径 ${entry.originalPath})`);
+      } else {
+        const freeBeforeGB = await diskManager.getFreeSpaceGB(entry.recordingsPath);
+        try {
+          logger.info(`从回收站彻底删除: ${entry.trashPath} (原路径 ${entry.originalPath})`);
+          await removeUnit({ path: entry.trashPath, sizeGB: entry.sizeGB, mtime: entry.mtime }, entry.recordingsPath);
+        } catch (error) {
+          logger.error(`彻底删除回收站目录失败 ${entry.trashPath}`, { error });
+          continue;
+        }
+        const freeAfterGB = await diskManager.getFreeSpaceGB(entry.recordingsPath);
+        auditLog.record('purged', { path: entry.originalPath, sizeGB: entry.sizeGB, mtime: entry.mtime, trashPath: entry.trashPath, freeBeforeGB, freeAfterGB });
+      }
+      purged.push(entry);
+      spaceToFreeGB -= entry.sizeGB;
+    }
+  }
+
+  if (!dryRun && purged.length > 0) {
+    const purgedIds = new Set(purged.map(entry => entry.id));
+    // 在清单锁内重新读取，避免覆盖期间发生的移入和恢复操作
+    await updateManifest(latest => latest.filter(entry => !purgedIds.has(entry.id)));
+  }
+
+  return purged;
+}
+
+module.exports = {
+  isEnabled,
+  getTrashDirName,
+  getPurgeableAt,
+  listQuarantined,
+  quarantineDirectory,
+  restoreDirectory,
+  getPendingSizeByDisk,
+  purgeExpired
+};
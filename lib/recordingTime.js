@@ -0,0 +1,97 @@
+/**
+ * 录制时间模块
+ * 负责按文件名/目录名规则(如 cam1_{YYYY}{MM}{DD}_{hh}{mm}{ss}.mp4、{YYYY}/{MM}/{DD}/*)解析录制时间
+ */
+
+const path = require('path');
+const { globToSource } = require('./protection');
+
+/**
+ * @typedef {'YYYY' | 'MM' | 'DD' | 'hh' | 'mm' | 'ss'} TimeToken
+ * @typedef {{pattern: string, regex: RegExp, tokens: TimeToken[], matchBaseName: boolean}} TimestampPattern
+ */
+
+const TOKEN_REGEX = /\{(YYYY|MM|DD|hh|mm|ss)\}/g;
+const TOKEN_SOURCES = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{2})',
+  DD: '(\\d{2})',
+  hh: '(\\d{2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})'
+};
+const REQUIRED_TOKENS = ['YYYY', 'MM', 'DD'];
+
+/**
+ * 编译时间规则：{YYYY} {MM} {DD} {hh} {mm} {ss} 匹配对应的数字，其余部分按通配符处理
+ * 不含 / 的规则只匹配文件名或目录名，含 / 的规则匹配相对于监控路径的完整路径
+ * @param {string} pattern - 时间规则
+ * @returns {TimestampPattern} - 缺少 {YYYY}、{MM}、{DD} 或重复时抛出错误
+ */
+function compileTimestampPattern(pattern) {
+  const normalized = pattern.replace(/\\/g, '/');
+  /** @type {TimeToken[]} */
+  const tokens = [];
+  let source = '';
+  let lastIndex = 0;
+
+  for (const match of normalized.matchAll(TOKEN_REGEX)) {
+    const token = /** @type {TimeToken} */ (match[1]);
+    if (tokens.includes(token)) {
+      throw new Error(`时间规则中 {${token}} 重复: ${pattern}`);
+    }
+    source += globToSource(normalized.slice(lastIndex, match.index)) + TOKEN_SOURCES[token];
+    tokens.push(token);
+    lastIndex = (match.index || 0) + match[0].length;
+  }
+  source += globToSource(normalized.slice(lastIndex));
+
+  const missing = REQUIRED_TOKENS.filter(token => !tokens.includes(/** @type {TimeToken} */ (token)));
+  if (missing.length > 0) {
+    throw new Error(`时间规则缺少 ${missing.map(token => `{${token}}`).join('、')}: ${pattern}`);
+  }
+
+  return {
+    pattern,
+    regex: new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : ''),
+    tokens,
+    matchBaseName: !normalized.includes('/')
+  };
+}
+
+/**
+ * 按时间规则解析录制时间(本地时间)，依次尝试各规则
+ * @param {string} relativePath - 相对于监控路径的路径
+ * @param {TimestampPattern[]} patterns - 已编译的时间规则
+ * @returns {number | null} - 时间戳(毫秒)，均不匹配或日期无效时返回 null
+ */
+function parseRecordingTime(relativePath, patterns) {
+  const normalized = relativePath.replace(/\\/g, '/');
+
+  for (const { regex, tokens, matchBaseName } of patterns) {
+    const match = regex.exec(matchBaseName ? path.posix.basename(normalized) : normalized);
+    if (!match) {
+      continue;
+    }
+
+    /** @type {Record<TimeToken, number>} */
+    const parts = { YYYY: 0, MM: 1, DD: 1, hh: 0, mm: 0, ss: 0 };
+    tokens.forEach((token, index) => {
+      parts[token] = Number(match[index + 1]);
+    });
+
+    const date = new Date(parts.YYYY, parts.MM - 1, parts.DD, parts.hh, parts.mm, parts.ss);
+    // 排除 20240231、25 点之类被 Date 自动进位的无效日期
+    const valid = date.getFullYear() === parts.YYYY && date.getMonth() === parts.MM - 1 && date.getDate() === parts.DD
+      && date.getHours() === parts.hh && date.getMinutes() === parts.mm && date.getSeconds() === parts.ss;
+    if (valid) {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  compileTimestampPattern,
+  parseRecordingTime
+};
@@ -0,0 +1,447 @@
+/**
+ * 定期报告模块
+ * 负责按日、按周汇总各监控路径的录制总量、每日增长、最早保留的录制时间(实际保留天数)、期间的删除操作和磁盘使用趋势，
+ * 按 reports 中的调度通过通知渠道发送(report 事件)，也可导出为 CSV 或 JSON
+ * 每次生成报告时记录各监控路径的录制总量(data/usage-history.json)，作为之后计算增长的基准
+ */
+
+const cron = require('node-cron');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const auditLog = require('./auditLog');
+const configLoader = require('./configLoader');
+const diskManager = require('./diskManager');
+const fileManager = require('./fileManager');
+const forecast = require('./forecast');
+const { renderText } = require('./messageRenderer');
+const messages = require('./messages');
+const notifier = require('./notifier');
+const retentionPolicy = require('./retentionPolicy');
+const { handleError } = require('../utils/handleError');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const USAGE_FILE = 'usage-history.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_DAYS = 90; // 录制总量采样的保留天数
+const MIN_SAMPLE_INTERVAL_MS = 5 * 60 * 1000; // 同一路径两次采样的最短间隔
+const BASELINE_TOLERANCE_MS = 60 * 60 * 1000; // 报告期开始后该时长内的采样仍可作为期初基准(定时报告的采样时间略有先后)
+const MIN_GROWTH_SPAN_MS = 60 * 60 * 1000; // 基准采样距今不足该时长时不计算增长
+const CLEANUP_EVENTS = ['deleted', 'archived', 'quarantined']; // 使录制离开监控路径的审计事件(移入回收站后不再计入录制总量)
+
+/** @type {Record<ReportPeriod, number>} */
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+const DEFAULT_REPORTS = {
+  daily: '',
+  weekly: '',
+  exportDir: ''
+};
+
+/**
+ * @typedef {'daily' | 'weekly'} ReportPeriod
+ * @typedef {'text' | 'json' | 'csv'} ReportFormat
+ * @typedef {{time: number, sizeGB: number, dirCount: number, oldestMtime: number | null}} UsageSample
+ * @typedef {{
+ *   path: string,
+ *   diskKey: string | null,
+ *   sizeGB: number,
+ *   dirCount: number,
+ *   oldestMtime: number | null,
+ *   retentionDays: number | null,
+ *   growthGBPerDay: number | null,
+ *   growthSince: number | null,
+ *   deletedDirs: number,
+ *   deletedGB: number,
+ *   failedDirs: number,
+ *   error?: string
+ * }} PathReport
+ * @typedef {{
+ *   diskKey: string,
+ *   paths: string[],
+ *   totalGB: number,
+ *   freeGB: number,
+ *   usedPercentage: number,
+ *   minFreeSpaceGB: number,
+ *   freeAtStartGB: number | null,
+ *   lowestFreeGB: number,
+ *   fillRateGBPerDay: number | null,
+ *   daysUntilThreshold: number | null
+ * }} DiskReport
+ * @typedef {{
+ *   period: ReportPeriod,
+ *   periodStart: number,
+ *   periodEnd: number,
+ *   paths: PathReport[],
+ *   disks: DiskReport[],
+ *   totals: {sizeGB: number, deletedDirs: number, deletedGB: number, failedDirs: number, plans: number}
+ * }} UsageReport
+ */
+
+/** @type {import('node-cron').ScheduledTask[]} */
+let reportTasks = []; // 定时报告任务，调度配置变更时重建
+/** @type {Set<Promise<unknown>>} */
+const sending = new Set(); // 正在生成或发送的报告，服务停止时等待其完成
+let stopped = false;
+
+/**
+ * 读取报告配置
+ * @returns {{daily: string, weekly: string, exportDir: string}}
+ */
+function getReportsConfig() {
+  return { ...DEFAULT_REPORTS, ...(config.reports || {}) };
+}
+
+/**
+ * 读取各监控路径的录制总量采样
+ * @returns {Promise<Record<string, UsageSample[]>>}
+ */
+async function loadUsageHistory() {
+  /** @type {{paths: Record<string, UsageSample[]>}} */
+  const data = await readJsonFile(resolveDataFile(USAGE_FILE), { paths: {} });
+  return data.paths || {};
+}
+
+/**
+ * 记录各监控路径的录制总量采样，只保留 HISTORY_DAYS 天内的采样
+ * @param {Record<string, UsageSample>} samples - 监控路径到本次采样的映射
+ * @returns {Promise<void>}
+ */
+async function recordUsageSamples(samples) {
+  const history = await loadUsageHistory();
+  const cutoff = Date.now() - HISTORY_DAYS * DAY_MS;
+
+  for (const [recordingsPath, sample] of Object.entries(samples)) {
+    const pathSamples = (history[recordingsPath] || []).filter(item => item.time >= cutoff);
+    const last = pathSamples[pathSamples.length - 1];
+    if (!last || sample.time - last.time >= MIN_SAMPLE_INTERVAL_MS) {
+      pathSamples.push(sample);
+    }
+    history[recordingsPath] = pathSamples;
+  }
+  await writeJsonFile(resolveDataFile(USAGE_FILE), { paths: history });
+}
+
+/**
+ * 选取报告期的期初基准采样：期初(含容差)之前最近的采样，没有时使用期内最早的采样
+ * @template {{time: number}} T
+ * @param {T[]} samples - 采样(最早的在前)
+ * @param {number} periodStart - 报告期开始时间
+ * @param {number} now - 当前时间
+ * @returns {T | null}
+ */
+function findBaseline(samples, periodStart, now) {
+  let baseline = null;
+  for (const sample of samples) {
+    if (sample.time <= periodStart + BASELINE_TOLERANCE_MS) {
+      baseline = sample;
+    } else if (!baseline && sample.time < now) {
+      return sample;
+    }
+  }
+  return baseline;
+}
+
+/**
+ * 路径是否为指定目录本身或其子路径
+ * @param {string} itemPath - 路径
+ * @param {string} dirPath - 目录
+ * @returns {boolean}
+ */
+function isSameOrInside(itemPath, dirPath) {
+  const relativePath = path.relative(path.resolve(dirPath), path.resolve(itemPath));
+  return relativePath === '' || (!relativePath.startsWith('..') && !path.isAbsolute(relativePath));
+}
+
+/**
+ * 统计审计记录中录制的大小之和
+ * @param {import('./auditLog').AuditRecord[]} records - 审计记录
+ * @returns {number}
+ */
+function sumRecordSize(records) {
+  return records.reduce((total, record) => total + (record.sizeGB || 0), 0);
+}
+
+/**
+ * 生成报告：扫描各监控路径并读取磁盘空间，结合录制总量采样、审计日志和磁盘剩余空间采样统计报告期内的变化
+ * 本次扫描的结果记录为新的录制总量采样
+ * @param {ReportPeriod} period - 报告周期
+ * @returns {Promise<UsageReport>}
+ */
+async function buildReport(period) {
+  const now = Date.now();
+  const periodStart = now - PERIOD_DAYS[period] * DAY_MS;
+  const history = await loadUsageHistory();
+  const targets = retentionPolicy.getRecordingsTargets();
+
+  // 增长按基准采样至今计算，审计记录需从最早的基准开始读取
+  const baselines = new Map(targets.map(({ path: recordingsPath }) => [recordingsPath, findBaseline(history[recordingsPath] || [], periodStart, now)]));
+  const since = Math.min(periodStart, ...[...baselines.values()].map(baseline => baseline ? baseline.time : periodStart));
+  const records = await auditLog.query({ since });
+  const periodRecords = records.filter(record => Date.parse(record.time) >= periodStart);
+
+  /** @type {PathReport[]} */
+  const paths = [];
+  /** @type {Map<string, DiskReport>} */
+  const disks = new Map();
+  /** @type {Record<string, UsageSample>} */
+  const samples = {};
+
+  for (const { path: recordingsPath, policy } of targets) {
+    const pathRecords = periodRecords.filter(record => record.path && isSameOrInside(record.path, recordingsPath));
+    const cleanedRecords = pathRecords.filter(record => CLEANUP_EVENTS.includes(record.event));
+    /** @type {PathReport} */
+    const pathReport = {
+      path: recordingsPath,
+      diskKey: null,
+      sizeGB: 0,
+      dirCount: 0,
+      oldestMtime: null,
+      retentionDays: null,
+      growthGBPerDay: null,
+      growthSince: null,
+      deletedDirs: cleanedRecords.length,
+      deletedGB: sumRecordSize(cleanedRecords),
+      failedDirs: pathRecords.filter(record => record.event === 'failed').length
+    };
+    paths.push(pathReport);
+
+    try {
+      const diskKey = await diskManager.getDiskKey(recordingsPath);
+      const spaceInfo = await diskManager.getDiskSpace(recordingsPath);
+      const dirs = await fileManager.scanDirectories(recordingsPath, policy.scan);
+
+      pathReport.diskKey = diskKey;
+      pathReport.sizeGB = dirs.reduce((total, dir) => total + dir.sizeGB, 0);
+      pathReport.dirCount = dirs.length;
+      // file 模式下删除单位可能很多，不使用展开参数
+      pathReport.oldestMtime = dirs.reduce((oldest, dir) => oldest === null || dir.mtime < oldest ? dir.mtime : oldest, /** @type {number | null} */ (null));
+      pathReport.retentionDays = pathReport.oldestMtime === null ? null : Math.max(now - pathReport.oldestMtime, 0) / DAY_MS;
+      samples[recordingsPath] = { time: now, sizeGB: pathReport.sizeGB, dirCount: pathReport.dirCount, oldestMtime: pathReport.oldestMtime };
+
+      // 写入量 = 期末总量 - 基准总量 + 期间移出的录制 - 期间从回收站恢复的录制
+      const baseline = baselines.get(recordingsPath);
+      if (baseline && now - baseline.time >= MIN_GROWTH_SPAN_MS) {
+        const sinceRecords = records.filter(record => record.path && Date.parse(record.time) >= baseline.time && isSameOrInside(record.path, recordingsPath));
+        const removedGB = sumRecordSize(sinceRecords.filter(record => CLEANUP_EVENTS.includes(record.event)));
+        const restoredGB = sumRecordSize(sinceRecords.filter(record => record.event === 'restored'));
+        pathReport.growthGBPerDay = Math.max(pathReport.sizeGB - baseline.sizeGB + removedGB - restoredGB, 0) / ((now - baseline.time) / DAY_MS);
+        pathReport.growthSince = baseline.time;
+      }
+
+      const disk = disks.get(diskKey);
+      if (disk) {
+        disk.paths.push(recordingsPath);
+        continue;
+      }
+      const { minFreeSpaceGB } = await diskManager.getThresholds(diskKey, spaceInfo.totalGB);
+      const diskSamples = (await forecast.getSamples(diskKey)).filter(sample => sample.time < now);
+      const freeAtStart = findBaseline(diskSamples, periodStart, now);
+      const diskForecast = await forecast.getForecast(diskKey, spaceInfo.freeGB, minFreeSpaceGB);
+      disks.set(diskKey, {
+        diskKey,
+        paths: [recordingsPath],
+        totalGB: spaceInfo.totalGB,
+        freeGB: spaceInfo.freeGB,
+        usedPercentage: spaceInfo.usedPercentage,
+        minFreeSpaceGB,
+        freeAtStartGB: freeAtStart ? freeAtStart.freeGB : null,
+        lowestFreeGB: Math.min(spaceInfo.freeGB, ...diskSamples.filter(sample => sample.time >= periodStart).map(sample => sample.freeGB)),
+        fillRateGBPerDay: diskForecast ? diskForecast.fillRateGBPerDay : null,
+        daysUntilThreshold: diskForecast ? diskForecast.daysUntilThreshold : null
+      });
+    } catch (error) {
+      logger.error(`统计 ${recordingsPath} 的报告数据失败`, { error });
+      pathReport.error = handleError(error).msg;
+    }
+  }
+
+  await recordUsageSamples(samples).catch(error => {
+    logger.error('保存录制总量采样失败', { error });
+  });
+
+  return {
+    period,
+    periodStart,
+    periodEnd: now,
+    paths,
+    disks: [...disks.values()],
+    totals: {
+      sizeGB: paths.reduce((total, item) => total + item.sizeGB, 0),
+      deletedDirs: paths.reduce((total, item) => total + item.deletedDirs, 0),
+      deletedGB: paths.reduce((total, item) => total + item.deletedGB, 0),
+      failedDirs: paths.reduce((total, item) => total + item.failedDirs, 0),
+      plans: periodRecords.filter(record => record.event === 'planned').length
+    }
+  };
+}
+
+/**
+ * CSV 字段转义
+ * @param {string | number | null} value - 字段值
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  const text = value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 数值保留三位小数，空值输出为空字段
+ * @param {number | null} value - 数值
+ * @returns {number | null}
+ */
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * 时间戳转换为 ISO 8601 文本，空值输出为空字段
+ * @param {number | null} timestamp - 时间戳(毫秒)
+ * @returns {string | null}
+ */
+function toIsoTime(timestamp) {
+  return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+/**
+ * 将报告导出为 CSV：每个监控路径一行，附带所在磁盘的空间信息
+ * @param {UsageReport} report - 报告
+ * @returns {string}
+ */
+function toCsv(report) {
+  const header = [
+    'period', 'period_start', 'period_end', 'path', 'disk', 'size_gb', 'units', 'oldest_recording', 'retention_days',
+    'growth_gb_per_day', 'deleted_units', 'deleted_gb', 'failed_units', 'disk_total_gb', 'disk_free_gb', 'disk_used_percent',
+    'disk_free_at_start_gb', 'disk_lowest_free_gb', 'disk_fill_rate_gb_per_day', 'disk_days_until_threshold', 'error'
+  ];
+  const rows = report.paths.map(item => {
+    const disk = report.disks.find(diskReport => diskReport.diskKey === item.diskKey);
+    return [
+      report.period, toIsoTime(report.periodStart), toIsoTime(report.periodEnd), item.path, item.diskKey, round(item.sizeGB), item.dirCount,
+      toIsoTime(item.oldestMtime), round(item.retentionDays), round(item.growthGBPerDay), item.deletedDirs, round(item.deletedGB), item.failedDirs,
+      disk ? round(disk.totalGB) : null, disk ? round(disk.freeGB) : null, disk ? round(disk.usedPercentage) : null,
+      disk ? round(disk.freeAtStartGB) : null, disk ? round(disk.lowestFreeGB) : null,
+      disk ? round(disk.fillRateGBPerDay) : null, disk ? round(disk.daysUntilThreshold) : null, item.error || null
+    ];
+  });
+  return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * 按格式输出报告
+ * @param {UsageReport} report - 报告
+ * @param {ReportFormat} format - 输出格式，text 为通知的纯文本内容
+ * @returns {string}
+ */
+function formatReport(report, format) {
+  if (format === 'json') {
+    return `${JSON.stringify(report, null, 2)}\n`;
+  }
+  if (format === 'csv') {
+    return toCsv(report);
+  }
+  return `${renderText(messages.buildReportMessage(report))}\n`;
+}
+
+/**
+ * 将报告以 CSV 和 JSON 写入 exportDir(未配置时不导出)，文件名包含周期和日期
+ * @param {UsageReport} report - 报告
+ * @returns {Promise<string[]>} - 写入的文件
+ */
+async function exportReport(report) {
+  const { exportDir } = getReportsConfig();
+  if (!exportDir) {
+    return [];
+  }
+
+  const dir = path.resolve(__dirname, '..', exportDir);
+  const baseName = `report-${report.period}-${new Date(report.periodEnd).toISOString().slice(0, 10)}`;
+  const files = [path.join(dir, `${baseName}.csv`), path.join(dir, `${baseName}.json`)];
+  await fs.ensureDir(dir);
+  await fs.writeFile(files[0], toCsv(report));
+  await fs.writeFile(files[1], formatReport(report, 'json'));
+  return files;
+}
+
+/**
+ * 生成报告并通过订阅了 report 事件的通知渠道发送，配置了 exportDir 时同时导出
+ * @param {ReportPeriod} period - 报告周期
+ * @returns {Promise<UsageReport>}
+ */
+async function sendReport(period) {
+  logger.info(`生成${period === 'daily' ? '日报' : '周报'}...`);
+  const report = await buildReport(period);
+
+  await notifier.notify(messages.buildReportMessage(report));
+  if (!config.dryRun) {
+    const files = await exportReport(report).catch(error => {
+      logger.error('导出报告失败', { error });
+      return [];
+    });
+    if (files.length > 0) {
+      logger.info(`报告已导出: ${files.join(', ')}`);
+    }
+  }
+  return report;
+}
+
+/**
+ * 按当前 reports 配置创建定时报告任务，替换已有任务
+ */
+function scheduleReports() {
+  for (const task of reportTasks) {
+    task.stop();
+  }
+  reportTasks = [];
+
+  const reportsConfig = getReportsConfig();
+  for (const period of /** @type {ReportPeriod[]} */ (['daily', 'weekly'])) {
+    const schedule = reportsConfig[period];
+    if (!schedule) {
+      continue;
+    }
+    logger.info(`启动${period === 'daily' ? '日报' : '周报'}定时任务，调度: ${schedule}`);
+    reportTasks.push(cron.schedule(schedule, () => {
+      const work = sendReport(period).catch(error => {
+        logger.error(`发送${period === 'daily' ? '日报' : '周报'}失败`, { error });
+      });
+      sending.add(work);
+      work.finally(() => sending.delete(work));
+    }));
+  }
+}
+
+/**
+ * 服务模式下启动定时报告，配置热加载后调度变化时重建任务
+ */
+function startSchedule() {
+  scheduleReports();
+  configLoader.onChange(changedKeys => {
+    if (changedKeys.includes('reports') && !stopped) {
+      scheduleReports();
+    }
+  });
+}
+
+/**
+ * 停止定时报告，等待正在发送的报告完成
+ * @returns {Promise<void>}
+ */
+async function stopSchedule() {
+  stopped = true;
+  for (const task of reportTasks) {
+    task.stop();
+  }
+  reportTasks = [];
+  await Promise.allSettled([...sending]);
+}
+
+module.exports = {
+  buildReport,
+  formatReport,
+  sendReport,
+  startSchedule,
+  stopSchedule
+};
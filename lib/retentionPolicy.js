@@ -0,0 +1,125 @@
+/**
+ * 保留策略模块
+ * 负责解析每个监控路径的保留策略(最少保留目录数、最长保留天数、空间配额)、扫描方式(删除单位、录制时间规则)及清理方式(删除或归档)
+ */
+
+const path = require('path');
+const config = require('../config');
+
+/**
+ * @typedef {'delete' | 'archive'} CleanupAction
+ * @typedef {import('./archiver').ArchiveConfig} ArchiveConfig
+ * @typedef {{mode: 'directory' | 'file', depth: number, filePatterns: string[], timestampPatterns: string[]}} ScanConfig
+ * @typedef {{minKeepDirs: number, maxAgeDays: number, maxSizeGB: number, action: CleanupAction, archive: ArchiveConfig, scan: ScanConfig}} RetentionPolicy
+ * @typedef {{path: string, archive?: Partial<ArchiveConfig>, scan?: Partial<ScanConfig>} & Partial<Omit<RetentionPolicy, 'archive' | 'scan'>>} RecordingsPathConfig
+ * @typedef {{path: string, policy: RetentionPolicy}} RecordingsTarget
+ */
+
+const DEFAULT_POLICY = {
+  minKeepDirs: 0,
+  maxAgeDays: 0,
+  maxSizeGB: 0
+};
+
+const DEFAULT_ARCHIVE = {
+  target: '',
+  verify: 'size'
+};
+
+/** @type {ScanConfig} */
+const DEFAULT_SCAN = {
+  mode: 'directory',
+  depth: 1,
+  filePatterns: [],
+  timestampPatterns: []
+};
+
+/**
+ * 将数值配置规范为非负数，无效值使用默认值
+ * @param {unknown} value - 配置值
+ * @param {number} fallback - 默认值
+ * @returns {number}
+ */
+function toNonNegative(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+/**
+ * 合并默认策略与路径单独配置的策略
+ * @param {Omit<RecordingsPathConfig, 'path'>} [overrides] - 路径单独配置的策略
+ * @returns {RetentionPolicy}
+ */
+function resolvePolicy(overrides = {}) {
+  const defaults = { ...DEFAULT_POLICY, ...(config.retention || {}) };
+  const archive = { ...DEFAULT_ARCHIVE, ...(config.archive || {}), ...(overrides.archive || {}) };
+  const scan = { ...DEFAULT_SCAN, ...(config.scan || {}), ...(overrides.scan || {}) };
+  return {
+    minKeepDirs: Math.floor(toNonNegative(overrides.minKeepDirs, defaults.minKeepDirs)),
+    maxAgeDays: toNonNegative(overrides.maxAgeDays, defaults.maxAgeDays),
+    maxSizeGB: toNonNegative(overrides.maxSizeGB, defaults.maxSizeGB),
+    action: (overrides.action || config.action) === 'archive' ? 'archive' : 'delete',
+    archive: {
+      target: archive.target,
+      verify: archive.verify === 'checksum' ? 'checksum' : 'size'
+    },
+    scan: {
+      mode: scan.mode === 'file' ? 'file' : 'directory',
+      depth: Math.max(Math.floor(toNonNegative(scan.depth, DEFAULT_SCAN.depth)), 1),
+      filePatterns: scan.filePatterns || [],
+      timestampPatterns: scan.timestampPatterns || []
+    }
+  };
+}
+
+/**
+ * 获取所有监控路径及其保留策略
+ * recordingsPaths 中的每项可以是路径字符串，也可以是 { path, minKeepDirs, maxAgeDays, maxSizeGB, action, archive, scan } 对象
+ * @returns {RecordingsTarget[]}
+ */
+function getRecordingsTargets() {
+  /** @type {Array<string | RecordingsPathConfig>} */
+  const recordingsPaths = config.recordingsPaths;
+  return recordingsPaths.map(item => {
+    if (typeof item === 'string') {
+      return { path: item, policy: resolvePolicy() };
+    }
+    const { path: recordingsPath, ...overrides } = item;
+    return { path: recordingsPath, policy: resolvePolicy(overrides) };
+  });
+}
+
+/**
+ * 查找目录所属的监控路径
+ * @param {string} dirPath - 录制目录路径
+ * @returns {RecordingsTarget | null}
+ */
+function findTargetForPath(dirPath) {
+  const resolvedPath = path.resolve(dirPath);
+  let match = null;
+  for (const target of getRecordingsTargets()) {
+    const relativePath = path.relative(path.resolve(target.path), resolvedPath);
+    const isInside = relativePath !== '' && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+    // 路径嵌套时取最深的监控路径
+    if (isInside && (!match || target.path.length > match.path.length)) {
+      match = target;
+    }
+  }
+  return match;
+}
+
+/**
+ * 策略是否包含与剩余空间无关的删除规则(最长保留天数或空间配额)
+ * @param {RetentionPolicy} policy - 保留策略
+ * @returns {boolean}
+ */
+function hasStandingRules(policy) {
+  return policy.maxAgeDays > 0 || policy.maxSizeGB > 0;
+}
+
+module.exports = {
+  resolvePolicy,
+  getRecordingsTargets,
+  findTargetForPath,
+  hasStandingRules
+};
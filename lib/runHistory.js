@@ -0,0 +1,58 @@
+/**
+ * 运行记录模块
+ * 负责记录每次磁盘空间检查的结果，供状态查询使用
+ */
+
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const RUNS_FILE = 'runs.json';
+const MAX_HISTORY = 100; // 保留的运行记录数量
+
+/**
+ * @typedef {'ok' | 'planned' | 'emergency' | 'skipped' | 'dry-run' | 'busy' | 'error'} RunOutcome
+ * @typedef {{
+ *   startedAt: number,
+ *   finishedAt: number,
+ *   trigger: string,
+ *   outcome: RunOutcome,
+ *   planId?: string,
+ *   dirsPlanned?: number,
+ *   error?: string
+ * }} RunRecord
+ */
+
+/**
+ * 读取所有运行记录(最早的在前)
+ * @returns {Promise<RunRecord[]>}
+ */
+async function getRuns() {
+  /** @type {{runs: RunRecord[]}} */
+  const data = await readJsonFile(resolveDataFile(RUNS_FILE), { runs: [] });
+  return Array.isArray(data.runs) ? data.runs : [];
+}
+
+/**
+ * 获取最近一次运行记录
+ * @returns {Promise<RunRecord | null>}
+ */
+async function getLastRun() {
+  const runs = await getRuns();
+  return runs.length > 0 ? runs[runs.length - 1] : null;
+}
+
+/**
+ * 追加一条运行记录
+ * @param {RunRecord} run - 运行记录
+ * @returns {Promise<void>}
+ */
+async function recordRun(run) {
+  const runs = await getRuns();
+  runs.push(run);
+  await writeJsonFile(resolveDataFile(RUNS_FILE), { runs: runs.slice(-MAX_HISTORY) });
+}
+
+module.exports = {
+  getRuns,
+  getLastRun,
+  recordRun
+};
@@ -0,0 +1,356 @@
+/**
+ * 服务管理模块
+ * 负责以常驻服务方式运行时的进程管理：PID 文件保证同时只运行一个服务实例；
+ * 收到 SIGTERM/SIGINT 时等待当前目录删除完成(超时后中断并记入删除日志)再退出；
+ * 定期写入服务状态文件(data/service-status.json)供 health 命令检查；
+ * 由 systemd(Type=notify)启动时发送就绪、看门狗和停止通知(sd_notify)
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const configLoader = require('./configLoader');
+const deletionEngine = require('./deletionEngine');
+const httpServer = require('./httpServer');
+const monitor = require('./monitor');
+const reports = require('./reports');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const PID_FILE = 'service.pid';
+const STATUS_FILE = 'service-status.json';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000; // 写入服务状态的间隔
+const HEARTBEAT_STALE_MS = 3 * HEARTBEAT_INTERVAL_MS; // 超过该时长未更新视为服务无响应
+const ABORT_WAIT_MS = 10 * 1000; // 中断删除后等待删除停止的时长
+
+const DEFAULT_SERVICE = {
+  pidFile: '',
+  shutdownTimeoutSeconds: 60
+};
+
+/**
+ * 服务状态文件内容
+ * @typedef {ReturnType<typeof monitor.getServiceState> & {
+ *   pid: number,
+ *   startedAt: number,
+ *   heartbeatAt: number,
+ *   stopping: boolean,
+ *   stoppedAt?: number
+ * }} ServiceStatus
+ */
+
+/**
+ * 已有服务实例在运行时抛出的错误
+ */
+class ServiceLockError extends Error {
+  /**
+   * @param {string} message - 错误信息
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ServiceLockError';
+  }
+}
+
+/** @type {string | null} */
+let lockedPidFile = null; // 本进程持有的 PID 文件
+/** @type {NodeJS.Timeout | null} */
+let heartbeatTimer = null;
+let startedAt = 0;
+let stopping = false;
+let notifyWarned = false; // systemd 通知发送失败时只提示一次
+
+/**
+ * 读取服务配置
+ * @returns {{pidFile: string, shutdownTimeoutSeconds: number}}
+ */
+function getServiceConfig() {
+  return { ...DEFAULT_SERVICE, ...(config.service || {}) };
+}
+
+/**
+ * PID 文件路径(相对路径以项目根目录为基准)
+ * @returns {string}
+ */
+function getPidFile() {
+  const { pidFile } = getServiceConfig();
+  return pidFile ? path.resolve(__dirname, '..', pidFile) : resolveDataFile(PID_FILE);
+}
+
+/**
+ * 读取 PID 文件中的进程号
+ * @param {string} pidFile - PID 文件路径
+ * @returns {Promise<number | null>} - 文件不存在或内容无效时返回 null
+ */
+async function readPid(pidFile) {
+  const content = await fs.readFile(pidFile, 'utf8').catch(() => '');
+  const pid = Number.parseInt(content.trim(), 10);
+  return Number.isInteger(pid) && pid > 0 ? pid : null;
+}
+
+/**
+ * 判断进程是否为仍在运行的服务实例
+ * Linux 下还会比对命令行中的脚本名，避免重启后进程号被其他程序复用时误判为服务仍在运行
+ * @param {number} pid - 进程ID
+ * @returns {Promise<boolean>}
+ */
+async function isServiceProcess(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    // EPERM 表示进程存在但属于其他用户
+    if (/** @type {NodeJS.ErrnoException} */ (error).code !== 'EPERM') {
+      return false;
+    }
+  }
+  if (process.platform !== 'linux') {
+    return true;
+  }
+
+  const cmdline = await fs.readFile(`/proc/${pid}/cmdline`, 'utf8').catch(() => null);
+  if (cmdline === null) {
+    return true;
+  }
+  const scriptName = path.basename(process.argv[1] || 'index.js');
+  return cmdline.split('\0').some(arg => path.basename(arg) === scriptName);
+}
+
+/**
+ * 创建 PID 文件，已有服务实例在运行时抛出 ServiceLockError；
+ * PID 文件中的进程已退出(上次未正常停止)时接管该文件
+ * @returns {Promise<void>}
+ */
+async function acquireLock() {
+  const pidFile = getPidFile();
+  await fs.ensureDir(path.dirname(pidFile));
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(pidFile, `${process.pid}\n`, { flag: 'wx' });
+      lockedPidFile = pidFile;
+      return;
+    } catch (error) {
+      if (/** @type {NodeJS.ErrnoException} */ (error).code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const pid = await readPid(pidFile);
+    if (pid !== null && pid !== process.pid && await isServiceProcess(pid)) {
+      throw new ServiceLockError(`服务已在运行 (进程 ${pid}，PID 文件 ${pidFile})`);
+    }
+    logger.warn(`PID 文件 ${pidFile} 中的进程 ${pid || '(无效)'} 已不在运行，上次可能未正常停止，接管该文件`);
+    // 删除前再确认一次，避免删除其他实例刚写入的文件
+    if (await readPid(pidFile) === pid) {
+      await fs.remove(pidFile);
+    }
+  }
+
+  throw new ServiceLockError(`无法创建 PID 文件 ${pidFile}，可能有其他实例正在启动`);
+}
+
+/**
+ * 删除本进程创建的 PID 文件
+ */
+function releaseLock() {
+  if (!lockedPidFile) {
+    return;
+  }
+  try {
+    if (Number.parseInt(fs.readFileSync(lockedPidFile, 'utf8'), 10) === process.pid) {
+      fs.removeSync(lockedPidFile);
+    }
+  } catch (error) {
+    logger.warn(`删除 PID 文件失败 ${lockedPidFile}`, { error });
+  }
+  lockedPidFile = null;
+}
+
+/**
+ * 向 systemd 发送状态通知(仅由 systemd 以 Type=notify 启动时，即存在 NOTIFY_SOCKET 环境变量)
+ * Node.js 不支持 Unix 数据报套接字，通过 systemd-notify 命令发送，服务单元需设置 NotifyAccess=all
+ * @param {...string} states - 如 READY=1、WATCHDOG=1、STOPPING=1、STATUS=...
+ */
+function sdNotify(...states) {
+  if (!process.env.NOTIFY_SOCKET) {
+    return;
+  }
+  execFile('systemd-notify', [`--pid=${process.pid}`, ...states], { timeout: 10000 }, error => {
+    if (error && !notifyWarned) {
+      notifyWarned = true;
+      logger.warn('发送 systemd 通知失败，请确认已安装 systemd-notify 且服务单元设置了 NotifyAccess=all', { error });
+    }
+  });
+}
+
+/**
+ * systemd 看门狗的通知间隔(WatchdogSec 的一半)，未开启看门狗时返回 null
+ * @returns {number | null} - 毫秒
+ */
+function getWatchdogIntervalMs() {
+  const watchdogUsec = Number(process.env.WATCHDOG_USEC);
+  const watchdogPid = process.env.WATCHDOG_PID;
+  if (!process.env.NOTIFY_SOCKET || !(watchdogUsec > 0) || (watchdogPid && Number(watchdogPid) !== process.pid)) {
+    return null;
+  }
+  return Math.floor(watchdogUsec / 1000 / 2);
+}
+
+/**
+ * 写入服务状态文件
+ * @param {Partial<ServiceStatus>} [extra] - 附加字段
+ * @returns {Promise<void>}
+ */
+async function writeStatus(extra = {}) {
+  /** @type {ServiceStatus} */
+  const status = {
+    pid: process.pid,
+    startedAt,
+    heartbeatAt: Date.now(),
+    stopping,
+    ...monitor.getServiceState(),
+    ...extra
+  };
+  await writeJsonFile(resolveDataFile(STATUS_FILE), status).catch(error => {
+    logger.error('写入服务状态失败', { error });
+  });
+}
+
+/**
+ * 心跳：写入服务状态，定时检查正常时通知 systemd 看门狗
+ * 定时检查停止或事件循环被阻塞时不再通知，由 systemd 在 WatchdogSec 后重启服务
+ */
+function heartbeat() {
+  writeStatus();
+  if (monitor.getServiceState().schedulerRunning) {
+    sdNotify('WATCHDOG=1');
+  }
+}
+
+/**
+ * 等待任务完成，超时返回 false
+ * @param {Promise<unknown>} work - 任务
+ * @param {number} timeoutMs - 超时时长(毫秒)
+ * @returns {Promise<boolean>}
+ */
+function waitFor(work, timeoutMs) {
+  /** @type {NodeJS.Timeout | undefined} */
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  return Promise.race([work.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * 停止服务：不再开始新的检查和删除，等待当前目录删除完成后退出；
+ * 超过 shutdownTimeoutSeconds 时中断删除(进度记入删除日志，下次启动时继续)；再次收到停止信号时立即退出
+ * @param {NodeJS.Signals} signal - 收到的信号
+ * @param {import('http').Server | null} server - HTTP 服务
+ * @returns {Promise<void>}
+ */
+async function shutdown(signal, server) {
+  if (stopping) {
+    logger.warn(`再次收到 ${signal}，立即退出，未完成的删除将在下次启动时继续`);
+    releaseLock();
+    process.exit(1);
+  }
+  stopping = true;
+
+  const { shutdownTimeoutSeconds } = getServiceConfig();
+  logger.info(`收到 ${signal}，正在停止服务(最多等待 ${shutdownTimeoutSeconds} 秒)...`);
+  sdNotify('STOPPING=1', 'STATUS=正在停止，等待当前删除完成');
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+  if (server) {
+    server.close();
+  }
+
+  deletionEngine.requestStop();
+  const idle = Promise.all([monitor.stopService(), reports.stopSchedule()]);
+  await writeStatus();
+  if (!await waitFor(idle, shutdownTimeoutSeconds * 1000)) {
+    logger.warn(`等待超过 ${shutdownTimeoutSeconds} 秒，中断正在进行的删除，下次启动时继续`);
+    deletionEngine.abort();
+    if (!await waitFor(idle, ABORT_WAIT_MS)) {
+      logger.warn('删除未能及时停止，强制退出，下次启动时继续');
+    }
+  }
+
+  await writeStatus({ stoppedAt: Date.now() });
+  releaseLock();
+  logger.info('自动删除录制文件服务已停止');
+  process.exit(0);
+}
+
+/**
+ * 以常驻服务方式启动：创建 PID 文件，启动定时检查、定时报告、HTTP 服务和配置热加载，注册停止信号处理
+ * @returns {Promise<void>}
+ * @throws {ServiceLockError} 已有服务实例在运行
+ */
+async function start() {
+  await acquireLock();
+  startedAt = Date.now();
+  // 异常退出时同样删除 PID 文件
+  process.on('exit', releaseLock);
+
+  monitor.startService();
+  reports.startSchedule();
+  const server = httpServer.start();
+  configLoader.watch();
+
+  for (const signal of /** @type {NodeJS.Signals[]} */ (['SIGTERM', 'SIGINT'])) {
+    process.on(signal, () => {
+      shutdown(signal, server).catch(error => {
+        logger.error('停止服务失败', { error });
+        releaseLock();
+        process.exit(1);
+      });
+    });
+  }
+
+  const watchdogIntervalMs = getWatchdogIntervalMs();
+  heartbeatTimer = setInterval(heartbeat, Math.min(HEARTBEAT_INTERVAL_MS, watchdogIntervalMs || HEARTBEAT_INTERVAL_MS));
+  await writeStatus();
+  sdNotify('READY=1', `STATUS=运行中，调度: ${config.cronSchedule}`);
+  if (watchdogIntervalMs) {
+    logger.info(`已启用 systemd 看门狗，每 ${Math.round(watchdogIntervalMs / 1000)} 秒通知一次`);
+  }
+}
+
+/**
+ * 检查常驻服务是否正常：PID 文件中的进程在运行、服务状态在心跳间隔内更新、定时检查在运行
+ * @returns {Promise<{healthy: boolean, pid: number | null, status: ServiceStatus | null, problems: string[]}>}
+ */
+async function getHealth() {
+  const pid = await readPid(getPidFile());
+  const status = await readJsonFile(resolveDataFile(STATUS_FILE), /** @type {ServiceStatus | null} */ (null));
+  const problems = [];
+
+  if (pid === null || !await isServiceProcess(pid)) {
+    problems.push(status && status.stoppedAt ? `服务未运行(已于 ${new Date(status.stoppedAt).toLocaleString()} 停止)` : '服务未运行');
+  } else if (!status || status.pid !== pid) {
+    problems.push(`服务进程 ${pid} 尚未写入运行状态`);
+  } else {
+    const heartbeatAgeMs = Date.now() - status.heartbeatAt;
+    if (heartbeatAgeMs > HEARTBEAT_STALE_MS) {
+      problems.push(`服务无响应(${Math.round(heartbeatAgeMs / 1000)} 秒未更新状态)`);
+    }
+    if (status.stopping) {
+      problems.push('服务正在停止');
+    } else if (!status.schedulerRunning) {
+      problems.push('定时检查未运行');
+    }
+  }
+
+  return { healthy: problems.length === 0, pid, status, problems };
+}
+
+module.exports = {
+  ServiceLockError,
+  start,
+  getHealth
+};
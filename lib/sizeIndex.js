@@ -0,0 +1,207 @@
+/**
+ * 目录大小索引模块
+ * 负责计算录制目录大小：按目录缓存其中文件的大小，目录未变化且录制已完成时不再逐个统计文件；
+ * 文件系统操作限制并发，避免大目录树耗尽文件描述符
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { createLimiter } = require('../utils/concurrency');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const INDEX_FILE = 'size-index.json';
+const STALE_ENTRY_DAYS = 7; // 超过该天数未访问的条目(目录多已删除)在保存时清除
+
+const DEFAULT_SIZE_INDEX = {
+  enabled: true,
+  concurrency: 16,
+  settleMinutes: 60,
+  sizeMode: 'apparent'
+};
+
+/**
+ * 单个目录的索引条目，只记录目录中直接包含的文件，子目录各自有条目
+ * @typedef {{
+ *   mtimeMs: number,
+ *   bytes: number,
+ *   blocks: number,
+ *   newestMtimeMs: number,
+ *   subdirs: string[],
+ *   scannedAt: number,
+ *   seenAt: number
+ * }} IndexEntry
+ * @typedef {{bytes: number, blocks: number}} DirUsage
+ */
+
+/** @type {Map<string, IndexEntry> | null} */
+let index = null;
+/** @type {Promise<Map<string, IndexEntry>> | null} */
+let loading = null; // 并行扫描多个目录时共用同一次读取
+let dirty = false;
+/** @type {Promise<void>} */
+let saveLock = Promise.resolve();
+
+/** @type {{concurrency: number, limit: <T>(task: () => Promise<T>) => Promise<T>} | null} */
+let limiter = null;
+
+/**
+ * 读取大小索引配置
+ * @returns {{enabled: boolean, concurrency: number, settleMinutes: number, sizeMode: string}}
+ */
+function getSizeIndexConfig() {
+  return { ...DEFAULT_SIZE_INDEX, ...(config.sizeIndex || {}) };
+}
+
+/**
+ * 获取文件系统操作的并发限制器，并发数配置变化时重新创建
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+function getLimit() {
+  const concurrency = Math.max(Math.floor(getSizeIndexConfig().concurrency), 1);
+  if (!limiter || limiter.concurrency !== concurrency) {
+    limiter = { concurrency, limit: createLimiter(concurrency) };
+  }
+  return limiter.limit;
+}
+
+/**
+ * 加载索引(每个进程只从文件读取一次)
+ * @returns {Promise<Map<string, IndexEntry>>}
+ */
+function loadIndex() {
+  if (!loading) {
+    loading = readJsonFile(resolveDataFile(INDEX_FILE), { entries: {} }).then(data => {
+      index = new Map(Object.entries(data.entries || {}));
+      return index;
+    });
+  }
+  return loading;
+}
+
+/**
+ * 文件的占用空间(字节)：sizeMode 为 blocks 时按实际占用的磁盘块计算(与 du 一致)，否则为文件大小
+ * @param {fs.Stats} stats - 文件信息
+ * @returns {number}
+ */
+function getFileSize(stats) {
+  return getSizeIndexConfig().sizeMode === 'blocks' && typeof stats.blocks === 'number' ? stats.blocks * 512 : stats.size;
+}
+
+/**
+ * 统计目录中直接包含的文件，并写入索引
+ * @param {string} dirPath - 目录路径
+ * @param {fs.Stats} dirStats - 目录信息
+ * @param {Map<string, IndexEntry>} entries - 索引
+ * @returns {Promise<IndexEntry>}
+ */
+async function scanDirectoryEntries(dirPath, dirStats, entries) {
+  const limit = getLimit();
+  const items = await limit(() => fs.readdir(dirPath, { withFileTypes: true }));
+  const fileStats = await Promise.all(items
+    .filter(item => !item.isDirectory())
+    .map(item => limit(() => fs.lstat(path.join(dirPath, item.name)))));
+
+  const now = Date.now();
+  /** @type {IndexEntry} */
+  const entry = {
+    mtimeMs: dirStats.mtimeMs,
+    bytes: fileStats.reduce((total, stats) => total + stats.size, 0),
+    blocks: fileStats.reduce((total, stats) => total + (typeof stats.blocks === 'number' ? stats.blocks * 512 : stats.size), 0),
+    newestMtimeMs: fileStats.reduce((newest, stats) => Math.max(newest, stats.mtimeMs), 0),
+    subdirs: items.filter(item => item.isDirectory()).map(item => item.name),
+    scannedAt: now,
+    seenAt: now
+  };
+  if (getSizeIndexConfig().enabled) {
+    entries.set(dirPath, entry);
+    dirty = true;
+  }
+  return entry;
+}
+
+/**
+ * 递归统计目录占用，目录修改时间未变且上次统计时其中文件已超过 settleMinutes 未修改(录制已完成)时使用索引
+ * @param {string} dirPath - 目录路径
+ * @param {Map<string, IndexEntry>} entries - 索引
+ * @returns {Promise<DirUsage>}
+ */
+async function measureDirectory(dirPath, entries) {
+  const { enabled, settleMinutes } = getSizeIndexConfig();
+  const dirStats = await getLimit()(() => fs.stat(dirPath));
+
+  let entry = entries.get(dirPath);
+  const settled = entry && entry.mtimeMs === dirStats.mtimeMs && entry.newestMtimeMs <= entry.scannedAt - settleMinutes * 60 * 1000;
+  if (enabled && entry && settled) {
+    entry.seenAt = Date.now();
+  } else {
+    entry = await scanDirectoryEntries(dirPath, dirStats, entries);
+  }
+
+  const { bytes, blocks, subdirs } = entry;
+  const children = await Promise.all(subdirs.map(name => measureDirectory(path.join(dirPath, name), entries)));
+  return children.reduce((total, child) => ({
+    bytes: total.bytes + child.bytes,
+    blocks: total.blocks + child.blocks
+  }), { bytes, blocks });
+}
+
+/**
+ * 获取目录大小
+ * @param {string} dirPath - 目录路径
+ * @returns {Promise<number>} - 目录大小(字节)，按 sizeMode 为文件大小之和或实际占用的磁盘块
+ */
+async function getDirSize(dirPath) {
+  const usage = await measureDirectory(path.resolve(dirPath), await loadIndex());
+  return getSizeIndexConfig().sizeMode === 'blocks' ? usage.blocks : usage.bytes;
+}
+
+/**
+ * 从索引中移除已删除的目录及其子目录
+ * @param {string} dirPath - 目录路径
+ */
+function forget(dirPath) {
+  if (!index) {
+    return;
+  }
+  const resolvedPath = path.resolve(dirPath);
+  for (const key of index.keys()) {
+    if (key === resolvedPath || key.startsWith(`${resolvedPath}${path.sep}`)) {
+      index.delete(key);
+      dirty = true;
+    }
+  }
+}
+
+/**
+ * 保存索引，清除长时间未访问的条目
+ * 演练模式下不保存(索引保留在内存中，关闭演练模式后的下次保存写入)
+ * @returns {Promise<void>}
+ */
+function save() {
+  const result = saveLock.then(async () => {
+    if (!index || !dirty || !getSizeIndexConfig().enabled || config.dryRun) {
+      return;
+    }
+    const cutoff = Date.now() - STALE_ENTRY_DAYS * 24 * 60 * 60 * 1000;
+    for (const [key, entry] of index.entries()) {
+      if (entry.seenAt < cutoff) {
+        index.delete(key);
+      }
+    }
+    dirty = false;
+    await writeJsonFile(resolveDataFile(INDEX_FILE), { entries: Object.fromEntries(index) });
+  });
+  saveLock = result.catch(error => {
+    logger.error('保存目录大小索引失败', { error });
+  });
+  return saveLock;
+}
+
+module.exports = {
+  getFileSize,
+  getDirSize,
+  forget,
+  save
+};
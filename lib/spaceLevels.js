@@ -0,0 +1,94 @@
+/**
+ * 空间级别模块
+ * 负责按分级阈值判断磁盘所处的级别(正常、预警、删除、紧急)，并记录预警级别通知的发送时间，避免每次检查重复通知
+ */
+
+const config = require('../config');
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+const STATE_FILE = 'space-levels.json';
+const DEFAULT_REPEAT_HOURS = 24;
+
+/**
+ * @typedef {'ok' | 'warning' | 'delete' | 'emergency'} SpaceLevel
+ * @typedef {{warnedAt: number}} LevelState
+ */
+
+/**
+ * 按剩余空间判断磁盘所处的级别，阈值为 0 的级别不使用
+ * @param {number} freeGB - 剩余空间(GB)，已计入回收站中即将释放的空间
+ * @param {import('./diskManager').DiskThresholds} thresholds - 该磁盘的各级阈值
+ * @returns {SpaceLevel}
+ */
+function classify(freeGB, thresholds) {
+  if (freeGB < thresholds.emergencyFreeGB) {
+    return 'emergency';
+  }
+  if (freeGB < thresholds.minFreeSpaceGB) {
+    return 'delete';
+  }
+  if (freeGB < thresholds.warningFreeGB) {
+    return 'warning';
+  }
+  return 'ok';
+}
+
+/**
+ * 读取各磁盘的预警通知记录
+ * @returns {Promise<Record<string, LevelState>>}
+ */
+async function loadState() {
+  /** @type {{disks: Record<string, LevelState>}} */
+  const data = await readJsonFile(resolveDataFile(STATE_FILE), { disks: {} });
+  return data.disks || {};
+}
+
+/**
+ * 保存各磁盘的预警通知记录
+ * @param {Record<string, LevelState>} disks - 各磁盘的预警通知记录
+ * @returns {Promise<void>}
+ */
+async function saveState(disks) {
+  await writeJsonFile(resolveDataFile(STATE_FILE), { disks });
+}
+
+/**
+ * 是否需要发送预警级别通知：磁盘处于预警级别，且距离上次通知超过 warningLevel.repeatHours
+ * 磁盘离开预警级别后清除记录，再次进入时立即通知
+ * @param {string} diskKey - 磁盘标识
+ * @param {SpaceLevel} level - 磁盘当前级别
+ * @returns {Promise<boolean>}
+ */
+async function shouldWarn(diskKey, level) {
+  const disks = await loadState();
+  const state = disks[diskKey];
+
+  if (level !== 'warning') {
+    // 离开预警级别后清除记录(演练模式下不修改)
+    if (state && !config.dryRun) {
+      delete disks[diskKey];
+      await saveState(disks);
+    }
+    return false;
+  }
+  const warningLevel = config.warningLevel || {};
+  const repeatHours = warningLevel.repeatHours !== undefined ? warningLevel.repeatHours : DEFAULT_REPEAT_HOURS;
+  return !state || Date.now() - state.warnedAt >= repeatHours * 60 * 60 * 1000;
+}
+
+/**
+ * 记录已发送预警级别通知
+ * @param {string} diskKey - 磁盘标识
+ * @returns {Promise<void>}
+ */
+async function markWarned(diskKey) {
+  const disks = await loadState();
+  disks[diskKey] = { warnedAt: Date.now() };
+  await saveState(disks);
+}
+
+module.exports = {
+  classify,
+  shouldWarn,
+  markWarned
+};
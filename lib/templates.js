@@ -0,0 +1,125 @@
+/**
+ * 通知模板模块
+ * 负责读取通知模板和文本文件：notifications.templatesDir 中的同名文件优先，其次为项目 templates 目录中的内置文件；
+ * 模板中 {{name}} 按输出格式转义后替换，{{{name}}} 原样替换
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const BUILTIN_DIR = path.join(__dirname, '..', 'templates');
+
+/** @type {Map<string, {mtimeMs: number, content: string}>} */
+const cache = new Map(); // 按文件修改时间缓存，修改自定义模板后无需重启
+
+/**
+ * 自定义模板目录(相对路径以项目根目录为基准)，未配置时返回 null
+ * @returns {string | null}
+ */
+function getTemplatesDir() {
+  const templatesDir = config.notifications && config.notifications.templatesDir;
+  return templatesDir ? path.resolve(__dirname, '..', templatesDir) : null;
+}
+
+/**
+ * 读取文件内容，文件不存在时返回 null
+ * @param {string} filePath - 文件路径
+ * @returns {string | null}
+ */
+function readFile(filePath) {
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    return null;
+  }
+
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === stats.mtimeMs) {
+    return cached.content;
+  }
+  const content = fs.readFileSync(filePath, 'utf8');
+  cache.set(filePath, { mtimeMs: stats.mtimeMs, content });
+  return content;
+}
+
+/**
+ * 读取内置文件
+ * @param {string} name - 相对 templates 目录的文件名，如 locales/en.json
+ * @returns {string | null}
+ */
+function readBuiltin(name) {
+  return readFile(path.join(BUILTIN_DIR, name));
+}
+
+/**
+ * 读取自定义模板目录中的文件
+ * @param {string} name - 相对模板目录的文件名
+ * @returns {string | null} - 未配置模板目录或文件不存在时返回 null
+ */
+function readCustom(name) {
+  const templatesDir = getTemplatesDir();
+  return templatesDir ? readFile(path.join(templatesDir, name)) : null;
+}
+
+/**
+ * 按顺序查找模板，每个名称先查自定义目录再查内置目录
+ * @param {string[]} names - 候选模板名，如 ['warning.html', 'message.html']
+ * @returns {string | null}
+ */
+function findTemplate(names) {
+  for (const name of names) {
+    const content = readCustom(name);
+    if (content !== null) {
+      return content;
+    }
+  }
+  for (const name of names) {
+    const content = readBuiltin(name);
+    if (content !== null) {
+      return content;
+    }
+  }
+  return null;
+}
+
+/**
+ * 读取 JSON 文件，内容无效时记录错误并返回 null
+ * @param {string | null} content - 文件内容
+ * @param {string} name - 文件名(用于错误提示)
+ * @returns {Record<string, unknown> | null}
+ */
+function parseJson(content, name) {
+  if (content === null) {
+    return null;
+  }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    logger.error(`模板文件 ${name} 不是有效的 JSON，已忽略`, { error });
+    return null;
+  }
+}
+
+/**
+ * 替换模板中的占位符，未提供的占位符替换为空字符串
+ * @param {string} template - 模板内容
+ * @param {Record<string, string>} data - 占位符的值
+ * @param {(value: string) => string} escape - {{name}} 使用的转义函数
+ * @returns {string}
+ */
+function render(template, data, escape) {
+  // 一次替换完成，避免替换进来的内容中恰好含有占位符时被再次替换
+  return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (_match, rawName, name) =>
+    rawName ? data[rawName] || '' : escape(data[name] || ''));
+}
+
+module.exports = {
+  readBuiltin,
+  readCustom,
+  findTemplate,
+  parseJson,
+  render
+};
@@ -0,0 +1,85 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const approval = require('../lib/approval');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+/**
+ * 解析审批链接中的参数
+ * @param {string} link
+ * @returns {{plan: string | null, action: string | null, sig: string | null}}
+ */
+function parseLink(link) {
+  const { searchParams } = new URL(link);
+  return { plan: searchParams.get('plan'), action: searchParams.get('action'), sig: searchParams.get('sig') };
+}
+
+describe('approval', () => {
+  beforeEach(() => {
+    config.approval = { ...config.approval, enabled: true, paths: [], baseUrl: 'https://nvr.example.com/', secret: 'test-secret' };
+  });
+
+  it('approval.paths 为空时所有路径都需要审批，否则只有列出的路径需要', () => {
+    assert.equal(approval.requiresApproval('/rec/cam1'), true);
+
+    config.approval.paths = /** @type {typeof config.approval.paths} */ (/** @type {unknown} */ (['/rec/cam1/']));
+    assert.equal(approval.requiresApproval('/rec/cam1'), true);
+    assert.equal(approval.requiresApproval('/rec/cam2'), false);
+
+    config.approval.enabled = false;
+    assert.equal(approval.requiresApproval('/rec/cam1'), false);
+  });
+
+  it('生成的链接签名可以通过校验', async () => {
+    const links = await approval.createLinks('plan-1');
+
+    assert.match(links.approve, /^https:\/\/nvr\.example\.com\/approval\?/);
+    for (const action of /** @type {const} */ (['approve', 'reject', 'postpone'])) {
+      const { plan, sig } = parseLink(links[action]);
+      assert.equal(await approval.verify(plan, action, sig), true);
+    }
+  });
+
+  it('篡改计划、操作或签名的链接不能通过校验', async () => {
+    const { plan, sig } = parseLink((await approval.createLinks('plan-1')).reject);
+
+    assert.equal(await approval.verify(plan, 'approve', sig), false);
+    assert.equal(await approval.verify('plan-2', 'reject', sig), false);
+    assert.equal(await approval.verify(plan, 'reject', `${sig}0`), false);
+    assert.equal(await approval.verify(plan, 'reject', String(sig).replace(/^./, char => (char === '0' ? '1' : '0'))), false);
+    assert.equal(await approval.verify(plan, 'delete', sig), false);
+    assert.equal(await approval.verify(plan, 'reject', undefined), false);
+
+    config.approval.secret = 'other-secret';
+    assert.equal(await approval.verify(plan, 'reject', sig), false);
+  });
+
+  it('未配置密钥时自动生成，仅所有者可读写并在之后沿用', async () => {
+    config.approval.secret = '';
+    const { plan, sig } = parseLink((await approval.createLinks('plan-1')).approve);
+
+    const secretFile = resolveDataFile('approval-secret.json');
+    const { secret } = await fs.readJson(secretFile);
+    assert.match(secret, /^[0-9a-f]{64}$/);
+    if (process.platform !== 'win32') {
+      assert.equal((await fs.stat(secretFile)).mode & 0o777, 0o600);
+    }
+    assert.equal(await approval.verify(plan, 'approve', sig), true);
+
+    config.approval.secret = secret;
+    assert.equal(await approval.verify(plan, 'approve', sig), true);
+  });
+
+  it('计划中任一路径需要审批时整个计划需要审批，超时处理方式取自配置', () => {
+    config.approval.paths = /** @type {typeof config.approval.paths} */ (/** @type {unknown} */ (['/rec/cam2']));
+    config.approval.onTimeout = 'proceed';
+    const result = (/** @type {string} */ recordingsPath) => /** @type {import('../lib/planStore').TriggeredResult} */ (/** @type {unknown} */ ({ recordingsPath }));
+
+    assert.equal(approval.createPlanApproval([result('/rec/cam1')]), null);
+    assert.deepEqual(approval.createPlanApproval([result('/rec/cam1'), result('/rec/cam2')]), { status: 'waiting', onTimeout: 'proceed', decisions: [] });
+  });
+});
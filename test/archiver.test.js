@@ -0,0 +1,118 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const archiver = require('../lib/archiver');
+const diskManager = require('../lib/diskManager');
+const fileManager = require('../lib/fileManager');
+
+/** @type {string} */
+let root;
+/** @type {string} */
+let archiveRoot;
+
+/**
+ * @param {string} name
+ * @returns {{path: string, sizeGB: number, mtime: number}}
+ */
+const dir = name => ({ path: path.join(root, name), sizeGB: 0, mtime: 0 });
+
+/**
+ * 模拟归档目录所在磁盘的剩余空间
+ * @param {import('node:test').TestContext} t
+ * @param {number} freeGB
+ */
+function mockArchiveFreeSpace(t, freeGB) {
+  t.mock.method(diskManager, 'getDiskSpace', async () => ({ totalGB: 100, freeGB, usedGB: 100 - freeGB, usedPercentage: 100 - freeGB }));
+}
+
+describe('archiver', () => {
+  beforeEach(async () => {
+    root = makeTempDir('rec');
+    archiveRoot = makeTempDir('archive');
+    await fs.outputFile(path.join(root, '2024-01-01', 'a.mp4'), 'aaaa');
+    await fs.outputFile(path.join(root, '2024-01-01', 'sub', 'b.mp4'), 'bb');
+    Object.assign(config, {
+      recordingsPaths: [root],
+      action: 'archive',
+      archive: { target: archiveRoot, verify: 'checksum' },
+      quarantine: { ...config.quarantine, enabled: false },
+      inUse: { quietMinutes: 0, checkOpenFiles: false },
+      deletion: { maxMBPerSecond: 0, maxFilesPerSecond: 0, truncateChunkMB: 0 }
+    });
+  });
+
+  it('复制到 <归档目录>/<录制根目录名>/<相对路径> 并校验后删除源目录', async () => {
+    const archivedTo = await archiver.archiveDirectory(dir('2024-01-01'), root, { target: archiveRoot, verify: 'checksum' });
+
+    assert.equal(archivedTo, path.join(archiveRoot, path.basename(root), '2024-01-01'));
+    assert.equal(await fs.readFile(path.join(archivedTo, 'sub', 'b.mp4'), 'utf8'), 'bb');
+    assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), false);
+  });
+
+  it('归档位置已有同名目录时使用新的路径', async () => {
+    const existing = path.join(archiveRoot, path.basename(root), '2024-01-01');
+    await fs.outputFile(path.join(existing, 'old.mp4'), 'old');
+
+    const archivedTo = await archiver.archiveDirectory(dir('2024-01-01'), root, { target: archiveRoot, verify: 'size' });
+
+    assert.notEqual(archivedTo, existing);
+    assert.deepEqual(await fs.readdir(existing), ['old.mp4']);
+  });
+
+  for (const verify of /** @type {const} */ (['size', 'checksum'])) {
+    it(`${verify} 校验失败时删除不完整的副本并保留源目录`, async t => {
+      const copy = fs.copy;
+      // 复制后改动副本中的文件：size 校验需大小不同，checksum 校验大小相同内容不同
+      t.mock.method(fs, 'copy', async (/** @type {string} */ src, /** @type {string} */ dest, /** @type {import('fs-extra').CopyOptions} */ options) => {
+        await copy(src, dest, options);
+        await fs.writeFile(path.join(dest, 'a.mp4'), verify === 'size' ? 'a' : 'xxxx');
+      });
+
+      await assert.rejects(archiver.archiveDirectory(dir('2024-01-01'), root, { target: archiveRoot, verify }), /归档校验失败/);
+
+      assert.equal(await fs.readFile(path.join(root, '2024-01-01', 'a.mp4'), 'utf8'), 'aaaa');
+      assert.deepEqual(await fs.readdir(path.join(archiveRoot, path.basename(root))), []);
+    });
+  }
+
+  it('归档目录不存在时拒绝归档', async () => {
+    await assert.rejects(archiver.archiveDirectory(dir('2024-01-01'), root, { target: path.join(archiveRoot, 'missing'), verify: 'size' }), /归档目录不存在/);
+    assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), true);
+  });
+
+  describe('清理目录', () => {
+    it('按归档方式清理时记录归档路径', async t => {
+      mockArchiveFreeSpace(t, 50);
+
+      const { deletedDirs } = await fileManager.deleteDirectories([dir('2024-01-01')]);
+
+      assert.equal(deletedDirs[0].archivedTo, path.join(archiveRoot, path.basename(root), '2024-01-01'));
+      assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), false);
+    });
+
+    it('归档位置空间不足时回退为直接删除', async t => {
+      mockArchiveFreeSpace(t, 0);
+
+      const { deletedDirs } = await fileManager.deleteDirectories([{ ...dir('2024-01-01'), sizeGB: 1 }]);
+
+      assert.equal(deletedDirs.length, 1);
+      assert.equal(deletedDirs[0].archivedTo, undefined);
+      assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), false);
+      assert.equal(await fs.pathExists(path.join(archiveRoot, path.basename(root))), false);
+    });
+
+    it('其他归档失败时保留源目录', async () => {
+      config.archive = { target: path.join(archiveRoot, 'missing'), verify: 'size' };
+
+      const { deletedDirs } = await fileManager.deleteDirectories([dir('2024-01-01')]);
+
+      assert.deepEqual(deletedDirs, []);
+      assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), true);
+    });
+  });
+});
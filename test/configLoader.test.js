@@ -0,0 +1,161 @@
+const assert = require('node:assert/strict');
+const { afterEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const configLoader = require('../lib/configLoader');
+const { validateConfig } = require('../lib/configSchema');
+
+// 重新加载后仍使用临时数据目录，日志不输出到控制台
+const overrides = { dataDir: config.dataDir, logging: config.logging };
+
+const dir = makeTempDir('config');
+const root = makeTempDir('rec');
+
+/**
+ * 写入配置文件
+ * @param {string} fileName - 文件名(决定格式)
+ * @param {Record<string, unknown> | string} content - 配置对象或文件内容
+ * @returns {Promise<string>} - 配置文件路径
+ */
+async function writeConfig(fileName, content) {
+  const filePath = path.join(dir, fileName);
+  await fs.writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+  return filePath;
+}
+
+/**
+ * 设置测试用的环境变量，测试结束后删除
+ * @param {Record<string, string>} variables
+ */
+function setEnv(variables) {
+  Object.assign(process.env, variables);
+}
+
+describe('configLoader', () => {
+  afterEach(() => {
+    for (const name of Object.keys(process.env)) {
+      if (name.startsWith('AUTODELETE_')) {
+        delete process.env[name];
+      }
+    }
+  });
+
+  it('配置文件与默认配置深度合并，数组整体替换', async () => {
+    const file = await writeConfig('config.yaml', `
+recordingsPaths:
+  - ${root}
+retention:
+  maxAgeDays: 30
+protection:
+  markerFiles: [.hold]
+`);
+
+    assert.equal(configLoader.load({ file, overrides }), file);
+
+    assert.deepEqual(config.recordingsPaths, [root]);
+    assert.deepEqual(config.retention, { minKeepDirs: 0, maxAgeDays: 30, maxSizeGB: 0 });
+    assert.deepEqual(config.protection.markerFiles, ['.hold']);
+    assert.equal(configLoader.getConfigFile(), file);
+  });
+
+  it('环境变量按配置项原有类型覆盖，层级之间用 __ 分隔', async () => {
+    const file = await writeConfig('config.json', {
+      recordingsPaths: [root],
+      notifications: { channels: [{ type: 'webhook', url: 'http://a' }] }
+    });
+    setEnv({
+      AUTODELETE_MIN_FREE_SPACE_GB: '50',
+      AUTODELETE_DRY_RUN: 'true',
+      AUTODELETE_EMAIL__SMTP__AUTH__PASS: 'secret',
+      AUTODELETE_NOTIFICATIONS__CHANNELS__0__URL: 'http://b',
+      AUTODELETE_PROTECTION__MARKER_FILES: '[".hold"]'
+    });
+
+    configLoader.load({ file, overrides });
+
+    assert.equal(config.minFreeSpaceGB, 50);
+    assert.equal(config.dryRun, true);
+    assert.equal(config.email.smtp.auth.pass, 'secret');
+    assert.equal(/** @type {{url: string}} */ (/** @type {unknown} */ (config.notifications.channels[0])).url, 'http://b');
+    assert.deepEqual(config.protection.markerFiles, ['.hold']);
+  });
+
+  it('优先级：默认配置 < 配置文件 < 环境变量 < 命令行参数', async () => {
+    const file = await writeConfig('config.json', { recordingsPaths: [root], minFreeSpaceGB: 10, deleteDelay: 10, planExpireHours: 10 });
+    setEnv({ AUTODELETE_DELETE_DELAY: '20', AUTODELETE_PLAN_EXPIRE_HOURS: '20' });
+
+    configLoader.load({ file, overrides: { ...overrides, planExpireHours: 30 } });
+
+    assert.deepEqual([config.minFreeSpaceGB, config.deleteDelay, config.planExpireHours], [10, 20, 30]);
+  });
+
+  it('配置无效时抛出 ConfigError 并列出所有问题，不修改当前配置', async () => {
+    const file = await writeConfig('config.json', {
+      recordingsPaths: [path.join(root, 'missing')],
+      minFreeSpaceGB: -1,
+      dryrun: true,
+      notifications: { channels: [{ type: 'telegram', chatId: '1' }] }
+    });
+    setEnv({ AUTODELETE_DELETE_DELAY: 'soon', AUTODELETE_NOTIFICATIONS__CHANNELS__5__URL: 'http://a' });
+    const before = JSON.stringify(config);
+
+    assert.throws(() => configLoader.load({ file, overrides }), error => {
+      assert.ok(error instanceof configLoader.ConfigError);
+      assert.deepEqual([...error.issues].sort(), [
+        `recordingsPaths[0]: 目录不存在或无法访问: ${path.join(root, 'missing')}`,
+        'deleteDelay: 应为数字，实际为 string "soon"',
+        'dryrun: 未知的配置项，请检查拼写',
+        'minFreeSpaceGB: 不能小于 0，实际为 -1',
+        'notifications.channels[0].botToken: 缺少必填项',
+        '环境变量 AUTODELETE_NOTIFICATIONS__CHANNELS__5__URL: 数组下标 5 超出范围'
+      ].sort());
+      return true;
+    });
+    assert.equal(JSON.stringify(config), before);
+  });
+
+  it('不支持的格式和无法解析的配置文件报告文件路径', async () => {
+    const textFile = await writeConfig('config.txt', '');
+    assert.throws(() => configLoader.load({ file: textFile, overrides }), /不支持的配置文件格式 \.txt/);
+
+    const brokenFile = await writeConfig('config.json', '{');
+    assert.throws(() => configLoader.load({ file: brokenFile, overrides }), error => error instanceof configLoader.ConfigError && error.message.includes(brokenFile));
+
+    assert.throws(() => configLoader.load({ file: path.join(dir, 'missing.json'), overrides }), /配置文件不存在/);
+  });
+
+  it('重新加载时应用有效的配置并通知变更项，无效时继续使用当前配置', async () => {
+    const file = await writeConfig('config.json', { recordingsPaths: [root], deleteDelay: 10 });
+    configLoader.load({ file, overrides });
+    /** @type {string[][]} */
+    const changes = [];
+    configLoader.onChange(changedKeys => changes.push(changedKeys));
+
+    await writeConfig('config.json', { recordingsPaths: [root], deleteDelay: 20 });
+    assert.equal(configLoader.reload(), true);
+    assert.equal(config.deleteDelay, 20);
+
+    await writeConfig('config.json', { recordingsPaths: [root], deleteDelay: 'later' });
+    assert.equal(configLoader.reload(), false);
+    assert.equal(config.deleteDelay, 20);
+
+    // 内容没有变化时不通知
+    await writeConfig('config.json', { recordingsPaths: [root], deleteDelay: 20 });
+    assert.equal(configLoader.reload(), false);
+    assert.deepEqual(changes, [['deleteDelay']]);
+  });
+
+  it('校验嵌套配置项的类型和取值范围', () => {
+    const issues = validateConfig({ ...config, recordingsPaths: [{ path: root, action: 'shred', scan: { depth: 0 } }], http: { ...config.http, port: 70000 } });
+
+    assert.deepEqual(issues, [
+      'recordingsPaths[0].action: 应为 "delete"、"archive" 之一，实际为 "shred"',
+      'recordingsPaths[0].scan.depth: 不能小于 1，实际为 0',
+      'http.port: 不能大于 65535，实际为 70000'
+    ]);
+  });
+});
@@ -0,0 +1,114 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { getExitedPid, makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const deletionEngine = require('../lib/deletionEngine');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+/** @type {string} */
+let root;
+/** @type {string} */
+let outside;
+
+/**
+ * @param {string} unitPath
+ * @returns {{path: string, sizeGB: number, mtime: number}}
+ */
+const unit = unitPath => ({ path: unitPath, sizeGB: 0, mtime: 0 });
+
+describe('deletionEngine', () => {
+  beforeEach(async () => {
+    const base = makeTempDir('rec');
+    root = path.join(base, 'recordings');
+    outside = path.join(base, 'outside');
+    await fs.outputFile(path.join(root, 'cam1', '2024-01-01', 'a.mp4'), 'a'.repeat(100));
+    await fs.outputFile(path.join(root, 'cam1', '2024-01-01', 'b.mp4'), 'b'.repeat(50));
+    await fs.outputFile(path.join(outside, 'keep.mp4'), 'keep');
+  });
+
+  it('删除监控路径内的目录，完成后删除日志为空', async () => {
+    const result = await deletionEngine.removeUnit(unit(path.join(root, 'cam1', '2024-01-01')), root);
+
+    assert.deepEqual(result, { removedFiles: 2, removedBytes: 150 });
+    assert.equal(await fs.pathExists(path.join(root, 'cam1', '2024-01-01')), false);
+    assert.equal(await fs.pathExists(path.join(root, 'cam1')), true);
+    assert.deepEqual(await deletionEngine.listJournal(), []);
+  });
+
+  it('目标已不存在时不做任何操作', async () => {
+    const result = await deletionEngine.removeUnit(unit(path.join(root, 'missing')), root);
+    assert.deepEqual(result, { removedFiles: 0, removedBytes: 0 });
+  });
+
+  it('拒绝删除监控路径之外的目录及监控路径本身', async () => {
+    await assert.rejects(deletionEngine.removeUnit(unit(path.join(root, '..', 'outside')), root), deletionEngine.UnsafeDeletionError);
+    await assert.rejects(deletionEngine.removeUnit(unit(root), root), deletionEngine.UnsafeDeletionError);
+
+    assert.equal(await fs.pathExists(path.join(outside, 'keep.mp4')), true);
+    assert.equal(await fs.pathExists(root), true);
+    assert.deepEqual(await deletionEngine.listJournal(), []);
+  });
+
+  it('拒绝经由指向外部的符号链接上级目录删除', async () => {
+    await fs.symlink(outside, path.join(root, 'link'));
+
+    await assert.rejects(deletionEngine.removeUnit(unit(path.join(root, 'link', 'keep.mp4')), root), deletionEngine.UnsafeDeletionError);
+    assert.equal(await fs.pathExists(path.join(outside, 'keep.mp4')), true);
+  });
+
+  it('目录中的符号链接只删除链接本身', async () => {
+    const dayDir = path.join(root, 'cam1', '2024-01-01');
+    await fs.symlink(outside, path.join(dayDir, 'link-dir'));
+    await fs.symlink(path.join(outside, 'keep.mp4'), path.join(dayDir, 'link-file'));
+
+    await deletionEngine.removeUnit(unit(dayDir), root);
+
+    assert.equal(await fs.pathExists(dayDir), false);
+    assert.equal(await fs.readFile(path.join(outside, 'keep.mp4'), 'utf8'), 'keep');
+  });
+
+  it('删除监控路径内的符号链接本身而不删除其指向的目录', async () => {
+    const link = path.join(root, 'cam2');
+    await fs.symlink(outside, link);
+
+    await deletionEngine.removeUnit(unit(link), root);
+
+    assert.equal(await fs.lstat(link).then(() => true, () => false), false);
+    assert.equal(await fs.pathExists(path.join(outside, 'keep.mp4')), true);
+  });
+
+  describe('listInterrupted', () => {
+    /**
+     * @param {number} pid
+     * @param {'in-progress' | 'failed'} status
+     * @returns {import('../lib/deletionEngine').JournalEntry}
+     */
+    const entry = (pid, status) => ({
+      id: `${pid}-${status}`, path: path.join(root, 'cam1'), rootPath: root, sizeGB: 0, mtime: 0, startedAt: 0, pid, status, attempts: 1
+    });
+
+    it('执行进程已退出或删除失败的条目需要继续删除', async () => {
+      const exitedPid = await getExitedPid();
+      await fs.outputJson(resolveDataFile('deletion-journal.json'), {
+        entries: [entry(process.pid, 'in-progress'), entry(exitedPid, 'in-progress'), entry(process.pid, 'failed')]
+      });
+
+      const interrupted = await deletionEngine.listInterrupted();
+      assert.deepEqual(interrupted.map(item => item.id), [`${exitedPid}-in-progress`, `${process.pid}-failed`]);
+    });
+
+    it('其他用户的进程(无权发送信号)仍在删除时不视为中断', async t => {
+      await fs.outputJson(resolveDataFile('deletion-journal.json'), { entries: [entry(4242, 'in-progress')] });
+      t.mock.method(process, 'kill', () => {
+        const error = /** @type {NodeJS.ErrnoException} */ (new Error('EPERM: simulated'));
+        error.code = 'EPERM';
+        throw error;
+      });
+
+      assert.deepEqual(await deletionEngine.listInterrupted(), []);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { before, beforeEach, describe, it, mock } = require('node:test');
+const fs = require('fs-extra');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const diskManager = require('../lib/diskManager');
+
+// 挂载表：/srv/rec 是 /mnt/disk1 的 bind mount，/mnt/over 被重复挂载，挂载点中的空格转义为 \040
+const MOUNT_INFO = [
+  '22 1 8:1 / / rw,relatime shared:1 - ext4 /dev/sda1 rw',
+  '30 22 8:17 / /mnt/disk1 rw,relatime shared:2 - ext4 /dev/sdb1 rw',
+  '31 22 8:17 /rec /srv/rec rw,relatime shared:2 - ext4 /dev/sdb1 rw',
+  '32 22 8:33 / /mnt/my\\040disk rw,relatime shared:3 - ext4 /dev/sdc1 rw',
+  '33 22 8:49 / /mnt/over rw,relatime shared:4 - ext4 /dev/sdd1 rw',
+  '34 33 8:65 / /mnt/over rw,relatime shared:5 - ext4 /dev/sde1 rw'
+].join('\n');
+
+describe('diskManager', { skip: process.platform !== 'linux' }, () => {
+  before(() => {
+    const readFile = fs.readFile;
+    // 挂载表在模块中缓存，整个测试文件使用同一份模拟内容
+    mock.method(fs, 'readFile', (/** @type {string} */ filePath, /** @type {BufferEncoding} */ encoding) => (
+      filePath === '/proc/self/mountinfo' ? Promise.resolve(MOUNT_INFO) : readFile(filePath, encoding)
+    ));
+  });
+
+  beforeEach(() => {
+    Object.assign(config, {
+      minFreeSpaceGB: 10,
+      maxUsedPercent: 0,
+      bufferPercentage: 10,
+      disks: []
+    });
+  });
+
+  describe('识别磁盘', () => {
+    it('路径属于最深的挂载点，前缀相同的其他目录不属于该挂载点', async () => {
+      assert.deepEqual(await diskManager.identifyDisk('/mnt/disk1/cam1/2024-01-01'), { key: '/mnt/disk1', mountPoint: '/mnt/disk1', device: '8:17' });
+      assert.equal(await diskManager.getDiskKey('/mnt/disk10/cam1'), '/');
+      assert.equal(await diskManager.getDiskKey('/mnt/disk1'), '/mnt/disk1');
+    });
+
+    it('同一设备挂载在多处时使用最先挂载的位置作为标识', async () => {
+      assert.deepEqual(await diskManager.identifyDisk('/srv/rec/cam1'), { key: '/mnt/disk1', mountPoint: '/srv/rec', device: '8:17' });
+    });
+
+    it('挂载点中的转义字符还原为原字符', async () => {
+      assert.equal(await diskManager.getDiskKey('/mnt/my disk/cam1'), '/mnt/my disk');
+    });
+
+    it('同一挂载点被重复挂载时使用后挂载的设备', async () => {
+      assert.deepEqual(await diskManager.identifyDisk('/mnt/over/cam1'), { key: '/mnt/over', mountPoint: '/mnt/over', device: '8:65' });
+    });
+  });
+
+  describe('磁盘阈值', () => {
+    it('没有单独配置的磁盘使用全局阈值', async () => {
+      const thresholds = await diskManager.getThresholds('/', 1000);
+      assert.equal(thresholds.minFreeSpaceGB, 10);
+      assert.equal(thresholds.bufferPercentage, 10);
+      assert.equal(thresholds.targetFreeGB, 11);
+    });
+
+    it('disks 中按任一挂载位置配置的阈值覆盖全局阈值', async () => {
+      config.disks = /** @type {typeof config.disks} */ (/** @type {unknown} */ ([{ path: '/srv/rec', minFreeSpaceGB: 50, bufferPercentage: 20 }]));
+
+      const thresholds = await diskManager.getThresholds('/mnt/disk1', 1000);
+      assert.equal(thresholds.minFreeSpaceGB, 50);
+      assert.equal(thresholds.bufferPercentage, 20);
+      assert.equal(thresholds.targetFreeGB, 60);
+      assert.equal((await diskManager.getThresholds('/mnt/over', 1000)).minFreeSpaceGB, 10);
+    });
+
+    it('各级阈值换算为剩余空间，同时设置剩余空间和使用率时取较大的剩余空间', async () => {
+      Object.assign(config, {
+        maxUsedPercent: 95,
+        warningLevel: { minFreeSpaceGB: 100, maxUsedPercent: 80, repeatHours: 24 },
+        emergencyLevel: { minFreeSpaceGB: 0, maxUsedPercent: 0 },
+        disks: [{ path: '/mnt/disk1', emergencyLevel: { maxUsedPercent: 99 } }]
+      });
+
+      const thresholds = await diskManager.getThresholds('/mnt/disk1', 1000);
+      assert.equal(thresholds.minFreeSpaceGB, 50);
+      assert.equal(thresholds.warningFreeGB, 200);
+      assert.equal(thresholds.emergencyFreeGB, 10);
+      // 未设置的级别换算为 0，不使用该级别
+      assert.equal((await diskManager.getThresholds('/', 1000)).emergencyFreeGB, 0);
+    });
+  });
+});
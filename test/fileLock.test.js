@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { getExitedPid, makeTempDir, runChild } = require('./helpers');
+
+const { isProcessAlive, tryAcquireLock, releaseLock, withFileLock } = require('../utils/fileLock');
+
+describe('fileLock', () => {
+  it('获取锁后其他调用返回持有进程，释放后可再次获取', async () => {
+    const lockPath = path.join(makeTempDir('lock'), 'a.lock');
+
+    assert.equal(await tryAcquireLock(lockPath), null);
+    assert.equal(await fs.readFile(lockPath, 'utf8'), String(process.pid));
+    assert.equal(await tryAcquireLock(lockPath), process.pid);
+
+    await releaseLock(lockPath);
+    assert.equal(await fs.pathExists(lockPath), false);
+    assert.equal(await tryAcquireLock(lockPath), null);
+  });
+
+  it('不释放其他进程持有的锁', async () => {
+    const lockPath = path.join(makeTempDir('lock'), 'a.lock');
+    await fs.writeFile(lockPath, String(process.ppid));
+
+    await releaseLock(lockPath);
+    assert.equal(await tryAcquireLock(lockPath), process.ppid);
+  });
+
+  it('接管已退出进程残留的锁', async () => {
+    const lockPath = path.join(makeTempDir('lock'), 'a.lock');
+    const exitedPid = await getExitedPid();
+    assert.equal(isProcessAlive(exitedPid), false);
+    await fs.writeFile(lockPath, String(exitedPid));
+
+    assert.equal(await tryAcquireLock(lockPath), null);
+    assert.deepEqual(await fs.readdir(path.dirname(lockPath)), ['a.lock']);
+  });
+
+  it('刚创建的空锁文件视为被占用', async () => {
+    const lockPath = path.join(makeTempDir('lock'), 'a.lock');
+    await fs.writeFile(lockPath, '');
+
+    assert.equal(await tryAcquireLock(lockPath), 0);
+  });
+
+  it('多个进程同时接管同一残留锁时只有一个成功', async () => {
+    const lockPath = path.join(makeTempDir('lock'), 'a.lock');
+    await fs.writeFile(lockPath, String(await getExitedPid()));
+    // 获取成功的进程保持运行，其他进程看到的是仍在运行的持有者
+    const script = `require('./utils/fileLock').tryAcquireLock(${JSON.stringify(lockPath)}).then(holder => {
+      console.log(holder === null ? 'acquired' : 'busy');
+      setTimeout(() => {}, 2000);
+    });`;
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => runChild(script).output));
+
+    assert.deepEqual(results.sort(), ['acquired', 'busy', 'busy', 'busy']);
+    assert.deepEqual(await fs.readdir(path.dirname(lockPath)), ['a.lock']);
+  });
+
+  it('等待超时后抛出错误，不执行操作', async () => {
+    const lockPath = path.join(makeTempDir('lock'), 'a.lock');
+    await fs.writeFile(lockPath, String(process.ppid));
+    let called = false;
+
+    await assert.rejects(withFileLock(lockPath, async () => {
+      called = true;
+    }, 200), /超时/);
+    assert.equal(called, false);
+  });
+});
@@ -0,0 +1,74 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeOld, makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const fileManager = require('../lib/fileManager');
+
+/** @type {string} */
+let root;
+
+/**
+ * @param {string} name
+ * @returns {{path: string, sizeGB: number, mtime: number}}
+ */
+const dir = name => ({ path: path.join(root, name), sizeGB: 0, mtime: 0 });
+
+describe('fileManager', () => {
+  beforeEach(async () => {
+    root = makeTempDir('rec');
+    for (const name of ['2024-01-01', '2024-01-02', '2024-01-03']) {
+      await fs.outputFile(path.join(root, name, 'a.mp4'), name);
+      await makeOld(path.join(root, name, 'a.mp4'));
+      await makeOld(path.join(root, name));
+    }
+    Object.assign(config, {
+      recordingsPaths: [root],
+      action: 'delete',
+      quarantine: { ...config.quarantine, enabled: false },
+      inUse: { quietMinutes: 10, checkOpenFiles: true },
+      deletion: { maxMBPerSecond: 0, maxFilesPerSecond: 0, truncateChunkMB: 0 }
+    });
+  });
+
+  describe('deleteDirectories', () => {
+    it('所有目录共用一次读取的打开文件列表', { skip: process.platform !== 'linux' }, async t => {
+      const readdir = fs.readdir;
+      let procScans = 0;
+      t.mock.method(fs, 'readdir', async (/** @type {string} */ dirPath) => {
+        if (dirPath === '/proc') {
+          procScans++;
+        }
+        return readdir(dirPath);
+      });
+
+      const { deletedDirs, skippedDirs } = await fileManager.deleteDirectories([dir('2024-01-01'), dir('2024-01-02'), dir('2024-01-03')]);
+
+      assert.equal(procScans, 1);
+      assert.equal(deletedDirs.length, 3);
+      assert.deepEqual(skippedDirs, []);
+      assert.deepEqual(await fs.readdir(root), []);
+    });
+
+    it('读取打开的文件失败时不删除任何目录', { skip: process.platform !== 'linux' }, async t => {
+      const readdir = fs.readdir;
+      t.mock.method(fs, 'readdir', async (/** @type {string} */ dirPath) => {
+        if (dirPath === '/proc') {
+          const error = /** @type {NodeJS.ErrnoException} */ (new Error('EACCES: simulated'));
+          error.code = 'EACCES';
+          throw error;
+        }
+        return readdir(dirPath);
+      });
+
+      const { deletedDirs, skippedDirs } = await fileManager.deleteDirectories([dir('2024-01-01'), dir('2024-01-02')]);
+
+      assert.deepEqual(deletedDirs, []);
+      assert.deepEqual(skippedDirs.map(item => item.skipReasonCode?.key), ['skipReason.inUseUnknown', 'skipReason.inUseUnknown']);
+      assert.deepEqual(await fs.readdir(root), ['2024-01-01', '2024-01-02', '2024-01-03']);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * 测试辅助函数
+ * 每个测试文件在独立进程中运行，使用各自的临时数据目录，日志不输出到控制台
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * 创建临时目录，测试进程退出时删除
+ * @param {string} name - 目录名前缀
+ * @returns {string}
+ */
+function makeTempDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `adrf-${name}-`));
+  process.on('exit', () => fs.removeSync(dir));
+  return dir;
+}
+
+/**
+ * 将数据目录和日志目录指向临时目录
+ * @returns {string} - 临时数据目录
+ */
+function useTempDataDir() {
+  const dataDir = makeTempDir('data');
+  config.dataDir = dataDir;
+  config.logging = { ...config.logging, dir: path.join(dataDir, 'logs'), console: false };
+  return dataDir;
+}
+
+/**
+ * 将文件(或目录)的修改时间设为若干天前
+ * @param {string} itemPath - 路径
+ * @param {number} days - 天数
+ * @returns {Promise<void>}
+ */
+async function makeOld(itemPath, days = 30) {
+  const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  await fs.utimes(itemPath, time, time);
+}
+
+/**
+ * 在子进程中运行脚本，数据目录与当前测试相同
+ * @param {string} script - 脚本内容(CommonJS，工作目录为项目根目录)
+ * @returns {{child: import('child_process').ChildProcess, output: Promise<string>}} - 子进程及其标准输出(退出后)
+ */
+function runChild(script) {
+  const child = spawn(process.execPath, ['-e', `
+    const config = require('./config');
+    config.dataDir = ${JSON.stringify(config.dataDir)};
+    config.logging = { ...config.logging, dir: ${JSON.stringify(path.join(config.dataDir, 'logs'))}, console: false };
+    ${script}
+  `], { cwd: path.resolve(__dirname, '..'), stdio: ['ignore', 'pipe', 'inherit'] });
+
+  const output = new Promise((resolve, reject) => {
+    let stdout = '';
+    /** @type {import('stream').Readable} */ (child.stdout).on('data', chunk => {
+      stdout += chunk;
+    });
+    child.on('error', reject);
+    child.on('exit', code => code === 0 ? resolve(stdout.trim()) : reject(new Error(`子进程退出码 ${code}`)));
+  });
+  return { child, output };
+}
+
+/**
+ * 获取一个已退出进程的进程号
+ * @returns {Promise<number>}
+ */
+async function getExitedPid() {
+  const { child, output } = runChild('');
+  await output;
+  return /** @type {number} */ (child.pid);
+}
+
+module.exports = {
+  makeTempDir,
+  useTempDataDir,
+  makeOld,
+  runChild,
+  getExitedPid
+};
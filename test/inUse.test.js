@@ -0,0 +1,105 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeOld, makeTempDir, runChild, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const inUse = require('../lib/inUse');
+
+/**
+ * 模拟文件系统错误
+ * @param {string} code - 错误码
+ * @returns {NodeJS.ErrnoException}
+ */
+function fsError(code) {
+  const error = /** @type {NodeJS.ErrnoException} */ (new Error(`${code}: simulated`));
+  error.code = code;
+  return error;
+}
+
+describe('inUse', () => {
+  /** @type {string} */
+  let unitPath;
+
+  beforeEach(async () => {
+    config.inUse = { quietMinutes: 10, checkOpenFiles: false };
+    unitPath = path.join(makeTempDir('rec'), '2024-01-01');
+    await fs.outputFile(path.join(unitPath, 'a.mp4'), 'a');
+    await makeOld(path.join(unitPath, 'a.mp4'));
+    await makeOld(unitPath);
+  });
+
+  it('静默期内没有修改的目录不在写入', async () => {
+    assert.equal(await inUse.getInUseReason(unitPath), null);
+  });
+
+  it('静默期内有修改的目录正在写入', async () => {
+    await fs.writeFile(path.join(unitPath, 'b.mp4'), 'b');
+
+    const reason = await inUse.getInUseReason(unitPath);
+    assert.equal(reason?.key, 'skipReason.writing');
+    assert.ok((reason?.times?.time || 0) > Date.now() - 60 * 1000);
+  });
+
+  it('filesOnly 时不计目录本身的修改时间', async () => {
+    await fs.utimes(unitPath, new Date(), new Date());
+
+    assert.equal((await inUse.getInUseReason(unitPath))?.key, 'skipReason.writing');
+    assert.equal(await inUse.getInUseReason(unitPath, undefined, { filesOnly: true }), null);
+  });
+
+  it('目录已不存在时不视为正在写入', async () => {
+    assert.equal(await inUse.getInUseReason(path.join(unitPath, 'missing')), null);
+  });
+
+  it('无法读取文件信息时视为无法确认，不删除', async t => {
+    const lstat = fs.lstat;
+    t.mock.method(fs, 'lstat', async (/** @type {string} */ itemPath) => {
+      if (itemPath.endsWith('a.mp4')) {
+        throw fsError('EIO');
+      }
+      return lstat(itemPath);
+    });
+
+    const reason = await inUse.getInUseReason(unitPath);
+    assert.equal(reason?.key, 'skipReason.inUseUnknown');
+  });
+
+  it('读取进程打开的文件失败时所有目录视为无法确认', { skip: process.platform !== 'linux' }, async t => {
+    config.inUse = { quietMinutes: 10, checkOpenFiles: true };
+    const readdir = fs.readdir;
+    t.mock.method(fs, 'readdir', async (/** @type {string} */ dirPath) => {
+      if (dirPath === '/proc') {
+        throw fsError('EACCES');
+      }
+      return readdir(dirPath);
+    });
+
+    const { idleDirs, inUseDirs } = await inUse.partitionInUse([{ path: unitPath }]);
+    assert.equal(idleDirs.length, 0);
+    assert.equal(inUseDirs[0].skipReasonCode.key, 'skipReason.inUseUnknown');
+    assert.match(inUseDirs[0].skipReason, /EACCES/);
+  });
+
+  it('有进程打开了其中的文件时正在写入', { skip: process.platform !== 'linux' }, async () => {
+    config.inUse = { quietMinutes: 0, checkOpenFiles: true };
+    const filePath = path.join(unitPath, 'a.mp4');
+    const { child, output } = runChild(`
+      const fd = require('fs').openSync(${JSON.stringify(filePath)}, 'r');
+      console.log('opened');
+      setTimeout(() => require('fs').closeSync(fd), 10000);
+    `);
+    try {
+      await new Promise(resolve => /** @type {import('stream').Readable} */ (child.stdout).once('data', resolve));
+
+      const { idleDirs, inUseDirs } = await inUse.partitionInUse([{ path: unitPath }]);
+      assert.equal(idleDirs.length, 0);
+      assert.deepEqual(inUseDirs[0].skipReasonCode, { key: 'skipReason.openFile', params: { pid: child.pid, file: 'a.mp4' } });
+    } finally {
+      child.kill();
+      await output.catch(() => {});
+    }
+  });
+});
@@ -0,0 +1,58 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const { resolveDataFile, readJsonFile, writeJsonFile } = require('../utils/jsonFile');
+
+describe('jsonFile', () => {
+  it('resolveDataFile 使用配置的数据目录', () => {
+    const config = require('../config');
+    assert.equal(resolveDataFile('plans.json'), path.join(config.dataDir, 'plans.json'));
+  });
+
+  it('写入后可读回，并自动创建上级目录', async () => {
+    const filePath = path.join(makeTempDir('json'), 'nested', 'data.json');
+    await writeJsonFile(filePath, { value: 1 });
+    assert.deepEqual(await readJsonFile(filePath, null), { value: 1 });
+  });
+
+  it('文件不存在或内容损坏时返回默认值', async () => {
+    const dir = makeTempDir('json');
+    assert.deepEqual(await readJsonFile(path.join(dir, 'missing.json'), { items: [] }), { items: [] });
+
+    const corruptPath = path.join(dir, 'corrupt.json');
+    await fs.writeFile(corruptPath, '{"items": [');
+    assert.deepEqual(await readJsonFile(corruptPath, { items: [] }), { items: [] });
+  });
+
+  it('同一进程同时写入同一文件时各自完成，不留下临时文件', async () => {
+    const dir = makeTempDir('json');
+    const filePath = path.join(dir, 'data.json');
+    const values = Array.from({ length: 20 }, (_, index) => ({ index, payload: 'x'.repeat(10000) }));
+
+    await Promise.all(values.map(value => writeJsonFile(filePath, value)));
+
+    const result = await readJsonFile(filePath, { index: -1 });
+    assert.ok(values.some(value => value.index === result.index));
+    assert.deepEqual(await fs.readdir(dir), ['data.json']);
+  });
+
+  it('指定权限时临时文件创建时即使用该权限', { skip: process.platform === 'win32' }, async t => {
+    const filePath = path.join(makeTempDir('json'), 'secret.json');
+    const rename = fs.rename;
+    /** @type {number[]} */
+    const tempModes = [];
+    t.mock.method(fs, 'rename', async (/** @type {string} */ from, /** @type {string} */ to) => {
+      tempModes.push((await fs.stat(from)).mode & 0o777);
+      return rename(from, to);
+    });
+
+    await writeJsonFile(filePath, { secret: 'x' }, { mode: 0o600 });
+
+    assert.deepEqual(tempModes, [0o600]);
+    assert.equal((await fs.stat(filePath)).mode & 0o777, 0o600);
+  });
+});
@@ -0,0 +1,241 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeOld, makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const diskManager = require('../lib/diskManager');
+const monitor = require('../lib/monitor');
+const planStore = require('../lib/planStore');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+/** @type {string} */
+let root;
+
+/**
+ * 修改计划文件中计划的到期时间(模拟时间推移)
+ * @param {string} planId
+ * @param {number} dueAt
+ * @returns {Promise<void>}
+ */
+async function setDueAt(planId, dueAt) {
+  const filePath = resolveDataFile('plans.json');
+  const data = await fs.readJson(filePath);
+  data.plans.find((/** @type {{id: string}} */ plan) => plan.id === planId).dueAt = dueAt;
+  await fs.writeJson(filePath, data);
+}
+
+describe('monitor', () => {
+  beforeEach(async () => {
+    await fs.remove(resolveDataFile('plans.json'));
+    root = makeTempDir('rec');
+    for (const day of ['2024-01-01', '2024-01-02', '2024-01-03']) {
+      await fs.outputFile(path.join(root, day, 'a.mp4'), day);
+      await makeOld(path.join(root, day, 'a.mp4'));
+      await makeOld(path.join(root, day));
+    }
+
+    Object.assign(config, {
+      recordingsPaths: [root],
+      minFreeSpaceGB: 1e9, // 任何磁盘都低于阈值
+      maxUsedPercent: 0,
+      bufferPercentage: 0,
+      warningLevel: { minFreeSpaceGB: 0, maxUsedPercent: 0, repeatHours: 24 },
+      emergencyLevel: { minFreeSpaceGB: 0, maxUsedPercent: 0 },
+      disks: [],
+      approval: { ...config.approval, enabled: false },
+      deleteDelay: 1,
+      planExpireHours: 24,
+      dryRun: false,
+      retention: { minKeepDirs: 0, maxAgeDays: 0, maxSizeGB: 0 },
+      forecast: { ...config.forecast, enabled: false },
+      inUse: { quietMinutes: 0, checkOpenFiles: false },
+      deletion: { maxMBPerSecond: 0, maxFilesPerSecond: 0, truncateChunkMB: 0 },
+      notifications: { ...config.notifications, channels: [] }
+    });
+  });
+
+  describe('命令行单次检查', () => {
+    it('计划未到期时跳过检查', async () => {
+      const first = await monitor.runCheck('cli');
+      assert.equal(first.outcome, 'planned');
+
+      const second = await monitor.runCheck('cli');
+      assert.equal(second.outcome, 'skipped');
+      assert.equal(second.planId, first.planId);
+      assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), true);
+    });
+
+    it('计划到期后的检查执行该计划', async () => {
+      const first = await monitor.runCheck('cli');
+      const planId = /** @type {string} */ (first.planId);
+      await setDueAt(planId, Date.now() - 1000);
+
+      const second = await monitor.runCheck('cli');
+      assert.notEqual(second.outcome, 'skipped');
+      assert.equal((await planStore.getPlan(planId))?.status, 'completed');
+      assert.deepEqual(await fs.readdir(root), []);
+    });
+
+    it('计划逾期过久时作废并重新生成计划', async () => {
+      const first = await monitor.runCheck('cli');
+      const planId = /** @type {string} */ (first.planId);
+      await setDueAt(planId, Date.now() - 25 * 60 * 60 * 1000);
+
+      const second = await monitor.runCheck('cli');
+      assert.equal(second.outcome, 'planned');
+      assert.notEqual(second.planId, planId);
+      assert.equal((await planStore.getPlan(planId))?.status, 'expired');
+      assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), true);
+    });
+  });
+
+  describe('执行前重新评估', () => {
+    /**
+     * 生成计划并使其到期
+     * @returns {Promise<string>} - 计划ID
+     */
+    async function createDuePlan() {
+      const { planId } = await monitor.runCheck('cli');
+      await setDueAt(/** @type {string} */ (planId), Date.now() - 1000);
+      return /** @type {string} */ (planId);
+    }
+
+    /**
+     * 计划执行后各目录的处理结果
+     * @param {string} planId
+     * @returns {Promise<Record<string, string>>} - 目录名到 deleted 或跳过原因键的映射
+     */
+    async function outcomes(planId) {
+      const plan = await planStore.getPlan(planId);
+      /** @type {Record<string, string>} */
+      const result = {};
+      for (const dir of plan?.deletedDirs || []) {
+        result[path.basename(dir.path)] = 'deleted';
+      }
+      for (const dir of plan?.skippedDirs || []) {
+        result[path.basename(dir.path)] = dir.skipReasonCode ? dir.skipReasonCode.key : dir.skipReason;
+      }
+      return result;
+    }
+
+    it('计划生成后被修改或已移走的目录不删除', async () => {
+      const planId = await createDuePlan();
+      await fs.writeFile(path.join(root, '2024-01-01', 'b.mp4'), 'new');
+      await fs.remove(path.join(root, '2024-01-02'));
+
+      await monitor.runCheck('cli');
+
+      assert.deepEqual(await outcomes(planId), { '2024-01-01': 'skipReason.changed', '2024-01-02': 'skipReason.removed', '2024-01-03': 'deleted' });
+      assert.deepEqual(await fs.readdir(path.join(root, '2024-01-01')), ['a.mp4', 'b.mp4']);
+    });
+
+    it('按剩余空间选中的目录从最早的开始删除，达到目标剩余空间后停止', async t => {
+      for (const [day, days] of [['2024-01-01', 40], ['2024-01-02', 35]]) {
+        await makeOld(path.join(root, /** @type {string} */ (day), 'a.mp4'), /** @type {number} */ (days));
+        await makeOld(path.join(root, /** @type {string} */ (day)), /** @type {number} */ (days));
+      }
+      const planId = await createDuePlan();
+      const plan = await planStore.getPlan(planId);
+      const dirSizeGB = /** @type {import('../lib/planStore').DeletionPlan} */ (plan).allDirsToDelete[0].sizeGB;
+      // 执行前空间已部分恢复：还需释放约 1.5 个目录的空间
+      t.mock.method(diskManager, 'getDiskSpace', async () => ({ totalGB: 1000, freeGB: 100, usedGB: 900, usedPercentage: 90 }));
+      config.minFreeSpaceGB = 100 + dirSizeGB * 1.5;
+
+      await monitor.runCheck('cli');
+
+      assert.deepEqual(await outcomes(planId), { '2024-01-01': 'deleted', '2024-01-02': 'deleted', '2024-01-03': 'skipReason.targetReached' });
+      assert.deepEqual(await fs.readdir(root), ['2024-01-03']);
+    });
+
+    it('按保留天数选中的目录不受目标剩余空间影响', async () => {
+      Object.assign(config, { minFreeSpaceGB: 0, retention: { ...config.retention, maxAgeDays: 7 } });
+      const planId = await createDuePlan();
+
+      await monitor.runCheck('cli');
+
+      assert.deepEqual(await outcomes(planId), { '2024-01-01': 'deleted', '2024-01-02': 'deleted', '2024-01-03': 'deleted' });
+    });
+  });
+
+  describe('空间级别', () => {
+    it('预警级别只发送通知，不生成删除计划', async () => {
+      Object.assign(config, { minFreeSpaceGB: 0, warningLevel: { ...config.warningLevel, minFreeSpaceGB: 1e9 } });
+
+      const run = await monitor.runCheck('cli');
+
+      assert.equal(run.outcome, 'ok');
+      assert.equal(await planStore.getActivePlan(), null);
+      assert.equal(Object.keys((await fs.readJson(resolveDataFile('space-levels.json'))).disks).length, 1);
+      assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), true);
+    });
+
+    it('紧急级别不等待删除延迟，立即删除', async () => {
+      Object.assign(config, { deleteDelay: 60, emergencyLevel: { minFreeSpaceGB: 1e9, maxUsedPercent: 0 } });
+
+      const run = await monitor.runCheck('cli');
+
+      assert.equal(run.outcome, 'emergency');
+      assert.deepEqual(await fs.readdir(root), []);
+    });
+  });
+
+  describe('审批', () => {
+    beforeEach(() => {
+      config.approval = { ...config.approval, enabled: true, secret: 'test-secret', timeoutHours: 1, postponeHours: 2 };
+    });
+
+    for (const [onTimeout, status] of [['cancel', 'cancelled'], ['proceed', 'completed']]) {
+      it(`审批超时后按 onTimeout=${onTimeout} 处理`, async () => {
+        config.approval.onTimeout = /** @type {'cancel' | 'proceed'} */ (onTimeout);
+        const first = await monitor.runCheck('cli');
+        const planId = /** @type {string} */ (first.planId);
+        assert.equal((await planStore.getPlan(planId))?.approval?.status, 'waiting');
+        await setDueAt(planId, Date.now() - 1000);
+
+        await monitor.runCheck('cli');
+
+        const plan = await planStore.getPlan(planId);
+        assert.equal(plan?.status, status);
+        assert.equal(plan?.approval?.status, 'timed-out');
+        assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), onTimeout === 'cancel');
+      });
+    }
+
+    it('推迟将截止时间延后 postponeHours 小时，拒绝则取消计划', async () => {
+      const { planId } = await monitor.runCheck('cli');
+      const dueAt = /** @type {number} */ ((await planStore.getPlan(/** @type {string} */ (planId)))?.dueAt);
+
+      const postponed = await monitor.decideApproval(/** @type {string} */ (planId), 'postpone');
+      assert.equal(postponed?.dueAt, dueAt + 2 * 60 * 60 * 1000);
+      assert.equal(postponed?.approval?.status, 'waiting');
+
+      assert.equal(await monitor.decideApproval('other-plan', 'reject'), null);
+      assert.equal((await monitor.decideApproval(/** @type {string} */ (planId), 'reject'))?.status, 'cancelled');
+      assert.equal(await monitor.decideApproval(/** @type {string} */ (planId), 'approve'), null);
+      assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), true);
+    });
+  });
+
+  it('演练模式下的检查不保存任何状态', async () => {
+    Object.assign(config, {
+      dryRun: true,
+      dryRunOutput: path.join(makeTempDir('dry-run'), 'notification.html'),
+      forecast: { ...config.forecast, enabled: true },
+      warningLevel: { ...config.warningLevel, minFreeSpaceGB: 2e9 }
+    });
+    for (const name of await fs.readdir(config.dataDir)) {
+      if (name !== 'logs') {
+        await fs.remove(path.join(config.dataDir, name));
+      }
+    }
+
+    const run = await monitor.runCheck('cli');
+
+    assert.equal(run.outcome, 'dry-run');
+    assert.deepEqual((await fs.readdir(config.dataDir)).filter(name => name !== 'logs'), []);
+    assert.deepEqual(await fs.readdir(root), ['2024-01-01', '2024-01-02', '2024-01-03']);
+  });
+});
@@ -0,0 +1,93 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const { getExitedPid, runChild, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const notificationQueue = require('../lib/notificationQueue');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+/** @type {import('../lib/messages').NotificationMessage} */
+const message = { event: 'warning', title: 'test', sections: [] };
+
+/**
+ * 修改队列文件中的条目(模拟其他进程写入的状态)
+ * @param {string} id
+ * @param {Partial<import('../lib/notificationQueue').QueuedNotification>} changes
+ * @returns {Promise<void>}
+ */
+async function patchEntry(id, changes) {
+  const filePath = resolveDataFile('notification-queue.json');
+  const data = await fs.readJson(filePath);
+  Object.assign(data.entries.find((/** @type {{id: string}} */ entry) => entry.id === id), changes);
+  await fs.writeJson(filePath, data);
+}
+
+describe('notificationQueue', () => {
+  beforeEach(async () => {
+    await fs.remove(resolveDataFile('notification-queue.json'));
+    await fs.remove(resolveDataFile('notification-dead-letters.json'));
+  });
+
+  it('多个进程同时加入队列时不会丢失通知', async () => {
+    const script = `const queue = require('./lib/notificationQueue');
+      Promise.all([1, 2, 3, 4, 5].map(() => queue.enqueue('email', ${JSON.stringify(message)}, 'failed', 0)));`;
+
+    await Promise.all([runChild(script).output, runChild(script).output, runChild(script).output]);
+    await Promise.all([1, 2, 3, 4, 5].map(() => notificationQueue.enqueue('email', message, 'failed', 0)));
+
+    assert.equal((await notificationQueue.listQueued()).length, 20);
+  });
+
+  it('只认领已到重试时间的通知，force 时认领全部', async () => {
+    const due = await notificationQueue.enqueue('email', message, 'failed', Date.now() - 1000);
+    const later = await notificationQueue.enqueue('email', message, 'failed', Date.now() + 60 * 1000);
+
+    assert.deepEqual((await notificationQueue.claimDue()).map(entry => entry.id), [due.id]);
+    assert.deepEqual((await notificationQueue.claimDue({ force: true })).map(entry => entry.id), [due.id, later.id]);
+  });
+
+  it('不认领其他仍在运行的进程正在重试的通知，认领进程退出后可重新认领', async () => {
+    const claimedElsewhere = await notificationQueue.enqueue('email', message, 'failed', 0);
+    const abandoned = await notificationQueue.enqueue('email', message, 'failed', 0);
+    await patchEntry(claimedElsewhere.id, { claimedBy: process.ppid });
+    await patchEntry(abandoned.id, { claimedBy: await getExitedPid() });
+
+    assert.deepEqual((await notificationQueue.claimDue()).map(entry => entry.id), [abandoned.id]);
+    // 本进程认领的通知(如上次重试中途出错)下次仍由本进程重试
+    assert.deepEqual((await notificationQueue.claimDue()).map(entry => entry.id), [abandoned.id]);
+  });
+
+  it('多个进程同时认领时每个通知只被认领一次', async () => {
+    for (let i = 0; i < 6; i++) {
+      await notificationQueue.enqueue('email', message, 'failed', 0);
+    }
+    // 认领的进程在重试期间一直运行
+    const script = `require('./lib/notificationQueue').claimDue().then(entries => {
+      console.log(JSON.stringify(entries.map(entry => entry.id)));
+      setTimeout(() => {}, 2000);
+    });`;
+
+    const results = await Promise.all([runChild(script).output, runChild(script).output, runChild(script).output]);
+    const claimedIds = results.flatMap(output => JSON.parse(output));
+
+    assert.equal(claimedIds.length, 6);
+    assert.equal(new Set(claimedIds).size, 6);
+  });
+
+  it('重试失败后取消认领，放弃后移入死信', async () => {
+    const entry = await notificationQueue.enqueue('email', message, 'failed', 0);
+    const [claimed] = await notificationQueue.claimDue();
+
+    await notificationQueue.recordFailure(entry.id, 'failed again', 123);
+    const [queued] = await notificationQueue.listQueued();
+    assert.equal(queued.attempts, 2);
+    assert.equal(queued.claimedBy, undefined);
+
+    await notificationQueue.moveToDeadLetter(claimed, 'gave up');
+    assert.deepEqual(await notificationQueue.listQueued(), []);
+    const [deadLetter] = await notificationQueue.listDeadLetters();
+    assert.equal(deadLetter.id, entry.id);
+    assert.equal(deadLetter.claimedBy, undefined);
+  });
+});
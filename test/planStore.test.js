@@ -0,0 +1,130 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const { getExitedPid, runChild, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const planStore = require('../lib/planStore');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+/**
+ * @param {string} dirPath
+ * @returns {import('../lib/planStore').DirInfo}
+ */
+const dir = dirPath => ({ path: dirPath, sizeGB: 1, mtime: 0 });
+
+/**
+ * 直接修改计划文件中的计划(模拟其他进程写入的状态)
+ * @param {string} planId
+ * @param {Partial<import('../lib/planStore').DeletionPlan>} changes
+ * @returns {Promise<void>}
+ */
+async function patchStoredPlan(planId, changes) {
+  const filePath = resolveDataFile('plans.json');
+  const data = await fs.readJson(filePath);
+  Object.assign(data.plans.find((/** @type {{id: string}} */ plan) => plan.id === planId), changes);
+  await fs.writeJson(filePath, data);
+}
+
+describe('planStore', () => {
+  beforeEach(async () => {
+    await fs.remove(resolveDataFile('plans.json'));
+  });
+
+  it('创建的计划为当前未完成的计划', async () => {
+    const plan = await planStore.createPlan([], [dir('/rec/a')], 1);
+    assert.equal(plan.status, 'pending');
+    assert.ok(plan.dueAt > plan.createdAt);
+    assert.equal((await planStore.getActivePlan())?.id, plan.id);
+
+    await planStore.updatePlanStatus(plan.id, 'completed');
+    assert.equal(await planStore.getActivePlan(), null);
+  });
+
+  it('同时更新同一计划时不会丢失修改', async () => {
+    const plan = await planStore.createPlan([{
+      recordingsPath: '/rec',
+      spaceInfo: { totalGB: 10, freeGB: 1, usedGB: 9, usedPercentage: 90 },
+      dirsToDelete: [dir('/rec/a'), dir('/rec/b')]
+    }], [dir('/rec/a'), dir('/rec/b')], 1);
+
+    await Promise.all([
+      planStore.updatePlanStatus(plan.id, 'pending', { trigger: 'http' }),
+      planStore.excludeDirectory(plan.id, '/rec/a', { key: 'skipReason.excluded' }),
+      planStore.updatePlanStatus(plan.id, 'pending', { dueAt: 123 })
+    ]);
+
+    const stored = await planStore.getPlan(plan.id);
+    assert.equal(stored?.trigger, 'http');
+    assert.equal(stored?.dueAt, 123);
+    assert.deepEqual(stored?.allDirsToDelete.map(item => item.path), ['/rec/b']);
+    assert.deepEqual(stored?.triggeredResults[0].dirsToDelete.map(item => item.path), ['/rec/b']);
+    assert.equal(stored?.excludedDirs?.[0].path, '/rec/a');
+    assert.deepEqual(stored?.excludedDirs?.[0].skipReasonCode, { key: 'skipReason.excluded' });
+  });
+
+  it('只能从等待执行的计划中排除目录', async () => {
+    const plan = await planStore.createPlan([], [dir('/rec/a'), dir('/rec/b')], 1);
+    assert.equal(await planStore.excludeDirectory(plan.id, '/rec/c', { key: 'skipReason.excluded' }), null);
+
+    await planStore.updatePlanStatus(plan.id, 'executing');
+    assert.equal(await planStore.excludeDirectory(plan.id, '/rec/a', { key: 'skipReason.excluded' }), null);
+  });
+
+  describe('claimPlan', () => {
+    it('将等待执行的计划标记为由本进程执行', async () => {
+      const plan = await planStore.createPlan([], [dir('/rec/a')], 0);
+      const claimed = await planStore.claimPlan(plan.id);
+
+      assert.equal(claimed?.previous.status, 'pending');
+      assert.equal(claimed?.plan.status, 'executing');
+      assert.equal((await planStore.getPlan(plan.id))?.executorPid, process.pid);
+    });
+
+    it('其他进程正在执行的计划不能再次开始', async () => {
+      const plan = await planStore.createPlan([], [dir('/rec/a')], 0);
+      await patchStoredPlan(plan.id, { status: 'executing', executorPid: process.ppid });
+
+      assert.equal(await planStore.claimPlan(plan.id), null);
+      assert.equal((await planStore.getPlan(plan.id))?.executorPid, process.ppid);
+    });
+
+    it('执行进程已退出的计划可以继续执行，并保留已删除的目录', async () => {
+      const plan = await planStore.createPlan([], [dir('/rec/a'), dir('/rec/b')], 0);
+      await patchStoredPlan(plan.id, { status: 'executing', executorPid: await getExitedPid(), deletedDirs: [dir('/rec/a')] });
+
+      const claimed = await planStore.claimPlan(plan.id);
+      assert.equal(claimed?.previous.status, 'executing');
+      assert.deepEqual(claimed?.previous.deletedDirs?.map(item => item.path), ['/rec/a']);
+      assert.equal(claimed?.plan.executorPid, process.pid);
+    });
+
+    it('已结束的计划不能开始', async () => {
+      const plan = await planStore.createPlan([], [dir('/rec/a')], 0);
+      await planStore.updatePlanStatus(plan.id, 'cancelled');
+      assert.equal(await planStore.claimPlan(plan.id), null);
+      assert.equal(await planStore.claimPlan('missing'), null);
+    });
+
+    it('多个进程同时开始同一计划时只有一个成功', async () => {
+      const plan = await planStore.createPlan([], [dir('/rec/a')], 0);
+      // 执行进程在删除期间一直运行，退出后计划视为被中断，可由其他进程继续执行
+      const script = `require('./lib/planStore').claimPlan(${JSON.stringify(plan.id)}).then(result => {
+        console.log(result ? 'claimed' : 'refused');
+        setTimeout(() => {}, 3000);
+      });`;
+
+      const results = await Promise.all([runChild(script).output, runChild(script).output, runChild(script).output]);
+
+      assert.deepEqual(results.sort(), ['claimed', 'refused', 'refused']);
+      assert.equal(await fs.pathExists(`${resolveDataFile('plans.json')}.lock`), false);
+    });
+
+    it('接管已退出进程残留的锁文件', async () => {
+      const plan = await planStore.createPlan([], [dir('/rec/a')], 0);
+      await fs.writeFile(`${resolveDataFile('plans.json')}.lock`, String(await getExitedPid()));
+
+      assert.equal((await planStore.claimPlan(plan.id))?.plan.status, 'executing');
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const protection = require('../lib/protection');
+
+describe('protection', () => {
+  /** @type {string} */
+  let root;
+
+  /**
+   * 设置保护配置(默认配置中的列表为空，类型需转换)
+   * @param {Partial<import('../lib/protection').ProtectionConfig>} changes
+   */
+  const protect = changes => {
+    config.protection = /** @type {typeof config.protection} */ (/** @type {unknown} */ ({ markerFiles: ['.keep'], excludePatterns: [], pinned: [], ...changes }));
+  };
+
+  beforeEach(async () => {
+    root = makeTempDir('rec');
+    await fs.ensureDir(path.join(root, 'cam1', '2024-01-01'));
+    await fs.outputFile(path.join(root, 'cam1', '2024-01-02', 'a.mp4'), 'a');
+    protect({});
+  });
+
+  /**
+   * @param {string} relativePath
+   * @returns {Promise<import('../lib/i18n').LocalizedText | null>}
+   */
+  const reasonFor = relativePath => protection.getProtectionReason(path.join(root, relativePath));
+
+  it('没有任何保护时返回 null', async () => {
+    assert.equal(await reasonFor('cam1/2024-01-01'), null);
+  });
+
+  it('目录中存在标记文件时受保护，文件以所在目录的标记文件为准', async () => {
+    await fs.writeFile(path.join(root, 'cam1', '2024-01-02', '.keep'), '');
+
+    assert.deepEqual(await reasonFor('cam1/2024-01-02'), { key: 'skipReason.marker', params: { file: '.keep' } });
+    assert.deepEqual(await reasonFor('cam1/2024-01-02/a.mp4'), { key: 'skipReason.marker', params: { file: '.keep' } });
+    assert.equal(await reasonFor('cam1/2024-01-01'), null);
+    assert.equal(protection.isMarkerFile('.keep'), true);
+    assert.equal(protection.isMarkerFile('a.mp4'), false);
+  });
+
+  describe('排除规则', () => {
+    it('不含 / 的通配符只匹配目录名', async () => {
+      protect({ excludePatterns: ['2024-01-0?'] });
+      assert.equal((await reasonFor('cam1/2024-01-01'))?.key, 'skipReason.excludePattern');
+
+      protect({ excludePatterns: ['cam1'] });
+      assert.equal(await reasonFor('cam1/2024-01-01'), null);
+    });
+
+    it('含 / 的通配符匹配完整路径，* 不跨目录，** 可跨目录', async () => {
+      const base = root.replace(/\\/g, '/');
+      protect({ excludePatterns: [`${base}/*/2024-01-01`] });
+      assert.deepEqual(await reasonFor('cam1/2024-01-01'), { key: 'skipReason.excludePattern', params: { pattern: `${base}/*/2024-01-01` } });
+
+      protect({ excludePatterns: [`${base}/*`] });
+      assert.equal(await reasonFor('cam1/2024-01-01'), null);
+
+      protect({ excludePatterns: [`${base}/**`] });
+      assert.equal((await reasonFor('cam1/2024-01-01'))?.key, 'skipReason.excludePattern');
+    });
+
+    it('/.../flags 形式的规则按正则表达式匹配完整路径', async () => {
+      protect({ excludePatterns: ['/CAM1\\/2024-01-01$/i'] });
+      assert.equal((await reasonFor('cam1/2024-01-01'))?.key, 'skipReason.excludePattern');
+      assert.equal(await reasonFor('cam1/2024-01-02'), null);
+    });
+
+    it('通配符中的正则表达式特殊字符按原样匹配', () => {
+      const { regex } = protection.compilePattern('incident (1).mp4');
+      assert.equal(regex.test('incident (1).mp4'), true);
+      assert.equal(regex.test('incident 1xmp4'), false);
+    });
+  });
+
+  describe('固定保留', () => {
+    it('固定保留的目录及其中的内容受保护，省略 until 表示永久保留', async () => {
+      protect({ pinned: [{ path: path.join(root, 'cam1') }] });
+
+      assert.deepEqual(await reasonFor('cam1/2024-01-01'), { key: 'skipReason.pinned' });
+      assert.deepEqual(await reasonFor('cam1'), { key: 'skipReason.pinned' });
+    });
+
+    it('有效期内受保护，过期后不再保护', async () => {
+      const until = Date.now() + 60 * 60 * 1000;
+      protect({ pinned: [{ path: path.join(root, 'cam1', '2024-01-01'), until: new Date(until).toISOString() }] });
+      assert.deepEqual(await reasonFor('cam1/2024-01-01'), { key: 'skipReason.pinnedUntil', times: { until } });
+
+      protect({ pinned: [{ path: path.join(root, 'cam1', '2024-01-01'), until: '2000-01-01' }] });
+      assert.equal(await reasonFor('cam1/2024-01-01'), null);
+    });
+
+    it('路径前缀相同的其他目录不受保护', async () => {
+      protect({ pinned: [{ path: path.join(root, 'cam1', '2024-01-0') }] });
+      assert.equal(await reasonFor('cam1/2024-01-01'), null);
+    });
+  });
+
+  it('按是否受保护拆分目录，受保护的目录带有原因', async () => {
+    protect({ excludePatterns: ['2024-01-01'] });
+    const dirs = [{ path: path.join(root, 'cam1', '2024-01-01') }, { path: path.join(root, 'cam1', '2024-01-02') }];
+
+    const { allowedDirs, protectedDirs } = await protection.partitionProtected(dirs);
+
+    assert.deepEqual(allowedDirs, [dirs[1]]);
+    assert.equal(protectedDirs[0].path, dirs[0].path);
+    assert.deepEqual(protectedDirs[0].skipReasonCode, { key: 'skipReason.excludePattern', params: { pattern: '2024-01-01' } });
+    assert.match(protectedDirs[0].skipReason, /2024-01-01/);
+  });
+});
@@ -0,0 +1,125 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { getExitedPid, makeTempDir, runChild, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const quarantine = require('../lib/quarantine');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+/** @type {string} */
+let root;
+
+/**
+ * @param {string} name
+ * @returns {{path: string, sizeGB: number, mtime: number}}
+ */
+const dir = name => ({ path: path.join(root, name), sizeGB: 1, mtime: 0 });
+
+/**
+ * 修改清单中的条目(模拟其他进程写入的状态或时间推移)
+ * @param {string} id
+ * @param {Partial<import('../lib/quarantine').QuarantineEntry>} changes
+ * @returns {Promise<void>}
+ */
+async function patchEntry(id, changes) {
+  const filePath = resolveDataFile('quarantine.json');
+  const data = await fs.readJson(filePath);
+  Object.assign(data.entries.find((/** @type {{id: string}} */ entry) => entry.id === id), changes);
+  await fs.writeJson(filePath, data);
+}
+
+describe('quarantine', () => {
+  beforeEach(async () => {
+    await fs.remove(resolveDataFile('quarantine.json'));
+    root = makeTempDir('rec');
+    for (const name of ['2024-01-01', '2024-01-02', '2024-01-03']) {
+      await fs.outputFile(path.join(root, name, 'a.mp4'), name);
+    }
+    Object.assign(config, {
+      quarantine: { enabled: true, dirName: '.recycle', graceHours: 24 },
+      minFreeSpaceGB: 0,
+      maxUsedPercent: 0,
+      bufferPercentage: 0,
+      disks: []
+    });
+  });
+
+  it('移入回收站后记录在清单中，可恢复到原位置', async () => {
+    const entry = await quarantine.quarantineDirectory(dir('2024-01-01'), root);
+
+    assert.equal(await fs.pathExists(path.join(root, '2024-01-01')), false);
+    assert.equal(path.dirname(entry.trashPath), path.join(root, '.recycle'));
+    assert.deepEqual(await quarantine.listQuarantined(), [entry]);
+
+    assert.equal((await quarantine.restoreDirectory(entry.id))?.id, entry.id);
+    assert.equal(await fs.readFile(path.join(root, '2024-01-01', 'a.mp4'), 'utf8'), '2024-01-01');
+    assert.deepEqual(await quarantine.listQuarantined(), []);
+    assert.equal(await quarantine.restoreDirectory(entry.id), null);
+  });
+
+  it('原位置已存在同名目录时不恢复', async () => {
+    const entry = await quarantine.quarantineDirectory(dir('2024-01-01'), root);
+    await fs.ensureDir(path.join(root, '2024-01-01'));
+
+    await assert.rejects(quarantine.restoreDirectory(entry.originalPath), /原位置已存在/);
+    assert.equal(await fs.pathExists(entry.trashPath), true);
+    assert.equal((await quarantine.listQuarantined()).length, 1);
+  });
+
+  it('移动失败时不在清单中留下条目', async () => {
+    await assert.rejects(quarantine.quarantineDirectory(dir('missing'), root));
+    assert.deepEqual(await quarantine.listQuarantined(), []);
+  });
+
+  it('多个进程同时移入回收站时清单不丢失条目', async () => {
+    const script = (/** @type {string} */ name) => `require('./lib/quarantine').quarantineDirectory(
+      { path: ${JSON.stringify(path.join(root, name))}, sizeGB: 1, mtime: 0 }, ${JSON.stringify(root)});`;
+
+    await Promise.all(['2024-01-01', '2024-01-02'].map(name => runChild(script(name)).output));
+    await quarantine.quarantineDirectory(dir('2024-01-03'), root);
+
+    const entries = await quarantine.listQuarantined();
+    assert.deepEqual(entries.map(entry => path.basename(entry.originalPath)).sort(), ['2024-01-01', '2024-01-02', '2024-01-03']);
+    assert.deepEqual(await fs.readdir(root), ['.recycle']);
+  });
+
+  describe('purgeExpired', () => {
+    it('移入过程中被中断的条目：已移动的保留，未移动的移除，移动进程仍在运行的不处理', async () => {
+      const moved = await quarantine.quarantineDirectory(dir('2024-01-01'), root);
+      const notMoved = await quarantine.quarantineDirectory(dir('2024-01-02'), root);
+      const inProgress = await quarantine.quarantineDirectory(dir('2024-01-03'), root);
+      const exitedPid = await getExitedPid();
+      await patchEntry(moved.id, { status: 'moving', movingPid: exitedPid });
+      await fs.move(notMoved.trashPath, notMoved.originalPath);
+      await patchEntry(notMoved.id, { status: 'moving', movingPid: exitedPid });
+      await patchEntry(inProgress.id, { status: 'moving', movingPid: process.ppid });
+
+      await quarantine.purgeExpired();
+
+      const entries = await quarantine.listQuarantined();
+      assert.deepEqual(entries.map(entry => entry.id), [moved.id, inProgress.id]);
+      assert.equal(entries[0].status, undefined);
+      assert.equal(entries[1].status, 'moving');
+    });
+
+    it('只在磁盘空间不足时彻底删除已过宽限期的目录', async () => {
+      const expired = await quarantine.quarantineDirectory(dir('2024-01-01'), root);
+      const recent = await quarantine.quarantineDirectory(dir('2024-01-02'), root);
+      await patchEntry(expired.id, { quarantinedAt: Date.now() - 25 * 60 * 60 * 1000 });
+
+      assert.deepEqual(await quarantine.purgeExpired(), []);
+      assert.equal(await fs.pathExists(expired.trashPath), true);
+
+      config.minFreeSpaceGB = 1e9;
+      assert.deepEqual((await quarantine.purgeExpired({ dryRun: true })).map(entry => entry.id), [expired.id]);
+      assert.equal(await fs.pathExists(expired.trashPath), true);
+
+      assert.deepEqual((await quarantine.purgeExpired()).map(entry => entry.id), [expired.id]);
+      assert.equal(await fs.pathExists(expired.trashPath), false);
+      assert.deepEqual((await quarantine.listQuarantined()).map(entry => entry.id), [recent.id]);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeOld, makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const reports = require('../lib/reports');
+const { resolveDataFile } = require('../utils/jsonFile');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MB_IN_GB = 1 / 1024;
+
+/** @type {string} */
+let root1;
+/** @type {string} */
+let root2;
+
+/**
+ * 写入审计记录(指定发生时间)
+ * @param {Array<{event: string, ago: number, path?: string, sizeGB?: number}>} records - ago 为距今毫秒数
+ * @returns {Promise<void>}
+ */
+async function writeAudit(records) {
+  const lines = records.map(({ ago, ...fields }) => JSON.stringify({ time: new Date(Date.now() - ago).toISOString(), ...fields }));
+  await fs.outputFile(logger.resolveLogFile('audit.log'), `${lines.join('\n')}\n`);
+}
+
+/**
+ * 写入 1MB 的录制目录
+ * @param {string} dirPath
+ * @param {number} days - 录制距今天数
+ * @returns {Promise<void>}
+ */
+async function writeRecording(dirPath, days) {
+  await fs.outputFile(path.join(dirPath, 'a.mp4'), Buffer.alloc(1024 * 1024));
+  await makeOld(path.join(dirPath, 'a.mp4'), days);
+  await makeOld(dirPath, days);
+}
+
+describe('reports', () => {
+  beforeEach(async () => {
+    await fs.remove(resolveDataFile('usage-history.json'));
+    root1 = makeTempDir('rec1');
+    root2 = makeTempDir('rec2');
+    await writeRecording(path.join(root1, '2024-01-01'), 40);
+    await writeRecording(path.join(root1, '2024-01-02'), 10);
+    await writeRecording(path.join(root2, '2024-01-01'), 5);
+    Object.assign(config, {
+      recordingsPaths: [root1, root2],
+      dryRun: false,
+      scan: { mode: 'directory', depth: 1, filePatterns: [], timestampPatterns: [] },
+      reports: { daily: '', weekly: '', exportDir: '' },
+      notifications: { ...config.notifications, channels: [] }
+    });
+    await writeAudit([
+      { event: 'planned', ago: HOUR_MS },
+      { event: 'deleted', ago: HOUR_MS, path: path.join(root1, '2023-12-01'), sizeGB: 2 },
+      { event: 'archived', ago: 2 * HOUR_MS, path: path.join(root1, '2023-12-02'), sizeGB: 1 },
+      { event: 'restored', ago: 2 * HOUR_MS, path: path.join(root1, '2023-12-03'), sizeGB: 1 },
+      { event: 'failed', ago: 3 * HOUR_MS, path: path.join(root1, '2023-12-04') },
+      { event: 'skipped', ago: 3 * HOUR_MS, path: path.join(root1, '2023-12-05'), sizeGB: 4 },
+      { event: 'quarantined', ago: HOUR_MS, path: path.join(root2, '2023-12-01'), sizeGB: 0.5 },
+      { event: 'deleted', ago: HOUR_MS, path: '/elsewhere/2023-12-01', sizeGB: 8 },
+      { event: 'deleted', ago: 3 * DAY_MS, path: path.join(root1, '2023-11-01'), sizeGB: 5 }
+    ]);
+  });
+
+  it('按监控路径汇总录制总量、实际保留天数和报告期内的清理操作', async () => {
+    const report = await reports.buildReport('daily');
+
+    assert.equal(report.periodEnd - report.periodStart, DAY_MS);
+    const [path1, path2] = report.paths;
+    assert.equal(path1.path, root1);
+    assert.equal(path1.sizeGB, 2 * MB_IN_GB);
+    assert.equal(path1.dirCount, 2);
+    assert.equal(Math.round(/** @type {number} */ (path1.retentionDays)), 40);
+    assert.deepEqual([path1.deletedDirs, path1.deletedGB, path1.failedDirs], [2, 3, 1]);
+    assert.deepEqual([path2.deletedDirs, path2.deletedGB, path2.failedDirs], [1, 0.5, 0]);
+    assert.deepEqual(report.totals, { sizeGB: 3 * MB_IN_GB, deletedDirs: 3, deletedGB: 3.5, failedDirs: 1, plans: 1 });
+  });
+
+  it('周报统计 7 天内的清理操作', async () => {
+    const report = await reports.buildReport('weekly');
+
+    assert.deepEqual([report.paths[0].deletedDirs, report.paths[0].deletedGB], [3, 8]);
+  });
+
+  it('同一磁盘上的监控路径合并为一项磁盘信息', async () => {
+    const report = await reports.buildReport('daily');
+
+    assert.equal(report.disks.length, 1);
+    assert.deepEqual(report.disks[0].paths, [root1, root2]);
+    assert.equal(report.disks[0].diskKey, report.paths[0].diskKey);
+  });
+
+  it('按期初的录制总量采样计算每日增长，期间移出的录制计入增长，恢复的录制不计入', async () => {
+    const baselineTime = Date.now() - 2 * DAY_MS;
+    await fs.writeJson(resolveDataFile('usage-history.json'), { paths: { [root1]: [{ time: baselineTime, sizeGB: 0, dirCount: 0, oldestMtime: null }] } });
+
+    const report = await reports.buildReport('daily');
+
+    const [path1, path2] = report.paths;
+    assert.equal(path1.growthSince, baselineTime);
+    // 期末 2MB - 期初 0 + 移出 3GB - 恢复 1GB，约 2 天
+    assert.ok(Math.abs(/** @type {number} */ (path1.growthGBPerDay) - (2 * MB_IN_GB + 2) / 2) < 1e-3);
+    assert.equal(path2.growthGBPerDay, null);
+
+    const { paths: history } = await fs.readJson(resolveDataFile('usage-history.json'));
+    assert.equal(history[root1].length, 2);
+    assert.equal(history[root2][0].sizeGB, MB_IN_GB);
+  });
+
+  it('CSV 每个监控路径一行，包含逗号或引号的字段加引号转义', async () => {
+    const report = await reports.buildReport('daily');
+    report.paths[1].path = 'D:\\Rec "cam", 2';
+    report.paths[1].diskKey = null;
+    report.paths[1].error = 'scan failed';
+
+    const [header, row1, row2, end] = reports.formatReport(report, 'csv').split('\r\n');
+
+    assert.equal(header.split(',').length, 21);
+    assert.match(header, /^period,period_start,period_end,path,disk,size_gb,/);
+    assert.match(row1, new RegExp(`^daily,[^,]+,[^,]+,${root1.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')},`));
+    assert.ok(row2.startsWith(`daily,${new Date(report.periodStart).toISOString()},${new Date(report.periodEnd).toISOString()},"D:\\Rec ""cam"", 2",,0.001,1,`));
+    assert.ok(row2.endsWith(',,,,,,,scan failed'));
+    assert.equal(end, '');
+    assert.deepEqual(JSON.parse(reports.formatReport(report, 'json')), report);
+  });
+
+  it('配置了 exportDir 时发送报告后导出 CSV 和 JSON，演练模式下不导出', async () => {
+    const exportDir = makeTempDir('reports');
+    config.reports = { ...config.reports, exportDir };
+
+    config.dryRun = true;
+    await reports.sendReport('weekly');
+    assert.deepEqual(await fs.readdir(exportDir), []);
+
+    config.dryRun = false;
+    const report = await reports.sendReport('weekly');
+    const date = new Date(report.periodEnd).toISOString().slice(0, 10);
+    assert.deepEqual((await fs.readdir(exportDir)).sort(), [`report-weekly-${date}.csv`, `report-weekly-${date}.json`]);
+    assert.equal((await fs.readJson(path.join(exportDir, `report-weekly-${date}.json`))).period, 'weekly');
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeOld, makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const fileManager = require('../lib/fileManager');
+const retentionPolicy = require('../lib/retentionPolicy');
+
+const MB_IN_GB = 1 / 1024;
+
+describe('retentionPolicy', () => {
+  beforeEach(() => {
+    Object.assign(config, {
+      retention: { minKeepDirs: 2, maxAgeDays: 0, maxSizeGB: 0 },
+      action: 'delete',
+      archive: { target: '/archive', verify: 'size' },
+      scan: { mode: 'directory', depth: 1, filePatterns: [], timestampPatterns: [] }
+    });
+  });
+
+  describe('resolvePolicy', () => {
+    it('路径单独配置的策略覆盖默认策略，无效值使用默认值', () => {
+      const policy = retentionPolicy.resolvePolicy({ maxAgeDays: 30, maxSizeGB: -1, minKeepDirs: 3.7, action: 'archive', archive: { verify: 'checksum' }, scan: { depth: 0 } });
+
+      assert.equal(policy.minKeepDirs, 3);
+      assert.equal(policy.maxAgeDays, 30);
+      assert.equal(policy.maxSizeGB, 0);
+      assert.equal(policy.action, 'archive');
+      assert.deepEqual(policy.archive, { target: '/archive', verify: 'checksum' });
+      assert.equal(policy.scan.depth, 1);
+    });
+
+    it('未知的清理方式和校验方式使用默认值', () => {
+      const policy = retentionPolicy.resolvePolicy(/** @type {import('../lib/retentionPolicy').RecordingsPathConfig} */ (/** @type {unknown} */ ({ action: 'shred', archive: { verify: 'md5' } })));
+      assert.equal(policy.action, 'delete');
+      assert.equal(policy.archive.verify, 'size');
+    });
+  });
+
+  it('监控路径可以是字符串或带单独策略的对象，目录属于最深的监控路径', () => {
+    // 配置文件中的对象形式(默认配置只有字符串)
+    config.recordingsPaths = /** @type {string[]} */ (/** @type {unknown} */ (['/rec', { path: '/rec/cam1', maxAgeDays: 7 }]));
+
+    const targets = retentionPolicy.getRecordingsTargets();
+    assert.deepEqual(targets.map(target => [target.path, target.policy.maxAgeDays, target.policy.minKeepDirs]), [['/rec', 0, 2], ['/rec/cam1', 7, 2]]);
+
+    assert.equal(retentionPolicy.findTargetForPath('/rec/cam1/2024-01-01')?.path, '/rec/cam1');
+    assert.equal(retentionPolicy.findTargetForPath('/rec/cam2/2024-01-01')?.path, '/rec');
+    assert.equal(retentionPolicy.findTargetForPath('/rec'), null);
+    assert.equal(retentionPolicy.findTargetForPath('/other/2024-01-01'), null);
+  });
+
+  it('只有最长保留天数或空间配额属于与剩余空间无关的规则', () => {
+    assert.equal(retentionPolicy.hasStandingRules(retentionPolicy.resolvePolicy()), false);
+    assert.equal(retentionPolicy.hasStandingRules(retentionPolicy.resolvePolicy({ maxAgeDays: 1 })), true);
+    assert.equal(retentionPolicy.hasStandingRules(retentionPolicy.resolvePolicy({ maxSizeGB: 1 })), true);
+  });
+
+  describe('按保留策略选择目录', () => {
+    /** @type {string} */
+    let root;
+
+    beforeEach(async () => {
+      config.inUse = { quietMinutes: 10, checkOpenFiles: false };
+      config.protection = { markerFiles: [], excludePatterns: [], pinned: [] };
+      root = makeTempDir('rec');
+      // 每个目录 1MB，分别为 50、40、20、10、5 天前的录制
+      for (const days of [50, 40, 20, 10, 5]) {
+        const dirPath = path.join(root, `d${days}`);
+        await fs.outputFile(path.join(dirPath, 'a.mp4'), Buffer.alloc(1024 * 1024));
+        await makeOld(path.join(dirPath, 'a.mp4'), days);
+        await makeOld(dirPath, days);
+      }
+    });
+
+    /**
+     * @param {number} spaceToFreeGB
+     * @param {Omit<import('../lib/retentionPolicy').RecordingsPathConfig, 'path'>} overrides
+     */
+    const select = async (spaceToFreeGB, overrides) => {
+      const { dirsToDelete } = await fileManager.getDirectoriesToDelete(root, 100 - spaceToFreeGB, 100, 0, retentionPolicy.resolvePolicy(overrides));
+      return dirsToDelete.map(dir => `${path.basename(dir.path)}:${dir.reason}`);
+    };
+
+    it('空间充足且没有其他规则时不选择目录', async () => {
+      assert.deepEqual(await select(0, {}), []);
+    });
+
+    it('超过最长保留天数的目录无论空间是否充足都删除', async () => {
+      assert.deepEqual(await select(0, { maxAgeDays: 30 }), ['d50:age', 'd40:age']);
+    });
+
+    it('超出空间配额时从最早的目录开始删除到配额以内', async () => {
+      assert.deepEqual(await select(0, { maxSizeGB: 2.5 * MB_IN_GB }), ['d50:quota', 'd40:quota', 'd20:quota']);
+    });
+
+    it('空间不足时从最早的目录开始删除，始终保留最新的 minKeepDirs 个目录', async () => {
+      assert.deepEqual(await select(1.5 * MB_IN_GB, {}), ['d50:space', 'd40:space']);
+      assert.deepEqual(await select(100, {}), ['d50:space', 'd40:space', 'd20:space']);
+      assert.deepEqual(await select(100, { minKeepDirs: 0 }), ['d50:space', 'd40:space', 'd20:space', 'd10:space', 'd5:space']);
+    });
+
+    it('最少保留的目录同样不会因保留天数被删除', async () => {
+      assert.deepEqual(await select(0, { maxAgeDays: 1, minKeepDirs: 4 }), ['d50:age']);
+    });
+  });
+});
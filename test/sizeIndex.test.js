@@ -0,0 +1,41 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const path = require('path');
+const { makeTempDir, useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const sizeIndex = require('../lib/sizeIndex');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+describe('sizeIndex', () => {
+  /** @type {string} */
+  let unitPath;
+
+  beforeEach(async () => {
+    await fs.remove(resolveDataFile('size-index.json'));
+    config.dryRun = false;
+    config.sizeIndex = { enabled: true, concurrency: 4, settleMinutes: 60, sizeMode: 'apparent' };
+    unitPath = path.join(makeTempDir('rec'), '2024-01-01');
+    await fs.outputFile(path.join(unitPath, 'a.mp4'), 'a'.repeat(100));
+    await fs.outputFile(path.join(unitPath, 'cam1', 'b.mp4'), 'b'.repeat(50));
+  });
+
+  it('统计目录及其子目录中文件的大小并保存索引', async () => {
+    assert.equal(await sizeIndex.getDirSize(unitPath), 150);
+    await sizeIndex.save();
+
+    const { entries } = await fs.readJson(resolveDataFile('size-index.json'));
+    assert.equal(entries[unitPath].bytes, 100);
+    assert.equal(entries[path.join(unitPath, 'cam1')].bytes, 50);
+  });
+
+  it('演练模式下不保存索引', async () => {
+    config.dryRun = true;
+    assert.equal(await sizeIndex.getDirSize(unitPath), 150);
+    await sizeIndex.save();
+
+    assert.equal(await fs.pathExists(resolveDataFile('size-index.json')), false);
+  });
+});
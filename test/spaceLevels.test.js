@@ -0,0 +1,52 @@
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const fs = require('fs-extra');
+const { useTempDataDir } = require('./helpers');
+
+useTempDataDir();
+const config = require('../config');
+const spaceLevels = require('../lib/spaceLevels');
+const { resolveDataFile } = require('../utils/jsonFile');
+
+describe('spaceLevels', () => {
+  beforeEach(async () => {
+    await fs.remove(resolveDataFile('space-levels.json'));
+    config.dryRun = false;
+    config.warningLevel = { minFreeSpaceGB: 0, maxUsedPercent: 0, repeatHours: 24 };
+  });
+
+  it('按剩余空间判断级别，阈值为 0 的级别不使用', () => {
+    const thresholds = { minFreeSpaceGB: 50, bufferPercentage: 0, targetFreeGB: 50, warningFreeGB: 100, emergencyFreeGB: 10 };
+
+    assert.equal(spaceLevels.classify(100, thresholds), 'ok');
+    assert.equal(spaceLevels.classify(99, thresholds), 'warning');
+    assert.equal(spaceLevels.classify(49, thresholds), 'delete');
+    assert.equal(spaceLevels.classify(9, thresholds), 'emergency');
+    assert.equal(spaceLevels.classify(0, { ...thresholds, minFreeSpaceGB: 0, warningFreeGB: 0, emergencyFreeGB: 0 }), 'ok');
+  });
+
+  it('持续处于预警级别时按 repeatHours 间隔重复通知', async () => {
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk1', 'warning'), true);
+    await spaceLevels.markWarned('/mnt/disk1');
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk1', 'warning'), false);
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk2', 'warning'), true);
+
+    config.warningLevel.repeatHours = 0;
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk1', 'warning'), true);
+  });
+
+  it('离开预警级别后清除记录，再次进入时立即通知', async () => {
+    await spaceLevels.markWarned('/mnt/disk1');
+
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk1', 'delete'), false);
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk1', 'warning'), true);
+  });
+
+  it('演练模式下不清除记录', async () => {
+    await spaceLevels.markWarned('/mnt/disk1');
+    config.dryRun = true;
+
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk1', 'ok'), false);
+    assert.equal(await spaceLevels.shouldWarn('/mnt/disk1', 'warning'), false);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * 创建并发限制器，同一时间最多执行 concurrency 个任务，其余任务排队
+ * @param {number} concurrency 最大并发数
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>} 提交任务的函数，返回任务的结果
+ */
+const createLimiter = (concurrency) => {
+    let active = 0;
+    /** @type {Array<() => void>} */
+    const queue = [];
+
+    const next = () => {
+        const start = queue.shift();
+        if (start) {
+            active++;
+            start();
+        }
+    };
+
+    return (task) => new Promise((resolve, reject) => {
+        queue.push(() => {
+            task()
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    next();
+                });
+        });
+        if (active < concurrency) {
+            next();
+        }
+    });
+}
+
+exports.createLimiter = createLimiter;
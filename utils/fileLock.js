@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const RETRY_INTERVAL_MS = 50; // 等待锁时的重试间隔
+const DEFAULT_TIMEOUT_MS = 10 * 1000; // 默认最长等待时间
+const EMPTY_LOCK_STALE_MS = 5 * 1000; // 锁文件为空(持有者刚创建尚未写入进程号)超过该时长视为残留
+
+/**
+ * 判断进程是否仍在运行
+ * @param {number} pid 进程ID
+ * @returns {boolean}
+ */
+const isProcessAlive = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM 表示进程存在但属于其他用户
+        return /** @type {NodeJS.ErrnoException} */ (error).code === 'EPERM';
+    }
+}
+
+/**
+ * 读取锁文件中记录的持有进程及锁文件的修改时间(从同一个打开的文件中读取)
+ * @param {string} lockPath 锁文件路径
+ * @returns {Promise<{pid: number, mtimeMs: number} | null>} 锁文件不存在时返回 null，内容为空或损坏时 pid 为 0
+ */
+const readLock = async (lockPath) => {
+    let handle;
+    try {
+        handle = await fs.promises.open(lockPath, 'r');
+    } catch (error) {
+        if (/** @type {NodeJS.ErrnoException} */ (error).code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+    try {
+        const { mtimeMs } = await handle.stat();
+        const pid = Number.parseInt(await handle.readFile('utf8'), 10);
+        return { pid: Number.isInteger(pid) && pid > 0 ? pid : 0, mtimeMs };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * 锁是否为残留：持有进程已退出，或锁文件为空且已超过 EMPTY_LOCK_STALE_MS
+ * @param {{pid: number, mtimeMs: number}} lock 锁文件信息
+ * @returns {boolean}
+ */
+const isStaleLock = (lock) => {
+    if (lock.pid === 0) {
+        return Date.now() - lock.mtimeMs >= EMPTY_LOCK_STALE_MS;
+    }
+    return lock.pid !== process.pid && !isProcessAlive(lock.pid);
+}
+
+/**
+ * 清理残留的锁文件
+ * 多个进程可能同时发现同一个残留锁，只有取得清理锁的进程会清理：在清理锁内重新读取锁文件，仍为残留时才删除，
+ * 不会删除其他进程在此之前清理残留锁后刚获取的锁。清理锁在持有者异常退出后超过 EMPTY_LOCK_STALE_MS 视为残留
+ * @param {string} lockPath 锁文件路径
+ * @returns {Promise<boolean>} 是否由本进程完成清理(可以重新获取锁)，其他进程正在清理时返回 false
+ */
+const removeStaleLock = async (lockPath) => {
+    const takeoverPath = `${lockPath}.takeover`;
+    try {
+        await fs.writeFile(takeoverPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+        if (/** @type {NodeJS.ErrnoException} */ (error).code !== 'EEXIST') {
+            throw error;
+        }
+        const stats = await fs.stat(takeoverPath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs >= EMPTY_LOCK_STALE_MS) {
+            await fs.remove(takeoverPath);
+        }
+        return false;
+    }
+
+    try {
+        const lock = await readLock(lockPath);
+        if (lock && isStaleLock(lock)) {
+            await fs.remove(lockPath);
+        }
+        return true;
+    } finally {
+        await fs.remove(takeoverPath);
+    }
+}
+
+/**
+ * 尝试获取跨进程的文件锁(以 wx 方式创建锁文件并写入本进程号)，不等待
+ * 持有进程已退出的锁视为残留，清理后重新获取；本进程已持有的锁同样视为已被占用
+ * @param {string} lockPath 锁文件路径
+ * @returns {Promise<number | null>} 获取成功返回 null，否则返回持有锁的进程号(未知或其他进程正在清理残留锁时为 0)
+ */
+const tryAcquireLock = async (lockPath) => {
+    await fs.ensureDir(path.dirname(lockPath));
+    for (;;) {
+        try {
+            await fs.writeFile(lockPath, String(process.pid), { flag: 'wx' });
+            return null;
+        } catch (error) {
+            if (/** @type {NodeJS.ErrnoException} */ (error).code !== 'EEXIST') {
+                throw error;
+            }
+        }
+
+        const lock = await readLock(lockPath);
+        if (lock === null) {
+            continue; // 持有者刚释放
+        }
+        if (!isStaleLock(lock)) {
+            return lock.pid;
+        }
+        if (!await removeStaleLock(lockPath)) {
+            return 0;
+        }
+    }
+}
+
+/**
+ * 释放本进程持有的文件锁，锁已被其他进程接管时不处理
+ * @param {string} lockPath 锁文件路径
+ * @returns {Promise<void>}
+ */
+const releaseLock = async (lockPath) => {
+    const lock = await readLock(lockPath).catch(() => null);
+    if (lock && lock.pid === process.pid) {
+        await fs.remove(lockPath);
+    }
+}
+
+/**
+ * 在跨进程文件锁内执行操作，锁被占用时等待，超时后抛出错误
+ * 同一进程内的调用方需自行串行，本进程已持有的锁不可重入
+ * @template T
+ * @param {string} lockPath 锁文件路径
+ * @param {() => Promise<T>} operation 要执行的操作
+ * @param {number} [timeoutMs] 最长等待时间(毫秒)
+ * @returns {Promise<T>}
+ */
+const withFileLock = async (lockPath, operation, timeoutMs = DEFAULT_TIMEOUT_MS) => {
+    const deadline = Date.now() + timeoutMs;
+    let holder = await tryAcquireLock(lockPath);
+    while (holder !== null) {
+        if (Date.now() >= deadline) {
+            throw new Error(`等待文件锁 ${lockPath} 超时(被进程 ${holder || '未知'} 占用)`);
+        }
+        await new Promise(resolve => setTimeout(resolve, RETRY_INTERVAL_MS));
+        holder = await tryAcquireLock(lockPath);
+    }
+
+    try {
+        return await operation();
+    } finally {
+        await releaseLock(lockPath);
+    }
+}
+
+exports.isProcessAlive = isProcessAlive;
+exports.tryAcquireLock = tryAcquireLock;
+exports.releaseLock = releaseLock;
+exports.withFileLock = withFileLock;
@@ -0,0 +1,28 @@
+/**
+ * 以 JSON 格式发送 POST 请求
+ * @param {string} url 请求地址
+ * @param {unknown} body 请求体
+ * @param {{headers?: Record<string, string>, timeoutMs?: number}} [options] 附加请求头与超时时间(毫秒)
+ * @returns {Promise<any>} 响应内容(能解析为 JSON 时返回对象，否则返回文本)
+ */
+const postJson = async (url, body, { headers = {}, timeoutMs = 15000 } = {}) => {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+        throw new Error(`请求失败 ${response.status}: ${text.slice(0, 200)}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+exports.postJson = postJson;
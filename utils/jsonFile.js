@@ -0,0 +1,52 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const logger = require('./logger');
+
+let tempCounter = 0; // 临时文件序号，同一进程内同时写入同一文件时各用各的临时文件
+
+/**
+ * 获取数据目录下的文件路径(相对路径以项目根目录为基准)
+ * @param {string} fileName 文件名
+ * @returns {string}
+ */
+const resolveDataFile = (fileName) => {
+    return path.resolve(__dirname, '..', config.dataDir, fileName);
+}
+
+/**
+ * 读取JSON文件，文件不存在或内容损坏时返回默认值
+ * @template T
+ * @param {string} filePath 文件路径
+ * @param {T} fallback 默认值
+ * @returns {Promise<T>}
+ */
+const readJsonFile = async (filePath, fallback) => {
+    try {
+        if (!await fs.pathExists(filePath)) {
+            return fallback;
+        }
+        return await fs.readJson(filePath);
+    } catch (error) {
+        logger.error(`读取文件失败 ${filePath}`, { error });
+        return fallback;
+    }
+}
+
+/**
+ * 原子写入JSON文件(先写临时文件再重命名)，避免进程中途退出导致文件损坏
+ * @param {string} filePath 文件路径
+ * @param {unknown} data 要写入的数据
+ * @param {{mode?: number}} [options] mode 为文件权限，临时文件创建时即使用该权限(如密钥文件使用 0o600，任何时候都不会被其他用户读取)
+ * @returns {Promise<void>}
+ */
+const writeJsonFile = async (filePath, data, { mode } = {}) => {
+    await fs.ensureDir(path.dirname(filePath));
+    const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+    await fs.writeJson(tempPath, data, { spaces: 2, mode });
+    await fs.rename(tempPath, filePath);
+}
+
+exports.resolveDataFile = resolveDataFile;
+exports.readJsonFile = readJsonFile;
+exports.writeJsonFile = writeJsonFile;
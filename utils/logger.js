@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { handleError } = require('./handleError');
+
+/**
+ * @typedef {'debug' | 'info' | 'warn' | 'error'} LogLevel
+ * @typedef {{error?: unknown, [key: string]: unknown}} LogContext
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const DEFAULT_LOGGING = {
+    level: 'info',
+    dir: './logs',
+    file: 'app.log',
+    maxSizeMB: 10,
+    maxFiles: 5,
+    console: true
+};
+
+/**
+ * 读取日志配置
+ * @returns {typeof DEFAULT_LOGGING}
+ */
+const getLoggingConfig = () => {
+    return { ...DEFAULT_LOGGING, ...(config.logging || {}) };
+}
+
+/**
+ * 获取日志目录下的文件路径(相对路径以项目根目录为基准)
+ * @param {string} fileName 文件名
+ * @returns {string}
+ */
+const resolveLogFile = (fileName) => {
+    return path.resolve(__dirname, '..', getLoggingConfig().dir, fileName);
+}
+
+/**
+ * 将错误对象转换为可序列化的结构
+ * @param {unknown} error 错误对象
+ * @returns {{message: string, stack?: string, code?: string}}
+ */
+const serializeError = (error) => {
+    const { msg, stack } = handleError(error);
+    /** @type {{message: string, stack?: string, code?: string}} */
+    const serialized = { message: msg };
+    if (stack) {
+        serialized.stack = stack;
+    }
+    const code = error instanceof Error ? /** @type {NodeJS.ErrnoException} */ (error).code : undefined;
+    if (code) {
+        serialized.code = code;
+    }
+    return serialized;
+}
+
+/**
+ * 文件超过大小上限时轮转：app.log -> app.log.1 -> app.log.2 ...，超出保留数量的最旧文件被删除
+ * @param {string} filePath 日志文件路径
+ * @param {number} incomingBytes 即将写入的字节数
+ */
+const rotateIfNeeded = (filePath, incomingBytes) => {
+    const { maxSizeMB, maxFiles } = getLoggingConfig();
+    let size = 0;
+    try {
+        size = fs.statSync(filePath).size;
+    } catch (error) {
+        return;
+    }
+    if (size + incomingBytes <= maxSizeMB * 1024 * 1024) {
+        return;
+    }
+
+    fs.rmSync(`${filePath}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(`${filePath}.${index}`)) {
+            fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+        }
+    }
+    fs.renameSync(filePath, `${filePath}.1`);
+}
+
+/**
+ * 追加一行 JSON 到日志文件(同步写入，保证进程异常退出前的日志不丢失)
+ * @param {string} fileName 日志文件名
+ * @param {Record<string, unknown>} record 日志记录
+ * @param {{rotate?: boolean}} [options] rotate 为 false 时不轮转(审计日志)
+ */
+const appendJsonLine = (fileName, record, { rotate = true } = {}) => {
+    const filePath = resolveLogFile(fileName);
+    const line = `${JSON.stringify(record)}\n`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (rotate) {
+        rotateIfNeeded(filePath, Buffer.byteLength(line));
+    }
+    fs.appendFileSync(filePath, line);
+}
+
+/**
+ * 写入一条日志：按级别过滤后输出到控制台并以 JSON 行写入日志文件
+ * @param {LogLevel} level 日志级别
+ * @param {string} message 日志内容
+ * @param {LogContext} [context] 附加字段，error 字段会被转换为 {message, stack, code}
+ */
+const log = (level, message, context = {}) => {
+    const loggingConfig = getLoggingConfig();
+    const threshold = LEVELS[/** @type {LogLevel} */ (loggingConfig.level)] || LEVELS.info;
+    if (LEVELS[level] < threshold) {
+        return;
+    }
+
+    const { error, ...fields } = context;
+    if (loggingConfig.console) {
+        const text = error === undefined ? message : `${message}: ${handleError(error).errMsg}`;
+        if (level === 'error' || level === 'warn') {
+            console.error(text);
+        } else {
+            console.log(text);
+        }
+    }
+
+    /** @type {Record<string, unknown>} */
+    const record = { time: new Date().toISOString(), level, pid: process.pid, msg: message, ...fields };
+    if (error !== undefined) {
+        record.error = serializeError(error);
+    }
+
+    try {
+        appendJsonLine(loggingConfig.file, record);
+    } catch (writeError) {
+        // 日志写入失败不影响业务流程，仅输出到控制台
+        console.error(`写入日志文件失败: ${handleError(writeError).msg}`);
+    }
+}
+
+/**
+ * @param {string} message 日志内容
+ * @param {LogContext} [context] 附加字段
+ */
+const debug = (message, context) => log('debug', message, context);
+
+/**
+ * @param {string} message 日志内容
+ * @param {LogContext} [context] 附加字段
+ */
+const info = (message, context) => log('info', message, context);
+
+/**
+ * @param {string} message 日志内容
+ * @param {LogContext} [context] 附加字段
+ */
+const warn = (message, context) => log('warn', message, context);
+
+/**
+ * @param {string} message 日志内容
+ * @param {LogContext} [context] 附加字段
+ */
+const error = (message, context) => log('error', message, context);
+
+exports.debug = debug;
+exports.info = info;
+exports.warn = warn;
+exports.error = error;
+exports.resolveLogFile = resolveLogFile;
+exports.appendJsonLine = appendJsonLine;